@@ -6,6 +6,8 @@ import morgan from 'morgan';
 import connectDB from './src/config/database.js';
 import errorHandler from './src/middleware/errorHandler.js';
 import { initializeCronJobs } from './src/services/cronJobs.js';
+import { runImportJobsOnce } from './src/services/importJobService.js';
+import { runStartupMigrations } from './src/services/migrationService.js';
 
 // Import routes
 import authRoutes from './src/routes/authRoutes.js';
@@ -14,6 +16,17 @@ import notificationRoutes from './src/routes/notificationRoutes.js';
 import serviceHandlerRoutes from './src/routes/serviceHandlerRoutes.js';
 import logRoutes from './src/routes/logRoutes.js';
 import cronRoutes from './src/routes/cronRoutes.js';
+import masterDataRoutes from './src/routes/masterDataRoutes.js';
+import exchangeRateRoutes from './src/routes/exchangeRateRoutes.js';
+import cardRoutes from './src/routes/cardRoutes.js';
+import subscriptionRoutes from './src/routes/subscriptionRoutes.js';
+import budgetRoutes from './src/routes/budgetRoutes.js';
+import statementRoutes from './src/routes/statementRoutes.js';
+import importBatchRoutes from './src/routes/importBatchRoutes.js';
+import importProfileRoutes from './src/routes/importProfileRoutes.js';
+import importJobRoutes from './src/routes/importJobRoutes.js';
+import duplicateReviewRoutes from './src/routes/duplicateReviewRoutes.js';
+import savedViewRoutes from './src/routes/savedViewRoutes.js';
 
 console.log('Starting Expense Backend...');
 // Load environment variables
@@ -50,6 +63,17 @@ app.use('/api/expenses', expenseRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/service-handler', serviceHandlerRoutes);
 app.use('/api/logs', logRoutes);
+app.use('/api/master-data', masterDataRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/cards', cardRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/statements', statementRoutes);
+app.use('/api/import-batches', importBatchRoutes);
+app.use('/api/import-profiles', importProfileRoutes);
+app.use('/api/import-jobs', importJobRoutes);
+app.use('/api/duplicate-reviews', duplicateReviewRoutes);
+app.use('/api/saved-views', savedViewRoutes);
 app.use('/_cron', cronRoutes);
 
 // Health check route
@@ -73,6 +97,12 @@ app.get('/', (req, res) => {
       notifications: '/api/notifications',
       serviceHandler: '/api/service-handler',
       logs: '/api/logs',
+      masterData: '/api/master-data',
+      exchangeRates: '/api/exchange-rates',
+      cards: '/api/cards',
+      subscriptions: '/api/subscriptions',
+      budgets: '/api/budgets',
+      statements: '/api/statements',
       health: '/api/health',
     },
   });
@@ -92,6 +122,12 @@ app.listen(PORT, HOST, () => {
     .then(() => {
       console.log('MongoDB connected');
       initializeCronJobs();
+      // Bring data stored by earlier versions up to date, then resume uploads that were queued or interrupted
+      // by a restart
+      runStartupMigrations()
+        .catch((error) => console.error('[Migration] Error:', error.message))
+        .then(() => runImportJobsOnce())
+        .catch((error) => console.error('[Import Job] Worker error:', error.message));
     })
     .catch((err) => {
       console.error('MongoDB connection failed:', err.message);
@@ -42,4 +42,31 @@ const upload = multer({
   },
 });
 
+// Receipts and invoices: kept in memory and handed to the storage driver
+const ATTACHMENT_TYPES = {
+  '.pdf': ['application/pdf'],
+  '.png': ['image/png'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.webp': ['image/webp'],
+};
+
+const attachmentFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (ATTACHMENT_TYPES[ext]?.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(Object.assign(new Error('Only PDF and image files (PNG, JPG, WEBP) are allowed'), { statusCode: 400 }), false);
+  }
+};
+
+export const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: attachmentFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+  },
+});
+
 export default upload;
@@ -0,0 +1,179 @@
+import Attachment from '../models/Attachment.js';
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import { addAttachment, openAttachment, removeAttachment } from '../services/attachmentService.js';
+import { canAccessEntry } from '../services/expenseStatsService.js';
+
+const canDeleteAttachment = (user, attachment) =>
+  ['super_admin', 'mis_manager'].includes(user.role) || String(attachment.uploadedBy) === String(user._id);
+
+// An ASCII-only filename for older clients and the UTF-8 name in filename* (RFC 5987) for the rest
+const toContentDisposition = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+const loadEntry = async (req, res) => {
+  const entry = await ExpenseEntry.findById(req.params.id);
+
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Expense entry not found',
+    });
+    return null;
+  }
+
+  if (!canAccessEntry(req.user, entry)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access attachments for this entry',
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+const loadAttachment = async (req, res) => {
+  const attachment = await Attachment.findOne({ _id: req.params.attachmentId, entry: req.params.id });
+
+  if (!attachment) {
+    res.status(404).json({
+      success: false,
+      message: 'Attachment not found',
+    });
+    return null;
+  }
+
+  return attachment;
+};
+
+// @desc    List attachments of an expense entry
+// @route   GET /api/expenses/:id/attachments
+// @access  Private
+export const getAttachments = async (req, res) => {
+  try {
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+
+    const attachments = await Attachment.find({ entry: entry._id })
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      data: attachments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Attach a receipt or invoice (PDF or image) to an expense entry
+// @route   POST /api/expenses/:id/attachments
+// @access  Private (SPOC, BU Admin, MIS, Super Admin, Service Handler)
+export const uploadAttachment = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file',
+      });
+    }
+
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+
+    const attachment = await addAttachment(entry, req.file, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: attachment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Download an attachment
+// @route   GET /api/expenses/:id/attachments/:attachmentId/download
+// @access  Private
+export const downloadAttachment = async (req, res) => {
+  try {
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+    const attachment = await loadAttachment(req, res);
+    if (!attachment) return;
+
+    let stream;
+    try {
+      stream = await openAttachment(attachment);
+    } catch {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file is no longer available',
+      });
+    }
+
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader('Content-Disposition', toContentDisposition(attachment.fileName));
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete an attachment
+// @route   DELETE /api/expenses/:id/attachments/:attachmentId
+// @access  Private (MIS, Super Admin or the uploader)
+export const deleteAttachment = async (req, res) => {
+  try {
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+    const attachment = await loadAttachment(req, res);
+    if (!attachment) return;
+
+    if (!canDeleteAttachment(req.user, attachment)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only MIS, Super Admin or the uploader can delete this attachment',
+      });
+    }
+
+    const attachmentCount = await removeAttachment(attachment);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment deleted successfully',
+      data: { attachmentCount },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export default {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+};
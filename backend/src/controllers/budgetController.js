@@ -0,0 +1,215 @@
+import Budget from '../models/Budget.js';
+import { BUDGET_PERIODS, getBudgetSummaries } from '../services/budgetService.js';
+import { validateMasterFields } from '../services/masterDataService.js';
+
+const BUDGET_FIELDS = ['businessUnit', 'costCenter', 'typeOfService', 'period', 'amount', 'alertThresholds', 'notes', 'isActive'];
+
+// Accept thresholds as an array or a comma separated string ("80, 100")
+const parseThresholds = (value) => {
+  const list = Array.isArray(value) ? value : `${value}`.split(',');
+  return [...new Set(list.map((item) => parseFloat(item)).filter((item) => item > 0))].sort((a, b) => a - b);
+};
+
+const pickBudgetFields = (body) =>
+  BUDGET_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) {
+      acc[field] = body[field];
+    }
+    return acc;
+  }, {});
+
+const validateBudgetPayload = async (payload, previous) => {
+  if (payload.period !== undefined && !BUDGET_PERIODS.includes(payload.period)) {
+    return `Period must be one of ${BUDGET_PERIODS.join(', ')}`;
+  }
+  if (payload.amount !== undefined && (Number.isNaN(Number(payload.amount)) || Number(payload.amount) <= 0)) {
+    return 'Budget amount must be a positive number';
+  }
+  if (payload.alertThresholds !== undefined) {
+    payload.alertThresholds = parseThresholds(payload.alertThresholds);
+    if (!payload.alertThresholds.length) {
+      return 'Please provide at least one alert threshold';
+    }
+  }
+
+  const masterErrors = await validateMasterFields(payload, previous);
+  return masterErrors.length ? masterErrors.join('; ') : null;
+};
+
+// @desc    Get budgets with actual spend for the current (or ?date=) period
+// @route   GET /api/budgets
+// @access  Private (Super Admin, MIS, BU Admin, SPOC)
+export const getBudgets = async (req, res) => {
+  try {
+    const query = {};
+    const { businessUnit, period, includeInactive, date } = req.query;
+
+    if (['business_unit_admin', 'spoc'].includes(req.user.role)) {
+      query.businessUnit = req.user.businessUnit;
+    } else if (businessUnit) {
+      query.businessUnit = businessUnit;
+    }
+    if (period) query.period = period;
+    if (includeInactive !== 'true') query.isActive = true;
+
+    const referenceDate = date ? new Date(date) : new Date();
+    if (Number.isNaN(referenceDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date',
+      });
+    }
+
+    const budgets = await Budget.find(query).sort({ businessUnit: 1, period: 1, costCenter: 1, typeOfService: 1 });
+    const summaries = await getBudgetSummaries(budgets, referenceDate);
+
+    res.status(200).json({
+      success: true,
+      count: summaries.length,
+      data: summaries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create a budget
+// @route   POST /api/budgets
+// @access  Private (MIS, Super Admin)
+export const createBudget = async (req, res) => {
+  try {
+    const payload = pickBudgetFields(req.body);
+    payload.costCenter = payload.costCenter || '';
+    payload.typeOfService = payload.typeOfService || '';
+
+    if (!payload.businessUnit || !payload.period || payload.amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide business unit, period and amount',
+      });
+    }
+
+    const validationError = await validateBudgetPayload(payload);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const existing = await Budget.findOne({
+      businessUnit: payload.businessUnit,
+      costCenter: payload.costCenter,
+      typeOfService: payload.typeOfService,
+      period: payload.period,
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A budget already exists for this business unit, cost center, type of service and period',
+      });
+    }
+
+    const budget = await Budget.create({
+      ...payload,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created successfully',
+      data: budget,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update a budget
+// @route   PUT /api/budgets/:id
+// @access  Private (MIS, Super Admin)
+export const updateBudget = async (req, res) => {
+  try {
+    const budget = await Budget.findById(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found',
+      });
+    }
+
+    const updates = pickBudgetFields(req.body);
+    const validationError = await validateBudgetPayload(updates, budget);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    // A new amount or thresholds means the current period should be re-evaluated from scratch
+    if (updates.amount !== undefined || updates.alertThresholds !== undefined) {
+      budget.alertsSent = [];
+    }
+
+    budget.set(updates);
+    await budget.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: budget,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A budget already exists for this business unit, cost center, type of service and period',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete a budget
+// @route   DELETE /api/budgets/:id
+// @access  Private (MIS, Super Admin)
+export const deleteBudget = async (req, res) => {
+  try {
+    const budget = await Budget.findByIdAndDelete(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Budget deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export default {
+  getBudgets,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+};
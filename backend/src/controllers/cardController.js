@@ -0,0 +1,427 @@
+import mongoose from 'mongoose';
+import Card from '../models/Card.js';
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import User from '../models/User.js';
+import { maskCardNumber } from '../services/cardService.js';
+import { validateMasterFields } from '../services/masterDataService.js';
+import { recordEntryAudits } from '../services/auditService.js';
+import { refreshSearchTokens } from '../services/entrySearchService.js';
+
+const CARD_FIELDS = ['holder', 'holderName', 'issuingBank', 'expiry', 'monthlyLimit', 'businessUnit', 'status'];
+
+const escapeRegex = (value = '') => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cards a user may see: MIS/Super Admin all, BU roles their BU, service handlers the cards they hold
+const buildCardScope = (user) => {
+  if (['business_unit_admin', 'spoc'].includes(user.role)) {
+    return { businessUnit: user.businessUnit };
+  }
+  if (user.role === 'service_handler') {
+    return { holder: user._id };
+  }
+  return {};
+};
+
+// Entry visibility mirrors the expense list: only SPOC sees non-accepted entries, BU roles stay in their BU
+const buildEntryScope = (user) => {
+  const scope = {};
+  if (user.role !== 'spoc') {
+    scope.entryStatus = 'Accepted';
+  }
+  if (['business_unit_admin', 'spoc', 'service_handler'].includes(user.role)) {
+    scope.businessUnit = user.businessUnit;
+  }
+  return scope;
+};
+
+const cardEntryMatch = (card) => ({
+  $or: [{ card: card._id }, { card: null, cardNumber: card.maskedNumber }],
+});
+
+const pickCardFields = (body) =>
+  CARD_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) {
+      acc[field] = body[field] === '' ? null : body[field];
+    }
+    return acc;
+  }, {});
+
+// A linked holder must be an existing user; null unlinks the card
+const validateHolder = async (holder) => {
+  if (holder === undefined || holder === null) return null;
+  if (!mongoose.isValidObjectId(holder)) return 'Invalid card holder';
+  return (await User.exists({ _id: holder })) ? null : 'Card holder not found';
+};
+
+const startOfMonth = () => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), 1);
+};
+
+// @desc    Get cards with this month's spend
+// @route   GET /api/cards
+// @access  Private
+export const getCards = async (req, res) => {
+  try {
+    const query = buildCardScope(req.user);
+    const { status, businessUnit, search } = req.query;
+
+    if (status) query.status = status;
+    if (businessUnit && !query.businessUnit) query.businessUnit = businessUnit;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ maskedNumber: pattern }, { holderName: pattern }, { issuingBank: pattern }];
+    }
+
+    const cards = await Card.find(query).populate('holder', 'name email').sort({ maskedNumber: 1 }).lean();
+
+    const monthlySpend = await ExpenseEntry.aggregate([
+      {
+        $match: {
+          card: { $in: cards.map((card) => card._id) },
+          entryStatus: 'Accepted',
+          date: { $gte: startOfMonth() },
+        },
+      },
+      { $group: { _id: '$card', total: { $sum: '$amountInINR' } } },
+    ]);
+    const spendByCard = new Map(monthlySpend.map((item) => [item._id.toString(), item.total]));
+
+    res.status(200).json({
+      success: true,
+      count: cards.length,
+      data: cards.map((card) => ({
+        ...card,
+        currentMonthSpend: spendByCard.get(card._id.toString()) || 0,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get the users a card can be assigned to, by name only
+// @route   GET /api/cards/holders
+// @access  Private (MIS, Super Admin)
+export const getCardHolders = async (req, res) => {
+  try {
+    const holders = await User.find({ isActive: true }).select('name').sort({ name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      count: holders.length,
+      data: holders,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get a card with every service billed to it
+// @route   GET /api/cards/:id
+// @access  Private
+export const getCard = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Card not found',
+      });
+    }
+
+    const card = await Card.findOne({ _id: req.params.id, ...buildCardScope(req.user) })
+      .populate('holder', 'name email')
+      .populate('createdBy', 'name');
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Card not found',
+      });
+    }
+
+    const entries = await ExpenseEntry.find({ ...cardEntryMatch(card), ...buildEntryScope(req.user) })
+      .sort({ date: -1 })
+      .lean();
+
+    const monthStart = startOfMonth();
+    const summary = entries.reduce(
+      (acc, entry) => {
+        if (entry.entryStatus === 'Accepted') {
+          acc.totalINR += entry.amountInINR || 0;
+          if (new Date(entry.date) >= monthStart) acc.currentMonthSpend += entry.amountInINR || 0;
+        }
+        if (entry.status === 'Active') acc.activeServices += 1;
+        return acc;
+      },
+      { totalINR: 0, currentMonthSpend: 0, activeServices: 0, totalEntries: entries.length }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        card,
+        summary,
+        entries,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Register a card
+// @route   POST /api/cards
+// @access  Private (MIS, Super Admin)
+export const createCard = async (req, res) => {
+  try {
+    const maskedNumber = maskCardNumber(req.body.maskedNumber || req.body.cardNumber);
+    if (!maskedNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a card number',
+      });
+    }
+
+    const fields = pickCardFields(req.body);
+    const masterErrors = await validateMasterFields({ businessUnit: fields.businessUnit });
+    const holderError = await validateHolder(fields.holder);
+    if (holderError) masterErrors.push(holderError);
+    if (masterErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: masterErrors.join('; '),
+      });
+    }
+
+    const existing = await Card.findOne({ maskedNumber });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Card ${maskedNumber} is already registered`,
+      });
+    }
+
+    const card = await Card.create({
+      ...fields,
+      maskedNumber,
+      createdBy: req.user._id,
+    });
+
+    // Link existing entries that were billed to this card number
+    const linked = await ExpenseEntry.updateMany({ card: null, cardNumber: maskedNumber }, { $set: { card: card._id } });
+
+    res.status(201).json({
+      success: true,
+      message: `Card registered successfully${linked.modifiedCount ? ` and linked to ${linked.modifiedCount} entries` : ''}`,
+      data: card,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update card details
+// @route   PUT /api/cards/:id
+// @access  Private (MIS, Super Admin)
+export const updateCard = async (req, res) => {
+  try {
+    const card = await Card.findById(req.params.id);
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Card not found',
+      });
+    }
+
+    // Entries store the number too, so it is fixed once registered
+    if (req.body.maskedNumber !== undefined && maskCardNumber(req.body.maskedNumber) !== card.maskedNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Card number cannot be changed. Close this card and register a new one instead.',
+      });
+    }
+
+    const updates = pickCardFields(req.body);
+    const errors = await validateMasterFields({ businessUnit: updates.businessUnit }, card);
+    const holderError = await validateHolder(updates.holder);
+    if (holderError) errors.push(holderError);
+    // Past entries keep the holder they were billed under unless the caller names the date the change applies from
+    const reassignFrom = req.body.reassignEntriesFrom ? new Date(req.body.reassignEntriesFrom) : null;
+    if (reassignFrom && Number.isNaN(reassignFrom.getTime())) {
+      errors.push('Invalid reassignEntriesFrom date');
+    }
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; '),
+      });
+    }
+
+    card.set(updates);
+    await card.save();
+
+    let reassigned = 0;
+    if (reassignFrom) {
+      const holder = card.holder ? await User.findById(card.holder).select('name') : null;
+      const holderName = holder?.name || card.holderName;
+      if (holderName) {
+        const match = { card: card._id, date: { $gte: reassignFrom }, cardAssignedTo: { $ne: holderName } };
+        const renamed = await ExpenseEntry.find(match).select('cardAssignedTo');
+        const ids = renamed.map((entry) => entry._id);
+        await ExpenseEntry.updateMany({ _id: { $in: ids } }, { $set: { cardAssignedTo: holderName } });
+        await refreshSearchTokens({ _id: { $in: ids } });
+        await recordEntryAudits(
+          renamed.map((entry) => ({
+            entry,
+            action: 'update',
+            before: { cardAssignedTo: entry.cardAssignedTo },
+            after: { cardAssignedTo: holderName },
+            user: req.user,
+            source: 'card',
+          }))
+        );
+        reassigned = renamed.length;
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Card updated successfully${reassigned ? ` and ${reassigned} entries moved to the new holder` : ''}`,
+      data: card,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete a card that has never been billed
+// @route   DELETE /api/cards/:id
+// @access  Private (Super Admin)
+export const deleteCard = async (req, res) => {
+  try {
+    const card = await Card.findById(req.params.id);
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Card not found',
+      });
+    }
+
+    const billedCount = await ExpenseEntry.countDocuments(cardEntryMatch(card));
+    if (billedCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Card has ${billedCount} billed entries. Set its status to Closed instead.`,
+      });
+    }
+
+    await card.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Card deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Register cards for unlinked entry card numbers and link those entries
+// @route   POST /api/cards/sync
+// @access  Private (MIS, Super Admin)
+export const syncCardsFromEntries = async (req, res) => {
+  try {
+    const unlinked = await ExpenseEntry.aggregate([
+      { $match: { card: null, cardNumber: { $nin: [null, ''] } } },
+      { $sort: { date: -1 } },
+      {
+        $group: {
+          _id: '$cardNumber',
+          cardAssignedTo: { $first: '$cardAssignedTo' },
+          businessUnit: { $first: '$businessUnit' },
+        },
+      },
+    ]);
+
+    let created = 0;
+    let linked = 0;
+    for (const item of unlinked) {
+      const maskedNumber = maskCardNumber(item._id);
+      let card = await Card.findOne({ maskedNumber });
+
+      if (!card) {
+        const holder = item.cardAssignedTo
+          ? await User.findOne({ name: new RegExp(`^${escapeRegex(item.cardAssignedTo)}$`, 'i') }).select('_id')
+          : null;
+        card = await Card.create({
+          maskedNumber,
+          holder: holder?._id || null,
+          holderName: item.cardAssignedTo || '',
+          businessUnit: item.businessUnit,
+          createdBy: req.user._id,
+        });
+        created++;
+      }
+
+      // Linking masks the number the entries were stored with, so the change goes in their history
+      const entries = await ExpenseEntry.find({ card: null, cardNumber: item._id }).select('cardNumber');
+      if (!entries.length) continue;
+      const ids = entries.map((entry) => entry._id);
+      await ExpenseEntry.updateMany({ _id: { $in: ids } }, { $set: { card: card._id, cardNumber: maskedNumber } });
+      await refreshSearchTokens({ _id: { $in: ids } });
+      await recordEntryAudits(
+        entries.map((entry) => ({
+          entry,
+          action: 'update',
+          before: { cardNumber: entry.cardNumber },
+          after: { cardNumber: maskedNumber },
+          user: req.user,
+          source: 'card',
+        }))
+      );
+      linked += entries.length;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Registered ${created} cards and linked ${linked} entries`,
+      data: { created, linked },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export default {
+  getCards,
+  getCardHolders,
+  getCard,
+  createCard,
+  updateCard,
+  deleteCard,
+  syncCardsFromEntries,
+};
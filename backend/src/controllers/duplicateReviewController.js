@@ -0,0 +1,98 @@
+import DuplicateReview from '../models/DuplicateReview.js';
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import { DUPLICATE_DECISIONS, decideDuplicateReview } from '../services/duplicateReviewService.js';
+
+const ENTRY_FIELDS =
+  'cardNumber cardAssignedTo date month particulars narration currency amount amountInINR businessUnit serviceHandler billStatus duplicateStatus';
+
+// @desc    List suspected duplicates (pending by default, most alike first)
+// @route   GET /api/duplicate-reviews
+// @access  Private (MIS, Super Admin)
+export const getDuplicateReviews = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const reviews = await DuplicateReview.find({ status })
+      .populate('entry', ENTRY_FIELDS)
+      .populate('candidate', ENTRY_FIELDS)
+      .populate('decidedBy', 'name email')
+      .sort(status === 'pending' ? { score: -1, createdAt: -1 } : { decidedAt: -1 })
+      .limit(500);
+
+    // Pending pairs whose entry has since been deleted need no decision
+    const data = status === 'pending' ? reviews.filter((review) => review.entry && review.candidate) : reviews;
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Decide a suspected duplicate: same, different or merge
+// @route   POST /api/duplicate-reviews/:id/decision
+// @access  Private (MIS, Super Admin)
+export const decideDuplicate = async (req, res) => {
+  try {
+    const { decision } = req.body;
+    if (!DUPLICATE_DECISIONS.includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: `Decision must be one of ${DUPLICATE_DECISIONS.join(', ')}`,
+      });
+    }
+
+    const review = await DuplicateReview.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Duplicate review not found',
+      });
+    }
+
+    if (review.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This suspected duplicate has already been reviewed',
+      });
+    }
+
+    const [entry, candidate] = await Promise.all([
+      ExpenseEntry.findById(review.entry),
+      ExpenseEntry.findById(review.candidate),
+    ]);
+    if (!entry || !candidate) {
+      return res.status(400).json({
+        success: false,
+        message: 'One of the entries has been deleted since it was flagged',
+      });
+    }
+
+    await decideDuplicateReview(review, decision, { entry, candidate, user: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: {
+        different: 'Marked as different entries',
+        same: `${entry.particulars} moved to the recycle bin as a duplicate of ${candidate.particulars}`,
+        merge: `${entry.particulars} merged into ${candidate.particulars}`,
+      }[decision],
+      data: review,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export default {
+  getDuplicateReviews,
+  decideDuplicate,
+};
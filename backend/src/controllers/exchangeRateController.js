@@ -0,0 +1,244 @@
+import fs from 'fs';
+import ExchangeRate from '../models/ExchangeRate.js';
+import RateOverride from '../models/RateOverride.js';
+import { getProviderChain, recordExchangeRate, RATE_PROVIDER_NAMES } from '../services/currencyService.js';
+import { buildMasterNormalizer } from '../services/masterDataService.js';
+import { parseSpreadsheetFile, parseDateValue, getField } from '../utils/spreadsheet.js';
+
+const parseFilterDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// @desc    Get exchange rate history and the active provider chain
+// @route   GET /api/exchange-rates
+// @access  Private (MIS, Super Admin)
+export const getExchangeRates = async (req, res) => {
+  try {
+    const { currency, source, startDate, endDate } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+    const query = {};
+
+    if (currency) query.baseCurrency = currency.toUpperCase();
+    if (source) query.source = source;
+
+    const start = parseFilterDate(startDate);
+    const end = parseFilterDate(endDate, true);
+    if (start || end) {
+      query.date = {};
+      if (start) query.date.$gte = start;
+      if (end) query.date.$lte = end;
+    }
+
+    const rates = await ExchangeRate.find(query)
+      .populate('uploadedBy', 'name email')
+      .sort({ date: -1, baseCurrency: 1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: rates.length,
+      providerChain: getProviderChain(),
+      availableProviders: RATE_PROVIDER_NAMES,
+      data: rates,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Upload a rate table (CSV/XLSX with Date, Currency, Rate and optional To columns)
+// @route   POST /api/exchange-rates/upload
+// @access  Private (MIS, Super Admin)
+export const uploadRateTable = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file',
+      });
+    }
+
+    const filePath = req.file.path;
+    const data = await parseSpreadsheetFile(filePath);
+
+    if (data.length === 0) {
+      fs.unlinkSync(filePath);
+      return res.status(400).json({
+        success: false,
+        message: 'No data found in the uploaded file',
+      });
+    }
+
+    const normalizeCurrency = await buildMasterNormalizer('currency');
+    const results = {
+      total: data.length,
+      success: 0,
+      failed: 0,
+      errors: [],
+    };
+
+    for (let i = 0; i < data.length; i++) {
+      const row = data[i];
+      const date = parseDateValue(getField(row, ['Date', 'Rate Date', 'Effective Date']));
+      const fromCurrency = normalizeCurrency(getField(row, ['Currency', 'From', 'Base', 'Base Currency']));
+      const toCurrency = normalizeCurrency(getField(row, ['To', 'Quote', 'Quote Currency']) || 'INR');
+      const rate = parseFloat(getField(row, ['Rate', 'XE', 'XE Rate', 'Exchange Rate']));
+
+      let error = null;
+      if (!date) error = 'Invalid or missing date';
+      else if (!fromCurrency) error = 'Unknown or missing currency';
+      else if (!toCurrency) error = 'Unknown quote currency';
+      else if (fromCurrency === toCurrency) error = 'Currency and quote currency must differ';
+      else if (!rate || Number.isNaN(rate) || rate <= 0) error = 'Rate must be a positive number';
+
+      if (error) {
+        results.failed++;
+        results.errors.push({ row: i + 2, error, data: row });
+        continue;
+      }
+
+      await recordExchangeRate({
+        date,
+        fromCurrency,
+        toCurrency,
+        rate,
+        source: 'table',
+        uploadedBy: req.user._id,
+      });
+      results.success++;
+    }
+
+    fs.unlinkSync(filePath);
+
+    res.status(200).json({
+      success: true,
+      message: `Rate table processed: ${results.success} rates saved, ${results.failed} failed`,
+      data: results,
+    });
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get manual monthly rate overrides
+// @route   GET /api/exchange-rates/overrides
+// @access  Private (MIS, Super Admin)
+export const getRateOverrides = async (req, res) => {
+  try {
+    const overrides = await RateOverride.find({})
+      .populate('createdBy', 'name email')
+      .sort({ month: -1, baseCurrency: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: overrides.length,
+      data: overrides,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create or replace the manual rate for a currency and month
+// @route   POST /api/exchange-rates/overrides
+// @access  Private (MIS, Super Admin)
+export const upsertRateOverride = async (req, res) => {
+  try {
+    const { month, note } = req.body;
+    const normalizeCurrency = await buildMasterNormalizer('currency');
+    const baseCurrency = normalizeCurrency(req.body.baseCurrency || req.body.currency);
+    const quoteCurrency = normalizeCurrency(req.body.quoteCurrency || 'INR');
+    const rate = parseFloat(req.body.rate);
+
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format',
+      });
+    }
+
+    if (!baseCurrency || !quoteCurrency || baseCurrency === quoteCurrency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide two different configured currencies',
+      });
+    }
+
+    if (!rate || Number.isNaN(rate) || rate <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rate must be a positive number',
+      });
+    }
+
+    const override = await RateOverride.findOneAndUpdate(
+      { baseCurrency, quoteCurrency, month },
+      { $set: { rate, note: note || '', createdBy: req.user._id } },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Manual rate saved for ${baseCurrency}-${quoteCurrency} ${month}`,
+      data: override,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Remove a manual rate override
+// @route   DELETE /api/exchange-rates/overrides/:id
+// @access  Private (MIS, Super Admin)
+export const deleteRateOverride = async (req, res) => {
+  try {
+    const override = await RateOverride.findByIdAndDelete(req.params.id);
+
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate override not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate override removed',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export default {
+  getExchangeRates,
+  uploadRateTable,
+  getRateOverrides,
+  upsertRateOverride,
+  deleteRateOverride,
+};
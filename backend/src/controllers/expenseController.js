@@ -1,10 +1,25 @@
-import ExpenseEntry from '../models/ExpenseEntry.js';
+import mongoose from 'mongoose';
+import ExpenseEntry, { SEARCH_FIELDS } from '../models/ExpenseEntry.js';
 import User from '../models/User.js';
 import Notification from '../models/Notification.js';
 import { generateApprovalToken } from '../utils/jwt.js';
 import { sendApprovalEmail, sendBUEntryNoticeEmail, sendMISNotificationEmail } from '../services/emailService.js';
-import { convertToINR } from '../services/currencyService.js';
+import { convertToINR, getCurrentRates } from '../services/currencyService.js';
+import { resolveEntryCard } from '../services/cardService.js';
+import { recordSubscriptionCharge, deactivateSubscription } from '../services/subscriptionService.js';
 import RenewalLog from '../models/RenewalLog.js';
+import { validateMasterFields } from '../services/masterDataService.js';
+import { buildStatsMatch, aggregateSpend, canAccessEntry } from '../services/expenseStatsService.js';
+import { moveEntryToRecycleBin, restoreEntryFromRecycleBin } from '../services/recycleBinService.js';
+import { recordEntryAudit, getEntryHistory } from '../services/auditService.js';
+import { buildEntryListQuery, parseListOptions, summarizeEntryList } from '../services/expenseQueryService.js';
+import { MAX_BATCH_ENTRIES, prepareBatchPatch, applyBatchUpdate } from '../services/batchUpdateService.js';
+import { flagSuspectedDuplicates } from '../services/duplicateReviewService.js';
+import EntryMerge from '../models/EntryMerge.js';
+import { MAX_MERGE_ENTRIES, MERGE_FIELDS, mergeEntries, revertMerge } from '../services/entryMergeService.js';
+import { searchEntries, refreshSearchTokens } from '../services/entrySearchService.js';
+import { parseFilterQuery, describeQueryFields, suggestFieldValues } from '../services/filterQueryService.js';
+import { collectTokens, parseSearchTerms } from '../utils/searchText.js';
 
 const validateSharedAllocations = (isShared, sharedAllocations = [], totalAmount, primaryBU) => {
   if (!isShared) return { isShared: false, sharedAllocations: [] };
@@ -29,32 +44,6 @@ const validateSharedAllocations = (isShared, sharedAllocations = [], totalAmount
   return { isShared: true, sharedAllocations: cleaned };
 };
 
-const escapeRegex = (value = '') => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-
-const parseMultiValues = (value) =>
-  value
-    ?.toString()
-    .split(',')
-    .map((val) => val.trim())
-    .filter(Boolean) || [];
-
-const buildRegexList = (values) => values.map((val) => new RegExp(escapeRegex(val), 'i'));
-
-const applyMultiValueFilter = (query, field, rawValue) => {
-  const values = parseMultiValues(rawValue);
-  if (values.length === 0) return;
-  const regexes = buildRegexList(values);
-  const clause = regexes.length === 1 ? regexes[0] : { $in: regexes };
-
-  if (query[field]) {
-    const existing = query[field];
-    delete query[field];
-    query.$and = query.$and ? [...query.$and, { [field]: existing }, { [field]: clause }] : [{ [field]: existing }, { [field]: clause }];
-  } else {
-    query[field] = clause;
-  }
-};
-
 const normalizeAllocationsForCompare = (allocations = []) =>
   (allocations || [])
     .filter((alloc) => alloc.businessUnit)
@@ -72,16 +61,6 @@ const allocationsEqual = (a = [], b = []) => {
 const formatAllocations = (allocations = []) =>
   allocations.map((alloc) => `${alloc.businessUnit}: ${alloc.amount}`).join(', ');
 
-const parseFilterDate = (value, endOfDay = false) => {
-  if (!value) return undefined;
-  if (/^\d{2}-\d{2}-\d{4}$/.test(value)) {
-    const [dd, mm, yyyy] = value.split('-');
-    const iso = `${yyyy}-${mm}-${dd}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`;
-    return new Date(iso);
-  }
-  return new Date(value);
-};
-
 // @desc    Create new expense entry
 // @route   POST /api/expenses
 // @access  Private (SPOC, MIS, Super Admin, Business Unit Admin)
@@ -118,8 +97,19 @@ export const createExpenseEntry = async (req, res) => {
       }
     }
 
-    // Get current exchange rate
-    const { rate, amountInINR } = await convertToINR(amount, currency);
+    const masterErrors = await validateMasterFields(req.body);
+    if (masterErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: masterErrors.join('; '),
+      });
+    }
+
+    // Link the registered card (masks full numbers, fills the holder when omitted)
+    const cardFields = await resolveEntryCard({ card: req.body.card, cardNumber, cardAssignedTo });
+
+    // Lock the exchange rate of the transaction date
+    const { rate, rateDate, source, amountInINR } = await convertToINR(amount, currency, date);
 
     // Validate shared allocations
     let sharedPayload = { isShared: false, sharedAllocations: [] };
@@ -132,41 +122,6 @@ export const createExpenseEntry = async (req, res) => {
       });
     }
 
-    // Calculate next renewal date if recurring
-    let nextRenewalDate = null;
-    if (recurring === 'Monthly') {
-      nextRenewalDate = new Date(date);
-      nextRenewalDate.setMonth(nextRenewalDate.getMonth() + 1);
-    } else if (recurring === 'Yearly') {
-      nextRenewalDate = new Date(date);
-      nextRenewalDate.setFullYear(nextRenewalDate.getFullYear() + 1);
-    }
-
-    // Check for duplicates
-    const duplicateEntry = await ExpenseEntry.findOne({
-      cardNumber,
-      date,
-      particulars,
-      businessUnit,
-      amount,
-      currency,
-    });
-
-    let duplicateStatus = 'Unique';
-    if (duplicateEntry) {
-      duplicateStatus = 'Merged';
-      if (duplicateEntry.duplicateStatus !== 'Merged') {
-        duplicateEntry.duplicateStatus = 'Merged';
-        await duplicateEntry.save();
-      }
-
-      return res.status(200).json({
-        success: true,
-        message: 'Duplicate detected. Existing entry marked as merged.',
-        data: duplicateEntry,
-      });
-    }
-
     // Determine entry status based on user role
     let entryStatus = 'Pending';
     let approvalToken = null;
@@ -178,8 +133,7 @@ export const createExpenseEntry = async (req, res) => {
 
     // Create expense entry
     const expenseEntry = await ExpenseEntry.create({
-      cardNumber,
-      cardAssignedTo,
+      ...cardFields,
       date,
       month,
       status,
@@ -189,6 +143,8 @@ export const createExpenseEntry = async (req, res) => {
       billStatus,
       amount,
       xeRate: rate,
+      xeRateDate: rateDate,
+      xeRateSource: source,
       amountInINR,
       typeOfService,
       businessUnit,
@@ -197,13 +153,13 @@ export const createExpenseEntry = async (req, res) => {
       serviceHandler,
       recurring,
       entryStatus,
-      duplicateStatus: ['mis_manager', 'super_admin'].includes(req.user.role) ? duplicateStatus : null,
+      duplicateStatus: ['mis_manager', 'super_admin'].includes(req.user.role) ? 'Unique' : null,
       createdBy: req.user._id,
       approvalToken,
-      nextRenewalDate,
       isShared: sharedPayload.isShared,
       sharedAllocations: sharedPayload.sharedAllocations,
     });
+    await recordEntryAudit({ entry: expenseEntry, action: 'create', after: expenseEntry, user: req.user });
 
     // If SPOC entry, send approval email to Business Unit Admin
     if (req.user.role === 'spoc') {
@@ -229,6 +185,11 @@ export const createExpenseEntry = async (req, res) => {
       );
     }
 
+    // Recurring charges renew their subscription
+    await recordSubscriptionCharge(expenseEntry);
+
+    const suspectedDuplicates = await flagSuspectedDuplicates(expenseEntry);
+
     // If auto-approved, notify MIS (all MIS users)
     if (entryStatus === 'Accepted') {
       const misManagers = await User.find({ role: 'mis_manager' });
@@ -239,8 +200,11 @@ export const createExpenseEntry = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Expense entry created successfully',
+      message: suspectedDuplicates.length
+        ? 'Expense entry created. It resembles an existing entry and has been queued for duplicate review.'
+        : 'Expense entry created successfully',
       data: expenseEntry,
+      suspectedDuplicates: suspectedDuplicates.length,
     });
   } catch (error) {
     console.error('Error creating expense entry:', error);
@@ -251,130 +215,147 @@ export const createExpenseEntry = async (req, res) => {
   }
 };
 
-// @desc    Get all expense entries (with filters)
+// @desc    Get expense entries (with filters; optional paging, sorting, projection and summary)
 // @route   GET /api/expenses
 // @access  Private
 export const getExpenseEntries = async (req, res) => {
   try {
-    const {
-      businessUnit,
-      cardNumber,
-      cardAssignedTo,
-      status,
-      date,
-      month,
-      typeOfService,
-      serviceHandler,
-      search,
-      startDate,
-      endDate,
-      minAmount,
-      maxAmount,
-      costCenter,
-      approvedBy,
-      recurring,
-      duplicateStatus,
-      disableStartDate,
-      disableEndDate,
-      isShared,
-    } = req.query;
-
-  let query = {};
+    const { options, errors } = parseListOptions(req.query);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; '),
+      });
+    }
 
-  // Role-based filtering
-  if (['business_unit_admin', 'spoc', 'service_handler'].includes(req.user.role)) {
-    query.businessUnit = req.user.businessUnit;
-  }
+    const query = buildEntryListQuery(req.user, req.query);
+    const projection = options.fields ? ['_id', ...options.fields].join(' ') : null;
 
-  if (req.user.role === 'service_handler') {
-    const escapedName = req.user.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const tokens = req.user.name
-      .split(' ')
-      .map((t) => t.trim())
-      .filter(Boolean)
-      .map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-    const patternParts = [escapedName, ...tokens];
-    const pattern = patternParts.join('|');
-    query.serviceHandler = { $regex: pattern, $options: 'i' };
-  }
+    let request = ExpenseEntry.find(query, projection).populate('createdBy', 'name email role').sort(options.sort);
+    if (options.limit) {
+      request = request.skip((options.page - 1) * options.limit).limit(options.limit);
+    }
 
-  // Apply filters
-  if (!['business_unit_admin', 'spoc', 'service_handler'].includes(req.user.role) && businessUnit) {
-    query.businessUnit = businessUnit;
-  }
-  if (cardNumber) query.cardNumber = cardNumber;
-  if (status) query.status = status;
-  if (month) query.month = month;
-  if (typeOfService) query.typeOfService = typeOfService;
-  if (serviceHandler) applyMultiValueFilter(query, 'serviceHandler', serviceHandler);
-  if (cardAssignedTo) applyMultiValueFilter(query, 'cardAssignedTo', cardAssignedTo);
-  if (costCenter) query.costCenter = costCenter;
-  if (approvedBy) query.approvedBy = approvedBy;
-  if (recurring) query.recurring = recurring;
-  if (isShared === 'true') query.isShared = true;
-  if (isShared === 'false') query.isShared = false;
-  if (duplicateStatus && ['Merged', 'Unique'].includes(duplicateStatus)) {
-    query.duplicateStatus = duplicateStatus;
-  }
+    const [expenseEntries, total, summary] = await Promise.all([
+      request,
+      options.limit ? ExpenseEntry.countDocuments(query) : null,
+      req.query.summary === 'true' ? summarizeEntryList(query) : null,
+    ]);
 
-  // Date range filter
-  if (startDate || endDate) {
-    query.date = {};
-    if (startDate) query.date.$gte = parseFilterDate(startDate);
-    if (endDate) query.date.$lte = parseFilterDate(endDate, true);
+    res.status(200).json({
+      success: true,
+      count: expenseEntries.length,
+      total: total ?? expenseEntries.length,
+      page: options.page,
+      pages: options.limit ? Math.max(1, Math.ceil(total / options.limit)) : 1,
+      ...(summary && { summary }),
+      data: expenseEntries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
   }
+};
 
-  // Disable date range filter
-  if (disableStartDate || disableEndDate) {
-    const range = {};
-    if (disableStartDate) range.$gte = parseFilterDate(disableStartDate);
-    if (disableEndDate) range.$lte = parseFilterDate(disableEndDate, true);
+// @desc    Search expense entries by words of their particulars, narration, card, handler and card holder,
+//          best match first, with the matched words marked (q, page, limit, filter, plus the list's filters)
+// @route   GET /api/expenses/search
+// @access  Private
+export const searchExpenseEntries = async (req, res) => {
+  try {
+    const terms = parseSearchTerms(req.query.q);
+    if (!terms.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search text is required',
+      });
+    }
 
-    // Default to deactive if caller didn't choose a status
-    if (!status) {
-      query.status = 'Deactive';
+    // q is the search text here; a typed filter query comes as filter and is checked like the list's q
+    const { options, errors } = parseListOptions({ page: req.query.page || 1, limit: req.query.limit, q: req.query.filter });
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; '),
+      });
     }
 
-    // Match entries with disabledAt in range OR (legacy) updatedAt in range if deactivated
-    const disableClauses = [];
-    disableClauses.push({ disabledAt: range });
-    disableClauses.push({ $and: [{ status: 'Deactive' }, { updatedAt: range }] });
-    query.$or = query.$or ? [...query.$or, ...disableClauses] : disableClauses;
-  }
+    const { total, data } = await searchEntries(req.user, terms, {
+      filters: { ...req.query, q: req.query.filter },
+      page: options.page,
+      limit: options.limit,
+    });
 
-  // Amount range filter
-  if (minAmount || maxAmount) {
-    query.amountInINR = {};
-    if (minAmount) query.amountInINR.$gte = parseFloat(minAmount);
-    if (maxAmount) query.amountInINR.$lte = parseFloat(maxAmount);
+    res.status(200).json({
+      success: true,
+      terms,
+      count: data.length,
+      total,
+      page: options.page,
+      pages: Math.max(1, Math.ceil(total / options.limit)),
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
   }
+};
+
+// @desc    Rebuild the search words of every entry
+// @route   POST /api/expenses/search/reindex
+// @access  Private (MIS, Super Admin)
+export const reindexExpenseSearch = async (req, res) => {
+  try {
+    const result = await refreshSearchTokens();
 
-  // Search filter
-  if (search) {
-    const searchClause = [
-      { particulars: { $regex: search, $options: 'i' } },
-      { narration: { $regex: search, $options: 'i' } },
-      { cardNumber: { $regex: search, $options: 'i' } },
-      { serviceHandler: { $regex: search, $options: 'i' } },
-      { cardAssignedTo: { $regex: search, $options: 'i' } },
-    ];
-    query.$or = query.$or ? [...query.$or, ...searchClause] : searchClause;
+    res.status(200).json({
+      success: true,
+      message: `Reindexed ${result.updated} of ${result.checked} entries`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
   }
+};
 
-  // Restrict visibility: only SPOC can see their pending/rejected; others see accepted entries only
-  // Skip this restriction when explicitly filtering by disable date (we already force status Deactive)
-  if (req.user.role !== 'spoc' && !(disableStartDate || disableEndDate)) {
-    query.entryStatus = 'Accepted';
+// @desc    Fields of the filter query language, with their operators and fixed values, for the query bar
+// @route   GET /api/expenses/query/fields
+// @access  Private
+export const getFilterQueryFields = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: describeQueryFields(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
   }
+};
 
-  const expenseEntries = await ExpenseEntry.find(query)
-    .populate('createdBy', 'name email role')
-    .sort({ date: -1 });
+// @desc    Values of a filter query field starting with a prefix, among the entries the user can see
+// @route   GET /api/expenses/query/values?field=bu&prefix=DW
+// @access  Private
+export const getFilterQueryValues = async (req, res) => {
+  try {
+    const values = await suggestFieldValues(
+      buildEntryListQuery(req.user),
+      `${req.query.field || ''}`,
+      `${req.query.prefix || ''}`
+    );
 
     res.status(200).json({
       success: true,
-      count: expenseEntries.length,
-      data: expenseEntries,
+      data: values,
     });
   } catch (error) {
     res.status(500).json({
@@ -410,6 +391,50 @@ export const getExpenseEntry = async (req, res) => {
   }
 };
 
+// @desc    Get the field-level change history of an expense entry
+// @route   GET /api/expenses/:id/history
+// @access  Private
+export const getExpenseEntryHistory = async (req, res) => {
+  try {
+    const expenseEntry = await ExpenseEntry.findById(req.params.id);
+    const isAdmin = ['super_admin', 'mis_manager'].includes(req.user.role);
+
+    // Deleted entries keep their trail, readable by MIS and Super Admin
+    if (!expenseEntry && !isAdmin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense entry not found',
+      });
+    }
+
+    if (expenseEntry && !canAccessEntry(req.user, expenseEntry)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the history of this entry',
+      });
+    }
+
+    const history = await getEntryHistory(req.params.id);
+    if (!expenseEntry && !history.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense entry not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Update expense entry
 // @route   PUT /api/expenses/:id
 // @access  Private (MIS, Super Admin)
@@ -424,6 +449,14 @@ export const updateExpenseEntry = async (req, res) => {
       });
     }
 
+    const masterErrors = await validateMasterFields(req.body, expenseEntry);
+    if (masterErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: masterErrors.join('; '),
+      });
+    }
+
     const previousStatus = expenseEntry.status;
     const previousAllocations = normalizeAllocationsForCompare(expenseEntry.sharedAllocations);
     const previousAmount = Number(expenseEntry.amount) || 0;
@@ -451,24 +484,57 @@ export const updateExpenseEntry = async (req, res) => {
       }
     }
 
-    // If amount or currency changed, recalculate INR amount
-    if (req.body.amount || req.body.currency) {
-      const amount = req.body.amount || expenseEntry.amount;
-      const currency = req.body.currency || expenseEntry.currency;
-      const { rate, amountInINR } = await convertToINR(amount, currency);
+    // If amount, currency or date changed, recalculate INR amount at the transaction date's rate.
+    // Otherwise the booked rate stays locked.
+    const amount = req.body.amount || expenseEntry.amount;
+    const currency = req.body.currency || expenseEntry.currency;
+    const date = req.body.date || expenseEntry.date;
+    const conversionChanged =
+      Number(amount) !== expenseEntry.amount ||
+      currency !== expenseEntry.currency ||
+      new Date(date).getTime() !== new Date(expenseEntry.date).getTime();
+    if (conversionChanged) {
+      const { rate, rateDate, source, amountInINR } = await convertToINR(amount, currency, date);
       req.body.xeRate = rate;
+      req.body.xeRateDate = rateDate;
+      req.body.xeRateSource = source;
       req.body.amountInINR = amountInINR;
     }
 
+    // Re-link the registered card when the card changes
+    if (req.body.card !== undefined || req.body.cardNumber !== undefined) {
+      const cardFields = await resolveEntryCard({
+        card: req.body.card,
+        cardNumber: req.body.cardNumber ?? expenseEntry.cardNumber,
+        cardAssignedTo: req.body.cardAssignedTo ?? expenseEntry.cardAssignedTo,
+      });
+      Object.assign(req.body, cardFields);
+    }
+
     // If status moved to Deactive, stamp disabledAt and log
     if (req.body.status === 'Deactive' && previousStatus !== 'Deactive') {
       req.body.disabledAt = new Date();
     }
 
+    // findByIdAndUpdate skips the save hooks, so rebuild the search words here when a searched field changes
+    delete req.body.searchTokens;
+    if (SEARCH_FIELDS.some((field) => req.body[field] !== undefined)) {
+      req.body.searchTokens = collectTokens(SEARCH_FIELDS.map((field) => req.body[field] ?? expenseEntry[field]));
+    }
+
+    const before = expenseEntry.toObject();
     expenseEntry = await ExpenseEntry.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true,
     });
+    await recordEntryAudit({
+      entry: expenseEntry,
+      action: 'update',
+      before,
+      after: expenseEntry,
+      user: req.user,
+      reason: expenseEntry.status === 'Deactive' && previousStatus !== 'Deactive' ? req.body.disableReason || '' : '',
+    });
 
     const updatedAllocations = normalizeAllocationsForCompare(expenseEntry.sharedAllocations);
     const allocationsChanged = !allocationsEqual(previousAllocations, updatedAllocations);
@@ -480,15 +546,20 @@ export const updateExpenseEntry = async (req, res) => {
       previousStatus !== 'Deactive' &&
       ['mis_manager', 'super_admin'].includes(req.user.role)
     ) {
+      await deactivateSubscription(expenseEntry.subscription, expenseEntry.disabledAt || new Date());
       await RenewalLog.create({
+        subscription: expenseEntry.subscription,
         expenseEntry: expenseEntry._id,
         serviceHandler: expenseEntry.serviceHandler,
         action: 'DisableByMIS',
         reason: req.body.disableReason || 'Disabled by MIS',
         renewalDate: new Date(),
-        });
+      });
     }
 
+    // Keep the subscription's expected amount and cycle in step with its charges
+    await recordSubscriptionCharge(expenseEntry);
+
     if ((allocationsChanged || amountChanged) && expenseEntry.isShared) {
       const reasonParts = [`Shared allocation updated by ${req.user.name}.`];
       const updatedAmount = Number(expenseEntry.amount) || 0;
@@ -501,6 +572,7 @@ export const updateExpenseEntry = async (req, res) => {
         reasonParts.push(`Allocations ${fromLabel} -> ${toLabel}.`);
       }
       await RenewalLog.create({
+        subscription: expenseEntry.subscription,
         expenseEntry: expenseEntry._id,
         serviceHandler: expenseEntry.serviceHandler,
         action: 'SharedEdit',
@@ -522,12 +594,195 @@ export const updateExpenseEntry = async (req, res) => {
   }
 };
 
-// @desc    Delete expense entry
+// @desc    Apply one field patch to many expense entries, picked by ID or by the sheet's filters
+// @route   POST /api/expenses/batch-update
+// @access  Private (MIS, Super Admin)
+export const batchUpdateExpenseEntries = async (req, res) => {
+  try {
+    const { ids, filters, disableReason = '' } = req.body;
+
+    const { patch, errors } = await prepareBatchPatch(req.body.patch);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; '),
+      });
+    }
+
+    let query;
+    if (Array.isArray(ids) && ids.length) {
+      if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid expense entry ID',
+        });
+      }
+      query = { _id: { $in: ids } };
+    } else if (filters && typeof filters === 'object') {
+      // A filter query that does not parse would widen the batch, so it stops it instead
+      const queryErrors = parseFilterQuery(filters.q).errors;
+      if (queryErrors.length) {
+        return res.status(400).json({
+          success: false,
+          message: queryErrors.join('; '),
+        });
+      }
+      query = buildEntryListQuery(req.user, filters);
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Select the entries to update or send the filters that match them',
+      });
+    }
+
+    const matched = await ExpenseEntry.countDocuments(query);
+    if (matched > MAX_BATCH_ENTRIES) {
+      return res.status(400).json({
+        success: false,
+        message: `${matched} entries match; narrow the filters to at most ${MAX_BATCH_ENTRIES} per batch update`,
+      });
+    }
+
+    const entries = await ExpenseEntry.find(query);
+    const result = await applyBatchUpdate(entries, patch, { user: req.user, disableReason });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.updated} of ${entries.length} entries updated`,
+      data: { matched: entries.length, ...result },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Merge duplicate entries into a surviving entry; the others are archived with a pointer to it
+// @route   POST /api/expenses/merge
+// @access  Private (MIS, Super Admin)
+export const mergeExpenseEntries = async (req, res) => {
+  try {
+    const { survivorId, fieldSources = {} } = req.body;
+    const entryIds = [...new Set((req.body.entryIds || []).map(String))].filter((id) => id !== `${survivorId}`);
+
+    if (!entryIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose at least one entry to merge into the surviving entry',
+      });
+    }
+
+    if (entryIds.length > MAX_MERGE_ENTRIES) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_MERGE_ENTRIES} entries can be merged at once`,
+      });
+    }
+
+    if (![survivorId, ...entryIds].every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid expense entry ID',
+      });
+    }
+
+    const unknownField = Object.keys(fieldSources || {}).find((field) => !MERGE_FIELDS.includes(field));
+    if (unknownField) {
+      return res.status(400).json({
+        success: false,
+        message: `${unknownField} cannot be taken from a merged entry`,
+      });
+    }
+
+    const [survivor, entries] = await Promise.all([
+      ExpenseEntry.findById(survivorId),
+      ExpenseEntry.find({ _id: { $in: entryIds } }),
+    ]);
+
+    if (!survivor || entries.length !== entryIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some of the entries were not found; they may have been deleted or merged already',
+      });
+    }
+
+    // Merging across business units would quietly move spend from one budget to another
+    if (entries.some((entry) => entry.businessUnit !== survivor.businessUnit)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only entries of the same business unit can be merged',
+      });
+    }
+
+    const merge = await mergeEntries(survivor, entries, { user: req.user, fieldSources });
+
+    res.status(200).json({
+      success: true,
+      message: `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'} merged into ${survivor.particulars}`,
+      data: { survivor, merge },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Undo a merge: the archived entries come back and the survivor gets its previous values
+// @route   POST /api/expenses/merges/:mergeId/revert
+// @access  Private (MIS, Super Admin)
+export const revertExpenseMerge = async (req, res) => {
+  try {
+    const merge = await EntryMerge.findById(req.params.mergeId);
+
+    if (!merge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merge not found',
+      });
+    }
+
+    if (merge.status === 'reverted') {
+      return res.status(400).json({
+        success: false,
+        message: 'This merge has already been undone',
+      });
+    }
+
+    const survivor = await ExpenseEntry.findById(merge.survivor);
+    if (!survivor) {
+      return res.status(400).json({
+        success: false,
+        message: 'The surviving entry is in the recycle bin or merged into another entry; restore it or undo that merge first',
+      });
+    }
+
+    const { restored, kept } = await revertMerge(merge, { survivor, user: req.user });
+
+    res.status(200).json({
+      success: true,
+      message:
+        `${restored.length} ${restored.length === 1 ? 'entry' : 'entries'} split back out of ${survivor.particulars}` +
+        (kept.length ? `; later edits to ${kept.join(', ')} were kept` : ''),
+      data: { survivor, restored, merge },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete expense entry (moves it to the recycle bin)
 // @route   DELETE /api/expenses/:id
 // @access  Private (Super Admin)
 export const deleteExpenseEntry = async (req, res) => {
   try {
-    const expenseEntry = await ExpenseEntry.findByIdAndDelete(req.params.id);
+    const expenseEntry = await ExpenseEntry.findById(req.params.id);
 
     if (!expenseEntry) {
       return res.status(404).json({
@@ -536,9 +791,64 @@ export const deleteExpenseEntry = async (req, res) => {
       });
     }
 
+    await moveEntryToRecycleBin(expenseEntry, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense entry moved to the recycle bin',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    List deleted expense entries (recycle bin)
+// @route   GET /api/expenses/deleted
+// @access  Private (Super Admin)
+export const getDeletedExpenseEntries = async (req, res) => {
+  try {
+    const retentionDays = parseInt(process.env.DELETED_ENTRY_RETENTION_DAYS, 10) || 30;
+    const expenseEntries = await ExpenseEntry.find({ deletedAt: { $ne: null } })
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: expenseEntries.length,
+      retentionDays,
+      data: expenseEntries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Restore a deleted expense entry from the recycle bin
+// @route   POST /api/expenses/:id/restore
+// @access  Private (Super Admin)
+export const restoreExpenseEntry = async (req, res) => {
+  try {
+    const expenseEntry = await ExpenseEntry.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!expenseEntry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted expense entry not found',
+      });
+    }
+
+    await restoreEntryFromRecycleBin(expenseEntry, req.user);
+
     res.status(200).json({
       success: true,
-      message: 'Expense entry deleted successfully',
+      message: 'Expense entry restored successfully',
+      data: expenseEntry,
     });
   } catch (error) {
     res.status(500).json({
@@ -571,8 +881,18 @@ export const approveExpenseEntry = async (req, res) => {
       });
     }
 
+    const before = expenseEntry.toObject();
     expenseEntry.entryStatus = 'Accepted';
     await expenseEntry.save();
+    await recordEntryAudit({
+      entry: expenseEntry,
+      action: 'update',
+      before,
+      after: expenseEntry,
+      source: 'approval',
+      reason: 'Approved via email link',
+    });
+    await recordSubscriptionCharge(expenseEntry);
 
     // Notify MIS Manager
     const misManager = await User.findOne({ role: 'mis_manager' });
@@ -617,8 +937,17 @@ export const rejectExpenseEntry = async (req, res) => {
       });
     }
 
+    const before = expenseEntry.toObject();
     expenseEntry.entryStatus = 'Rejected';
     await expenseEntry.save();
+    await recordEntryAudit({
+      entry: expenseEntry,
+      action: 'update',
+      before,
+      after: expenseEntry,
+      source: 'approval',
+      reason: 'Rejected via email link',
+    });
 
     res.status(200).json({
       success: true,
@@ -632,76 +961,72 @@ export const rejectExpenseEntry = async (req, res) => {
   }
 };
 
+// Sum original-currency amounts per group and currency, then value them at today's rates
+const getRevaluedTotals = async (matchQuery, groupField, rates) => {
+  const rows = await ExpenseEntry.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: { key: groupField ? `$${groupField}` : null, currency: '$currency' },
+        amount: { $sum: '$amount' },
+      },
+    },
+  ]);
+
+  return rows.reduce((acc, row) => {
+    const key = row._id.key ?? 'all';
+    acc[key] = (acc[key] || 0) + row.amount * (rates[row._id.currency] ?? 1);
+    return acc;
+  }, {});
+};
+
 // @desc    Get expense statistics
 // @route   GET /api/expenses/stats
 // @access  Private
 export const getExpenseStats = async (req, res) => {
   try {
-    let matchQuery = {};
-
-    // Align visibility with list endpoint: only SPOC can see non-accepted entries
-    if (req.user.role !== 'spoc') {
-      matchQuery.entryStatus = 'Accepted';
-    }
-
-    // Role-based filtering
-    if (req.user.role === 'business_unit_admin' || req.user.role === 'spoc') {
-      matchQuery.businessUnit = req.user.businessUnit;
-    }
-
-    if (req.user.role === 'service_handler') {
-      matchQuery.businessUnit = req.user.businessUnit;
-      const escapedName = req.user.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const tokens = req.user.name
-        .split(' ')
-        .map((t) => t.trim())
-        .filter(Boolean)
-        .map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-      const patternParts = [escapedName, ...tokens];
-      const pattern = patternParts.join('|');
-      matchQuery.serviceHandler = { $regex: pattern, $options: 'i' };
-    }
-
-    const stats = await ExpenseEntry.aggregate([
-      { $match: matchQuery },
-      {
-        $group: {
-          _id: null,
-          totalExpenses: { $sum: '$amountInINR' },
-          totalEntries: { $sum: 1 },
-          avgExpense: { $avg: '$amountInINR' },
+    const matchQuery = buildStatsMatch(req.user);
+
+    const [stats, byBusinessUnit, byType] = await Promise.all([
+      ExpenseEntry.aggregate([
+        { $match: matchQuery },
+        {
+          $group: {
+            _id: null,
+            totalExpenses: { $sum: '$amountInINR' },
+            totalEntries: { $sum: 1 },
+            avgExpense: { $avg: '$amountInINR' },
+          },
         },
-      },
+      ]),
+      aggregateSpend(matchQuery, 'businessUnit'),
+      aggregateSpend(matchQuery, 'typeOfService'),
     ]);
 
-    const byBusinessUnit = await ExpenseEntry.aggregate([
-      { $match: matchQuery },
-      {
-        $group: {
-          _id: '$businessUnit',
-          total: { $sum: '$amountInINR' },
-          count: { $sum: 1 },
-        },
-      },
+    // Booked INR uses each entry's locked rate; revalued INR applies today's rate to the original amounts
+    const currentRates = await getCurrentRates(await ExpenseEntry.distinct('currency', matchQuery));
+    const [revaluedOverall, revaluedByBusinessUnit, revaluedByType] = await Promise.all([
+      getRevaluedTotals(matchQuery, null, currentRates),
+      getRevaluedTotals(matchQuery, 'businessUnit', currentRates),
+      getRevaluedTotals(matchQuery, 'typeOfService', currentRates),
     ]);
 
-    const byType = await ExpenseEntry.aggregate([
-      { $match: matchQuery },
-      {
-        $group: {
-          _id: '$typeOfService',
-          total: { $sum: '$amountInINR' },
-          count: { $sum: 1 },
-        },
-      },
-    ]);
+    const overall = stats[0] || { totalExpenses: 0, totalEntries: 0, avgExpense: 0 };
+    overall.totalRevaluedINR = revaluedOverall.all || 0;
 
     res.status(200).json({
       success: true,
       data: {
-        overall: stats[0] || { totalExpenses: 0, totalEntries: 0, avgExpense: 0 },
-        byBusinessUnit,
-        byType,
+        overall,
+        byBusinessUnit: byBusinessUnit.map((item) => ({
+          ...item,
+          revaluedTotal: revaluedByBusinessUnit[item._id] || 0,
+        })),
+        byType: byType.map((item) => ({
+          ...item,
+          revaluedTotal: revaluedByType[item._id] || 0,
+        })),
+        currentRates,
       },
     });
   } catch (error) {
@@ -715,9 +1040,19 @@ export const getExpenseStats = async (req, res) => {
 export default {
   createExpenseEntry,
   getExpenseEntries,
+  searchExpenseEntries,
+  reindexExpenseSearch,
+  getFilterQueryFields,
+  getFilterQueryValues,
   getExpenseEntry,
+  getExpenseEntryHistory,
   updateExpenseEntry,
+  batchUpdateExpenseEntries,
+  mergeExpenseEntries,
+  revertExpenseMerge,
   deleteExpenseEntry,
+  getDeletedExpenseEntries,
+  restoreExpenseEntry,
   approveExpenseEntry,
   rejectExpenseEntry,
   getExpenseStats,
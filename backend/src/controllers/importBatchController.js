@@ -0,0 +1,141 @@
+import path from 'path';
+import ImportBatch from '../models/ImportBatch.js';
+import ImportJob from '../models/ImportJob.js';
+import ImportRow from '../models/ImportRow.js';
+import { rollbackImportBatch, buildErrorWorkbook } from '../services/importBatchService.js';
+
+// @desc    List bulk upload batches (newest first, without per-row outcomes)
+// @route   GET /api/import-batches
+// @access  Private (MIS, Super Admin)
+export const getImportBatches = async (req, res) => {
+  try {
+    const batches = await ImportBatch.find()
+      .populate('uploadedBy', 'name email')
+      .populate('rolledBackBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: batches.length,
+      data: batches,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get a batch with its per-row outcomes
+// @route   GET /api/import-batches/:id
+// @access  Private (MIS, Super Admin)
+export const getImportBatch = async (req, res) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.id)
+      .populate('uploadedBy', 'name email')
+      .populate('rolledBackBy', 'name email');
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import batch not found',
+      });
+    }
+
+    const rows = await ImportRow.find({ batch: batch._id })
+      .select('-data')
+      .populate('entry', 'particulars date amount currency businessUnit duplicateStatus')
+      .sort({ index: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { ...batch.toObject(), rows },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Roll back a batch: remove the entries it created and revert the updates it made
+// @route   POST /api/import-batches/:id/rollback
+// @access  Private (MIS, Super Admin)
+export const rollbackBatch = async (req, res) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import batch not found',
+      });
+    }
+
+    if (batch.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: batch.status === 'rolled_back' ? 'This batch has already been rolled back' : 'Only completed batches can be rolled back',
+      });
+    }
+
+    const result = await rollbackImportBatch(batch, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Batch rolled back: ${result.removed} entries moved to the recycle bin, ${result.reverted} updates reverted`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Download the rows that failed to import as an XLSX with an Error column, ready to fix and re-upload
+// @route   GET /api/import-batches/:id/errors
+// @access  Private (MIS, Super Admin)
+export const downloadBatchErrors = async (req, res) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import batch not found',
+      });
+    }
+
+    if (!(await ImportRow.exists({ batch: batch._id, outcome: 'failed' }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This batch has no failed rows',
+      });
+    }
+
+    // The profile the file was read with, for the cells to highlight; the job expires a while after it finishes
+    const job = await ImportJob.findOne({ batch: batch._id }).select('profile');
+    const buffer = await buildErrorWorkbook(batch, job?.profile || null);
+    const baseName = path.parse(batch.fileName || 'import').name.replace(/[^\w.-]+/g, '_');
+
+    res.setHeader('Content-Disposition', `attachment; filename=${baseName}-errors.xlsx`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export default {
+  getImportBatches,
+  getImportBatch,
+  rollbackBatch,
+  downloadBatchErrors,
+};
@@ -0,0 +1,32 @@
+import ImportJob from '../models/ImportJob.js';
+import { serializeImportJob } from '../services/importJobService.js';
+
+// @desc    Progress of a bulk upload job: processed and failed rows, ETA, and the row errors once finished
+// @route   GET /api/import-jobs/:id
+// @access  Private (MIS, Super Admin)
+export const getImportJob = async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: serializeImportJob(job),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export default {
+  getImportJob,
+};
@@ -0,0 +1,198 @@
+import ImportProfile, { IMPORT_PROFILE_FIELDS } from '../models/ImportProfile.js';
+import { IMPORT_FIELD_ALIASES } from '../services/bulkImportService.js';
+
+const isImportField = (field) => Object.prototype.hasOwnProperty.call(IMPORT_PROFILE_FIELDS, field);
+
+const normalizeList = (value) => {
+  const list = Array.isArray(value) ? value : `${value || ''}`.split(',');
+  return [...new Set(list.map((item) => `${item}`.trim()).filter(Boolean))];
+};
+
+// Keep only known fields and drop blank mappings, so the editor can send every field it shows
+const normalizeProfileBody = (body) => ({
+  columns: (body.columns || [])
+    .filter((column) => isImportField(column.field))
+    .map((column) => ({ field: column.field, headers: normalizeList(column.headers) }))
+    .filter((column) => column.headers.length),
+  valueAliases: (body.valueAliases || [])
+    .filter((alias) => isImportField(alias.field) && `${alias.from || ''}`.trim() && `${alias.to || ''}`.trim())
+    .map((alias) => ({ field: alias.field, from: `${alias.from}`.trim(), to: `${alias.to}`.trim() })),
+  defaults: (body.defaults || [])
+    .filter((item) => isImportField(item.field) && `${item.value ?? ''}`.trim())
+    .map((item) => ({ field: item.field, value: `${item.value}`.trim() })),
+});
+
+const findNameClash = (name, excludeId = null) =>
+  ImportProfile.findOne({
+    name: new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'),
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+  });
+
+// @desc    Get import profiles
+// @route   GET /api/import-profiles
+// @access  Private (MIS, Super Admin)
+export const getImportProfiles = async (req, res) => {
+  try {
+    const profiles = await ImportProfile.find().populate('updatedBy', 'name email').sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: profiles.length,
+      data: profiles,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Entry fields a profile can map, with the headers recognised without a profile
+// @route   GET /api/import-profiles/fields
+// @access  Private (MIS, Super Admin)
+export const getImportProfileFields = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: Object.entries(IMPORT_PROFILE_FIELDS).map(([field, label]) => ({
+        field,
+        label,
+        builtInHeaders: IMPORT_FIELD_ALIASES[field] || [],
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create import profile
+// @route   POST /api/import-profiles
+// @access  Private (MIS, Super Admin)
+export const createImportProfile = async (req, res) => {
+  try {
+    const name = `${req.body.name || ''}`.trim();
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Profile name is required',
+      });
+    }
+
+    if (await findNameClash(name)) {
+      return res.status(400).json({
+        success: false,
+        message: `A profile named ${name} already exists`,
+      });
+    }
+
+    const profile = await ImportProfile.create({
+      name,
+      description: req.body.description || '',
+      ...normalizeProfileBody(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Import profile created successfully',
+      data: profile,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update import profile
+// @route   PUT /api/import-profiles/:id
+// @access  Private (MIS, Super Admin)
+export const updateImportProfile = async (req, res) => {
+  try {
+    const profile = await ImportProfile.findById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import profile not found',
+      });
+    }
+
+    if (req.body.name !== undefined) {
+      const name = `${req.body.name}`.trim();
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          message: 'Profile name is required',
+        });
+      }
+      if (await findNameClash(name, profile._id)) {
+        return res.status(400).json({
+          success: false,
+          message: `A profile named ${name} already exists`,
+        });
+      }
+      profile.name = name;
+    }
+
+    if (req.body.description !== undefined) profile.description = req.body.description;
+    const mapping = normalizeProfileBody(req.body);
+    if (req.body.columns !== undefined) profile.columns = mapping.columns;
+    if (req.body.valueAliases !== undefined) profile.valueAliases = mapping.valueAliases;
+    if (req.body.defaults !== undefined) profile.defaults = mapping.defaults;
+    profile.updatedBy = req.user._id;
+
+    await profile.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Import profile updated successfully',
+      data: profile,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete import profile (past batches keep its name)
+// @route   DELETE /api/import-profiles/:id
+// @access  Private (MIS, Super Admin)
+export const deleteImportProfile = async (req, res) => {
+  try {
+    const profile = await ImportProfile.findByIdAndDelete(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import profile not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Import profile deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export default {
+  getImportProfiles,
+  getImportProfileFields,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile,
+};
@@ -0,0 +1,144 @@
+import MasterDataItem, { MASTER_DATA_TYPES } from '../models/MasterDataItem.js';
+import { getMasterDataOptions, invalidateMasterDataCache } from '../services/masterDataService.js';
+
+const normalizeAliases = (aliases) => {
+  const list = Array.isArray(aliases) ? aliases : `${aliases || ''}`.split(',');
+  return [...new Set(list.map((alias) => `${alias}`.trim().toLowerCase()).filter(Boolean))];
+};
+
+// @desc    Get master data grouped by type
+// @route   GET /api/master-data
+// @access  Private
+export const getMasterData = async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && req.user.role === 'super_admin';
+    const options = await getMasterDataOptions({ includeInactive });
+
+    const { type } = req.query;
+    if (type) {
+      if (!MASTER_DATA_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown master data type: ${type}`,
+        });
+      }
+      return res.status(200).json({
+        success: true,
+        count: options[type].length,
+        data: options[type],
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: options,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create master data item
+// @route   POST /api/master-data
+// @access  Private (Super Admin)
+export const createMasterDataItem = async (req, res) => {
+  try {
+    const { type, value, aliases, sortOrder } = req.body;
+
+    if (!MASTER_DATA_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${MASTER_DATA_TYPES.join(', ')}`,
+      });
+    }
+
+    const trimmedValue = `${value || ''}`.trim();
+    if (!trimmedValue) {
+      return res.status(400).json({
+        success: false,
+        message: 'Value is required',
+      });
+    }
+
+    const existing = await MasterDataItem.findOne({ type, value: trimmedValue });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: existing.isActive
+          ? `${trimmedValue} already exists`
+          : `${trimmedValue} already exists but is deactivated. Reactivate it instead.`,
+      });
+    }
+
+    const item = await MasterDataItem.create({
+      type,
+      value: trimmedValue,
+      aliases: normalizeAliases(aliases),
+      sortOrder: Number(sortOrder) || 0,
+      createdBy: req.user._id,
+    });
+    invalidateMasterDataCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Master data item created successfully',
+      data: item,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update master data item (aliases, order, active flag)
+// @route   PUT /api/master-data/:id
+// @access  Private (Super Admin)
+export const updateMasterDataItem = async (req, res) => {
+  try {
+    const item = await MasterDataItem.findById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Master data item not found',
+      });
+    }
+
+    // Existing entries store the value itself, so renaming would orphan them
+    if (req.body.value !== undefined && `${req.body.value}`.trim() !== item.value) {
+      return res.status(400).json({
+        success: false,
+        message: 'Values cannot be renamed. Deactivate this item and create a new one instead.',
+      });
+    }
+
+    if (req.body.aliases !== undefined) item.aliases = normalizeAliases(req.body.aliases);
+    if (req.body.sortOrder !== undefined) item.sortOrder = Number(req.body.sortOrder) || 0;
+    if (req.body.isActive !== undefined) item.isActive = Boolean(req.body.isActive);
+
+    await item.save();
+    invalidateMasterDataCache();
+
+    res.status(200).json({
+      success: true,
+      message: item.isActive ? 'Master data item updated successfully' : 'Master data item deactivated',
+      data: item,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export default {
+  getMasterData,
+  createMasterDataItem,
+  updateMasterDataItem,
+};
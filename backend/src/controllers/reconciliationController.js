@@ -0,0 +1,354 @@
+import fs from 'fs';
+import mongoose from 'mongoose';
+import Statement from '../models/Statement.js';
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import { resolveEntryCard } from '../services/cardService.js';
+import { buildMasterNormalizer } from '../services/masterDataService.js';
+import {
+  parseStatementRows,
+  reconcileStatement,
+  syncReconciledEntries,
+  summarizeStatement,
+  buildEntryDefaults,
+  createEntryFromLine,
+} from '../services/reconciliationService.js';
+import { parseSpreadsheetFile } from '../utils/spreadsheet.js';
+
+const ENTRY_FIELDS = 'cardNumber cardAssignedTo date particulars amount currency amountInINR businessUnit serviceHandler entryStatus';
+
+const populateLines = (query) =>
+  query
+    .populate('lines.entry', ENTRY_FIELDS)
+    .populate('lines.candidates', ENTRY_FIELDS)
+    .populate('uploadedBy', 'name email');
+
+const withSummary = (statement) => ({
+  ...statement.toObject(),
+  summary: summarizeStatement(statement),
+});
+
+const loadStatementLine = async (req, res) => {
+  const statement = await Statement.findById(req.params.id);
+  if (!statement) {
+    res.status(404).json({
+      success: false,
+      message: 'Statement not found',
+    });
+    return {};
+  }
+
+  const line = statement.lines.id(req.params.lineId);
+  if (!line) {
+    res.status(404).json({
+      success: false,
+      message: 'Statement line not found',
+    });
+    return {};
+  }
+
+  return { statement, line };
+};
+
+const respondWithStatement = async (res, statementId, message) => {
+  const statement = await populateLines(Statement.findById(statementId));
+  res.status(200).json({
+    success: true,
+    message,
+    data: withSummary(statement),
+  });
+};
+
+// @desc    Upload a card statement (CSV/XLSX) and auto-match it to expense entries
+// @route   POST /api/statements/upload
+// @access  Private (MIS, Super Admin)
+export const uploadStatement = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file',
+      });
+    }
+
+    const filePath = req.file.path;
+    const rows = await parseSpreadsheetFile(filePath);
+    fs.unlinkSync(filePath);
+
+    const cardFields = req.body.cardNumber ? await resolveEntryCard({ cardNumber: req.body.cardNumber }) : null;
+    const { lines, errors } = parseStatementRows(rows, {
+      cardNumber: cardFields?.cardNumber || '',
+      currency: req.body.currency || 'INR',
+      normalizeCurrency: await buildMasterNormalizer('currency'),
+    });
+
+    if (!lines.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No debit transactions found in the uploaded statement',
+        errors,
+      });
+    }
+
+    const dates = lines.map((line) => line.date.getTime());
+    const statement = await Statement.create({
+      fileName: req.file.originalname,
+      cardNumber: cardFields?.cardNumber || '',
+      card: cardFields?.card || null,
+      periodStart: new Date(Math.min(...dates)),
+      periodEnd: new Date(Math.max(...dates)),
+      lines,
+      uploadedBy: req.user._id,
+    });
+
+    await reconcileStatement(statement);
+    const summary = summarizeStatement(statement);
+
+    res.status(201).json({
+      success: true,
+      message: `Statement processed: ${summary.matched} matched, ${summary.ambiguous} ambiguous, ${summary.unmatched} unmatched`,
+      data: { _id: statement._id, summary, errors },
+    });
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    List uploaded statements with match counts
+// @route   GET /api/statements
+// @access  Private (MIS, Super Admin)
+export const getStatements = async (req, res) => {
+  try {
+    const statements = await Statement.find().populate('uploadedBy', 'name email').sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: statements.length,
+      data: statements.map((statement) => {
+        const data = withSummary(statement);
+        delete data.lines;
+        return data;
+      }),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get a statement with its lines and matched / candidate entries
+// @route   GET /api/statements/:id
+// @access  Private (MIS, Super Admin)
+export const getStatement = async (req, res) => {
+  try {
+    const statement = await populateLines(Statement.findById(req.params.id));
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: withSummary(statement),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Re-run auto matching on the statement's unmatched and ambiguous lines
+// @route   POST /api/statements/:id/rematch
+// @access  Private (MIS, Super Admin)
+export const rematchStatement = async (req, res) => {
+  try {
+    const statement = await Statement.findById(req.params.id);
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement not found',
+      });
+    }
+
+    await reconcileStatement(statement);
+    await respondWithStatement(res, statement._id, 'Statement re-matched');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Manually match a statement line to an expense entry
+// @route   POST /api/statements/:id/lines/:lineId/match
+// @access  Private (MIS, Super Admin)
+export const matchLine = async (req, res) => {
+  try {
+    const { statement, line } = await loadStatementLine(req, res);
+    if (!line) return;
+
+    const { entryId } = req.body;
+    const entry = mongoose.isValidObjectId(entryId) ? await ExpenseEntry.findById(entryId) : null;
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense entry not found',
+      });
+    }
+
+    if (entry.reconciledStatement && String(entry.reconciledStatement) !== String(statement._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This entry is already reconciled against another statement',
+      });
+    }
+
+    // An entry backs one line: release it from any other line of this statement
+    statement.lines.forEach((other) => {
+      if (other !== line && other.entry && String(other.entry) === String(entry._id)) {
+        other.status = 'unmatched';
+        other.matchType = null;
+        other.entry = null;
+      }
+    });
+
+    line.status = 'matched';
+    line.matchType = 'manual';
+    line.entry = entry._id;
+    line.candidates = [];
+    await statement.save();
+    await syncReconciledEntries(statement);
+
+    await respondWithStatement(res, statement._id, 'Line matched');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Remove a statement line's match
+// @route   POST /api/statements/:id/lines/:lineId/unmatch
+// @access  Private (MIS, Super Admin)
+export const unmatchLine = async (req, res) => {
+  try {
+    const { statement, line } = await loadStatementLine(req, res);
+    if (!line) return;
+
+    line.status = 'unmatched';
+    line.matchType = null;
+    line.entry = null;
+    line.candidates = [];
+    await statement.save();
+    await syncReconciledEntries(statement);
+
+    await respondWithStatement(res, statement._id, 'Line unmatched');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Preview the entry a statement line would become (classification copied from the card's history)
+// @route   GET /api/statements/:id/lines/:lineId/entry-defaults
+// @access  Private (MIS, Super Admin)
+export const getLineEntryDefaults = async (req, res) => {
+  try {
+    const { line } = await loadStatementLine(req, res);
+    if (!line) return;
+
+    res.status(200).json({
+      success: true,
+      data: await buildEntryDefaults(line),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create an expense entry from an unmatched statement line and match it
+// @route   POST /api/statements/:id/lines/:lineId/create-entry
+// @access  Private (MIS, Super Admin)
+export const createEntryForLine = async (req, res) => {
+  try {
+    const { statement, line } = await loadStatementLine(req, res);
+    if (!line) return;
+
+    if (line.status === 'matched') {
+      return res.status(400).json({
+        success: false,
+        message: 'This line is already matched',
+      });
+    }
+
+    const entry = await createEntryFromLine(statement, line, req.body || {}, req.user);
+    await respondWithStatement(res, statement._id, `Entry created for ${entry.particulars}`);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      missingFields: error.missingFields,
+    });
+  }
+};
+
+// @desc    Delete a statement and release its reconciled entries
+// @route   DELETE /api/statements/:id
+// @access  Private (MIS, Super Admin)
+export const deleteStatement = async (req, res) => {
+  try {
+    const statement = await Statement.findByIdAndDelete(req.params.id);
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement not found',
+      });
+    }
+
+    await ExpenseEntry.updateMany({ reconciledStatement: statement._id }, { $set: { reconciledStatement: null } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Statement deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export default {
+  uploadStatement,
+  getStatements,
+  getStatement,
+  rematchStatement,
+  matchLine,
+  unmatchLine,
+  getLineEntryDefaults,
+  createEntryForLine,
+  deleteStatement,
+};
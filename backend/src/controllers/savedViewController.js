@@ -0,0 +1,263 @@
+import SavedView, { SAVED_VIEW_FILTERS } from '../models/SavedView.js';
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import User from '../models/User.js';
+import { parseListOptions } from '../services/expenseQueryService.js';
+
+const ROLES = User.schema.path('role').enumValues;
+const BU_SCOPED_ROLES = ['business_unit_admin', 'spoc', 'service_handler'];
+
+const normalizeList = (value) => {
+  const list = Array.isArray(value) ? value : `${value || ''}`.split(',');
+  return [...new Set(list.map((item) => `${item}`.trim()).filter(Boolean))];
+};
+
+// Views the user owns or that are shared with their role or business unit
+const visibleViewsQuery = (user) => ({
+  $or: [
+    { owner: user._id },
+    { sharedWithRoles: user.role },
+    ...(user.businessUnit ? [{ sharedWithBusinessUnits: user.businessUnit }] : []),
+  ],
+});
+
+// Check the parts of a view the body sends. Unknown filters and blank values are dropped; a bad sort, column or
+// share target is reported. Returns the fields to set and the problems found.
+const normalizeViewBody = (body, user) => {
+  const errors = [];
+  const view = {};
+
+  if (body.filters !== undefined) {
+    view.filters = Object.fromEntries(
+      Object.entries(body.filters || {})
+        .filter(([field, value]) => SAVED_VIEW_FILTERS.includes(field) && `${value ?? ''}`.trim())
+        .map(([field, value]) => [field, `${value}`.trim()])
+    );
+    errors.push(...parseListOptions({ q: view.filters.q }).errors);
+  }
+
+  if (body.search !== undefined) view.search = `${body.search || ''}`.trim();
+
+  if (body.sort !== undefined) {
+    const sort = `${body.sort || ''}`.trim();
+    errors.push(...parseListOptions({ sort }).errors);
+    view.sort = sort;
+  }
+
+  if (body.columns !== undefined) {
+    view.columns = normalizeList(body.columns);
+    view.columns
+      .filter((column) => !ExpenseEntry.schema.path(column))
+      .forEach((column) => errors.push(`Unknown column ${column}`));
+  }
+
+  if (body.sharedWithRoles !== undefined) {
+    view.sharedWithRoles = normalizeList(body.sharedWithRoles);
+    view.sharedWithRoles
+      .filter((role) => !ROLES.includes(role))
+      .forEach((role) => errors.push(`Unknown role ${role}`));
+  }
+
+  if (body.sharedWithBusinessUnits !== undefined) {
+    view.sharedWithBusinessUnits = normalizeList(body.sharedWithBusinessUnits);
+    const outside = view.sharedWithBusinessUnits.filter((businessUnit) => businessUnit !== user.businessUnit);
+    if (BU_SCOPED_ROLES.includes(user.role) && outside.length) {
+      errors.push('Views can only be shared with your own business unit');
+    }
+  }
+
+  return { view, errors };
+};
+
+const findNameClash = (owner, name, excludeId = null) =>
+  SavedView.findOne({
+    owner,
+    name: new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'),
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+  });
+
+// @desc    Get the saved views the user owns or that are shared with them
+// @route   GET /api/saved-views
+// @access  Private
+export const getSavedViews = async (req, res) => {
+  try {
+    const views = await SavedView.find(visibleViewsQuery(req.user)).populate('owner', 'name email').sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: views.length,
+      data: views,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get one saved view (for links that name it)
+// @route   GET /api/saved-views/:id
+// @access  Private
+export const getSavedView = async (req, res) => {
+  try {
+    const view = await SavedView.findOne({ _id: req.params.id, ...visibleViewsQuery(req.user) }).populate(
+      'owner',
+      'name email'
+    );
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: view,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Save the current filters, search, sort and columns as a named view
+// @route   POST /api/saved-views
+// @access  Private
+export const createSavedView = async (req, res) => {
+  try {
+    const name = `${req.body.name || ''}`.trim();
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'View name is required',
+      });
+    }
+
+    const { view, errors } = normalizeViewBody(req.body, req.user);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; '),
+      });
+    }
+
+    if (await findNameClash(req.user._id, name)) {
+      return res.status(400).json({
+        success: false,
+        message: `You already have a view named ${name}`,
+      });
+    }
+
+    const savedView = await SavedView.create({ ...view, name, owner: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'View saved',
+      data: savedView,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update a saved view (owner only)
+// @route   PUT /api/saved-views/:id
+// @access  Private
+export const updateSavedView = async (req, res) => {
+  try {
+    const savedView = await SavedView.findById(req.params.id);
+
+    if (!savedView) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found',
+      });
+    }
+
+    if (!savedView.owner.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can change a saved view',
+      });
+    }
+
+    const { view, errors } = normalizeViewBody(req.body, req.user);
+    if (req.body.name !== undefined) {
+      view.name = `${req.body.name}`.trim();
+      if (!view.name) errors.push('View name is required');
+      else if (await findNameClash(req.user._id, view.name, savedView._id)) {
+        errors.push(`You already have a view named ${view.name}`);
+      }
+    }
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('; '),
+      });
+    }
+
+    savedView.set(view);
+    await savedView.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'View updated',
+      data: savedView,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete a saved view (owner or Super Admin)
+// @route   DELETE /api/saved-views/:id
+// @access  Private
+export const deleteSavedView = async (req, res) => {
+  try {
+    const savedView = await SavedView.findById(req.params.id);
+
+    if (!savedView) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found',
+      });
+    }
+
+    if (!savedView.owner.equals(req.user._id) && req.user.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can delete a saved view',
+      });
+    }
+
+    await savedView.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'View deleted',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export default {
+  getSavedViews,
+  getSavedView,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView,
+};
@@ -1,8 +1,11 @@
+import mongoose from 'mongoose';
 import ExpenseEntry from '../models/ExpenseEntry.js';
+import Subscription from '../models/Subscription.js';
 import User from '../models/User.js';
 import RenewalLog from '../models/RenewalLog.js';
 import { sendCancellationNotificationEmail } from '../services/emailService.js';
 import { createNotification } from '../controllers/notificationController.js';
+import { toServiceDetails } from '../services/subscriptionService.js';
 
 // Build a permissive regex pattern from handler name (full + tokens)
 const buildNamePattern = (name) => {
@@ -16,32 +19,43 @@ const buildNamePattern = (name) => {
   return new RegExp(pattern, 'i');
 };
 
+// Renewal actions target subscriptions. Ids of individual charges (older notifications) resolve to
+// the subscription they belong to.
+const findSubscription = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const subscription = await Subscription.findById(id);
+  if (subscription) return subscription;
+
+  const entry = await ExpenseEntry.findById(id).select('subscription');
+  return entry?.subscription ? Subscription.findById(entry.subscription) : null;
+};
+
 // @desc    Respond to renewal notification
-// @route   POST /api/service-handler/renewal-response/:entryId
+// @route   POST /api/service-handler/renewal-response/:subscriptionId
 // @access  Private (Service Handler)
 export const respondToRenewal = async (req, res) => {
   try {
-    const { entryId } = req.params;
+    const { subscriptionId } = req.params;
     const { continueService, reason } = req.body;
 
-    const expenseEntry = await ExpenseEntry.findById(entryId);
+    const subscription = await findSubscription(subscriptionId);
 
-    if (!expenseEntry) {
+    if (!subscription) {
       return res.status(404).json({
         success: false,
-        message: 'Expense entry not found',
+        message: 'Subscription not found',
       });
     }
 
     // Verify service handler (case-insensitive) and business unit
-    if (expenseEntry.businessUnit !== req.user.businessUnit) {
+    if (subscription.businessUnit !== req.user.businessUnit) {
       return res.status(403).json({
         success: false,
         message: 'You are not authorized to respond to this renewal',
       });
     }
     const nameRegex = buildNamePattern(req.user.name);
-    if (!nameRegex.test(expenseEntry.serviceHandler)) {
+    if (!nameRegex.test(subscription.serviceHandler)) {
       return res.status(403).json({
         success: false,
         message: 'You are not authorized to respond to this renewal',
@@ -51,19 +65,19 @@ export const respondToRenewal = async (req, res) => {
     if (continueService) {
       // Save renewal log
       await RenewalLog.create({
-        expenseEntry: expenseEntry._id,
+        subscription: subscription._id,
+        expenseEntry: subscription.lastCharge,
         serviceHandler: req.user.name,
         action: 'Continue',
         reason,
-        renewalDate: expenseEntry.nextRenewalDate,
+        renewalDate: subscription.nextRenewalDate,
       });
 
       // Notify MIS and BU Admin internally
       const misManagers = await User.find({ role: 'mis_manager' });
-      const superAdmins = await User.find({ role: 'super_admin' });
       const buAdmins = await User.find({
         role: 'business_unit_admin',
-        businessUnit: expenseEntry.businessUnit,
+        businessUnit: subscription.businessUnit,
       });
 
       await Promise.all([
@@ -72,9 +86,9 @@ export const respondToRenewal = async (req, res) => {
             mis._id,
             'service_continued',
             'Service renewal confirmed',
-            `${req.user.name} will continue ${expenseEntry.particulars} (${expenseEntry.businessUnit})`,
-            expenseEntry._id,
-            { renewalDate: expenseEntry.nextRenewalDate }
+            `${req.user.name} will continue ${subscription.particulars} (${subscription.businessUnit})`,
+            subscription.lastCharge,
+            { subscriptionId: subscription._id, renewalDate: subscription.nextRenewalDate }
           )
         ),
         ...buAdmins.map((admin) =>
@@ -82,9 +96,9 @@ export const respondToRenewal = async (req, res) => {
             admin._id,
             'service_continued',
             'Service renewal confirmed',
-            `${req.user.name} will continue ${expenseEntry.particulars} (${expenseEntry.businessUnit})`,
-            expenseEntry._id,
-            { renewalDate: expenseEntry.nextRenewalDate }
+            `${req.user.name} will continue ${subscription.particulars} (${subscription.businessUnit})`,
+            subscription.lastCharge,
+            { subscriptionId: subscription._id, renewalDate: subscription.nextRenewalDate }
           )
         ),
       ]);
@@ -96,71 +110,51 @@ export const respondToRenewal = async (req, res) => {
     } else {
       // Log cancellation request
       await RenewalLog.create({
-        expenseEntry: expenseEntry._id,
+        subscription: subscription._id,
+        expenseEntry: subscription.lastCharge,
         serviceHandler: req.user.name,
         action: 'Cancel',
         reason,
-        renewalDate: expenseEntry.nextRenewalDate || new Date(),
+        renewalDate: subscription.nextRenewalDate || new Date(),
       });
 
       // Send cancellation notification to MIS
       const misManagers = await User.find({ role: 'mis_manager' });
       const superAdmins = await User.find({ role: 'super_admin' });
-      const buAdmins = await User.find({
-        role: 'business_unit_admin',
-        businessUnit: expenseEntry.businessUnit,
-      });
+      const serviceDetails = toServiceDetails(subscription);
 
       await Promise.all(
-        misManagers.map((mis) => sendCancellationNotificationEmail(mis.email, expenseEntry, reason))
+        misManagers.map((mis) => sendCancellationNotificationEmail(mis.email, serviceDetails, reason))
       );
 
-      const purchaseDateValue = expenseEntry.date ? expenseEntry.date.toISOString() : null;
+      const purchaseDateValue = subscription.startDate ? subscription.startDate.toISOString() : null;
+      const notificationData = {
+        subscriptionId: subscription._id,
+        reason,
+        service: subscription.particulars,
+        businessUnit: subscription.businessUnit,
+        serviceHandler: req.user.name,
+        amount: subscription.expectedAmount,
+        currency: subscription.currency,
+        recurring: subscription.recurring,
+        purchaseDate: purchaseDateValue,
+      };
+      const message = `${req.user.name} (${subscription.businessUnit}) has requested to cancel ${subscription.particulars}${
+        purchaseDateValue ? ` (purchased on ${new Date(purchaseDateValue).toLocaleDateString()})` : ''
+      }`;
 
-      await Promise.all([
-        ...misManagers.map((mis) =>
-          createNotification(
-            mis._id,
-            'service_cancellation',
-            'Service Cancellation Request',
-            `${req.user.name} (${expenseEntry.businessUnit}) has requested to cancel ${expenseEntry.particulars}${
-              purchaseDateValue ? ` (purchased on ${new Date(purchaseDateValue).toLocaleDateString()})` : ''
-            }`,
-            expenseEntry._id,
-            {
-              reason,
-              service: expenseEntry.particulars,
-              businessUnit: expenseEntry.businessUnit,
-              serviceHandler: req.user.name,
-              amount: expenseEntry.amount,
-              currency: expenseEntry.currency,
-              recurring: expenseEntry.recurring,
-              purchaseDate: purchaseDateValue,
-            }
-          )
-        ),
-        ...superAdmins.map((admin) =>
+      await Promise.all(
+        [...misManagers, ...superAdmins].map((user) =>
           createNotification(
-            admin._id,
+            user._id,
             'service_cancellation',
             'Service Cancellation Request',
-            `${req.user.name} (${expenseEntry.businessUnit}) has requested to cancel ${expenseEntry.particulars}${
-              purchaseDateValue ? ` (purchased on ${new Date(purchaseDateValue).toLocaleDateString()})` : ''
-            }`,
-            expenseEntry._id,
-            {
-              reason,
-              service: expenseEntry.particulars,
-              businessUnit: expenseEntry.businessUnit,
-              serviceHandler: req.user.name,
-              amount: expenseEntry.amount,
-              currency: expenseEntry.currency,
-              recurring: expenseEntry.recurring,
-              purchaseDate: purchaseDateValue,
-            }
+            message,
+            subscription.lastCharge,
+            notificationData
           )
-        ),
-      ]);
+        )
+      );
 
       res.status(200).json({
         success: true,
@@ -176,11 +170,11 @@ export const respondToRenewal = async (req, res) => {
 };
 
 // @desc    Request service disable
-// @route   POST /api/service-handler/disable/:entryId
+// @route   POST /api/service-handler/disable/:subscriptionId
 // @access  Private (Service Handler)
 export const requestServiceDisable = async (req, res) => {
   try {
-    const { entryId } = req.params;
+    const { subscriptionId } = req.params;
     const { subscriptionCancelled, reason } = req.body;
 
     if (!subscriptionCancelled) {
@@ -190,24 +184,24 @@ export const requestServiceDisable = async (req, res) => {
       });
     }
 
-    const expenseEntry = await ExpenseEntry.findById(entryId);
+    const subscription = await findSubscription(subscriptionId);
 
-    if (!expenseEntry) {
+    if (!subscription) {
       return res.status(404).json({
         success: false,
-        message: 'Expense entry not found',
+        message: 'Subscription not found',
       });
     }
 
     // Verify service handler (case-insensitive) and business unit
-    if (expenseEntry.businessUnit !== req.user.businessUnit) {
+    if (subscription.businessUnit !== req.user.businessUnit) {
       return res.status(403).json({
         success: false,
         message: 'You are not authorized to disable this service',
       });
     }
     const nameRegex = buildNamePattern(req.user.name);
-    if (!nameRegex.test(expenseEntry.serviceHandler)) {
+    if (!nameRegex.test(subscription.serviceHandler)) {
       return res.status(403).json({
         success: false,
         message: 'You are not authorized to disable this service',
@@ -216,33 +210,38 @@ export const requestServiceDisable = async (req, res) => {
 
     // Save cancellation log
     await RenewalLog.create({
-      expenseEntry: expenseEntry._id,
+      subscription: subscription._id,
+      expenseEntry: subscription.lastCharge,
       serviceHandler: req.user.name,
       action: 'Cancel',
       reason,
-      renewalDate: expenseEntry.nextRenewalDate || new Date(),
+      renewalDate: subscription.nextRenewalDate || new Date(),
     });
 
     // Send notification to MIS and BU Admins
     const misManagers = await User.find({ role: 'mis_manager' });
-      const superAdmins = await User.find({ role: 'super_admin' });
+    const superAdmins = await User.find({ role: 'super_admin' });
 
     await Promise.all(
-      misManagers.map((mis) => sendCancellationNotificationEmail(mis.email, expenseEntry, reason))
+      misManagers.map((mis) => sendCancellationNotificationEmail(mis.email, toServiceDetails(subscription), reason))
     );
 
-    const purchaseDateValue = expenseEntry.date ? expenseEntry.date.toISOString() : null;
+    const purchaseDateValue = subscription.startDate ? subscription.startDate.toISOString() : null;
     const notificationData = {
+      subscriptionId: subscription._id,
       reason,
       subscriptionCancelled,
-      service: expenseEntry.particulars,
-      businessUnit: expenseEntry.businessUnit,
+      service: subscription.particulars,
+      businessUnit: subscription.businessUnit,
       serviceHandler: req.user.name,
-      amount: expenseEntry.amount,
-      currency: expenseEntry.currency,
-      recurring: expenseEntry.recurring,
+      amount: subscription.expectedAmount,
+      currency: subscription.currency,
+      recurring: subscription.recurring,
       purchaseDate: purchaseDateValue,
     };
+    const message = `${req.user.name} (${subscription.businessUnit}) requested to disable ${subscription.particulars}${
+      purchaseDateValue ? ` (purchased on ${new Date(purchaseDateValue).toLocaleDateString()})` : ''
+    }`;
 
     await Promise.all([
       ...misManagers.map((mis) =>
@@ -250,10 +249,8 @@ export const requestServiceDisable = async (req, res) => {
           mis._id,
           'service_cancellation',
           'Service Disable Request',
-          `${req.user.name} (${expenseEntry.businessUnit}) requested to disable ${expenseEntry.particulars}${
-            purchaseDateValue ? ` (purchased on ${new Date(purchaseDateValue).toLocaleDateString()})` : ''
-          }`,
-          expenseEntry._id,
+          message,
+          subscription.lastCharge,
           notificationData
         )
       ),
@@ -262,10 +259,8 @@ export const requestServiceDisable = async (req, res) => {
           admin._id,
           'service_disable_request',
           'Service Disable Request',
-          `${req.user.name} (${expenseEntry.businessUnit}) requested to disable ${expenseEntry.particulars}${
-            purchaseDateValue ? ` (purchased on ${new Date(purchaseDateValue).toLocaleDateString()})` : ''
-          }`,
-          expenseEntry._id,
+          message,
+          subscription.lastCharge,
           notificationData
         )
       ),
@@ -283,29 +278,32 @@ export const requestServiceDisable = async (req, res) => {
   }
 };
 
-// @desc    Get my services
+// @desc    Get my subscriptions with their latest charge
 // @route   GET /api/service-handler/my-services
 // @access  Private (Service Handler)
 export const getMyServices = async (req, res) => {
   try {
-    const escapedName = req.user.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const tokens = req.user.name
-      .split(' ')
-      .map((t) => t.trim())
-      .filter(Boolean)
-      .map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-    const pattern = [escapedName, ...tokens].join('|');
-
-    const services = await ExpenseEntry.find({
+    const subscriptions = await Subscription.find({
       businessUnit: req.user.businessUnit,
-      serviceHandler: { $regex: pattern, $options: 'i' },
-      entryStatus: 'Accepted',
-    }).sort({ date: -1 });
+      serviceHandler: buildNamePattern(req.user.name),
+    })
+      .populate('lastCharge', 'date amount currency amountInINR entryStatus')
+      .sort({ status: 1, nextRenewalDate: 1 })
+      .lean();
+
+    const chargeCounts = await ExpenseEntry.aggregate([
+      { $match: { subscription: { $in: subscriptions.map((item) => item._id) } } },
+      { $group: { _id: '$subscription', count: { $sum: 1 } } },
+    ]);
+    const countBySubscription = new Map(chargeCounts.map((item) => [item._id.toString(), item.count]));
 
     res.status(200).json({
       success: true,
-      count: services.length,
-      data: services,
+      count: subscriptions.length,
+      data: subscriptions.map((subscription) => ({
+        ...subscription,
+        chargeCount: countBySubscription.get(subscription._id.toString()) || 0,
+      })),
     });
   } catch (error) {
     res.status(500).json({
@@ -315,24 +313,32 @@ export const getMyServices = async (req, res) => {
   }
 };
 
-// @desc    Get renewal logs for a service (Service Handler)
-// @route   GET /api/service-handler/logs/:entryId
+const getSubscriptionHistory = async (subscription) => {
+  const [logs, charges] = await Promise.all([
+    RenewalLog.find({ subscription: subscription._id }).sort({ createdAt: -1 }),
+    ExpenseEntry.find({ subscription: subscription._id })
+      .select('date amount currency amountInINR entryStatus cardNumber')
+      .sort({ date: -1 }),
+  ]);
+  return { logs, charges };
+};
+
+// @desc    Get renewal logs and charges for a subscription (Service Handler)
+// @route   GET /api/service-handler/logs/:subscriptionId
 // @access  Private (Service Handler)
 export const getRenewalLogs = async (req, res) => {
   try {
-    const { entryId } = req.params;
-
-    const expenseEntry = await ExpenseEntry.findById(entryId);
+    const subscription = await findSubscription(req.params.subscriptionId);
 
-    if (!expenseEntry) {
+    if (!subscription) {
       return res.status(404).json({
         success: false,
-        message: 'Expense entry not found',
+        message: 'Subscription not found',
       });
     }
 
     // Verify service handler
-    if (expenseEntry.businessUnit !== req.user.businessUnit) {
+    if (subscription.businessUnit !== req.user.businessUnit) {
       return res.status(403).json({
         success: false,
         message: 'You are not authorized to view these logs',
@@ -340,19 +346,20 @@ export const getRenewalLogs = async (req, res) => {
     }
 
     const nameRegex = buildNamePattern(req.user.name);
-    if (!nameRegex.test(expenseEntry.serviceHandler)) {
+    if (!nameRegex.test(subscription.serviceHandler)) {
       return res.status(403).json({
         success: false,
         message: 'You are not authorized to view these logs',
       });
     }
 
-    const logs = await RenewalLog.find({ expenseEntry: entryId }).sort({ createdAt: -1 });
+    const { logs, charges } = await getSubscriptionHistory(subscription);
 
     res.status(200).json({
       success: true,
       count: logs.length,
       data: logs,
+      charges,
     });
   } catch (error) {
     res.status(500).json({
@@ -362,25 +369,24 @@ export const getRenewalLogs = async (req, res) => {
   }
 };
 
-// @desc    Get renewal logs (Admins/MIS/Super)
-// @route   GET /api/service-handler/admin/logs/:entryId
+// @desc    Get renewal logs and charges for a subscription (Admins/MIS/Super)
+// @route   GET /api/service-handler/admin/logs/:subscriptionId
 // @access  Private (Super Admin, MIS, BU Admin)
 export const getRenewalLogsAdmin = async (req, res) => {
   try {
-    const { entryId } = req.params;
-    const expenseEntry = await ExpenseEntry.findById(entryId);
+    const subscription = await findSubscription(req.params.subscriptionId);
 
-    if (!expenseEntry) {
+    if (!subscription) {
       return res.status(404).json({
         success: false,
-        message: 'Expense entry not found',
+        message: 'Subscription not found',
       });
     }
 
     // BU Admin restriction
     if (
       req.user.role === 'business_unit_admin' &&
-      expenseEntry.businessUnit !== req.user.businessUnit
+      subscription.businessUnit !== req.user.businessUnit
     ) {
       return res.status(403).json({
         success: false,
@@ -388,12 +394,13 @@ export const getRenewalLogsAdmin = async (req, res) => {
       });
     }
 
-    const logs = await RenewalLog.find({ expenseEntry: entryId }).sort({ createdAt: -1 });
+    const { logs, charges } = await getSubscriptionHistory(subscription);
 
     res.status(200).json({
       success: true,
       count: logs.length,
       data: logs,
+      charges,
     });
   } catch (error) {
     res.status(500).json({
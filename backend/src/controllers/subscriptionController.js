@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import Subscription from '../models/Subscription.js';
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import RenewalLog from '../models/RenewalLog.js';
+import { backfillSubscriptions, deactivateSubscription } from '../services/subscriptionService.js';
+import { validateMasterFields } from '../services/masterDataService.js';
+
+const EDITABLE_FIELDS = [
+  'serviceHandler',
+  'narration',
+  'expectedAmount',
+  'currency',
+  'costCenter',
+  'typeOfService',
+  'approvedBy',
+  'nextRenewalDate',
+];
+
+const escapeRegex = (value = '') => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildSubscriptionScope = (user) =>
+  ['business_unit_admin', 'spoc'].includes(user.role) ? { businessUnit: user.businessUnit } : {};
+
+// @desc    Get subscriptions
+// @route   GET /api/subscriptions
+// @access  Private (Super Admin, MIS, BU Admin, SPOC)
+export const getSubscriptions = async (req, res) => {
+  try {
+    const query = buildSubscriptionScope(req.user);
+    const { status, businessUnit, recurring, search } = req.query;
+
+    if (status) query.status = status;
+    if (recurring) query.recurring = recurring;
+    if (businessUnit && !query.businessUnit) query.businessUnit = businessUnit;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ particulars: pattern }, { serviceHandler: pattern }, { cardNumber: pattern }];
+    }
+
+    const subscriptions = await Subscription.find(query)
+      .populate('lastCharge', 'date amount currency amountInINR')
+      .sort({ status: 1, nextRenewalDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get a subscription with its charges and renewal history
+// @route   GET /api/subscriptions/:id
+// @access  Private (Super Admin, MIS, BU Admin, SPOC)
+export const getSubscription = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found',
+      });
+    }
+
+    const subscription = await Subscription.findOne({ _id: req.params.id, ...buildSubscriptionScope(req.user) });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found',
+      });
+    }
+
+    const [charges, logs] = await Promise.all([
+      ExpenseEntry.find({ subscription: subscription._id }).sort({ date: -1 }).lean(),
+      RenewalLog.find({ subscription: subscription._id }).sort({ createdAt: -1 }).lean(),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        subscription,
+        charges,
+        logs,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update a subscription (handler, expected amount, renewal date or status)
+// @route   PUT /api/subscriptions/:id
+// @access  Private (MIS, Super Admin)
+export const updateSubscription = async (req, res) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found',
+      });
+    }
+
+    const masterErrors = await validateMasterFields(req.body, subscription);
+    if (masterErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: masterErrors.join('; '),
+      });
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        subscription[field] = req.body[field];
+      }
+    });
+
+    if (req.body.nextRenewalDate !== undefined) {
+      subscription.renewalNotificationSent = false;
+      subscription.autoCancellationNotificationSent = false;
+    }
+
+    const disabling = req.body.status === 'Deactive' && subscription.status !== 'Deactive';
+    if (req.body.status === 'Active' && subscription.status !== 'Active') {
+      subscription.status = 'Active';
+      subscription.disabledAt = null;
+    }
+
+    await subscription.save();
+
+    if (disabling) {
+      await deactivateSubscription(subscription._id);
+      await RenewalLog.create({
+        subscription: subscription._id,
+        expenseEntry: subscription.lastCharge,
+        serviceHandler: subscription.serviceHandler,
+        action: 'DisableByMIS',
+        reason: req.body.disableReason || 'Disabled by MIS',
+        renewalDate: new Date(),
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription updated successfully',
+      data: await Subscription.findById(subscription._id),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create subscriptions for recurring entries that are not linked to one yet
+// @route   POST /api/subscriptions/sync
+// @access  Private (MIS, Super Admin)
+export const syncSubscriptions = async (req, res) => {
+  try {
+    const result = await backfillSubscriptions();
+
+    res.status(200).json({
+      success: true,
+      message:
+        `Linked ${result.linked} charges to ${result.subscriptions} subscriptions` +
+        ` and ${result.logs} renewal logs`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+export default {
+  getSubscriptions,
+  getSubscription,
+  updateSubscription,
+  syncSubscriptions,
+};
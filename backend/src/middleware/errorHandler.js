@@ -23,6 +23,11 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Upload limits (e.g. file too large)
+  if (err.name === 'MulterError') {
+    error = { message: err.message, statusCode: 400 };
+  }
+
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
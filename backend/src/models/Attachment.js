@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpenseEntry',
+      required: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // Where the file lives: the driver that stored it and its key within that driver
+    storageDriver: {
+      type: String,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+attachmentSchema.index({ entry: 1, createdAt: -1 });
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+export default Attachment;
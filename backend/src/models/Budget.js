@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import { masterValueValidator } from '../services/masterDataService.js';
+
+const DEFAULT_ALERT_THRESHOLDS = [80, 100];
+
+const budgetSchema = new mongoose.Schema(
+  {
+    businessUnit: {
+      type: String,
+      validate: masterValueValidator('businessUnit', 'Business Unit'),
+      required: [true, 'Please provide a business unit'],
+    },
+    // Empty cost center / type of service means the budget covers all of them
+    costCenter: {
+      type: String,
+      validate: masterValueValidator('costCenter', 'Cost Center'),
+      default: '',
+    },
+    typeOfService: {
+      type: String,
+      validate: masterValueValidator('typeOfService', 'Type of Service'),
+      default: '',
+    },
+    period: {
+      type: String,
+      enum: ['Monthly', 'Quarterly', 'Yearly'],
+      required: true,
+    },
+    // Budgeted spend in INR for each period
+    amount: {
+      type: Number,
+      required: [true, 'Please provide a budget amount'],
+      min: 0,
+    },
+    // Percentages of the budget at which alerts go out
+    alertThresholds: {
+      type: [Number],
+      default: () => {
+        const configured = (process.env.BUDGET_ALERT_THRESHOLDS || '')
+          .split(',')
+          .map((value) => parseFloat(value))
+          .filter((value) => value > 0);
+        return configured.length ? configured : DEFAULT_ALERT_THRESHOLDS;
+      },
+    },
+    // Thresholds already alerted, per period (e.g. { periodKey: '2025-Q2', threshold: 80 })
+    alertsSent: [
+      {
+        periodKey: String,
+        threshold: Number,
+        sentAt: Date,
+      },
+    ],
+    notes: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+budgetSchema.index({ businessUnit: 1, costCenter: 1, typeOfService: 1, period: 1 }, { unique: true });
+
+const Budget = mongoose.model('Budget', budgetSchema);
+
+export default Budget;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import { masterValueValidator } from '../services/masterDataService.js';
+
+const cardSchema = new mongoose.Schema(
+  {
+    // Never the full PAN: either an internal card code (e.g. M003) or XXXX-XXXX-XXXX-1234
+    maskedNumber: {
+      type: String,
+      required: [true, 'Please provide a card number'],
+      unique: true,
+      trim: true,
+    },
+    holder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Display name of the holder, kept for cards held by people without an app account
+    holderName: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    issuingBank: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    expiry: {
+      type: Date,
+      default: null,
+    },
+    monthlyLimit: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    businessUnit: {
+      type: String,
+      validate: masterValueValidator('businessUnit', 'Business Unit'),
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['Active', 'Blocked', 'Expired', 'Closed'],
+      default: 'Active',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cardSchema.index({ businessUnit: 1, status: 1 });
+cardSchema.index({ holder: 1 });
+
+const Card = mongoose.model('Card', cardSchema);
+
+export default Card;
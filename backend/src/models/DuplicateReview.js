@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// A suspected duplicate: an entry that closely resembles an existing one without matching it exactly.
+// It waits in the review queue until MIS decides whether the two are the same charge.
+const duplicateReviewSchema = new mongoose.Schema(
+  {
+    // The newer entry, flagged when it was created
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpenseEntry',
+      required: true,
+    },
+    // The existing entry it resembles
+    candidate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpenseEntry',
+      required: true,
+    },
+    // 0-1, higher is more alike
+    score: {
+      type: Number,
+      required: true,
+    },
+    // What the score is made of, shown to the reviewer
+    signals: {
+      dayDiff: Number,
+      amountDiffPercent: Number,
+      textSimilarity: Number,
+      sameCard: Boolean,
+    },
+    source: {
+      type: String,
+      enum: ['manual', 'bulk_upload'],
+      default: 'manual',
+    },
+    // pending until decided: same (the newer entry was recorded twice), different, or merged into the candidate
+    status: {
+      type: String,
+      enum: ['pending', 'same', 'different', 'merged'],
+      default: 'pending',
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    decidedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+duplicateReviewSchema.index({ entry: 1, candidate: 1 }, { unique: true });
+duplicateReviewSchema.index({ status: 1, createdAt: -1 });
+duplicateReviewSchema.index({ candidate: 1 });
+
+const DuplicateReview = mongoose.model('DuplicateReview', duplicateReviewSchema);
+
+export default DuplicateReview;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const entryAuditSchema = new mongoose.Schema(
+  {
+    // Not a hard reference: audits outlive the entry they describe
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpenseEntry',
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['create', 'update', 'delete', 'restore', 'purge', 'merge', 'unmerge'],
+      required: true,
+    },
+    changes: [
+      {
+        _id: false,
+        field: {
+          type: String,
+          required: true,
+        },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // Where the change came from
+    source: {
+      type: String,
+      enum: ['manual', 'batch_edit', 'bulk_upload', 'approval', 'reconciliation', 'card', 'system'],
+      default: 'manual',
+    },
+    // Null for public approval links and scheduled jobs
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Kept alongside the reference so the trail still reads after a user is removed
+    userName: {
+      type: String,
+      default: '',
+    },
+    reason: {
+      type: String,
+      default: '',
+    },
+    // Merge this audit belongs to, so it can be undone from the entry's history
+    merge: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EntryMerge',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+entryAuditSchema.index({ entry: 1, createdAt: -1 });
+
+const EntryAudit = mongoose.model('EntryAudit', entryAuditSchema);
+
+export default EntryAudit;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// One merge of duplicate entries into a surviving entry, with what it moved so it can be undone
+const entryMergeSchema = new mongoose.Schema(
+  {
+    survivor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpenseEntry',
+      required: true,
+    },
+    // Entries folded into the survivor and archived with a pointer to it
+    merged: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ExpenseEntry',
+      },
+    ],
+    // Survivor fields the merge changed: their values before and after, to put back on undo
+    fieldChanges: [
+      {
+        _id: false,
+        field: {
+          type: String,
+          required: true,
+        },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // Renewal logs and attachments moved onto the survivor, with the entry each came from
+    renewalLogs: [
+      {
+        _id: false,
+        log: { type: mongoose.Schema.Types.ObjectId, ref: 'RenewalLog' },
+        from: { type: mongoose.Schema.Types.ObjectId, ref: 'ExpenseEntry' },
+      },
+    ],
+    attachments: [
+      {
+        _id: false,
+        attachment: { type: mongoose.Schema.Types.ObjectId, ref: 'Attachment' },
+        from: { type: mongoose.Schema.Types.ObjectId, ref: 'ExpenseEntry' },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['merged', 'reverted'],
+      default: 'merged',
+    },
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    revertedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    revertedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+entryMergeSchema.index({ survivor: 1, createdAt: -1 });
+
+const EntryMerge = mongoose.model('EntryMerge', entryMergeSchema);
+
+export default EntryMerge;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// One row per currency pair, provider and day; entries lock the rate of their transaction date from this history
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    date: {
+      type: Date,
+      required: true,
+    },
+    baseCurrency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    quoteCurrency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      default: 'INR',
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Provider that supplied the rate: 'http' (live API) or 'table' (uploaded rate table)
+    source: {
+      type: String,
+      enum: ['http', 'table'],
+      required: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+exchangeRateSchema.index({ baseCurrency: 1, quoteCurrency: 1, source: 1, date: -1 }, { unique: true });
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+export default ExchangeRate;
@@ -1,4 +1,16 @@
 import mongoose from 'mongoose';
+import { masterValueValidator } from '../services/masterDataService.js';
+import { collectTokens } from '../utils/searchText.js';
+
+// Fields the search covers, with their weight in the text index's relevance score
+export const SEARCH_FIELD_WEIGHTS = {
+  particulars: 10,
+  cardNumber: 6,
+  serviceHandler: 4,
+  cardAssignedTo: 4,
+  narration: 2,
+};
+export const SEARCH_FIELDS = Object.keys(SEARCH_FIELD_WEIGHTS);
 
 const expenseEntrySchema = new mongoose.Schema(
   {
@@ -12,6 +24,11 @@ const expenseEntrySchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    card: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Card',
+      default: null,
+    },
     date: {
       type: Date,
       required: true,
@@ -38,13 +55,18 @@ const expenseEntrySchema = new mongoose.Schema(
     currency: {
       type: String,
       required: true,
-      enum: ['USD', 'EUR', 'GBP', 'INR', 'AUD', 'CAD'],
+      validate: masterValueValidator('currency', 'Currency'),
       default: 'USD',
     },
     billStatus: {
       type: String,
       default: '',
     },
+    // Number of receipts / invoices attached; 0 means the bill is missing
+    attachmentCount: {
+      type: Number,
+      default: 0,
+    },
     amount: {
       type: Number,
       required: true,
@@ -54,28 +76,36 @@ const expenseEntrySchema = new mongoose.Schema(
       required: true,
       default: 83.50,
     },
+    // Day of the exchange rate history row xeRate was locked from
+    xeRateDate: {
+      type: Date,
+    },
+    // Rate provider xeRate came from (manual, table, http, default, identity, import)
+    xeRateSource: {
+      type: String,
+    },
     amountInINR: {
       type: Number,
       required: true,
     },
     typeOfService: {
       type: String,
-      enum: ['Domain', 'Google', 'Google Adwords Expense', 'Hosting', 'Proxy', 'Server', 'Service', 'Tool'],
+      validate: masterValueValidator('typeOfService', 'Type of Service'),
       required: true,
     },
     businessUnit: {
       type: String,
-      enum: ['DWSG', 'Signature', 'Collabx', 'Wytlabs', 'Smegoweb'],
+      validate: masterValueValidator('businessUnit', 'Business Unit'),
       required: true,
     },
     costCenter: {
       type: String,
-      enum: ['Ops', 'FE', 'OH Exps', 'Support', 'Management EXPS'],
+      validate: masterValueValidator('costCenter', 'Cost Center'),
       required: true,
     },
     approvedBy: {
       type: String,
-      enum: ['Vaibhav', 'Marc', 'Dawood', 'Raghav', 'Tarun', 'Yulia', 'Sarthak', 'Harshit'],
+      validate: masterValueValidator('approver', 'Approver'),
       required: true,
     },
     serviceHandler: {
@@ -107,22 +137,54 @@ const expenseEntrySchema = new mongoose.Schema(
       type: String,
       default: null,
     },
-    nextRenewalDate: {
+    // Recurring charges belong to a subscription, which owns the renewal state
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription',
+      default: null,
+    },
+    disabledAt: {
       type: Date,
       default: null,
     },
-    renewalNotificationSent: {
-      type: Boolean,
-      default: false,
+    // Soft delete: deleted entries sit in the recycle bin until restored or purged by the retention job
+    deletedAt: {
+      type: Date,
+      default: null,
     },
-    autoCancellationNotificationSent: {
-      type: Boolean,
-      default: false,
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
     },
-    disabledAt: {
+    // Set when the entry was merged into another (the survivor): archived and hidden like a deleted entry
+    // until the merge is undone
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpenseEntry',
+      default: null,
+    },
+    mergedAt: {
       type: Date,
       default: null,
     },
+    // Words of the SEARCH_FIELDS, kept for prefix search ("fig" finds "Figma")
+    searchTokens: {
+      type: [String],
+      select: false,
+    },
+    // Bulk upload that created this entry
+    importBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch',
+      default: null,
+    },
+    // Card statement this entry was reconciled against
+    reconciledStatement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Statement',
+      default: null,
+    },
     isShared: {
       type: Boolean,
       default: false,
@@ -131,7 +193,7 @@ const expenseEntrySchema = new mongoose.Schema(
       {
         businessUnit: {
           type: String,
-          enum: ['DWSG', 'Signature', 'Collabx', 'Wytlabs', 'Smegoweb'],
+          validate: masterValueValidator('businessUnit', 'Business Unit'),
         },
         amount: {
           type: Number,
@@ -152,11 +214,59 @@ expenseEntrySchema.pre('save', function () {
   }
 });
 
+// Keep the prefix search words in step with the searched fields (validate also runs for insertMany)
+expenseEntrySchema.pre('validate', function () {
+  if (this.isNew || SEARCH_FIELDS.some((field) => this.isModified(field))) {
+    this.searchTokens = collectTokens(SEARCH_FIELDS.map((field) => this[field]));
+  }
+});
+
+// Deleted and merged-away entries are invisible to every query and aggregation unless the filter names
+// deletedAt (the recycle bin, restore and purge do) or mergedInto (merge and its undo do)
+const HIDDEN_UNLESS_NAMED = ['deletedAt', 'mergedInto'];
+
+const excludeDeleted = function () {
+  const filter = this.getFilter();
+  HIDDEN_UNLESS_NAMED.forEach((field) => {
+    if (!Object.prototype.hasOwnProperty.call(filter, field)) {
+      this.where({ [field]: null });
+    }
+  });
+};
+
+expenseEntrySchema.pre(
+  ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'],
+  excludeDeleted
+);
+
+expenseEntrySchema.pre('aggregate', function () {
+  const [first] = this.pipeline();
+  const hidden = HIDDEN_UNLESS_NAMED.filter(
+    (field) => !first?.$match || !Object.prototype.hasOwnProperty.call(first.$match, field)
+  );
+  if (!hidden.length) return;
+  const condition = Object.fromEntries(hidden.map((field) => [field, null]));
+  // A $text match has to stay the first stage, so the condition joins it there
+  if (first?.$match?.$text) Object.assign(first.$match, condition);
+  else this.pipeline().unshift({ $match: condition });
+});
+
 // Index for faster queries
 expenseEntrySchema.index({ businessUnit: 1, date: -1 });
 expenseEntrySchema.index({ serviceHandler: 1 });
 expenseEntrySchema.index({ entryStatus: 1 });
 expenseEntrySchema.index({ cardNumber: 1 });
+expenseEntrySchema.index({ card: 1, date: -1 });
+expenseEntrySchema.index({ subscription: 1, date: -1 });
+expenseEntrySchema.index({ deletedAt: 1 });
+expenseEntrySchema.index({ mergedInto: 1 });
+expenseEntrySchema.index({ importBatch: 1 });
+expenseEntrySchema.index({ searchTokens: 1 });
+// Relevance for the search endpoint. Language "none" keeps words as typed: no stemming, no stop words.
+expenseEntrySchema.index(
+  Object.fromEntries(SEARCH_FIELDS.map((field) => [field, 'text'])),
+  { name: 'entry_search', weights: SEARCH_FIELD_WEIGHTS, default_language: 'none' }
+);
 
 const ExpenseEntry = mongoose.model('ExpenseEntry', expenseEntrySchema);
 
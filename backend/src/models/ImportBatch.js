@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const importBatchSchema = new mongoose.Schema(
+  {
+    fileName: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Import profile used to read the file (kept as a name so it survives the profile being deleted)
+    profileName: {
+      type: String,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'failed', 'rolled_back'],
+      default: 'processing',
+    },
+    counts: {
+      total: { type: Number, default: 0 },
+      success: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      unique: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      suspected: { type: Number, default: 0 },
+    },
+    // Results per worksheet of a multi-sheet upload (per-row outcomes are ImportRow documents)
+    sheets: [
+      {
+        _id: false,
+        name: String,
+        month: String,
+        total: Number,
+        success: Number,
+        failed: Number,
+        unique: Number,
+        updated: Number,
+      },
+    ],
+    rolledBackAt: {
+      type: Date,
+      default: null,
+    },
+    rolledBackBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importBatchSchema.index({ createdAt: -1 });
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+export default ImportBatch;
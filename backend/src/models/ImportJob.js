@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+// Finished jobs are removed after this long; the import batch keeps the outcome
+const FINISHED_JOB_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const importJobSchema = new mongoose.Schema(
+  {
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    fileName: {
+      type: String,
+      default: '',
+    },
+    // Snapshot of the import profile, so editing or deleting it does not change a queued job
+    profile: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // 'upsert' updates the entries named by the Entry ID column instead of creating them
+    mode: {
+      type: String,
+      enum: ['create', 'upsert'],
+      default: 'create',
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+    },
+    // Sheets the rows came from, in order, with the month their tab name implies and their own counts
+    sheets: [
+      {
+        _id: false,
+        name: String,
+        rowCount: Number,
+        month: mongoose.Schema.Types.Mixed,
+        success: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 },
+        unique: { type: Number, default: 0 },
+        updated: { type: Number, default: 0 },
+      },
+    ],
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    success: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    unique: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    // Created entries queued for duplicate review as duplicates of stored ones
+    suspected: { type: Number, default: 0 },
+    // The first failed rows, listed when the job finishes; every failed row, with its cells, is an ImportRow
+    rowErrors: [
+      {
+        _id: false,
+        row: Number,
+        sheet: String,
+        error: String,
+        fields: [String],
+      },
+    ],
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Bumped after every chunk; a running job without a recent heartbeat is picked up again
+    heartbeatAt: {
+      type: Date,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importJobSchema.index({ status: 1, createdAt: 1 });
+importJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: FINISHED_JOB_TTL_SECONDS });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+export default ImportJob;
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// Entry fields a bulk import can fill, with the label shown in profiles and warnings
+export const IMPORT_PROFILE_FIELDS = {
+  entryId: 'Entry ID',
+  cardNumber: 'Card Number',
+  cardAssignedTo: 'Card Assigned To',
+  date: 'Date',
+  month: 'Month',
+  status: 'Status',
+  particulars: 'Particulars',
+  narration: 'Narration',
+  currency: 'Currency',
+  billStatus: 'Bill Status',
+  amount: 'Amount',
+  xeRate: 'XE Rate',
+  amountInINR: 'Amount in INR',
+  typeOfService: 'Type of Service',
+  businessUnit: 'Business Unit',
+  costCenter: 'Cost Center',
+  approvedBy: 'Approved By',
+  serviceHandler: 'Service Handler',
+  recurring: 'Recurring',
+  isShared: 'Is Shared',
+  sharedAllocations: 'Shared Bill',
+};
+
+const fieldType = {
+  type: String,
+  enum: Object.keys(IMPORT_PROFILE_FIELDS),
+  required: true,
+};
+
+const importProfileSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Source column headers per field, tried before the built-in headers
+    columns: [
+      {
+        _id: false,
+        field: fieldType,
+        headers: [{ type: String, trim: true }],
+      },
+    ],
+    // Cell values rewritten before master data normalization (`from` stored lower-case)
+    valueAliases: [
+      {
+        _id: false,
+        field: fieldType,
+        from: { type: String, trim: true, lowercase: true, required: true },
+        to: { type: String, trim: true, required: true },
+      },
+    ],
+    // Used when the sheet has no value for the field
+    defaults: [
+      {
+        _id: false,
+        field: fieldType,
+        value: { type: String, trim: true, required: true },
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importProfileSchema.index({ name: 1 }, { unique: true });
+
+const ImportProfile = mongoose.model('ImportProfile', importProfileSchema);
+
+export default ImportProfile;
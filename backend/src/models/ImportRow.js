@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// One uploaded row of an import batch: the parsed cells while it waits, then what importing it did. Kept out
+// of the batch and job documents so a large sheet never runs into MongoDB's document size limit.
+const importRowSchema = new mongoose.Schema(
+  {
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch',
+      required: true,
+    },
+    // Position in the upload, across all its sheets; the job works through rows in this order
+    index: {
+      type: Number,
+      required: true,
+    },
+    // Parsed sheet cells; dropped once the row is imported, kept for failed rows so they can be downloaded
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    rowNumber: Number,
+    // Worksheet of a multi-sheet upload; row numbers count within it
+    sheet: {
+      type: String,
+      default: null,
+    },
+    // Null until the row has been imported
+    outcome: {
+      type: String,
+      enum: ['created', 'updated', 'unchanged', 'failed', null],
+      default: null,
+    },
+    // Entry the row created or updated
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpenseEntry',
+      default: null,
+    },
+    // Fields an update changed, as [{ field, from, to }] like an entry audit, so a rollback can revert them
+    changes: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined,
+    },
+    // Created entry queued for duplicate review as a duplicate of a stored one
+    suspected: {
+      type: Boolean,
+      default: false,
+    },
+    error: {
+      type: String,
+      default: '',
+    },
+    // Entry fields behind the error, highlighted in the error workbook
+    fields: {
+      type: [String],
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importRowSchema.index({ batch: 1, index: 1 }, { unique: true });
+importRowSchema.index({ entry: 1, outcome: 1 });
+
+const ImportRow = mongoose.model('ImportRow', importRowSchema);
+
+export default ImportRow;
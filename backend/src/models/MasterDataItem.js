@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+export const MASTER_DATA_TYPES = ['businessUnit', 'costCenter', 'typeOfService', 'approver', 'currency'];
+
+const masterDataItemSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: MASTER_DATA_TYPES,
+      required: true,
+    },
+    value: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Alternate spellings accepted by bulk upload (stored lower-case)
+    aliases: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    // Deactivated values stay valid on historical entries but cannot be used on new ones
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+masterDataItemSchema.index({ type: 1, value: 1 }, { unique: true });
+
+const MasterDataItem = mongoose.model('MasterDataItem', masterDataItemSchema);
+
+export default MasterDataItem;
@@ -17,6 +17,8 @@ const notificationSchema = new mongoose.Schema(
         'service_cancellation',
         'service_continued',
         'service_disable_request',
+        'budget_alert',
+        'import_completed',
       ],
       required: true,
     },
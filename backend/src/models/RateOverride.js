@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Manual exchange rate for a whole month, set by MIS when finance fixes a booking rate
+const rateOverrideSchema = new mongoose.Schema(
+  {
+    month: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Month must be in YYYY-MM format'],
+    },
+    baseCurrency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    quoteCurrency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      default: 'INR',
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+rateOverrideSchema.index({ baseCurrency: 1, quoteCurrency: 1, month: 1 }, { unique: true });
+
+const RateOverride = mongoose.model('RateOverride', rateOverrideSchema);
+
+export default RateOverride;
@@ -2,10 +2,16 @@ import mongoose from 'mongoose';
 
 const renewalLogSchema = new mongoose.Schema(
   {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription',
+      default: null,
+    },
+    // Charge the action was taken against (latest charge for subscription actions)
     expenseEntry: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'ExpenseEntry',
-      required: true,
+      default: null,
     },
     serviceHandler: {
       type: String,
@@ -30,6 +36,8 @@ const renewalLogSchema = new mongoose.Schema(
   }
 );
 
+renewalLogSchema.index({ subscription: 1, renewalDate: 1 });
+
 const RenewalLog = mongoose.model('RenewalLog', renewalLogSchema);
 
 export default RenewalLog;
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// Sheet filters a view can hold: the Hyper Filter's fields and the typed filter query (q)
+export const SAVED_VIEW_FILTERS = [
+  'businessUnit',
+  'cardNumber',
+  'cardAssignedTo',
+  'status',
+  'typeOfService',
+  'serviceHandler',
+  'costCenter',
+  'approvedBy',
+  'recurring',
+  'startDate',
+  'endDate',
+  'disableStartDate',
+  'disableEndDate',
+  'month',
+  'minAmount',
+  'maxAmount',
+  'duplicateStatus',
+  'sharedOnly',
+  'q',
+];
+
+// A named set of filters, search, sort and columns for the expense sheet and dashboard
+const savedViewSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SAVED_VIEW_FILTERS field -> value, as the list's query string takes them
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    search: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // List sort as GET /api/expenses takes it, e.g. "-date,particulars"; empty for the default
+    sort: {
+      type: String,
+      default: '',
+    },
+    // Expense sheet columns to show; empty shows them all
+    columns: [{ type: String }],
+    // Besides its owner, the view is listed for users with one of these roles or business units
+    sharedWithRoles: [
+      {
+        type: String,
+        enum: ['super_admin', 'mis_manager', 'business_unit_admin', 'spoc', 'service_handler'],
+      },
+    ],
+    sharedWithBusinessUnits: [{ type: String, trim: true }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+savedViewSchema.index({ owner: 1, name: 1 }, { unique: true });
+savedViewSchema.index({ sharedWithRoles: 1 });
+savedViewSchema.index({ sharedWithBusinessUnits: 1 });
+
+const SavedView = mongoose.model('SavedView', savedViewSchema);
+
+export default SavedView;
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const statementLineSchema = new mongoose.Schema({
+  rowNumber: Number,
+  date: {
+    type: Date,
+    required: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+    required: true,
+  },
+  cardNumber: {
+    type: String,
+    trim: true,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['matched', 'unmatched', 'ambiguous'],
+    default: 'unmatched',
+  },
+  // How the match was made: by the matcher, by hand, or by creating an entry from the line
+  matchType: {
+    type: String,
+    enum: ['auto', 'manual', 'created', null],
+    default: null,
+  },
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseEntry',
+    default: null,
+  },
+  // Entries that fit an ambiguous line equally well
+  candidates: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpenseEntry',
+    },
+  ],
+});
+
+const statementSchema = new mongoose.Schema(
+  {
+    fileName: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Card the statement belongs to; lines can still name their own card
+    cardNumber: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    card: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Card',
+      default: null,
+    },
+    periodStart: Date,
+    periodEnd: Date,
+    lines: [statementLineSchema],
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+statementSchema.index({ createdAt: -1 });
+statementSchema.index({ 'lines.entry': 1 });
+
+const Statement = mongoose.model('Statement', statementSchema);
+
+export default Statement;
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import { masterValueValidator } from '../services/masterDataService.js';
+
+// A recurring service. Each renewal charge is its own ExpenseEntry linked back through `subscription`.
+const subscriptionSchema = new mongoose.Schema(
+  {
+    particulars: {
+      type: String,
+      required: [true, 'Please provide the service name'],
+      trim: true,
+    },
+    // Lower-cased service name used to match incoming charges
+    serviceKey: {
+      type: String,
+      required: true,
+    },
+    narration: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    serviceHandler: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    businessUnit: {
+      type: String,
+      validate: masterValueValidator('businessUnit', 'Business Unit'),
+      required: true,
+    },
+    costCenter: {
+      type: String,
+      validate: masterValueValidator('costCenter', 'Cost Center'),
+    },
+    typeOfService: {
+      type: String,
+      validate: masterValueValidator('typeOfService', 'Type of Service'),
+    },
+    approvedBy: {
+      type: String,
+      validate: masterValueValidator('approver', 'Approver'),
+    },
+    card: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Card',
+      default: null,
+    },
+    cardNumber: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    cardAssignedTo: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    recurring: {
+      type: String,
+      enum: ['Monthly', 'Yearly'],
+      required: true,
+    },
+    currency: {
+      type: String,
+      validate: masterValueValidator('currency', 'Currency'),
+      default: 'USD',
+    },
+    // Amount of the most recent charge, in the subscription currency
+    expectedAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ['Active', 'Deactive'],
+      default: 'Active',
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    lastChargeDate: {
+      type: Date,
+      default: null,
+    },
+    lastCharge: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExpenseEntry',
+      default: null,
+    },
+    nextRenewalDate: {
+      type: Date,
+      default: null,
+    },
+    renewalNotificationSent: {
+      type: Boolean,
+      default: false,
+    },
+    autoCancellationNotificationSent: {
+      type: Boolean,
+      default: false,
+    },
+    disabledAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+subscriptionSchema.index({ businessUnit: 1, serviceKey: 1, recurring: 1 });
+subscriptionSchema.index({ status: 1, nextRenewalDate: 1 });
+subscriptionSchema.index({ serviceHandler: 1 });
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+
+export default Subscription;
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { masterValueValidator } from '../services/masterDataService.js';
 
 const userSchema = new mongoose.Schema(
   {
@@ -28,7 +29,7 @@ const userSchema = new mongoose.Schema(
     },
     businessUnit: {
       type: String,
-      enum: ['DWSG', 'Signature', 'Collabx', 'Wytlabs', 'Smegoweb', null],
+      validate: masterValueValidator('businessUnit', 'Business Unit'),
       default: null,
     },
     cardNumber: {
@@ -0,0 +1,19 @@
+import express from 'express';
+import { getBudgets, createBudget, updateBudget, deleteBudget } from '../controllers/budgetController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(authorize('super_admin', 'mis_manager', 'business_unit_admin', 'spoc'), getBudgets)
+  .post(authorize('mis_manager', 'super_admin'), createBudget);
+
+router
+  .route('/:id')
+  .put(authorize('mis_manager', 'super_admin'), updateBudget)
+  .delete(authorize('mis_manager', 'super_admin'), deleteBudget);
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getCards,
+  getCardHolders,
+  getCard,
+  createCard,
+  updateCard,
+  deleteCard,
+  syncCardsFromEntries,
+} from '../controllers/cardController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(getCards)
+  .post(authorize('mis_manager', 'super_admin'), createCard);
+
+router.get('/holders', authorize('mis_manager', 'super_admin'), getCardHolders);
+router.post('/sync', authorize('mis_manager', 'super_admin'), syncCardsFromEntries);
+
+router
+  .route('/:id')
+  .get(getCard)
+  .put(authorize('mis_manager', 'super_admin'), updateCard)
+  .delete(authorize('super_admin'), deleteCard);
+
+export default router;
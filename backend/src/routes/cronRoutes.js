@@ -2,10 +2,13 @@ import express from 'express';
 import {
   runRenewalRemindersOnce,
   runRejectedEntriesCleanupOnce,
+  runDeletedEntriesPurgeOnce,
   runRenewalFlagResetOnce,
   runExchangeRateRefreshOnce,
   runAutoCancellationNoticesOnce,
+  runBudgetAlertsOnce,
 } from '../services/cronJobs.js';
+import { runImportJobsOnce } from '../services/importJobService.js';
 
 const router = express.Router();
 
@@ -33,8 +36,11 @@ const wrap = (fn) => async (req, res) => {
 
 router.post('/renewal-reminders', verifyCronAuth, wrap(runRenewalRemindersOnce));
 router.post('/rejected-cleanup', verifyCronAuth, wrap(runRejectedEntriesCleanupOnce));
+router.post('/deleted-purge', verifyCronAuth, wrap(runDeletedEntriesPurgeOnce));
 router.post('/renewal-flag-reset', verifyCronAuth, wrap(runRenewalFlagResetOnce));
 router.post('/exchange-refresh', verifyCronAuth, wrap(runExchangeRateRefreshOnce));
 router.post('/auto-cancel', verifyCronAuth, wrap(runAutoCancellationNoticesOnce));
+router.post('/budget-alerts', verifyCronAuth, wrap(runBudgetAlertsOnce));
+router.post('/import-jobs', verifyCronAuth, wrap(runImportJobsOnce));
 
 export default router;
@@ -0,0 +1,13 @@
+import express from 'express';
+import { getDuplicateReviews, decideDuplicate } from '../controllers/duplicateReviewController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('mis_manager', 'super_admin'));
+
+router.get('/', getDuplicateReviews);
+router.post('/:id/decision', decideDuplicate);
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getExchangeRates,
+  uploadRateTable,
+  getRateOverrides,
+  upsertRateOverride,
+  deleteRateOverride,
+} from '../controllers/exchangeRateController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import upload from '../config/multer.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('mis_manager', 'super_admin'));
+
+router.get('/', getExchangeRates);
+router.post('/upload', upload.single('file'), uploadRateTable);
+
+router
+  .route('/overrides')
+  .get(getRateOverrides)
+  .post(upsertRateOverride);
+
+router.delete('/overrides/:id', deleteRateOverride);
+
+export default router;
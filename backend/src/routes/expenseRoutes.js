@@ -2,20 +2,38 @@ import express from 'express';
 import {
   createExpenseEntry,
   getExpenseEntries,
+  searchExpenseEntries,
+  reindexExpenseSearch,
+  getFilterQueryFields,
+  getFilterQueryValues,
   getExpenseEntry,
+  getExpenseEntryHistory,
   updateExpenseEntry,
+  batchUpdateExpenseEntries,
+  mergeExpenseEntries,
+  revertExpenseMerge,
   deleteExpenseEntry,
+  getDeletedExpenseEntries,
+  restoreExpenseEntry,
   approveExpenseEntry,
   rejectExpenseEntry,
   getExpenseStats,
 } from '../controllers/expenseController.js';
 import {
+  listUploadSheets,
+  previewBulkUpload,
   bulkUploadExpenses,
   downloadTemplate,
   exportExpenses,
 } from '../controllers/bulkUploadController.js';
+import {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+} from '../controllers/attachmentController.js';
 import { protect, authorize } from '../middleware/auth.js';
-import upload from '../config/multer.js';
+import upload, { attachmentUpload } from '../config/multer.js';
 
 const router = express.Router();
 
@@ -32,8 +50,30 @@ router
   .post(authorize('spoc', 'mis_manager', 'super_admin', 'business_unit_admin'), createExpenseEntry);
 
 router.get('/stats', getExpenseStats);
+router.get('/search', searchExpenseEntries);
+router.post('/search/reindex', authorize('mis_manager', 'super_admin'), reindexExpenseSearch);
+router.get('/query/fields', getFilterQueryFields);
+router.get('/query/values', getFilterQueryValues);
 router.get('/template', authorize('mis_manager', 'super_admin'), downloadTemplate);
 router.get('/export', exportExpenses);
+router.get('/deleted', authorize('super_admin'), getDeletedExpenseEntries);
+router.post('/batch-update', authorize('mis_manager', 'super_admin'), batchUpdateExpenseEntries);
+router.post('/merge', authorize('mis_manager', 'super_admin'), mergeExpenseEntries);
+router.post('/merges/:mergeId/revert', authorize('mis_manager', 'super_admin'), revertExpenseMerge);
+
+router.post(
+  '/bulk-upload/sheets',
+  authorize('mis_manager', 'super_admin'),
+  upload.single('file'),
+  listUploadSheets
+);
+
+router.post(
+  '/bulk-upload/preview',
+  authorize('mis_manager', 'super_admin'),
+  upload.single('file'),
+  previewBulkUpload
+);
 
 router.post(
   '/bulk-upload',
@@ -48,4 +88,19 @@ router
   .put(authorize('mis_manager', 'super_admin'), updateExpenseEntry)
   .delete(authorize('super_admin'), deleteExpenseEntry);
 
+router.get('/:id/history', getExpenseEntryHistory);
+router.post('/:id/restore', authorize('super_admin'), restoreExpenseEntry);
+
+router
+  .route('/:id/attachments')
+  .get(getAttachments)
+  .post(
+    authorize('spoc', 'mis_manager', 'super_admin', 'business_unit_admin', 'service_handler'),
+    attachmentUpload.single('file'),
+    uploadAttachment
+  );
+
+router.get('/:id/attachments/:attachmentId/download', downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', deleteAttachment);
+
 export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getImportBatches,
+  getImportBatch,
+  rollbackBatch,
+  downloadBatchErrors,
+} from '../controllers/importBatchController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('mis_manager', 'super_admin'));
+
+router.get('/', getImportBatches);
+router.get('/:id', getImportBatch);
+router.get('/:id/errors', downloadBatchErrors);
+router.post('/:id/rollback', rollbackBatch);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { getImportJob } from '../controllers/importJobController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('mis_manager', 'super_admin'));
+
+router.get('/:id', getImportJob);
+
+export default router;
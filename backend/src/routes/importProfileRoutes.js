@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getImportProfiles,
+  getImportProfileFields,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile,
+} from '../controllers/importProfileController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('mis_manager', 'super_admin'));
+
+router.get('/fields', getImportProfileFields);
+router.route('/').get(getImportProfiles).post(createImportProfile);
+router.route('/:id').put(updateImportProfile).delete(deleteImportProfile);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getMasterData,
+  createMasterDataItem,
+  updateMasterDataItem,
+} from '../controllers/masterDataController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(getMasterData)
+  .post(authorize('super_admin'), createMasterDataItem);
+
+router.put('/:id', authorize('super_admin'), updateMasterDataItem);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getSavedViews,
+  getSavedView,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView,
+} from '../controllers/savedViewController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/').get(getSavedViews).post(createSavedView);
+router.route('/:id').get(getSavedView).put(updateSavedView).delete(deleteSavedView);
+
+export default router;
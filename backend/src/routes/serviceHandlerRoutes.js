@@ -14,13 +14,13 @@ router.use(protect);
 
 // Service handler routes
 router.get('/my-services', authorize('service_handler'), getMyServices);
-router.get('/logs/:entryId', authorize('service_handler'), getRenewalLogs);
-router.post('/renewal-response/:entryId', authorize('service_handler'), respondToRenewal);
-router.post('/disable/:entryId', authorize('service_handler'), requestServiceDisable);
+router.get('/logs/:subscriptionId', authorize('service_handler'), getRenewalLogs);
+router.post('/renewal-response/:subscriptionId', authorize('service_handler'), respondToRenewal);
+router.post('/disable/:subscriptionId', authorize('service_handler'), requestServiceDisable);
 
 // Admin/MIS routes for viewing logs
 router.get(
-  '/admin/logs/:entryId',
+  '/admin/logs/:subscriptionId',
   authorize('super_admin', 'mis_manager', 'business_unit_admin'),
   getRenewalLogsAdmin
 );
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  uploadStatement,
+  getStatements,
+  getStatement,
+  rematchStatement,
+  matchLine,
+  unmatchLine,
+  getLineEntryDefaults,
+  createEntryForLine,
+  deleteStatement,
+} from '../controllers/reconciliationController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import upload from '../config/multer.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('mis_manager', 'super_admin'));
+
+router.get('/', getStatements);
+router.post('/upload', upload.single('file'), uploadStatement);
+
+router.route('/:id').get(getStatement).delete(deleteStatement);
+router.post('/:id/rematch', rematchStatement);
+router.post('/:id/lines/:lineId/match', matchLine);
+router.post('/:id/lines/:lineId/unmatch', unmatchLine);
+router.get('/:id/lines/:lineId/entry-defaults', getLineEntryDefaults);
+router.post('/:id/lines/:lineId/create-entry', createEntryForLine);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getSubscriptions,
+  getSubscription,
+  updateSubscription,
+  syncSubscriptions,
+} from '../controllers/subscriptionController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', authorize('super_admin', 'mis_manager', 'business_unit_admin', 'spoc'), getSubscriptions);
+router.post('/sync', authorize('mis_manager', 'super_admin'), syncSubscriptions);
+
+router
+  .route('/:id')
+  .get(authorize('super_admin', 'mis_manager', 'business_unit_admin', 'spoc'), getSubscription)
+  .put(authorize('mis_manager', 'super_admin'), updateSubscription);
+
+export default router;
@@ -3,6 +3,8 @@ import mongoose from 'mongoose';
 import connectDB from '../config/database.js';
 import User from '../models/User.js';
 import ExpenseEntry from '../models/ExpenseEntry.js';
+import Subscription from '../models/Subscription.js';
+import { backfillSubscriptions } from '../services/subscriptionService.js';
 
 const businessUnits = ['DWSG', 'Signature', 'Collabx', 'Wytlabs', 'Smegoweb'];
 
@@ -167,15 +169,6 @@ const sampleExpenses = ({ usersByRole }) => {
     const serviceHandler = serviceHandlers[entry.serviceHandlerUnit];
     const spoc = spocs[entry.businessUnit];
 
-    let nextRenewalDate = null;
-    if (entry.recurring === 'Monthly') {
-      nextRenewalDate = new Date(entry.date);
-      nextRenewalDate.setMonth(nextRenewalDate.getMonth() + 1);
-    } else if (entry.recurring === 'Yearly') {
-      nextRenewalDate = new Date(entry.date);
-      nextRenewalDate.setFullYear(nextRenewalDate.getFullYear() + 1);
-    }
-
     return {
       ...entry,
       month: buildMonthLabel(entry.date),
@@ -184,7 +177,6 @@ const sampleExpenses = ({ usersByRole }) => {
       serviceHandler: serviceHandler?.name || 'Unknown Handler',
       createdBy: spoc?._id,
       entryStatus: 'Accepted',
-      nextRenewalDate,
     };
   });
 };
@@ -194,12 +186,14 @@ const seedDatabase = async () => {
     await connectDB();
 
     await ExpenseEntry.deleteMany({});
+    await Subscription.deleteMany({});
     await User.deleteMany({});
 
     const users = await User.insertMany(seedUsers());
 
     const expenses = sampleExpenses({ usersByRole: users });
     await ExpenseEntry.insertMany(expenses);
+    await backfillSubscriptions();
 
     console.log('Database seeded successfully!');
     console.log('Login accounts:');
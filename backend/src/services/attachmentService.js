@@ -0,0 +1,58 @@
+import Attachment from '../models/Attachment.js';
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import { getStorageDriver } from './storageService.js';
+
+// Keep the entry's attachmentCount (the "missing bill" flag) in step with its attachments
+export const refreshAttachmentCount = async (entryId) => {
+  const attachmentCount = await Attachment.countDocuments({ entry: entryId });
+  await ExpenseEntry.updateOne({ _id: entryId }, { $set: { attachmentCount } });
+  return attachmentCount;
+};
+
+// Store an uploaded file (multer memory storage) against an entry
+export const addAttachment = async (entry, file, user) => {
+  const driver = getStorageDriver();
+  const storageKey = await driver.save(file.buffer, { fileName: file.originalname, mimeType: file.mimetype });
+
+  try {
+    const attachment = await Attachment.create({
+      entry: entry._id,
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      storageDriver: driver.name,
+      storageKey,
+      uploadedBy: user?._id,
+    });
+    await refreshAttachmentCount(entry._id);
+    return attachment;
+  } catch (error) {
+    await driver.remove(storageKey);
+    throw error;
+  }
+};
+
+export const openAttachment = (attachment) => getStorageDriver(attachment.storageDriver).read(attachment.storageKey);
+
+export const removeAttachment = async (attachment) => {
+  await getStorageDriver(attachment.storageDriver).remove(attachment.storageKey);
+  await Attachment.deleteOne({ _id: attachment._id });
+  return refreshAttachmentCount(attachment.entry);
+};
+
+// Used when an entry is deleted
+export const removeEntryAttachments = async (entryId) => {
+  const attachments = await Attachment.find({ entry: entryId });
+  for (const attachment of attachments) {
+    await getStorageDriver(attachment.storageDriver).remove(attachment.storageKey);
+  }
+  await Attachment.deleteMany({ entry: entryId });
+};
+
+export default {
+  refreshAttachmentCount,
+  addAttachment,
+  openAttachment,
+  removeAttachment,
+  removeEntryAttachments,
+};
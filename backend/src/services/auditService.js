@@ -0,0 +1,124 @@
+import EntryAudit from '../models/EntryAudit.js';
+
+// Fields people edit or read off the sheet. Links and bookkeeping the app maintains itself
+// (card / subscription / statement refs, attachment counts, approval tokens, timestamps) are left out.
+export const AUDITED_FIELDS = [
+  'cardNumber',
+  'cardAssignedTo',
+  'date',
+  'month',
+  'status',
+  'particulars',
+  'narration',
+  'currency',
+  'billStatus',
+  'amount',
+  'xeRate',
+  'xeRateDate',
+  'xeRateSource',
+  'amountInINR',
+  'typeOfService',
+  'businessUnit',
+  'costCenter',
+  'approvedBy',
+  'serviceHandler',
+  'recurring',
+  'entryStatus',
+  'duplicateStatus',
+  'disabledAt',
+  'isShared',
+  'sharedAllocations',
+];
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Store values in a form that compares and serialises predictably
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) {
+    return value.map((item) => {
+      const plain = toPlain(item);
+      if (plain && typeof plain === 'object' && !(plain instanceof Date)) {
+        const { _id, ...rest } = plain;
+        return Object.fromEntries(Object.entries(rest).map(([key, val]) => [key, normalizeValue(val)]));
+      }
+      return normalizeValue(plain);
+    });
+  }
+  if (typeof value === 'object' && value._bsontype === 'ObjectId') return value.toString();
+  return value;
+};
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Field-level changes between two versions of an entry; either side may be null (create / delete)
+export const diffEntry = (before, after) => {
+  const previous = toPlain(before) || {};
+  const next = toPlain(after) || {};
+
+  return AUDITED_FIELDS.reduce((changes, field) => {
+    const from = normalizeValue(previous[field]);
+    const to = normalizeValue(next[field]);
+    if (!isSame(from, to)) {
+      changes.push({ field, from, to });
+    }
+    return changes;
+  }, []);
+};
+
+// Audit document for one entry write, or null when an update changed nothing audited
+export const buildEntryAudit = ({
+  entry,
+  action,
+  before = null,
+  after = null,
+  user = null,
+  source = 'manual',
+  reason = '',
+  merge = null,
+}) => {
+  const changes = diffEntry(before, after);
+  if (action === 'update' && !changes.length) return null;
+
+  return {
+    entry: entry._id || entry,
+    action,
+    changes,
+    source,
+    user: user?._id || null,
+    userName: user?.name || '',
+    reason,
+    merge: merge?._id || merge,
+  };
+};
+
+// Record entry writes. The write itself has already happened, so a failed audit is logged rather
+// than turned into an error for the caller.
+export const recordEntryAudits = async (audits) => {
+  const docs = audits.map(buildEntryAudit).filter(Boolean);
+  if (!docs.length) return;
+
+  try {
+    await EntryAudit.insertMany(docs);
+  } catch (error) {
+    console.error('Failed to record expense entry audit:', error.message);
+  }
+};
+
+export const recordEntryAudit = (audit) => recordEntryAudits([audit]);
+
+export const getEntryHistory = (entryId) =>
+  EntryAudit.find({ entry: entryId })
+    .populate('user', 'name email role')
+    .populate('merge', 'survivor merged status')
+    .sort({ createdAt: -1 });
+
+export default {
+  AUDITED_FIELDS,
+  diffEntry,
+  buildEntryAudit,
+  recordEntryAudits,
+  recordEntryAudit,
+  getEntryHistory,
+};
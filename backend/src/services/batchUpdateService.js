@@ -0,0 +1,117 @@
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import RenewalLog from '../models/RenewalLog.js';
+import { validateMasterFields } from './masterDataService.js';
+import { deactivateSubscription, recordSubscriptionCharge } from './subscriptionService.js';
+import { diffEntry, recordEntryAudits } from './auditService.js';
+
+// Fields one patch may set across many entries. Amount, currency, date and business unit stay single-entry
+// edits since they drive the INR conversion and shared allocations.
+export const BATCH_UPDATE_FIELDS = [
+  'status',
+  'billStatus',
+  'typeOfService',
+  'costCenter',
+  'approvedBy',
+  'serviceHandler',
+  'recurring',
+];
+// Most entries one batch update may touch; wider filters have to be narrowed first
+export const MAX_BATCH_ENTRIES = 1000;
+
+// Check a patch before it is applied: only batch-editable fields, allowed values, active master data.
+// Returns the patch with trimmed values and the problems found.
+export const prepareBatchPatch = async (patch) => {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch) || !Object.keys(patch).length) {
+    return { patch: {}, errors: ['Choose at least one field to update'] };
+  }
+
+  const errors = [];
+  const cleaned = {};
+  Object.entries(patch).forEach(([field, raw]) => {
+    if (!BATCH_UPDATE_FIELDS.includes(field)) {
+      errors.push(`${field} cannot be changed in a batch update`);
+      return;
+    }
+
+    const value = raw === null || raw === undefined ? '' : String(raw).trim();
+    const path = ExpenseEntry.schema.path(field);
+    if (!value && path.isRequired) {
+      errors.push(`${field} cannot be blank`);
+      return;
+    }
+    if (value && path.enumValues?.length && !path.enumValues.includes(value)) {
+      errors.push(`${field} must be one of ${path.enumValues.join(', ')}`);
+      return;
+    }
+    cleaned[field] = value;
+  });
+
+  errors.push(...(await validateMasterFields(cleaned, {})));
+  return { patch: cleaned, errors };
+};
+
+// Apply a prepared patch to each entry. Entries the patch leaves as they were are not saved; a failed entry
+// does not stop the others. Every saved entry gets its own audit record, and entries it deactivates the same
+// subscription and DisableByMIS log as a single edit.
+export const applyBatchUpdate = async (entries, patch, { user, disableReason = '' }) => {
+  const audits = [];
+  const result = { updated: 0, unchanged: 0, failed: [] };
+
+  for (const entry of entries) {
+    const before = entry.toObject();
+    const deactivated = patch.status === 'Deactive' && before.status !== 'Deactive';
+    Object.assign(entry, patch);
+    if (deactivated) entry.disabledAt = new Date();
+
+    if (!diffEntry(before, entry).length) {
+      result.unchanged++;
+      continue;
+    }
+
+    try {
+      await entry.save();
+    } catch (error) {
+      result.failed.push({ id: entry._id, particulars: entry.particulars, message: error.message });
+      continue;
+    }
+
+    result.updated++;
+    audits.push({
+      entry,
+      action: 'update',
+      before,
+      after: entry,
+      user,
+      source: 'batch_edit',
+      reason: deactivated ? disableReason : '',
+    });
+
+    // The entry is saved; a failure from here on is reported alongside it
+    try {
+      if (deactivated) {
+        await deactivateSubscription(entry.subscription, entry.disabledAt);
+        await RenewalLog.create({
+          subscription: entry.subscription,
+          expenseEntry: entry._id,
+          serviceHandler: entry.serviceHandler,
+          action: 'DisableByMIS',
+          reason: disableReason || 'Disabled by MIS',
+          renewalDate: new Date(),
+        });
+      }
+      await recordSubscriptionCharge(entry);
+    } catch (error) {
+      result.failed.push({ id: entry._id, particulars: entry.particulars, message: `Updated, but ${error.message}` });
+    }
+  }
+
+  await recordEntryAudits(audits);
+  return result;
+};
+
+export default {
+  BATCH_UPDATE_FIELDS,
+  MAX_BATCH_ENTRIES,
+  prepareBatchPatch,
+  applyBatchUpdate,
+};
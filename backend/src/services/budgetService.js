@@ -0,0 +1,160 @@
+import Budget from '../models/Budget.js';
+import User from '../models/User.js';
+import { aggregateSpend } from './expenseStatsService.js';
+import { sendBudgetAlertEmail } from './emailService.js';
+import { createNotification } from '../controllers/notificationController.js';
+
+export const BUDGET_PERIODS = ['Monthly', 'Quarterly', 'Yearly'];
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Calendar period (UTC, like entry dates) containing `date`; `end` is exclusive
+export const getBudgetPeriod = (period, date = new Date()) => {
+  const reference = new Date(date);
+  const year = reference.getUTCFullYear();
+  const month = reference.getUTCMonth();
+
+  if (period === 'Monthly') {
+    return {
+      key: `${year}-${String(month + 1).padStart(2, '0')}`,
+      label: `${MONTH_LABELS[month]} ${year}`,
+      start: new Date(Date.UTC(year, month, 1)),
+      end: new Date(Date.UTC(year, month + 1, 1)),
+    };
+  }
+
+  if (period === 'Quarterly') {
+    const quarter = Math.floor(month / 3);
+    return {
+      key: `${year}-Q${quarter + 1}`,
+      label: `Q${quarter + 1} ${year}`,
+      start: new Date(Date.UTC(year, quarter * 3, 1)),
+      end: new Date(Date.UTC(year, quarter * 3 + 3, 1)),
+    };
+  }
+
+  return {
+    key: `${year}`,
+    label: `${year}`,
+    start: new Date(Date.UTC(year, 0, 1)),
+    end: new Date(Date.UTC(year + 1, 0, 1)),
+  };
+};
+
+const matchesBudget = (budget, row) =>
+  row._id.businessUnit === budget.businessUnit &&
+  (!budget.costCenter || row._id.costCenter === budget.costCenter) &&
+  (!budget.typeOfService || row._id.typeOfService === budget.typeOfService);
+
+// Budget vs actual for the period containing `date`. Actuals are accepted booked INR, summed with the
+// same aggregation the expense stats use.
+export const getBudgetSummaries = async (budgets, date = new Date()) => {
+  const summaries = new Map();
+
+  for (const period of BUDGET_PERIODS) {
+    const periodBudgets = budgets.filter((budget) => budget.period === period);
+    if (!periodBudgets.length) continue;
+
+    const range = getBudgetPeriod(period, date);
+    const rows = await aggregateSpend(
+      {
+        entryStatus: 'Accepted',
+        businessUnit: { $in: [...new Set(periodBudgets.map((budget) => budget.businessUnit))] },
+        date: { $gte: range.start, $lt: range.end },
+      },
+      ['businessUnit', 'costCenter', 'typeOfService']
+    );
+
+    periodBudgets.forEach((budget) => {
+      const actual = rows.filter((row) => matchesBudget(budget, row)).reduce((sum, row) => sum + row.total, 0);
+      const plain = typeof budget.toObject === 'function' ? budget.toObject() : budget;
+      summaries.set(String(budget._id), {
+        ...plain,
+        actual,
+        remaining: budget.amount - actual,
+        percentUsed: budget.amount > 0 ? Math.round((actual / budget.amount) * 1000) / 10 : 0,
+        periodKey: range.key,
+        periodLabel: range.label,
+        periodStart: range.start,
+        periodEnd: range.end,
+      });
+    });
+  }
+
+  return budgets.map((budget) => summaries.get(String(budget._id)));
+};
+
+// Thresholds reached this period that have not been alerted yet
+export const getPendingThresholds = (summary) =>
+  (summary.alertThresholds || [])
+    .filter((threshold) => summary.percentUsed >= threshold)
+    .filter(
+      (threshold) =>
+        !(summary.alertsSent || []).some(
+          (sent) => sent.periodKey === summary.periodKey && sent.threshold === threshold
+        )
+    )
+    .sort((a, b) => a - b);
+
+// Notify BU Admins of the budget's BU and all MIS managers once per threshold and period
+export const sendBudgetAlerts = async (date = new Date()) => {
+  const budgets = await Budget.find({ isActive: true });
+  if (!budgets.length) return 0;
+
+  const summaries = await getBudgetSummaries(budgets, date);
+  const misManagers = await User.find({ role: 'mis_manager', isActive: { $ne: false } });
+  let alerts = 0;
+
+  for (let i = 0; i < budgets.length; i++) {
+    const budget = budgets[i];
+    const summary = summaries[i];
+    const pending = getPendingThresholds(summary);
+    if (!pending.length) continue;
+
+    // One alert for the highest threshold reached; lower ones are recorded as covered by it
+    const threshold = pending[pending.length - 1];
+    const buAdmins = await User.find({ role: 'business_unit_admin', businessUnit: budget.businessUnit });
+    const recipients = [...buAdmins, ...misManagers];
+    const scope = [budget.businessUnit, budget.costCenter, budget.typeOfService].filter(Boolean).join(' / ');
+    const details = { ...summary, threshold };
+
+    await Promise.all(
+      recipients.map(async (recipient) => {
+        await createNotification(
+          recipient._id,
+          'budget_alert',
+          threshold >= 100 ? 'Budget exceeded' : `Budget ${threshold}% used`,
+          `${scope} has used ${summary.percentUsed}% of its ${budget.period.toLowerCase()} budget for ${summary.periodLabel}`,
+          null,
+          {
+            budgetId: budget._id,
+            businessUnit: budget.businessUnit,
+            costCenter: budget.costCenter,
+            typeOfService: budget.typeOfService,
+            period: summary.periodLabel,
+            amount: budget.amount,
+            currency: 'INR',
+            actual: Math.round(summary.actual),
+            threshold,
+          }
+        );
+        await sendBudgetAlertEmail(recipient.email, details);
+      })
+    );
+
+    const sentAt = new Date();
+    pending.forEach((value) => budget.alertsSent.push({ periodKey: summary.periodKey, threshold: value, sentAt }));
+    await budget.save();
+    alerts++;
+  }
+
+  return alerts;
+};
+
+export default {
+  BUDGET_PERIODS,
+  getBudgetPeriod,
+  getBudgetSummaries,
+  getPendingThresholds,
+  sendBudgetAlerts,
+};
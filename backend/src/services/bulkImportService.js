@@ -0,0 +1,663 @@
+import mongoose from 'mongoose';
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import RenewalLog from '../models/RenewalLog.js';
+import { IMPORT_PROFILE_FIELDS } from '../models/ImportProfile.js';
+import { convertToINR } from './currencyService.js';
+import { buildMasterNormalizer } from './masterDataService.js';
+import { buildCardResolver } from './cardService.js';
+import { recordSubscriptionCharge, deactivateSubscription } from './subscriptionService.js';
+import { recordEntryAudit, diffEntry } from './auditService.js';
+import { flagSuspectedDuplicates } from './duplicateReviewService.js';
+import { parseDateValue, getField } from '../utils/spreadsheet.js';
+
+// Built-in source column headers for each entry field (matched case-insensitively); import profiles add their own
+export const IMPORT_FIELD_ALIASES = {
+  entryId: ['Entry ID', 'entryId', 'Entry Id'],
+  cardNumber: ['Card Number/Payment from', 'Card Number/Payment From', 'Card Number/Pavment from', 'Card Number', 'cardNumber', 'Card No'],
+  cardAssignedTo: ['Card Assigned To', 'cardAssignedTo', 'Card assigned to'],
+  date: ['Date', 'date'],
+  month: ['Month', 'month'],
+  status: ['Status', 'status'],
+  particulars: ['Particulars', 'particulars', 'Particulars - from cc statement', 'Particulars - from the statement'],
+  narration: ['Narration', 'narration', 'Narration - from statement', 'Narration - from the statement'],
+  currency: ['Currency', 'currency'],
+  billStatus: ['Bill Status', 'billStatus'],
+  amount: ['Amount', 'amount', 'Amount (USD/Euro/Any)', 'Amt', 'Amt (USD/Euro/Any)'],
+  xeRate: ['XE', 'XE Rate', 'xeRate'],
+  amountInINR: ['Amt INR', 'Amount in INR', 'amountInINR', 'Amount (INR)'],
+  typeOfService: ['Types of Tools or Service', 'Type of Tool or Service', 'typeOfService', 'Type', 'Type of Tool or Service*'],
+  businessUnit: ['Business Unit', 'businessUnit'],
+  costCenter: ['Cost Center', 'costCenter'],
+  approvedBy: ['Approved By', 'approvedBy'],
+  serviceHandler: ['Tool or Service Handler', 'Tool or Service Handler (User Name)', 'serviceHandler', 'Service Handler'],
+  recurring: ['Recurring/One-time', 'Recurring/One time', 'Recurring', 'recurring'],
+  isShared: ['Is Shared', 'isShared', 'Shared', 'shared', 'Shared Bill?', 'Is Shared (Yes/No)'],
+  sharedAllocations: [
+    'Shared Bill',
+    'Shared Bills',
+    'sharedBill',
+    'sharedAllocation',
+    'sharedAllocations',
+    'Shared Bill (BU:Amount, ...)',
+  ],
+};
+
+const STATUS_MAP = {
+  'deactive-nextmonth': 'Deactive',
+  'deactivate-nextmonth': 'Deactive',
+};
+const ALLOWED_STATUS = ['Active', 'Deactive', 'Declined'];
+export const IMPORT_STATUSES = ALLOWED_STATUS;
+
+const RECURRING_MAP = {
+  Recurring_M: 'Monthly',
+  Recurring_Y: 'Yearly',
+  OneTime: 'One-time',
+  'One Time': 'One-time',
+  'One-time': 'One-time',
+  Monthly: 'Monthly',
+  Yearly: 'Yearly',
+};
+// Recurring values the importer accepts as they are
+export const IMPORT_RECURRING_VALUES = [...new Set(Object.values(RECURRING_MAP))];
+
+// Normalize enums to allowed values
+const normalizeEnum = (value, map, allowedSet) => {
+  if (!value) return null;
+  const norm = value.toString().trim().toLowerCase();
+  if (map[norm]) return map[norm];
+  // direct match in allowed set (case-insensitive)
+  for (const a of allowedSet) {
+    if (a.toLowerCase() === norm) return a;
+  }
+  return null;
+};
+
+const parseBoolean = (value) => {
+  if (value === undefined || value === null) return false;
+  const norm = value.toString().trim().toLowerCase();
+  if (!norm) return false;
+  return ['true', 'yes', 'y', '1', 'shared', 'checked'].includes(norm);
+};
+
+const parseSharedAllocations = (raw, normalizeBusinessUnit) => {
+  if (!raw) return [];
+
+  // Handle JSON string or array
+  if (Array.isArray(raw)) {
+    return raw
+      .map((item) => {
+        const bu = normalizeBusinessUnit(item.businessUnit || item.bu || item.unit);
+        const amount = Number(item.amount ?? item.value ?? item.share);
+        return bu && amount > 0 ? { businessUnit: bu, amount } : null;
+      })
+      .filter(Boolean);
+  }
+
+  let text = raw;
+  try {
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed)) {
+      return parseSharedAllocations(parsed, normalizeBusinessUnit);
+    }
+  } catch (err) {
+    /* fall through to string parsing */
+  }
+
+  text = text?.toString?.() || '';
+  if (!text.trim()) return [];
+
+  const parts = text
+    .split(/[,;|]/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  const allocations = [];
+  for (const part of parts) {
+    const match = part.match(/(.+?)[\s:=\-]+([\d.,]+)/);
+    if (!match) continue;
+    const bu = normalizeBusinessUnit(match[1]);
+    const amt = parseFloat(match[2].replace(/[^0-9.-]/g, ''));
+    if (bu && !Number.isNaN(amt) && amt > 0) {
+      allocations.push({ businessUnit: bu, amount: amt });
+    }
+  }
+
+  return allocations;
+};
+
+// Header lookup, value aliases and defaults for one upload. Profile headers are tried before the built-in ones,
+// so a profile only has to describe the columns its layout names differently.
+export const compileImportProfile = (profile = null) => {
+  const aliases = {};
+  for (const [field, headers] of Object.entries(IMPORT_FIELD_ALIASES)) {
+    const custom = (profile?.columns || []).filter((column) => column.field === field).flatMap((column) => column.headers);
+    aliases[field] = [...custom, ...headers];
+  }
+
+  const valueAliases = {};
+  for (const { field, from, to } of profile?.valueAliases || []) {
+    valueAliases[field] = { ...valueAliases[field], [from.trim().toLowerCase()]: to };
+  }
+
+  const defaults = {};
+  for (const { field, value } of profile?.defaults || []) {
+    defaults[field] = value;
+  }
+
+  return { name: profile?.name || '', aliases, valueAliases, defaults };
+};
+
+// Column headers present anywhere in the parsed rows (blank cells are missing from a row object)
+export const sheetHeaders = (rows) => {
+  const headers = new Set();
+  for (const row of rows) {
+    Object.keys(row).forEach((key) => headers.add(key.toString().trim().toLowerCase()));
+  }
+  return headers;
+};
+
+// Pick the profile whose own headers best match the sheet; null when none of them match (built-in layout)
+export const detectImportProfile = (headers, profiles) => {
+  let best = null;
+  let bestScore = 0;
+
+  for (const profile of profiles) {
+    const profileHeaders = [
+      ...new Set((profile.columns || []).flatMap((column) => column.headers.map((header) => header.trim().toLowerCase()))),
+    ];
+    const matched = profileHeaders.filter((header) => headers.has(header)).length;
+    // Most matched headers wins; a tie goes to the profile with fewer headers left unmatched
+    const score = matched && matched - (profileHeaders.length - matched) / (profileHeaders.length + 1);
+    if (score > bestScore) {
+      best = profile;
+      bestScore = score;
+    }
+  }
+
+  return best;
+};
+
+// Entry fields a sheet has a column for, by the built-in headers or those of any saved profile
+export const countRecognisedHeaders = (headers, profiles = []) => {
+  const known = Object.entries(IMPORT_FIELD_ALIASES).map(([field, aliases]) => [
+    ...aliases,
+    ...profiles.flatMap((profile) =>
+      (profile.columns || []).filter((column) => column.field === field).flatMap((column) => column.headers)
+    ),
+  ]);
+  return known.filter((aliases) => aliases.some((alias) => headers.has(alias.trim().toLowerCase()))).length;
+};
+
+// Master data normalizers, the card resolver and the column mapping, loaded once per upload
+export const buildImportContext = async (profile = null) => {
+  const [normalizeBusinessUnit, normalizeCostCenter, normalizeTypeOfService, normalizeApprover, normalizeCurrency] =
+    await Promise.all([
+      buildMasterNormalizer('businessUnit'),
+      buildMasterNormalizer('costCenter'),
+      buildMasterNormalizer('typeOfService'),
+      buildMasterNormalizer('approver'),
+      buildMasterNormalizer('currency'),
+    ]);
+
+  return {
+    normalizeBusinessUnit,
+    normalizeCostCenter,
+    normalizeTypeOfService,
+    normalizeApprover,
+    normalizeCurrency,
+    resolveCard: await buildCardResolver(),
+    mapping: compileImportProfile(profile),
+  };
+};
+
+// Normalize through master data and warn when an alias changed the value (e.g. "Shared" -> Wytlabs)
+const normalizeMaster = (normalize, raw, label, warnings) => {
+  const value = normalize(raw);
+  const text = raw?.toString().trim();
+  if (value && text && text.toLowerCase() !== value.toLowerCase()) {
+    warnings.push(`${label} "${text}" mapped to ${value}`);
+  }
+  return value;
+};
+
+// Sheet and row number of the upload row at `index`. The rows of the selected sheets are stored one after
+// another; uploads without sheet information (e.g. CSV) number their rows from 2 as in the file.
+export const locateImportRow = (sheets, index) => {
+  let offset = 0;
+  for (const sheet of sheets || []) {
+    if (index < offset + sheet.rowCount) return { sheet, rowNumber: index - offset + 2 };
+    offset += sheet.rowCount;
+  }
+  return { sheet: null, rowNumber: index + 2 };
+};
+
+// Month label for a row of a sheet whose tab name names a month; a tab without a year takes it from the row's date
+const sheetMonthLabel = (inferred, date) => {
+  const year = inferred.year ?? date?.getFullYear();
+  if (!year || Number.isNaN(year)) return null;
+  return new Date(year, inferred.month, 1).toLocaleString('default', { month: 'short', year: 'numeric' });
+};
+
+// Parse one sheet row into entry values without touching the database. Rows with errors are not imported;
+// warnings flag values that were silently mapped or defaulted. `sheet` ({ name, month }) supplies the month
+// when the Month column is empty.
+export const prepareImportRow = (row, rowNumber, ctx, { sheet = null } = {}) => {
+  const warnings = [];
+  const errors = [];
+  // Fields behind the errors, so the error workbook can highlight the offending cells
+  const errorFields = new Set();
+  // Fields the row actually gives a value for; an update leaves the others as they are
+  const provided = new Set();
+  const mapping = ctx.mapping || compileImportProfile();
+  const field = (name) => {
+    let value = getField(row, mapping.aliases[name]);
+    const text = value?.toString().trim();
+    if (text || mapping.defaults[name] !== undefined) provided.add(name);
+    if (text && mapping.valueAliases[name]?.[text.toLowerCase()] !== undefined) {
+      value = mapping.valueAliases[name][text.toLowerCase()];
+    }
+    if (!text && mapping.defaults[name] !== undefined) {
+      value = mapping.defaults[name];
+      warnings.push(`${IMPORT_PROFILE_FIELDS[name]} missing, defaulted to ${value}`);
+    }
+    return value;
+  };
+
+  const rawCardNumber = field('cardNumber')?.toString().trim();
+  const rawAssigned = field('cardAssignedTo')?.toString().trim();
+  // Registered cards supply the holder when the sheet leaves it blank
+  const cardFields = ctx.resolveCard({ cardNumber: rawCardNumber, cardAssignedTo: rawAssigned });
+  const { cardNumber, cardAssignedTo } = cardFields;
+  if (!rawAssigned && cardAssignedTo) {
+    warnings.push(`Card Assigned To filled from the card registry (${cardAssignedTo})`);
+  }
+
+  const date = field('date');
+  const monthCell = (field('month') || '').toString().trim();
+
+  const statusRaw = (field('status') || 'Active').toString().trim();
+  const status = normalizeEnum(statusRaw, STATUS_MAP, ALLOWED_STATUS) || 'Active';
+  if (status.toLowerCase() !== statusRaw.toLowerCase()) {
+    warnings.push(`Status "${statusRaw}" mapped to ${status}`);
+  }
+
+  const particulars = field('particulars') || '';
+  const narrationRaw = field('narration');
+  const narration = narrationRaw ? narrationRaw.toString().trim() : '';
+
+  const currencyCell = field('currency');
+  const currencyRaw = (currencyCell || 'USD').toString().trim();
+  if (!currencyCell) warnings.push('Currency missing, defaulted to USD');
+  const currency = normalizeMaster(ctx.normalizeCurrency, currencyRaw, 'Currency', warnings);
+
+  const billStatus = `${field('billStatus') || ''}`.trim();
+  const amountRaw = field('amount');
+  const amount = parseFloat(amountRaw ? amountRaw.toString().replace(/,/g, '') : '');
+
+  const typeOfServiceRaw = field('typeOfService') || '';
+  const typeOfService = normalizeMaster(ctx.normalizeTypeOfService, typeOfServiceRaw, 'Type of Service', warnings);
+  const businessUnitRaw = (field('businessUnit') || '').toString().trim();
+  const businessUnit = normalizeMaster(ctx.normalizeBusinessUnit, businessUnitRaw, 'Business Unit', warnings);
+  const costCenterRaw = field('costCenter');
+  const costCenter = normalizeMaster(ctx.normalizeCostCenter, costCenterRaw, 'Cost Center', warnings);
+  const approvedByRaw = field('approvedBy');
+  const approvedBy = normalizeMaster(ctx.normalizeApprover, approvedByRaw, 'Approved By', warnings);
+  const serviceHandler = field('serviceHandler') || '';
+
+  // Normalize recurring values
+  const recurringRaw = field('recurring');
+  const recurring = RECURRING_MAP[recurringRaw] || 'One-time';
+  if (recurringRaw && !RECURRING_MAP[recurringRaw]) {
+    warnings.push(`Recurring "${recurringRaw}" not recognised, defaulted to One-time`);
+  }
+
+  // Shared fields (optional)
+  let sharedAllocations = parseSharedAllocations(field('sharedAllocations') ?? '', ctx.normalizeBusinessUnit);
+  let isShared = parseBoolean(field('isShared') ?? false) || sharedAllocations.length > 0;
+  if (isShared) {
+    // Ensure primary BU is present even if 0
+    if (!sharedAllocations.some((item) => item.businessUnit === businessUnit)) {
+      sharedAllocations.push({ businessUnit, amount: 0 });
+    }
+    const totalShared = sharedAllocations.reduce((sum, item) => sum + item.amount, 0);
+    if (totalShared > amount) {
+      errors.push('Shared allocations exceed total amount');
+      errorFields.add('sharedAllocations');
+    }
+    sharedAllocations = sharedAllocations.filter(
+      (item) => item.businessUnit && !Number.isNaN(item.amount) && item.amount >= 0
+    );
+    isShared = sharedAllocations.length > 0;
+  } else {
+    sharedAllocations = [];
+  }
+
+  // Validate required fields
+  const missing = [];
+  const requireField = (name, present) => {
+    if (present) return;
+    missing.push(IMPORT_PROFILE_FIELDS[name]);
+    errorFields.add(name);
+  };
+  requireField('cardNumber', cardNumber);
+  requireField('cardAssignedTo', cardAssignedTo);
+  requireField('date', date);
+  requireField('particulars', particulars);
+  requireField('amount', !Number.isNaN(amount));
+  requireField('businessUnit', businessUnitRaw);
+  if (missing.length) {
+    errors.push(`Missing required fields: ${missing.join(', ')}`);
+  }
+
+  // Validate enums after normalization
+  const enumErrors = [];
+  const requireEnum = (name, valid, raw) => {
+    if (valid) return;
+    enumErrors.push(`${IMPORT_PROFILE_FIELDS[name]} (value: ${raw || 'empty'})`);
+    errorFields.add(name);
+  };
+  requireEnum('typeOfService', typeOfService, typeOfServiceRaw);
+  requireEnum('businessUnit', !businessUnitRaw || businessUnit, businessUnitRaw);
+  requireEnum('costCenter', costCenter, costCenterRaw);
+  requireEnum('approvedBy', approvedBy, approvedByRaw);
+  requireEnum('currency', currency, currencyRaw);
+  if (enumErrors.length) {
+    errors.push(`Invalid enum: ${enumErrors.join(', ')}`);
+  }
+
+  const parsedDate = parseDateValue(date);
+  if (date && (!parsedDate || isNaN(parsedDate.getTime()))) {
+    errors.push('Invalid date');
+    errorFields.add('date');
+  }
+
+  let month = monthCell || undefined;
+  if (!month && sheet?.month) {
+    month = sheetMonthLabel(sheet.month, parsedDate) || undefined;
+    if (month) warnings.push(`Month taken from sheet "${sheet.name}" (${month})`);
+  }
+
+  // Exchange rate and INR amount may be supplied by the sheet
+  const providedRate = parseFloat(field('xeRate'));
+  const providedInINR = parseFloat(field('amountInINR'));
+
+  return {
+    rowNumber,
+    sheet: sheet?.name ?? null,
+    values: {
+      entryId: field('entryId')?.toString().trim() || null,
+      ...cardFields,
+      date: parsedDate,
+      month: month || parsedDate?.toLocaleString('default', { month: 'short', year: 'numeric' }),
+      status,
+      particulars,
+      narration: narration || particulars,
+      currency,
+      billStatus,
+      amount,
+      typeOfService,
+      businessUnit,
+      costCenter,
+      approvedBy,
+      serviceHandler,
+      recurring,
+      isShared,
+      sharedAllocations,
+      xeRate: providedRate || null,
+      amountInINR: providedInINR || null,
+    },
+    warnings,
+    errors,
+    errorFields: [...errorFields],
+    provided: [...provided],
+  };
+};
+
+// Two rows describe the same charge when card, date, particulars, business unit, amount and currency agree.
+// The preview points such rows out; importing creates them anyway and queues them for duplicate review.
+export const duplicateKey = (values) =>
+  [values.cardNumber, values.date?.toISOString(), values.particulars, values.businessUnit, values.amount, values.currency].join('|');
+
+// Rows per duplicate lookup query
+const DUPLICATE_LOOKUP_CHUNK = 500;
+
+const duplicateFilter = (values) => ({
+  cardNumber: values.cardNumber,
+  date: values.date,
+  particulars: values.particulars,
+  businessUnit: values.businessUnit,
+  amount: values.amount,
+  currency: values.currency,
+});
+
+// Look up the stored exact duplicates of many rows in one query per chunk, by duplicate key
+export const findDuplicateEntries = async (valuesList) => {
+  const found = new Map();
+  for (let start = 0; start < valuesList.length; start += DUPLICATE_LOOKUP_CHUNK) {
+    const filters = valuesList.slice(start, start + DUPLICATE_LOOKUP_CHUNK).map(duplicateFilter);
+    const entries = await ExpenseEntry.find({ $or: filters });
+    for (const entry of entries) {
+      const key = duplicateKey(entry);
+      if (!found.has(key)) found.set(key, entry);
+    }
+  }
+  return found;
+};
+
+// Entries named by the Entry ID column of an update upload, by id. Ids that are not valid or whose entry
+// is gone are simply missing from the map.
+export const findEntriesById = async (ids) => {
+  const validIds = [...new Set(ids.filter((id) => id && mongoose.isValidObjectId(id)))];
+  if (!validIds.length) return new Map();
+  const entries = await ExpenseEntry.find({ _id: { $in: validIds } });
+  return new Map(entries.map((entry) => [entry._id.toString(), entry]));
+};
+
+// Entry fields an update upload sets straight from the row; card, shared bill and conversion fields follow below
+const UPDATABLE_FIELDS = [
+  'date',
+  'month',
+  'status',
+  'particulars',
+  'narration',
+  'currency',
+  'billStatus',
+  'amount',
+  'typeOfService',
+  'businessUnit',
+  'costCenter',
+  'approvedBy',
+  'serviceHandler',
+  'recurring',
+];
+
+const sameDay = (a, b) => a && b && new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+
+// Apply a row to the entry it names without saving. Only the columns the row fills are applied, so a sheet
+// with fewer columns (or blank cells) leaves the rest of the entry alone.
+export const stageImportUpdate = (entry, prepared) => {
+  const { values } = prepared;
+  const provided = new Set(prepared.provided || []);
+  const before = entry.toObject();
+
+  const updates = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (provided.has(field)) updates[field] = values[field];
+  }
+  // Exports write the date without a time, so only a different day counts as a change
+  if (updates.date && sameDay(updates.date, before.date)) delete updates.date;
+  if (provided.has('cardNumber') || provided.has('cardAssignedTo')) {
+    Object.assign(updates, { card: values.card, cardNumber: values.cardNumber, cardAssignedTo: values.cardAssignedTo });
+  }
+  if (provided.has('isShared') || provided.has('sharedAllocations')) {
+    Object.assign(updates, { isShared: values.isShared, sharedAllocations: values.sharedAllocations });
+  }
+  Object.assign(entry, updates);
+
+  const deactivated = entry.status === 'Deactive' && before.status !== 'Deactive';
+  if (deactivated) entry.disabledAt = new Date();
+
+  return {
+    before,
+    deactivated,
+    conversionChanged:
+      entry.amount !== before.amount ||
+      entry.currency !== before.currency ||
+      new Date(entry.date).getTime() !== new Date(before.date).getTime(),
+    changes: diffEntry(before, entry),
+  };
+};
+
+// What committing the rows would do, without writing anything: create, update the entry named by the Entry ID
+// column, or skip with errors. A new row that exactly matches a stored entry or an earlier row of the file
+// names it in duplicateOf; it is still created, and goes to the duplicate review queue.
+// `mode` is 'create' (Entry IDs are ignored) or 'upsert'; `sheets` describes the sheets the rows came from.
+export const previewImportRows = async (rows, ctx, { mode = 'create', sheets = [] } = {}) => {
+  const seen = new Map();
+  const prepared = rows.map((row, i) => {
+    const { sheet, rowNumber } = locateImportRow(sheets, i);
+    return prepareImportRow(row, rowNumber, ctx, { sheet });
+  });
+  const valid = prepared.filter((item) => !item.errors.length);
+  const targets =
+    mode === 'upsert' ? await findEntriesById(valid.map((item) => item.values.entryId)) : new Map();
+  const stored = await findDuplicateEntries(
+    valid.filter((item) => mode !== 'upsert' || !item.values.entryId).map((item) => item.values)
+  );
+
+  return prepared.map((row) => {
+    const item = { ...row, action: 'error', duplicateOf: null, changes: [] };
+
+    if (!row.errors.length && mode === 'upsert' && row.values.entryId) {
+      const target = targets.get(row.values.entryId);
+      if (!target) {
+        item.errors = [`Entry ID ${row.values.entryId} not found`];
+        item.errorFields = ['entryId'];
+        return item;
+      }
+      // Staged on the fetched document only; nothing is saved
+      item.changes = stageImportUpdate(target, row).changes;
+      item.action = item.changes.length ? 'update' : 'unchanged';
+      return item;
+    }
+
+    if (!row.errors.length) {
+      if (row.values.entryId) {
+        item.warnings = [...row.warnings, 'Entry ID ignored; choose update mode to edit existing entries'];
+      }
+      const key = duplicateKey(row.values);
+      const existing = stored.get(key);
+      item.action = 'create';
+      if (existing) {
+        item.duplicateOf = { entry: existing._id, duplicateStatus: existing.duplicateStatus };
+      } else if (seen.has(key)) {
+        item.duplicateOf = seen.get(key);
+      } else {
+        seen.set(key, { row: row.rowNumber, sheet: row.sheet });
+      }
+      if (item.duplicateOf) {
+        item.warnings = [...item.warnings, 'Exact duplicate; it will be queued for duplicate review'];
+      }
+    }
+
+    return item;
+  });
+};
+
+// Write one prepared row as a new entry; duplicates, exact ones included, are queued for review. A failure
+// after the entry was created is returned as `error` so the caller still knows the entry exists.
+// `convert` lets a caller share exchange rate lookups across rows.
+export const commitImportRow = async (prepared, { user, batch, convert = convertToINR }) => {
+  const { values } = prepared;
+  const { xeRate: providedRate, amountInINR: providedInINR, entryId, ...fields } = values;
+
+  // Exchange rate handling: prefer provided XE, else fetch
+  let rate = providedRate;
+  let rateDate = null;
+  let rateSource = 'import';
+  if (!rate || Number.isNaN(rate)) {
+    const converted = await convert(values.amount, values.currency, values.date);
+    rate = converted.rate;
+    rateDate = converted.rateDate;
+    rateSource = converted.source;
+  }
+  // Amount in INR handling: prefer provided, else compute
+  const amountInINR = providedInINR && !Number.isNaN(providedInINR) ? providedInINR : values.amount * rate;
+
+  const entry = await ExpenseEntry.create({
+    ...fields,
+    xeRate: rate,
+    xeRateDate: rateDate,
+    xeRateSource: rateSource,
+    amountInINR,
+    entryStatus: 'Accepted', // Bulk uploads are auto-approved
+    duplicateStatus: 'Unique',
+    createdBy: user._id,
+    importBatch: batch?._id || null,
+  });
+
+  try {
+    await recordEntryAudit({ entry, action: 'create', after: entry, user, source: 'bulk_upload' });
+    await recordSubscriptionCharge(entry);
+  } catch (error) {
+    return { outcome: 'created', entry, error: error.message };
+  }
+
+  const suspected = await flagSuspectedDuplicates(entry, { source: 'bulk_upload' });
+  return { outcome: 'created', entry, suspected: suspected.length > 0 };
+};
+
+// Write a row onto the entry it names. The booked exchange rate is kept unless amount, currency or date
+// changed, as in a manual edit. A row that changes nothing is reported as 'unchanged' and not saved.
+export const commitImportUpdate = async (prepared, entry, { user, convert = convertToINR }) => {
+  const { before, deactivated, conversionChanged } = stageImportUpdate(entry, prepared);
+  if (conversionChanged) {
+    const { rate, rateDate, source, amountInINR } = await convert(entry.amount, entry.currency, entry.date);
+    Object.assign(entry, { xeRate: rate, xeRateDate: rateDate, xeRateSource: source, amountInINR });
+  }
+
+  const changes = diffEntry(before, entry);
+  if (!changes.length) return { outcome: 'unchanged', entry, changes };
+
+  await entry.save();
+  try {
+    await recordEntryAudit({ entry, action: 'update', before, after: entry, user, source: 'bulk_upload' });
+    if (deactivated) {
+      await deactivateSubscription(entry.subscription, entry.disabledAt);
+      await RenewalLog.create({
+        subscription: entry.subscription,
+        expenseEntry: entry._id,
+        serviceHandler: entry.serviceHandler,
+        action: 'DisableByMIS',
+        reason: 'Disabled by bulk upload',
+        renewalDate: new Date(),
+      });
+    }
+    await recordSubscriptionCharge(entry);
+  } catch (error) {
+    return { outcome: 'updated', entry, changes, error: error.message };
+  }
+
+  return { outcome: 'updated', entry, changes };
+};
+
+export default {
+  IMPORT_FIELD_ALIASES,
+  IMPORT_STATUSES,
+  IMPORT_RECURRING_VALUES,
+  compileImportProfile,
+  sheetHeaders,
+  detectImportProfile,
+  countRecognisedHeaders,
+  buildImportContext,
+  locateImportRow,
+  prepareImportRow,
+  duplicateKey,
+  findDuplicateEntries,
+  findEntriesById,
+  stageImportUpdate,
+  previewImportRows,
+  commitImportRow,
+  commitImportUpdate,
+};
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import Card from '../models/Card.js';
+
+// Store at most the last four digits of a full card number; internal card codes pass through
+export const maskCardNumber = (raw) => {
+  const value = `${raw ?? ''}`.trim();
+  const digits = value.replace(/[\s-]/g, '');
+  if (/^\d{12,19}$/.test(digits)) {
+    return `XXXX-XXXX-XXXX-${digits.slice(-4)}`;
+  }
+  return value;
+};
+
+const toEntryCardFields = (registered, maskedNumber, cardAssignedTo) => ({
+  card: registered?._id || null,
+  cardNumber: registered?.maskedNumber || maskedNumber,
+  cardAssignedTo: cardAssignedTo || registered?.holder?.name || registered?.holderName || '',
+});
+
+// Link an entry to its registered card (by id or number) and fill the holder when not given
+export const resolveEntryCard = async ({ card, cardNumber, cardAssignedTo }) => {
+  let registered = null;
+  if (card && mongoose.isValidObjectId(card)) {
+    registered = await Card.findById(card).populate('holder', 'name').lean();
+  }
+
+  const maskedNumber = maskCardNumber(cardNumber);
+  if (!registered && maskedNumber) {
+    registered = await Card.findOne({ maskedNumber }).populate('holder', 'name').lean();
+  }
+
+  return toEntryCardFields(registered, maskedNumber, cardAssignedTo);
+};
+
+// Preloaded variant of resolveEntryCard for bulk imports
+export const buildCardResolver = async () => {
+  const cards = await Card.find({}).populate('holder', 'name').lean();
+  const byNumber = new Map(cards.map((card) => [card.maskedNumber.toLowerCase(), card]));
+
+  return ({ cardNumber, cardAssignedTo }) => {
+    const maskedNumber = maskCardNumber(cardNumber);
+    const registered = maskedNumber ? byNumber.get(maskedNumber.toLowerCase()) : null;
+    return toEntryCardFields(registered, maskedNumber, cardAssignedTo);
+  };
+};
+
+export default {
+  maskCardNumber,
+  resolveEntryCard,
+  buildCardResolver,
+};
@@ -1,8 +1,17 @@
 import cron from 'node-cron';
 import ExpenseEntry from '../models/ExpenseEntry.js';
+import Subscription from '../models/Subscription.js';
+import EntryMerge from '../models/EntryMerge.js';
 import User from '../models/User.js';
 import { sendRenewalReminderEmail, sendAutoCancellationNoticeEmail } from './emailService.js';
-import { getExchangeRate } from './currencyService.js';
+import { refreshLiveRate, toRateDate } from './currencyService.js';
+import { getMasterValues } from './masterDataService.js';
+import { addCadence, advanceRenewal, relinkLastCharges, toServiceDetails } from './subscriptionService.js';
+import { sendBudgetAlerts } from './budgetService.js';
+import { removeEntryAttachments } from './attachmentService.js';
+import { recordEntryAudits } from './auditService.js';
+import { moveEntryToRecycleBin } from './recycleBinService.js';
+import { runImportJobsOnce } from './importJobService.js';
 import { createNotification } from '../controllers/notificationController.js';
 import RenewalLog from '../models/RenewalLog.js';
 
@@ -20,65 +29,34 @@ const buildNamePattern = (name) => {
 };
 
 // Check if a renewal action already exists for this cycle (Continue/Cancel/DisableByMIS)
-const hasRenewalAction = async (entryId, renewalDate) => {
-  if (!entryId || !renewalDate) return false;
+const hasRenewalAction = async (subscriptionId, renewalDate) => {
+  if (!subscriptionId || !renewalDate) return false;
   const existing = await RenewalLog.findOne({
-    expenseEntry: entryId,
+    subscription: subscriptionId,
     renewalDate,
     action: { $in: ['Continue', 'Cancel', 'DisableByMIS'] },
   }).lean();
   return Boolean(existing);
 };
 
-// Advance overdue recurring entries to the next future cycle and clear reminder flags
-const advanceNextRenewalDate = (entry) => {
-  if (!entry?.nextRenewalDate) return false;
-
-  const now = new Date();
-  let nextDate = new Date(entry.nextRenewalDate);
-  const original = nextDate.getTime();
-
-  if (entry.recurring === 'Monthly') {
-    while (nextDate < now) {
-      nextDate.setMonth(nextDate.getMonth() + 1);
-    }
-  } else if (entry.recurring === 'Yearly') {
-    while (nextDate < now) {
-      nextDate.setFullYear(nextDate.getFullYear() + 1);
-    }
-  } else {
-    return false;
-  }
-
-  if (nextDate.getTime() !== original) {
-    entry.nextRenewalDate = nextDate;
-    entry.renewalNotificationSent = false;
-    entry.autoCancellationNotificationSent = false;
-    return true;
-  }
-
-  return false;
-};
-
-// Fix any missed renewal cycles before selecting upcoming reminders
+// Fix any missed renewal cycles before selecting upcoming reminders. A charge that has not been
+// booked yet moves the cycle again when it arrives.
 const runRenewalCatchUpOnce = async () => {
-  const overdueEntries = await ExpenseEntry.find({
+  const overdueSubscriptions = await Subscription.find({
     nextRenewalDate: { $lt: new Date() },
     status: 'Active',
-    entryStatus: 'Accepted',
-    recurring: { $in: ['Monthly', 'Yearly'] },
   });
 
-  if (!overdueEntries.length) return;
+  if (!overdueSubscriptions.length) return;
 
-  for (const entry of overdueEntries) {
-    const advanced = advanceNextRenewalDate(entry);
+  for (const subscription of overdueSubscriptions) {
+    const advanced = advanceRenewal(subscription);
     if (advanced) {
-      await entry.save();
+      await subscription.save();
     }
   }
 
-  console.log(`Catch-up processed for ${overdueEntries.length} overdue entries`);
+  console.log(`Catch-up processed for ${overdueSubscriptions.length} overdue subscriptions`);
 };
 
 // Send renewal reminders 5 days before renewal date
@@ -91,52 +69,51 @@ export const runRenewalRemindersOnce = async () => {
   const targetDate = new Date();
   targetDate.setDate(targetDate.getDate() + reminderDays);
 
-  const upcomingRenewals = await ExpenseEntry.find({
+  const upcomingRenewals = await Subscription.find({
     nextRenewalDate: {
       $gte: new Date(targetDate.setHours(0, 0, 0, 0)),
       $lte: new Date(targetDate.setHours(23, 59, 59, 999)),
     },
     status: 'Active',
-    entryStatus: 'Accepted',
     renewalNotificationSent: false,
   });
 
-  console.log(`Found ${upcomingRenewals.length} services due for renewal`);
+  console.log(`Found ${upcomingRenewals.length} subscriptions due for renewal`);
 
-  for (const entry of upcomingRenewals) {
-    const alreadyHandled = await hasRenewalAction(entry._id, entry.nextRenewalDate);
+  for (const subscription of upcomingRenewals) {
+    const alreadyHandled = await hasRenewalAction(subscription._id, subscription.nextRenewalDate);
     if (alreadyHandled) continue;
 
     const serviceHandler = await User.findOne({
-      name: buildNamePattern(entry.serviceHandler),
+      name: buildNamePattern(subscription.serviceHandler),
       role: 'service_handler',
-      businessUnit: entry.businessUnit,
+      businessUnit: subscription.businessUnit,
     });
 
     if (serviceHandler) {
-      await sendRenewalReminderEmail(serviceHandler.email, entry);
+      await sendRenewalReminderEmail(serviceHandler.email, toServiceDetails(subscription));
 
       await createNotification(
         serviceHandler._id,
         'renewal_reminder',
         'Service Renewal Reminder',
-        `Your subscription for ${entry.particulars} is due for renewal in ${reminderDays} days`,
-        entry._id,
+        `Your subscription for ${subscription.particulars} is due for renewal in ${reminderDays} days`,
+        subscription.lastCharge,
         {
-          entryId: entry._id,
-          service: entry.particulars,
-          businessUnit: entry.businessUnit,
-          serviceHandler: entry.serviceHandler,
-          nextRenewalDate: entry.nextRenewalDate,
-          amount: entry.amount,
-          currency: entry.currency,
+          subscriptionId: subscription._id,
+          service: subscription.particulars,
+          businessUnit: subscription.businessUnit,
+          serviceHandler: subscription.serviceHandler,
+          nextRenewalDate: subscription.nextRenewalDate,
+          amount: subscription.expectedAmount,
+          currency: subscription.currency,
         }
       );
 
-      entry.renewalNotificationSent = true;
-      await entry.save();
+      subscription.renewalNotificationSent = true;
+      await subscription.save();
 
-      console.log(`Renewal reminder sent for ${entry.particulars} to ${serviceHandler.email}`);
+      console.log(`Renewal reminder sent for ${subscription.particulars} to ${serviceHandler.email}`);
     }
   }
 
@@ -158,19 +135,25 @@ export const scheduleRenewalReminders = () => {
   );
 };
 
-// Auto-delete rejected entries after specified days
+// Move rejected entries to the recycle bin after specified days
 export const runRejectedEntriesCleanupOnce = async () => {
   console.log('Running rejected entries cleanup job (single run)...');
   const deleteDays = parseInt(process.env.AUTO_DELETE_REJECTED_DAYS, 10) || 3;
   const cutoffDate = new Date();
   cutoffDate.setDate(cutoffDate.getDate() - deleteDays);
 
-  const result = await ExpenseEntry.deleteMany({
+  const expiredEntries = await ExpenseEntry.find({
     entryStatus: 'Rejected',
     updatedAt: { $lte: cutoffDate },
   });
 
-  console.log(`Deleted ${result.deletedCount} rejected entries older than ${deleteDays} days`);
+  // As a manual delete does, so a reconciled entry gives its statement line back
+  const reason = `Rejected entry moved to the recycle bin after ${deleteDays} days`;
+  for (const entry of expiredEntries) {
+    await moveEntryToRecycleBin(entry, null, { source: 'system', reason });
+  }
+
+  console.log(`Moved ${expiredEntries.length} rejected entries older than ${deleteDays} days to the recycle bin`);
 };
 
 export const scheduleRejectedEntriesCleanup = () => {
@@ -188,45 +171,35 @@ export const scheduleRejectedEntriesCleanup = () => {
   );
 };
 
-// Reset renewal notification flag for renewed services
+// Reset renewal notification flag for renewed subscriptions
 export const runRenewalFlagResetOnce = async () => {
   console.log('Running renewal flag reset job (single run)...');
 
-  const candidates = await ExpenseEntry.find({
+  const candidates = await Subscription.find({
     nextRenewalDate: { $lt: new Date() },
     renewalNotificationSent: true,
   });
 
   if (candidates.length === 0) {
-    console.log('No services to reset');
+    console.log('No subscriptions to reset');
     return;
   }
 
-  const bulkOps = candidates.map((entry) => {
-    let nextDate = entry.nextRenewalDate;
-    if (entry.recurring === 'Monthly' && nextDate) {
-      nextDate = new Date(nextDate);
-      nextDate.setMonth(nextDate.getMonth() + 1);
-    } else if (entry.recurring === 'Yearly' && nextDate) {
-      nextDate = new Date(nextDate);
-      nextDate.setFullYear(nextDate.getFullYear() + 1);
-    }
-
-    return {
-      updateOne: {
-        filter: { _id: entry._id },
-        update: {
-          $set: {
-            nextRenewalDate: nextDate,
-            renewalNotificationSent: false,
-          },
+  const bulkOps = candidates.map((subscription) => ({
+    updateOne: {
+      filter: { _id: subscription._id },
+      update: {
+        $set: {
+          nextRenewalDate: addCadence(subscription.nextRenewalDate, subscription.recurring),
+          renewalNotificationSent: false,
+          autoCancellationNotificationSent: false,
         },
       },
-    };
-  });
+    },
+  }));
 
-  const result = await ExpenseEntry.bulkWrite(bulkOps);
-  console.log(`Reset renewal flag for ${result.modifiedCount || 0} services`);
+  const result = await Subscription.bulkWrite(bulkOps);
+  console.log(`Reset renewal flag for ${result.modifiedCount || 0} subscriptions`);
 };
 
 export const scheduleRenewalFlagReset = () => {
@@ -244,30 +217,29 @@ export const scheduleRenewalFlagReset = () => {
   );
 };
 
-// Refresh XE rates and INR amounts daily to keep displayed conversion current
+// Record today's live API rates into the exchange rate history. Entries keep the rate of their own
+// transaction date, so booked INR amounts are never rewritten here.
 export const runExchangeRateRefreshOnce = async () => {
   console.log('Running exchange rate refresh job (single run)...');
 
-  const currencies = await ExpenseEntry.distinct('currency');
-  if (!currencies || currencies.length === 0) {
+  const currencies = new Set([
+    ...(await ExpenseEntry.distinct('currency')),
+    ...(await getMasterValues('currency')),
+  ]);
+  currencies.delete('INR');
+  if (currencies.size === 0) {
     console.log('No currencies found to refresh.');
     return;
   }
 
+  const today = toRateDate();
   for (const currency of currencies) {
-    const rate = await getExchangeRate(currency, 'INR');
-    await ExpenseEntry.updateMany(
-      { currency },
-      [
-        {
-          $set: {
-            xeRate: rate,
-            amountInINR: { $multiply: ['$amount', rate] },
-          },
-        },
-      ]
-    );
-    console.log(`Updated XE rate for ${currency} -> INR at ${rate}`);
+    const recorded = await refreshLiveRate(currency, 'INR');
+    if (!recorded) {
+      console.warn(`Rate API unavailable for ${currency} -> INR; nothing recorded`);
+      continue;
+    }
+    console.log(`Recorded ${currency} -> INR at ${recorded.rate} for ${today.toISOString().slice(0, 10)}`);
   }
 
   console.log('Exchange rate refresh job completed');
@@ -299,10 +271,9 @@ export const runAutoCancellationNoticesOnce = async () => {
   const end = new Date(target);
   end.setHours(23, 59, 59, 999);
 
-  const candidates = await ExpenseEntry.find({
+  const candidates = await Subscription.find({
     nextRenewalDate: { $gte: start, $lte: end },
     status: 'Active',
-    entryStatus: 'Accepted',
     renewalNotificationSent: true,
     autoCancellationNotificationSent: false,
   });
@@ -315,33 +286,35 @@ export const runAutoCancellationNoticesOnce = async () => {
   const misManagers = await User.find({ role: 'mis_manager' });
   const superAdmins = await User.find({ role: 'super_admin' });
 
-  for (const entry of candidates) {
-    const priorResponse = await hasRenewalAction(entry._id, entry.nextRenewalDate);
+  for (const subscription of candidates) {
+    const priorResponse = await hasRenewalAction(subscription._id, subscription.nextRenewalDate);
     if (priorResponse) continue;
 
     const handlerUser = await User.findOne({
-      name: buildNamePattern(entry.serviceHandler),
+      name: buildNamePattern(subscription.serviceHandler),
       role: 'service_handler',
-      businessUnit: entry.businessUnit,
+      businessUnit: subscription.businessUnit,
     });
 
+    const serviceDetails = toServiceDetails(subscription);
     if (handlerUser) {
-      await sendAutoCancellationNoticeEmail(handlerUser.email, entry, daysBefore);
+      await sendAutoCancellationNoticeEmail(handlerUser.email, serviceDetails, daysBefore);
     }
     await Promise.all(
-      misManagers.map((mis) => sendAutoCancellationNoticeEmail(mis.email, entry, daysBefore))
+      misManagers.map((mis) => sendAutoCancellationNoticeEmail(mis.email, serviceDetails, daysBefore))
     );
 
     const notifPayload = {
       reason: 'No response to renewal reminder',
-      service: entry.particulars,
-      businessUnit: entry.businessUnit,
-      serviceHandler: entry.serviceHandler,
-      purchaseDate: entry.date,
-      nextRenewalDate: entry.nextRenewalDate,
-      amount: entry.amount,
-      currency: entry.currency,
-      recurring: entry.recurring,
+      service: subscription.particulars,
+      businessUnit: subscription.businessUnit,
+      serviceHandler: subscription.serviceHandler,
+      subscriptionId: subscription._id,
+      purchaseDate: subscription.startDate,
+      nextRenewalDate: subscription.nextRenewalDate,
+      amount: subscription.expectedAmount,
+      currency: subscription.currency,
+      recurring: subscription.recurring,
     };
 
     await Promise.all([
@@ -350,8 +323,8 @@ export const runAutoCancellationNoticesOnce = async () => {
           mis._id,
           'service_cancellation',
           'Auto-cancel requested',
-          `No response from ${entry.serviceHandler} for ${entry.particulars} (renewal in ${daysBefore} days)`,
-          entry._id,
+          `No response from ${subscription.serviceHandler} for ${subscription.particulars} (renewal in ${daysBefore} days)`,
+          subscription.lastCharge,
           notifPayload
         )
       ),
@@ -360,15 +333,15 @@ export const runAutoCancellationNoticesOnce = async () => {
           admin._id,
           'service_cancellation',
           'Auto-cancel requested',
-          `No response from ${entry.serviceHandler} for ${entry.particulars} (renewal in ${daysBefore} days)`,
-          entry._id,
+          `No response from ${subscription.serviceHandler} for ${subscription.particulars} (renewal in ${daysBefore} days)`,
+          subscription.lastCharge,
           notifPayload
         )
       ),
     ]);
 
-    entry.autoCancellationNotificationSent = true;
-    await entry.save();
+    subscription.autoCancellationNotificationSent = true;
+    await subscription.save();
   }
   console.log('Auto-cancellation notice job completed');
 };
@@ -388,15 +361,116 @@ export const scheduleAutoCancellationNotices = () => {
   );
 };
 
+// Alert BU Admins and MIS when budgets reach their thresholds for the current period
+export const runBudgetAlertsOnce = async () => {
+  console.log('Running budget alert job (single run)...');
+  const alerts = await sendBudgetAlerts();
+  console.log(`Budget alert job completed: ${alerts} budgets alerted`);
+};
+
+export const scheduleBudgetAlerts = () => {
+  const timezone = process.env.CRON_TIMEZONE || 'UTC';
+  cron.schedule(
+    '0 9 * * *',
+    async () => {
+      try {
+        await runBudgetAlertsOnce();
+      } catch (error) {
+        console.error('Error in budget alert cron job:', error);
+      }
+    },
+    { timezone }
+  );
+};
+
+// Permanently remove entries that have been in the recycle bin longer than the retention period. Entries merged
+// into a purged entry go with it: they are hidden for good and their merge can no longer be undone.
+export const runDeletedEntriesPurgeOnce = async () => {
+  console.log('Running deleted entries purge job (single run)...');
+  const retentionDays = parseInt(process.env.DELETED_ENTRY_RETENTION_DAYS, 10) || 30;
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+
+  const purgeable = await ExpenseEntry.find({ deletedAt: { $ne: null, $lte: cutoffDate } });
+  const survivorIds = purgeable.map((entry) => entry._id);
+  const mergedAway = survivorIds.length ? await ExpenseEntry.find({ mergedInto: { $in: survivorIds } }) : [];
+  const removed = [...purgeable, ...mergedAway];
+  for (const entry of removed.filter((item) => item.attachmentCount > 0)) {
+    await removeEntryAttachments(entry._id);
+  }
+
+  const removedIds = removed.map((entry) => entry._id);
+  const result = await ExpenseEntry.deleteMany({
+    $or: [
+      { _id: { $in: survivorIds }, deletedAt: { $ne: null } },
+      { _id: { $in: mergedAway.map((entry) => entry._id) }, mergedInto: { $ne: null } },
+    ],
+  });
+  if (removedIds.length) {
+    await EntryMerge.deleteMany({ survivor: { $in: survivorIds } });
+    await relinkLastCharges(removedIds);
+  }
+  await recordEntryAudits([
+    ...purgeable.map((entry) => ({
+      entry,
+      action: 'purge',
+      source: 'system',
+      reason: `Purged after ${retentionDays} days in the recycle bin`,
+    })),
+    ...mergedAway.map((entry) => ({
+      entry,
+      action: 'purge',
+      source: 'system',
+      reason: 'Purged with the entry it was merged into',
+    })),
+  ]);
+
+  console.log(`Purged ${result.deletedCount} entries deleted more than ${retentionDays} days ago or merged into them`);
+};
+
+export const scheduleDeletedEntriesPurge = () => {
+  const timezone = process.env.CRON_TIMEZONE || 'UTC';
+  cron.schedule(
+    '30 2 * * *',
+    async () => {
+      try {
+        await runDeletedEntriesPurgeOnce();
+      } catch (error) {
+        console.error('Error in deleted entries purge cron job:', error);
+      }
+    },
+    { timezone }
+  );
+};
+
+// Pick up bulk upload jobs that are queued or whose worker stopped (uploads also start the worker directly)
+export const scheduleImportJobs = () => {
+  const timezone = process.env.CRON_TIMEZONE || 'UTC';
+  cron.schedule(
+    '* * * * *',
+    async () => {
+      try {
+        await runImportJobsOnce();
+      } catch (error) {
+        console.error('Error in import jobs cron job:', error);
+      }
+    },
+    { timezone }
+  );
+};
+
 // Initialize all cron jobs
 export const initializeCronJobs = () => {
   if (process.env.ENABLE_IN_APP_CRON === 'true') {
     console.log('Initializing in-app cron jobs...');
     scheduleRenewalReminders();
     scheduleRejectedEntriesCleanup();
+    scheduleDeletedEntriesPurge();
     scheduleRenewalFlagReset();
     scheduleExchangeRateRefresh();
     scheduleAutoCancellationNotices();
+    scheduleBudgetAlerts();
+    scheduleImportJobs();
     console.log('Cron jobs initialized successfully');
   } else {
     console.log('In-app cron disabled. Use Cloud Scheduler to trigger handlers.');
@@ -407,12 +481,16 @@ export default {
   initializeCronJobs,
   scheduleRenewalReminders,
   scheduleRejectedEntriesCleanup,
+  scheduleDeletedEntriesPurge,
   scheduleRenewalFlagReset,
   scheduleExchangeRateRefresh,
   scheduleAutoCancellationNotices,
+  scheduleBudgetAlerts,
   runRenewalRemindersOnce,
   runRejectedEntriesCleanupOnce,
+  runDeletedEntriesPurgeOnce,
   runRenewalFlagResetOnce,
   runExchangeRateRefreshOnce,
   runAutoCancellationNoticesOnce,
+  runBudgetAlertsOnce,
 };
@@ -1,16 +1,19 @@
 import axios from 'axios';
+import ExchangeRate from '../models/ExchangeRate.js';
+import RateOverride from '../models/RateOverride.js';
 
 // Cache for exchange rates (refresh every hour)
 let cachedRates = null;
 let lastFetchTime = null;
 const CACHE_DURATION = 3600000; // 1 hour in milliseconds
 
-export const getExchangeRate = async (fromCurrency = 'USD', toCurrency = 'INR') => {
+// Fetch today's rate from the API; source is 'default' when the static table had to be used
+const fetchLiveRate = async (fromCurrency = 'USD', toCurrency = 'INR') => {
   try {
     // Check if cache is valid
     const now = Date.now();
     if (cachedRates && lastFetchTime && (now - lastFetchTime) < CACHE_DURATION) {
-      return calculateRate(fromCurrency, toCurrency, cachedRates);
+      return { rate: calculateRate(fromCurrency, toCurrency, cachedRates), source: 'http' };
     }
 
     // Fetch new rates
@@ -18,14 +21,19 @@ export const getExchangeRate = async (fromCurrency = 'USD', toCurrency = 'INR')
     cachedRates = response.data.rates;
     lastFetchTime = now;
 
-    return calculateRate(fromCurrency, toCurrency, cachedRates);
+    return { rate: calculateRate(fromCurrency, toCurrency, cachedRates), source: 'http' };
   } catch (error) {
     console.error('Error fetching exchange rate:', error.message);
     // Return default rate if API fails
-    return getDefaultRate(fromCurrency, toCurrency);
+    return { rate: getDefaultRate(fromCurrency, toCurrency), source: 'default' };
   }
 };
 
+export const getExchangeRate = async (fromCurrency = 'USD', toCurrency = 'INR') => {
+  const { rate } = await fetchLiveRate(fromCurrency, toCurrency);
+  return rate;
+};
+
 const calculateRate = (fromCurrency, toCurrency, rates) => {
   if (fromCurrency === toCurrency) return 1;
 
@@ -54,15 +62,154 @@ const getDefaultRate = (fromCurrency, toCurrency) => {
   return defaultRates[key] || 83.50;
 };
 
-export const convertToINR = async (amount, currency) => {
-  const rate = await getExchangeRate(currency, 'INR');
+// Rates are stored per calendar day (UTC)
+export const toRateDate = (value = new Date()) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return toRateDate(new Date());
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Manual overrides are keyed by calendar month (YYYY-MM)
+export const toRateMonth = (value = new Date()) => toRateDate(value).toISOString().slice(0, 7);
+
+export const recordExchangeRate = async ({ date, fromCurrency, toCurrency = 'INR', rate, source, uploadedBy }) => {
+  const rateDate = toRateDate(date);
+  return ExchangeRate.findOneAndUpdate(
+    { baseCurrency: fromCurrency, quoteCurrency: toCurrency, source, date: rateDate },
+    { $set: { rate, ...(uploadedBy ? { uploadedBy } : {}) } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const fromStored = (stored) => ({ rate: stored.rate, rateDate: stored.date });
+
+// Today's live rate from history, fetching and recording it on first use of the day.
+// Static fallback rates are never written to history.
+const getTodayHttpRate = async (fromCurrency, toCurrency) => {
+  const today = toRateDate();
+  const stored = await ExchangeRate.findOne({
+    baseCurrency: fromCurrency,
+    quoteCurrency: toCurrency,
+    source: 'http',
+    date: today,
+  }).lean();
+  if (stored) return fromStored(stored);
+
+  const live = await fetchLiveRate(fromCurrency, toCurrency);
+  if (live.source === 'default') return null;
+
+  await recordExchangeRate({ date: today, fromCurrency, toCurrency, rate: live.rate, source: 'http' });
+  return { rate: live.rate, rateDate: today };
+};
+
+// Each provider returns { rate, rateDate } or null when it has nothing for that date
+const RATE_PROVIDERS = {
+  // Month-wide rate entered by MIS
+  manual: async (fromCurrency, toCurrency, date) => {
+    const override = await RateOverride.findOne({
+      baseCurrency: fromCurrency,
+      quoteCurrency: toCurrency,
+      month: toRateMonth(date),
+    }).lean();
+    return override ? { rate: override.rate, rateDate: toRateDate(date) } : null;
+  },
+
+  // Uploaded rate table: closest row on or before the date within the same month
+  table: async (fromCurrency, toCurrency, date) => {
+    const rateDate = toRateDate(date);
+    const monthStart = new Date(Date.UTC(rateDate.getUTCFullYear(), rateDate.getUTCMonth(), 1));
+    const stored = await ExchangeRate.findOne({
+      baseCurrency: fromCurrency,
+      quoteCurrency: toCurrency,
+      source: 'table',
+      date: { $gte: monthStart, $lte: rateDate },
+    })
+      .sort({ date: -1 })
+      .lean();
+    return stored ? fromStored(stored) : null;
+  },
+
+  // Live API, with past dates served from the recorded history (closest earlier, else closest later)
+  http: async (fromCurrency, toCurrency, date) => {
+    const rateDate = toRateDate(date);
+    if (rateDate >= toRateDate()) {
+      return getTodayHttpRate(fromCurrency, toCurrency);
+    }
+
+    const pair = { baseCurrency: fromCurrency, quoteCurrency: toCurrency, source: 'http' };
+    const stored =
+      (await ExchangeRate.findOne({ ...pair, date: { $lte: rateDate } }).sort({ date: -1 }).lean()) ||
+      (await ExchangeRate.findOne({ ...pair, date: { $gt: rateDate } }).sort({ date: 1 }).lean());
+    if (stored) return fromStored(stored);
+
+    // No history yet for this pair
+    return getTodayHttpRate(fromCurrency, toCurrency);
+  },
+};
+
+export const RATE_PROVIDER_NAMES = Object.keys(RATE_PROVIDERS);
+const DEFAULT_PROVIDER_CHAIN = ['manual', 'table', 'http'];
+
+// Provider order comes from RATE_PROVIDER_CHAIN (comma separated); unknown names are ignored
+export const getProviderChain = () => {
+  const configured = (process.env.RATE_PROVIDER_CHAIN || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => RATE_PROVIDERS[name]);
+  return configured.length ? [...new Set(configured)] : DEFAULT_PROVIDER_CHAIN;
+};
+
+// Rate in effect on a given date, from the first provider in the chain that has one.
+// Falls back to the static default table, reported as source 'default'.
+export const getRateForDate = async (fromCurrency = 'USD', toCurrency = 'INR', date = new Date()) => {
+  const rateDate = toRateDate(date);
+  if (fromCurrency === toCurrency) {
+    return { rate: 1, rateDate, source: 'identity' };
+  }
+
+  for (const name of getProviderChain()) {
+    try {
+      const result = await RATE_PROVIDERS[name](fromCurrency, toCurrency, date);
+      if (result) return { ...result, source: name };
+    } catch (error) {
+      console.error(`Rate provider ${name} failed for ${fromCurrency}-${toCurrency}:`, error.message);
+    }
+  }
+
+  return { rate: getDefaultRate(fromCurrency, toCurrency), rateDate, source: 'default' };
+};
+
+// Record today's live API rate into history regardless of the configured chain
+export const refreshLiveRate = async (fromCurrency, toCurrency = 'INR') =>
+  getTodayHttpRate(fromCurrency, toCurrency);
+
+// Convert at the rate of the transaction date (defaults to today)
+export const convertToINR = async (amount, currency, date = new Date()) => {
+  const { rate, rateDate, source } = await getRateForDate(currency, 'INR', date);
   return {
     rate,
+    rateDate,
+    source,
     amountInINR: amount * rate,
   };
 };
 
+// Today's INR rate per currency, for revaluing booked amounts
+export const getCurrentRates = async (currencies = []) => {
+  const rates = {};
+  for (const currency of [...new Set(currencies.filter(Boolean))]) {
+    const { rate } = await getRateForDate(currency, 'INR');
+    rates[currency] = rate;
+  }
+  return rates;
+};
+
 export default {
   getExchangeRate,
+  getRateForDate,
+  getProviderChain,
+  recordExchangeRate,
+  refreshLiveRate,
+  getCurrentRates,
   convertToINR,
 };
@@ -0,0 +1,169 @@
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import DuplicateReview from '../models/DuplicateReview.js';
+import { toCardKey } from './reconciliationService.js';
+import { recordEntryAudit } from './auditService.js';
+import { moveEntryToRecycleBin } from './recycleBinService.js';
+import { mergeEntries } from './entryMergeService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Closest suspected duplicates queued per new entry
+const MAX_REVIEWS_PER_ENTRY = 3;
+
+export const DUPLICATE_DECISIONS = ['same', 'different', 'merge'];
+
+// Tolerances for suspected duplicates: days either side, percentage amount difference (entries in different
+// currencies are compared in INR, where booked rates drift), particulars similarity (0-1) and the score from
+// which a pair goes to review
+export const getDuplicateOptions = () => ({
+  dateWindowDays: parseInt(process.env.DUPLICATE_DATE_WINDOW_DAYS, 10) || 3,
+  amountTolerancePercent: parseFloat(process.env.DUPLICATE_AMOUNT_TOLERANCE_PERCENT) || 3,
+  minTextSimilarity: parseFloat(process.env.DUPLICATE_MIN_TEXT_SIMILARITY) || 0.5,
+  minScore: parseFloat(process.env.DUPLICATE_MIN_SCORE) || 0.65,
+});
+
+const wordPairs = (text) =>
+  text.split(' ').flatMap((word) => Array.from({ length: word.length - 1 }, (_, i) => word.slice(i, i + 2)));
+
+// Dice coefficient over the letter pairs of each word: 1 for the same text, tolerant of case, punctuation,
+// word order and extra words such as "Plus" or "Subscription"
+export const textSimilarity = (a, b) => {
+  const normalize = (value) => `${value ?? ''}`.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const left = normalize(a);
+  const right = normalize(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftPairs = wordPairs(left);
+  const rightPairs = wordPairs(right);
+  if (!leftPairs.length || !rightPairs.length) return 0;
+
+  const counts = new Map();
+  leftPairs.forEach((pair) => counts.set(pair, (counts.get(pair) || 0) + 1));
+  let shared = 0;
+  rightPairs.forEach((pair) => {
+    if (counts.get(pair)) {
+      shared++;
+      counts.set(pair, counts.get(pair) - 1);
+    }
+  });
+  return (2 * shared) / (leftPairs.length + rightPairs.length);
+};
+
+const amountDiffPercent = (entry, candidate) => {
+  const [a, b] =
+    entry.currency === candidate.currency ? [entry.amount, candidate.amount] : [entry.amountInINR, candidate.amountInINR];
+  if (!a || !b) return null;
+  return (Math.abs(a - b) / Math.max(a, b)) * 100;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// How alike two entries of the same business unit are; null when a tolerance is exceeded or the score is
+// below the review threshold. Particulars weigh most, then amount, date and card.
+export const scoreDuplicate = (entry, candidate, options = getDuplicateOptions()) => {
+  const dayDiff = Math.round(Math.abs(new Date(entry.date).getTime() - new Date(candidate.date).getTime()) / DAY_MS);
+  if (dayDiff > options.dateWindowDays) return null;
+
+  const amountDiff = amountDiffPercent(entry, candidate);
+  if (amountDiff === null || amountDiff > options.amountTolerancePercent) return null;
+
+  const similarity = textSimilarity(entry.particulars, candidate.particulars);
+  if (similarity < options.minTextSimilarity) return null;
+
+  const sameCard = toCardKey(entry.cardNumber) === toCardKey(candidate.cardNumber);
+  const score =
+    0.4 * similarity +
+    0.3 * (1 - amountDiff / options.amountTolerancePercent) +
+    0.2 * (1 - dayDiff / (options.dateWindowDays + 1)) +
+    0.1 * (sameCard ? 1 : 0);
+  if (score < options.minScore) return null;
+
+  return {
+    score: round(score),
+    signals: { dayDiff, amountDiffPercent: round(amountDiff), textSimilarity: round(similarity), sameCard },
+  };
+};
+
+// Stored entries of the same business unit that an entry may duplicate, most alike first
+export const findSuspectedDuplicates = async (entry, options = getDuplicateOptions()) => {
+  const date = new Date(entry.date).getTime();
+  const candidates = await ExpenseEntry.find({
+    _id: { $ne: entry._id },
+    businessUnit: entry.businessUnit,
+    date: { $gte: new Date(date - options.dateWindowDays * DAY_MS), $lte: new Date(date + options.dateWindowDays * DAY_MS) },
+  });
+
+  return candidates
+    .map((candidate) => ({ candidate, match: scoreDuplicate(entry, candidate, options) }))
+    .filter(({ match }) => match)
+    .map(({ candidate, match }) => ({ candidate, ...match }))
+    .sort((a, b) => b.score - a.score);
+};
+
+// Queue a new entry's closest suspected duplicates for review. The entry is already written, so a failed
+// check is logged rather than failing the write. Returns the reviews created.
+export const flagSuspectedDuplicates = async (entry, { source = 'manual', options = getDuplicateOptions() } = {}) => {
+  try {
+    const matches = (await findSuspectedDuplicates(entry, options)).slice(0, MAX_REVIEWS_PER_ENTRY);
+    if (!matches.length) return [];
+
+    return await DuplicateReview.insertMany(
+      matches.map(({ candidate, score, signals }) => ({
+        entry: entry._id,
+        candidate: candidate._id,
+        score,
+        signals,
+        source,
+      }))
+    );
+  } catch (error) {
+    console.error('Failed to check for suspected duplicates:', error.message);
+    return [];
+  }
+};
+
+const markMerged = async (entry, user) => {
+  if (entry.duplicateStatus === 'Merged') return;
+  const before = entry.toObject();
+  entry.duplicateStatus = 'Merged';
+  await entry.save();
+  await recordEntryAudit({ entry, action: 'update', before, after: entry, user });
+};
+
+// Apply a reviewer's decision. "same": the newer entry was recorded twice and goes to the recycle bin, the
+// candidate is labelled Merged. "merge": the newer entry is merged into the candidate, which takes its blank
+// details, allocations, renewal logs and attachments; undoable from the candidate's history. "different": both
+// stay. Other pending reviews of a recycled or merged entry are dropped.
+export const decideDuplicateReview = async (review, decision, { entry, candidate, user }) => {
+  if (decision !== 'different') {
+    if (decision === 'merge') {
+      await mergeEntries(candidate, [entry], { user });
+    } else {
+      await markMerged(candidate, user);
+      await moveEntryToRecycleBin(entry, user, {
+        reason: `Duplicate of ${candidate.particulars} (${candidate._id})`,
+      });
+    }
+    await DuplicateReview.deleteMany({
+      _id: { $ne: review._id },
+      status: 'pending',
+      $or: [{ entry: entry._id }, { candidate: entry._id }],
+    });
+  }
+
+  review.status = decision === 'merge' ? 'merged' : decision;
+  review.decidedBy = user._id;
+  review.decidedAt = new Date();
+  await review.save();
+  return review;
+};
+
+export default {
+  DUPLICATE_DECISIONS,
+  getDuplicateOptions,
+  textSimilarity,
+  scoreDuplicate,
+  findSuspectedDuplicates,
+  flagSuspectedDuplicates,
+  decideDuplicateReview,
+};
@@ -552,10 +552,70 @@ export const sendCancellationNotificationEmail = async (misEmail, serviceDetails
   }
 };
 
+// Send budget threshold alert to BU Admins and MIS
+export const sendBudgetAlertEmail = async (recipientEmail, budgetDetails) => {
+  const transporter = createTransporter();
+  const overBudget = budgetDetails.threshold >= 100;
+  const formatINR = (value) => `INR ${Number(value || 0).toLocaleString('en-IN', { maximumFractionDigits: 0 })}`;
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 640px; margin: 0 auto; padding: 20px; }
+        .header { background-color: ${overBudget ? '#ef4444' : '#f59e0b'}; color: white; padding: 16px; text-align: center; }
+        .content { background-color: #f9fafb; padding: 20px; }
+        .details { background-color: white; padding: 15px; margin: 15px 0; border-radius: 5px; }
+        .detail-row { display: flex; justify-content: space-between; padding: 6px 0; border-bottom: 1px solid #e5e7eb; }
+        .detail-label { font-weight: bold; color: #6b7280; }
+        .detail-value { color: #111827; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h2>Budget ${overBudget ? 'Exceeded' : 'Alert'} - ${budgetDetails.businessUnit}</h2>
+        </div>
+        <div class="content">
+          <p>Spend for the budget below has reached ${budgetDetails.percentUsed}% of the ${budgetDetails.period.toLowerCase()} amount for ${budgetDetails.periodLabel}.</p>
+          <div class="details">
+            <h3>Budget Details</h3>
+            <div class="detail-row"><span class="detail-label">Business Unit:</span><span class="detail-value">${budgetDetails.businessUnit}</span></div>
+            <div class="detail-row"><span class="detail-label">Cost Center:</span><span class="detail-value">${budgetDetails.costCenter || 'All'}</span></div>
+            <div class="detail-row"><span class="detail-label">Type of Service:</span><span class="detail-value">${budgetDetails.typeOfService || 'All'}</span></div>
+            <div class="detail-row"><span class="detail-label">Budget:</span><span class="detail-value">${formatINR(budgetDetails.amount)}</span></div>
+            <div class="detail-row"><span class="detail-label">Actual:</span><span class="detail-value">${formatINR(budgetDetails.actual)}</span></div>
+          </div>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const mailOptions = {
+    from: process.env.EMAIL_FROM,
+    to: recipientEmail,
+    subject: `Budget ${budgetDetails.threshold}% reached - ${budgetDetails.businessUnit} (${budgetDetails.periodLabel})`,
+    html: htmlContent,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('Budget alert email sent successfully');
+    return true;
+  } catch (error) {
+    console.error('Error sending budget alert email:', error);
+    return false;
+  }
+};
+
 export default {
   sendApprovalEmail,
   sendBUEntryNoticeEmail,
   sendMISNotificationEmail,
   sendRenewalReminderEmail,
   sendCancellationNotificationEmail,
+  sendBudgetAlertEmail,
 };
@@ -0,0 +1,198 @@
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import EntryMerge from '../models/EntryMerge.js';
+import RenewalLog from '../models/RenewalLog.js';
+import Attachment from '../models/Attachment.js';
+import { diffEntry, recordEntryAudits } from './auditService.js';
+import { refreshAttachmentCount } from './attachmentService.js';
+import { releaseReconciledEntry } from './reconciliationService.js';
+import { recordSubscriptionCharge } from './subscriptionService.js';
+
+// Most entries one merge may fold into a survivor
+export const MAX_MERGE_ENTRIES = 20;
+
+// Survivor fields a merge may take from a merged entry: blank ones are filled from the first merged entry
+// that has a value, others only when the caller picks that entry as the field's source
+export const MERGE_FIELDS = [
+  'particulars',
+  'narration',
+  'billStatus',
+  'serviceHandler',
+  'cardAssignedTo',
+  'typeOfService',
+  'costCenter',
+  'approvedBy',
+  'recurring',
+];
+
+const isBlank = (value) => value === undefined || value === null || `${value}`.trim() === '';
+
+const sameId = (a, b) => `${a?._id || a}` === `${b?._id || b}`;
+
+// Shared allocations of the merged entries for business units the survivor does not split with yet. The
+// survivor's own split wins; the union is dropped when it would exceed the survivor's amount.
+const mergeAllocations = (survivor, entries) => {
+  const allocations = (survivor.sharedAllocations || []).map(({ businessUnit, amount }) => ({ businessUnit, amount }));
+  const units = new Set(allocations.map((item) => item.businessUnit));
+  entries.forEach((entry) => {
+    (entry.sharedAllocations || []).forEach(({ businessUnit, amount }) => {
+      if (units.has(businessUnit)) return;
+      units.add(businessUnit);
+      allocations.push({ businessUnit, amount });
+    });
+  });
+
+  if (allocations.length === (survivor.sharedAllocations || []).length) return;
+  if (!allocations.some((item) => item.businessUnit === survivor.businessUnit)) {
+    allocations.push({ businessUnit: survivor.businessUnit, amount: 0 });
+  }
+  const total = allocations.reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+  if (total > Number(survivor.amount || 0)) return;
+
+  survivor.isShared = true;
+  survivor.sharedAllocations = allocations;
+};
+
+// Fold duplicate entries into a surviving entry: fill its fields, join the shared allocations, move renewal logs
+// and attachments over, then archive the others with a pointer to the survivor. fieldSources maps a MERGE_FIELDS
+// field to the merged entry whose value the survivor should take. Returns the merge record.
+export const mergeEntries = async (survivor, entries, { user = null, fieldSources = {}, source = 'manual' } = {}) => {
+  const merge = new EntryMerge({
+    survivor: survivor._id,
+    merged: entries.map((entry) => entry._id),
+    mergedBy: user?._id || null,
+  });
+  const before = survivor.toObject();
+
+  MERGE_FIELDS.forEach((field) => {
+    const from = fieldSources[field]
+      ? entries.find((entry) => sameId(entry, fieldSources[field]))
+      : isBlank(survivor[field]) && entries.find((entry) => !isBlank(entry[field]));
+    if (from && !isBlank(from[field])) survivor[field] = from[field];
+  });
+  mergeAllocations(survivor, entries);
+  survivor.duplicateStatus = 'Merged';
+  merge.fieldChanges = diffEntry(before, survivor);
+  await survivor.save();
+
+  const entryIds = entries.map((entry) => entry._id);
+  const [logs, attachments] = await Promise.all([
+    RenewalLog.find({ expenseEntry: { $in: entryIds } }).select('_id expenseEntry'),
+    Attachment.find({ entry: { $in: entryIds } }).select('_id entry'),
+  ]);
+  merge.renewalLogs = logs.map((log) => ({ log: log._id, from: log.expenseEntry }));
+  merge.attachments = attachments.map((attachment) => ({ attachment: attachment._id, from: attachment.entry }));
+  if (logs.length) {
+    await RenewalLog.updateMany({ _id: { $in: logs.map((log) => log._id) } }, { $set: { expenseEntry: survivor._id } });
+  }
+  if (attachments.length) {
+    await Attachment.updateMany(
+      { _id: { $in: attachments.map((attachment) => attachment._id) } },
+      { $set: { entry: survivor._id } }
+    );
+    await refreshAttachmentCount(survivor._id);
+  }
+
+  // Archived entries no longer back a statement line; the survivor is matched from the statement instead
+  const mergedAt = new Date();
+  for (const entry of entries) {
+    await releaseReconciledEntry(entry);
+    entry.reconciledStatement = null;
+    entry.mergedInto = survivor._id;
+    entry.mergedAt = mergedAt;
+    if (attachments.some((attachment) => sameId(attachment.entry, entry))) entry.attachmentCount = 0;
+    await entry.save();
+  }
+
+  await merge.save();
+  await recordEntryAudits([
+    {
+      entry: survivor,
+      action: 'merge',
+      before,
+      after: survivor,
+      user,
+      source,
+      reason: `Merged ${entries.map((entry) => `${entry.particulars} (${entry._id})`).join(', ')}`,
+      merge,
+    },
+    ...entries.map((entry) => ({
+      entry,
+      action: 'merge',
+      user,
+      source,
+      reason: `Merged into ${survivor.particulars} (${survivor._id})`,
+      merge,
+    })),
+  ]);
+  await recordSubscriptionCharge(survivor);
+  return merge;
+};
+
+// Undo a merge: bring the archived entries back, return their renewal logs and attachments, and put back the
+// survivor fields the merge changed. Fields edited since the merge keep their newer value; they are returned.
+export const revertMerge = async (merge, { survivor, user = null }) => {
+  const entries = await ExpenseEntry.find({ _id: { $in: merge.merged }, mergedInto: survivor._id });
+
+  const before = survivor.toObject();
+  const kept = [];
+  merge.fieldChanges.forEach(({ field, from, to }) => {
+    const editedSince = diffEntry({ [field]: to }, survivor).some((change) => change.field === field);
+    if (editedSince) {
+      kept.push(field);
+      return;
+    }
+    survivor.set(field, from ?? undefined);
+  });
+  await survivor.save();
+
+  for (const { log, from } of merge.renewalLogs) {
+    await RenewalLog.updateOne({ _id: log, expenseEntry: survivor._id }, { $set: { expenseEntry: from } });
+  }
+  for (const { attachment, from } of merge.attachments) {
+    await Attachment.updateOne({ _id: attachment, entry: survivor._id }, { $set: { entry: from } });
+  }
+
+  for (const entry of entries) {
+    entry.mergedInto = null;
+    entry.mergedAt = null;
+    await entry.save();
+  }
+  if (merge.attachments.length) {
+    await Promise.all([survivor._id, ...entries.map((entry) => entry._id)].map(refreshAttachmentCount));
+  }
+
+  merge.status = 'reverted';
+  merge.revertedBy = user?._id || null;
+  merge.revertedAt = new Date();
+  await merge.save();
+
+  await recordEntryAudits([
+    {
+      entry: survivor,
+      action: 'unmerge',
+      before,
+      after: survivor,
+      user,
+      reason: kept.length ? `Kept later edits to ${kept.join(', ')}` : '',
+      merge,
+    },
+    ...entries.map((entry) => ({
+      entry,
+      action: 'unmerge',
+      user,
+      reason: `Split back out of ${survivor.particulars} (${survivor._id})`,
+      merge,
+    })),
+  ]);
+  for (const entry of entries) {
+    await recordSubscriptionCharge(entry);
+  }
+  return { restored: entries, kept };
+};
+
+export default {
+  MAX_MERGE_ENTRIES,
+  MERGE_FIELDS,
+  mergeEntries,
+  revertMerge,
+};
@@ -0,0 +1,105 @@
+import ExpenseEntry, { SEARCH_FIELDS } from '../models/ExpenseEntry.js';
+import { buildEntryListQuery } from './expenseQueryService.js';
+import { collectTokens, findPrefixMatches, matchSearchTerms } from '../utils/searchText.js';
+
+// Indexed words one typed term is ranked by, shortest first so a whole-word match always counts. Entries whose
+// words fall outside them still match; they rank after the scored ones.
+export const MAX_TERM_EXPANSIONS = 25;
+
+const REINDEX_BATCH_SIZE = 500;
+
+// The indexed words each term is the start of ("fig" -> "figma", "figure") among the entries the query matches.
+// The text index only knows whole words, so these are what it ranks by.
+const expandTerms = async (terms, query) => {
+  const expansions = await Promise.all(
+    terms.map(async (term) => {
+      const words = await ExpenseEntry.distinct('searchTokens', {
+        $and: [query, { searchTokens: new RegExp(`^${term}`) }],
+      });
+      return words
+        .filter((word) => word.startsWith(term))
+        .sort((a, b) => a.length - b.length || a.localeCompare(b))
+        .slice(0, MAX_TERM_EXPANSIONS);
+    })
+  );
+  return [...new Set(expansions.flat())];
+};
+
+// Matched word starts per searched field, for the client to mark: { particulars: [{ start, end }], ... }
+export const highlightEntry = (entry, terms) =>
+  Object.fromEntries(
+    SEARCH_FIELDS.map((field) => [field, findPrefixMatches(entry[field], terms)]).filter(([, matches]) => matches.length)
+  );
+
+const findPage = (query, projection, sort, skip, limit) =>
+  ExpenseEntry.find(query, projection)
+    .populate('createdBy', 'name email role')
+    .sort(sort)
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+// Entries the user may see where every term starts a word of a searched field, best match first. filters are
+// the expense sheet's filters; page and limit as the list takes them. Returns { total, data }.
+//
+// Which entries match comes from searchTokens alone; the text index only orders them. Entries holding one of
+// the ranked words come first by score, the rest (words beyond MAX_TERM_EXPANSIONS) follow newest first.
+export const searchEntries = async (user, terms, { filters = {}, page = 1, limit }) => {
+  const matching = {
+    ...buildEntryListQuery(user, { ...filters, search: '' }),
+    searchTokens: matchSearchTerms(terms),
+  };
+  const words = await expandTerms(terms, matching);
+  if (!words.length) return { total: 0, data: [] };
+
+  const ranked = { ...matching, $text: { $search: words.join(' ') } };
+  const unranked = { $and: [matching, { searchTokens: { $nin: words } }] };
+  const [rankedTotal, unrankedTotal] = await Promise.all([
+    ExpenseEntry.countDocuments(ranked),
+    ExpenseEntry.countDocuments(unranked),
+  ]);
+
+  const skip = (page - 1) * limit;
+  const score = { $meta: 'textScore' };
+  const entries =
+    skip < rankedTotal ? await findPage(ranked, { score }, { score, date: -1, _id: -1 }, skip, limit) : [];
+  if (entries.length < limit && unrankedTotal) {
+    const unrankedSkip = Math.max(0, skip - rankedTotal);
+    entries.push(...(await findPage(unranked, null, { date: -1, _id: -1 }, unrankedSkip, limit - entries.length)));
+  }
+
+  return {
+    total: rankedTotal + unrankedTotal,
+    data: entries.map((entry) => ({ ...entry, highlights: highlightEntry(entry, terms) })),
+  };
+};
+
+// Rebuild the prefix search words of the entries a filter matches, for entries written before search existed
+// or changed by bulk updates that skip the save hooks. Returns how many entries changed.
+export const refreshSearchTokens = async (filter = {}) => {
+  const entries = await ExpenseEntry.find(filter).select(`${SEARCH_FIELDS.join(' ')} +searchTokens`).lean();
+
+  let updated = 0;
+  for (let index = 0; index < entries.length; index += REINDEX_BATCH_SIZE) {
+    const operations = entries
+      .slice(index, index + REINDEX_BATCH_SIZE)
+      .map((entry) => ({ entry, tokens: collectTokens(SEARCH_FIELDS.map((field) => entry[field])) }))
+      .filter(({ entry, tokens }) => `${entry.searchTokens || []}` !== `${tokens}`)
+      .map(({ entry, tokens }) => ({
+        updateOne: { filter: { _id: entry._id }, update: { $set: { searchTokens: tokens } } },
+      }));
+    if (operations.length) {
+      await ExpenseEntry.bulkWrite(operations);
+      updated += operations.length;
+    }
+  }
+
+  return { checked: entries.length, updated };
+};
+
+export default {
+  MAX_TERM_EXPANSIONS,
+  highlightEntry,
+  searchEntries,
+  refreshSearchTokens,
+};
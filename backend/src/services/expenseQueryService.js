@@ -0,0 +1,275 @@
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import { matchSearchTerms, parseSearchTerms } from '../utils/searchText.js';
+import { parseFilterQuery } from './filterQueryService.js';
+
+// Columns the sheet can be sorted by, several at once ("-date,particulars"); _id breaks ties so pages never overlap
+export const SORTABLE_FIELDS = [
+  'date',
+  'month',
+  'cardNumber',
+  'cardAssignedTo',
+  'status',
+  'particulars',
+  'currency',
+  'billStatus',
+  'amount',
+  'amountInINR',
+  'typeOfService',
+  'businessUnit',
+  'costCenter',
+  'approvedBy',
+  'serviceHandler',
+  'recurring',
+  'entryStatus',
+  'duplicateStatus',
+  'attachmentCount',
+  'createdAt',
+  'updatedAt',
+];
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+// Fields a projection may not ask for
+const UNLISTED_FIELDS = ['approvalToken', 'searchTokens'];
+
+const escapeRegex = (value = '') => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseMultiValues = (value) =>
+  value
+    ?.toString()
+    .split(',')
+    .map((val) => val.trim())
+    .filter(Boolean) || [];
+
+const buildRegexList = (values) => values.map((val) => new RegExp(escapeRegex(val), 'i'));
+
+const applyMultiValueFilter = (query, field, rawValue) => {
+  const values = parseMultiValues(rawValue);
+  if (values.length === 0) return;
+  const regexes = buildRegexList(values);
+  const clause = regexes.length === 1 ? regexes[0] : { $in: regexes };
+
+  if (query[field]) {
+    const existing = query[field];
+    delete query[field];
+    query.$and = query.$and ? [...query.$and, { [field]: existing }, { [field]: clause }] : [{ [field]: existing }, { [field]: clause }];
+  } else {
+    query[field] = clause;
+  }
+};
+
+export const parseFilterDate = (value, endOfDay = false) => {
+  if (!value) return undefined;
+  if (/^\d{2}-\d{2}-\d{4}$/.test(value)) {
+    const [dd, mm, yyyy] = value.split('-');
+    const iso = `${yyyy}-${mm}-${dd}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`;
+    return new Date(iso);
+  }
+  return new Date(value);
+};
+
+// Query for the expense sheet's filters (the list's query string), scoped to what the user may see.
+// Shared by the sheet, its export and batch updates so all three act on the same entries.
+export const buildEntryListQuery = (user, filters = {}) => {
+  const {
+    businessUnit,
+    cardNumber,
+    cardAssignedTo,
+    status,
+    month,
+    typeOfService,
+    serviceHandler,
+    search,
+    startDate,
+    endDate,
+    minAmount,
+    maxAmount,
+    costCenter,
+    approvedBy,
+    recurring,
+    duplicateStatus,
+    disableStartDate,
+    disableEndDate,
+    isShared,
+    q,
+  } = filters;
+
+  const query = {};
+
+  // Role-based filtering
+  if (['business_unit_admin', 'spoc', 'service_handler'].includes(user.role)) {
+    query.businessUnit = user.businessUnit;
+  }
+
+  if (user.role === 'service_handler') {
+    const escapedName = escapeRegex(user.name);
+    const tokens = user.name
+      .split(' ')
+      .map((t) => t.trim())
+      .filter(Boolean)
+      .map(escapeRegex);
+    const patternParts = [escapedName, ...tokens];
+    const pattern = patternParts.join('|');
+    query.serviceHandler = { $regex: pattern, $options: 'i' };
+  }
+
+  // Apply filters
+  if (!['business_unit_admin', 'spoc', 'service_handler'].includes(user.role) && businessUnit) {
+    query.businessUnit = businessUnit;
+  }
+  if (cardNumber) query.cardNumber = cardNumber;
+  if (status) query.status = status;
+  if (month) query.month = month;
+  if (typeOfService) query.typeOfService = typeOfService;
+  if (serviceHandler) applyMultiValueFilter(query, 'serviceHandler', serviceHandler);
+  if (cardAssignedTo) applyMultiValueFilter(query, 'cardAssignedTo', cardAssignedTo);
+  if (costCenter) query.costCenter = costCenter;
+  if (approvedBy) query.approvedBy = approvedBy;
+  if (recurring) query.recurring = recurring;
+  if (isShared === 'true') query.isShared = true;
+  if (isShared === 'false') query.isShared = false;
+  if (duplicateStatus && ['Merged', 'Unique'].includes(duplicateStatus)) {
+    query.duplicateStatus = duplicateStatus;
+  }
+
+  // Date range filter
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = parseFilterDate(startDate);
+    if (endDate) query.date.$lte = parseFilterDate(endDate, true);
+  }
+
+  // Disable date range filter
+  if (disableStartDate || disableEndDate) {
+    const range = {};
+    if (disableStartDate) range.$gte = parseFilterDate(disableStartDate);
+    if (disableEndDate) range.$lte = parseFilterDate(disableEndDate, true);
+
+    // Default to deactive if caller didn't choose a status
+    if (!status) {
+      query.status = 'Deactive';
+    }
+
+    // Match entries with disabledAt in range OR (legacy) updatedAt in range if deactivated
+    const disableClauses = [];
+    disableClauses.push({ disabledAt: range });
+    disableClauses.push({ $and: [{ status: 'Deactive' }, { updatedAt: range }] });
+    query.$or = query.$or ? [...query.$or, ...disableClauses] : disableClauses;
+  }
+
+  // Amount range filter
+  if (minAmount || maxAmount) {
+    query.amountInINR = {};
+    if (minAmount) query.amountInINR.$gte = parseFloat(minAmount);
+    if (maxAmount) query.amountInINR.$lte = parseFloat(maxAmount);
+  }
+
+  // Search filter: every word typed starts a word of the particulars, narration, card, handler or card holder
+  const searchTerms = parseSearchTerms(search);
+  if (searchTerms.length) {
+    query.searchTokens = matchSearchTerms(searchTerms);
+  }
+
+  // Typed filter query (the query bar), on top of the fields above; an invalid one is left out, so callers
+  // check it with parseFilterQuery or parseListOptions first
+  const { filter: typedFilter } = parseFilterQuery(q);
+  if (typedFilter) {
+    query.$and = query.$and ? [...query.$and, typedFilter] : [typedFilter];
+  }
+
+  // Restrict visibility: only SPOC can see their pending/rejected; others see accepted entries only
+  // Skip this restriction when explicitly filtering by disable date (we already force status Deactive)
+  if (user.role !== 'spoc' && !(disableStartDate || disableEndDate)) {
+    query.entryStatus = 'Accepted';
+  }
+
+  return query;
+};
+
+// Paging, sorting and projection of the sheet's list from its query string: page and limit (no paging when
+// neither is given), sort as comma separated fields with "-" for descending, fields as the columns to return.
+// The typed filter query (q) is checked here too. Returns the options and the problems found.
+export const parseListOptions = (params = {}) => {
+  const errors = [];
+  const options = { page: 1, limit: null, sort: { date: -1, _id: -1 }, fields: null };
+
+  if (params.page !== undefined || params.limit !== undefined) {
+    const page = params.page === undefined ? 1 : Number(params.page);
+    const limit = params.limit === undefined ? DEFAULT_PAGE_SIZE : Number(params.limit);
+    if (!Number.isInteger(page) || page < 1) errors.push('page must be a positive whole number');
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+    }
+    options.page = page;
+    options.limit = limit;
+  }
+
+  if (params.sort) {
+    const sort = {};
+    `${params.sort}`
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .forEach((item) => {
+        const field = item.replace(/^[-+]/, '');
+        if (!SORTABLE_FIELDS.includes(field)) {
+          errors.push(`Cannot sort by ${field}`);
+          return;
+        }
+        sort[field] = item.startsWith('-') ? -1 : 1;
+      });
+    const [firstOrder = -1] = Object.values(sort);
+    options.sort = { ...sort, _id: firstOrder };
+  }
+
+  errors.push(...parseFilterQuery(params.q).errors);
+
+  if (params.fields) {
+    const fields = parseMultiValues(params.fields);
+    fields
+      .filter((field) => !ExpenseEntry.schema.path(field) || UNLISTED_FIELDS.includes(field))
+      .forEach((field) => errors.push(`Unknown field ${field}`));
+    options.fields = fields;
+  }
+
+  return { options, errors };
+};
+
+// Header figures and filter choices for every entry a list query matches, not just the page on screen
+export const summarizeEntryList = async (query) => {
+  const [summary] = await ExpenseEntry.aggregate([
+    { $match: query },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        active: { $sum: { $cond: [{ $eq: ['$status', 'Active'] }, 1, 0] } },
+        missingBills: { $sum: { $cond: [{ $gt: [{ $ifNull: ['$attachmentCount', 0] }, 0] }, 0, 1] } },
+        merged: { $sum: { $cond: [{ $eq: ['$duplicateStatus', 'Merged'] }, 1, 0] } },
+        unique: { $sum: { $cond: [{ $eq: ['$duplicateStatus', 'Unique'] }, 1, 0] } },
+        serviceHandlers: { $addToSet: '$serviceHandler' },
+        cardHolders: { $addToSet: '$cardAssignedTo' },
+      },
+    },
+  ]);
+
+  const sorted = (values = []) => values.filter(Boolean).sort((a, b) => a.localeCompare(b));
+  return {
+    total: summary?.total || 0,
+    active: summary?.active || 0,
+    missingBills: summary?.missingBills || 0,
+    merged: summary?.merged || 0,
+    unique: summary?.unique || 0,
+    serviceHandlers: sorted(summary?.serviceHandlers),
+    cardHolders: sorted(summary?.cardHolders),
+  };
+};
+
+export default {
+  SORTABLE_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseFilterDate,
+  buildEntryListQuery,
+  parseListOptions,
+  summarizeEntryList,
+};
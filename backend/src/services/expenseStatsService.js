@@ -0,0 +1,72 @@
+import ExpenseEntry from '../models/ExpenseEntry.js';
+
+// Entries a user's stats cover: only SPOC sees non-accepted entries, BU roles stay in their BU and
+// service handlers only see services they handle
+export const buildStatsMatch = (user) => {
+  const matchQuery = {};
+
+  if (user.role !== 'spoc') {
+    matchQuery.entryStatus = 'Accepted';
+  }
+
+  if (user.role === 'business_unit_admin' || user.role === 'spoc') {
+    matchQuery.businessUnit = user.businessUnit;
+  }
+
+  if (user.role === 'service_handler') {
+    matchQuery.businessUnit = user.businessUnit;
+    const escapedName = user.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const tokens = user.name
+      .split(' ')
+      .map((t) => t.trim())
+      .filter(Boolean)
+      .map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = [escapedName, ...tokens].join('|');
+    matchQuery.serviceHandler = { $regex: pattern, $options: 'i' };
+  }
+
+  return matchQuery;
+};
+
+const matchesHandler = (user, entry) => {
+  const handler = (entry.serviceHandler || '').toLowerCase();
+  const tokens = [user.name, ...user.name.split(' ')].map((t) => t.trim().toLowerCase()).filter(Boolean);
+  return tokens.some((token) => handler.includes(token));
+};
+
+// Single-entry counterpart of buildStatsMatch's scoping: BU roles see their BU, service handlers
+// their own services
+export const canAccessEntry = (user, entry) => {
+  if (['super_admin', 'mis_manager'].includes(user.role)) return true;
+  if (entry.businessUnit !== user.businessUnit) return false;
+  if (user.role === 'service_handler') return matchesHandler(user, entry);
+  return true;
+};
+
+// Booked INR spend and entry count for the matched entries, grouped by one field, several fields
+// (the _id is then an object keyed by field) or nothing
+export const aggregateSpend = (matchQuery, groupBy = null) => {
+  let groupId = null;
+  if (Array.isArray(groupBy)) {
+    groupId = Object.fromEntries(groupBy.map((field) => [field, `$${field}`]));
+  } else if (groupBy) {
+    groupId = `$${groupBy}`;
+  }
+
+  return ExpenseEntry.aggregate([
+    { $match: matchQuery },
+    {
+      $group: {
+        _id: groupId,
+        total: { $sum: '$amountInINR' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+};
+
+export default {
+  buildStatsMatch,
+  canAccessEntry,
+  aggregateSpend,
+};
@@ -0,0 +1,310 @@
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import { matchSearchTerms, parseSearchTerms } from '../utils/searchText.js';
+
+// Typed filters for the expense sheet, e.g. bu:DWSG AND (type:Tool OR type:Hosting) AND inr>50000 AND handler:"Ravi"
+//
+//   query      := or
+//   or         := and (OR and)*
+//   and        := unary ((AND)? unary)*          words side by side are ANDed
+//   unary      := NOT unary | primary
+//   primary    := "(" query ")" | comparison | word | "quoted text"
+//   comparison := field op value ("," value)*    a list matches any of its values
+//   op         := ":" | "=" | "!=" | ">" | ">=" | "<" | "<="
+//
+// ":" means "contains" for free-text fields and "is" for the rest; "=" always means "is". Text values ignore case.
+// A word or quoted text on its own searches like the sheet's search box. Dates take YYYY-MM-DD, DD-MM-YYYY or
+// YYYY-MM; "date:2025-03" is the whole month and "date>2025-03" starts after it.
+
+// text: matched as a substring; category: whole value; number, date, boolean: typed
+export const QUERY_FIELDS = [
+  { name: 'bu', field: 'businessUnit', type: 'category', label: 'Business unit' },
+  { name: 'type', field: 'typeOfService', type: 'category', label: 'Type of service' },
+  { name: 'cost', field: 'costCenter', type: 'category', label: 'Cost center' },
+  { name: 'approver', field: 'approvedBy', type: 'category', label: 'Approved by' },
+  { name: 'status', field: 'status', type: 'category', label: 'Service status' },
+  { name: 'recurring', field: 'recurring', type: 'category', label: 'Recurring' },
+  { name: 'currency', field: 'currency', type: 'category', label: 'Currency' },
+  { name: 'bill', field: 'billStatus', type: 'category', label: 'Bill status' },
+  { name: 'month', field: 'month', type: 'category', label: 'Month' },
+  { name: 'duplicate', field: 'duplicateStatus', type: 'category', label: 'Duplicate status' },
+  { name: 'entry', field: 'entryStatus', type: 'category', label: 'Entry status' },
+  { name: 'handler', field: 'serviceHandler', type: 'text', label: 'Service handler' },
+  { name: 'holder', field: 'cardAssignedTo', type: 'text', label: 'Card assigned to' },
+  { name: 'card', field: 'cardNumber', type: 'text', label: 'Card number' },
+  { name: 'particulars', field: 'particulars', type: 'text', label: 'Particulars' },
+  { name: 'narration', field: 'narration', type: 'text', label: 'Narration' },
+  { name: 'amount', field: 'amount', type: 'number', label: 'Amount (original currency)' },
+  { name: 'inr', field: 'amountInINR', type: 'number', label: 'Amount in INR' },
+  { name: 'date', field: 'date', type: 'date', label: 'Transaction date' },
+  { name: 'disabled', field: 'disabledAt', type: 'date', label: 'Deactivation date' },
+  { name: 'shared', field: 'isShared', type: 'boolean', label: 'Shared across BUs' },
+];
+
+export const QUERY_OPERATORS = {
+  text: [':', '=', '!='],
+  category: [':', '=', '!='],
+  number: [':', '=', '!=', '>', '>=', '<', '<='],
+  date: [':', '=', '!=', '>', '>=', '<', '<='],
+  boolean: [':', '='],
+};
+
+export const MAX_QUERY_LENGTH = 1000;
+const MAX_QUERY_DEPTH = 10;
+const MAX_VALUE_SUGGESTIONS = 20;
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const OPERATOR_PATTERN = /^(!=|>=|<=|:|=|>|<)/;
+const WORD_PATTERN = /^[^\s()",:=<>!]+/;
+const BOOLEAN_VALUES = { true: true, yes: true, false: false, no: false };
+
+const escapeRegex = (value = '') => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findField = (name) => QUERY_FIELDS.find((item) => item.name === name.toLowerCase());
+
+// Split the text into tokens: ( ) , operators, "quoted text" and words. Each keeps its position for messages.
+const tokenizeQuery = (text) => {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    const rest = text.slice(index);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      index += space[0].length;
+      continue;
+    }
+    if ('(),'.includes(rest[0])) {
+      tokens.push({ type: rest[0], position: index });
+      index += 1;
+      continue;
+    }
+    const operator = rest.match(OPERATOR_PATTERN);
+    if (operator) {
+      tokens.push({ type: 'op', value: operator[0], position: index });
+      index += operator[0].length;
+      continue;
+    }
+    if (rest[0] === '"') {
+      const end = rest.slice(1).search(/(?<!\\)"/);
+      if (end === -1) throw new SyntaxError(`Unclosed quote at ${index + 1}`);
+      tokens.push({ type: 'string', value: rest.slice(1, end + 1).replace(/\\"/g, '"'), position: index });
+      index += end + 2;
+      continue;
+    }
+    const [word] = rest.match(WORD_PATTERN) || [];
+    if (!word) throw new SyntaxError(`Unexpected "${rest[0]}" at ${index + 1}`);
+    const keyword = word.toUpperCase();
+    tokens.push(KEYWORDS.includes(keyword) ? { type: keyword, position: index } : { type: 'word', value: word, position: index });
+    index += word.length;
+  }
+  return tokens;
+};
+
+const describe = (token) => (token ? `"${token.value ?? token.type}" at ${token.position + 1}` : 'the end of the query');
+
+// First and last instant of a date value: a day, or a whole month for YYYY-MM
+const parseDateRange = (value) => {
+  const month = value.match(/^(\d{4})-(\d{2})$/);
+  if (month) {
+    const start = new Date(Date.UTC(Number(month[1]), Number(month[2]) - 1, 1));
+    const end = new Date(Date.UTC(Number(month[1]), Number(month[2]), 1) - 1);
+    return { start, end };
+  }
+  const day = value.match(/^(\d{4})-(\d{2})-(\d{2})$/) || value.match(/^(\d{2})-(\d{2})-(\d{4})$/);
+  if (!day) return null;
+  const [year, monthIndex, date] = day[1].length === 4 ? [day[1], day[2], day[3]] : [day[3], day[2], day[1]];
+  const start = new Date(Date.UTC(Number(year), Number(monthIndex) - 1, Number(date)));
+  if (Number.isNaN(start.getTime()) || start.getUTCDate() !== Number(date)) return null;
+  return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000 - 1) };
+};
+
+// Mongo condition for one field, operator and list of values
+const compileComparison = (definition, operator, values, token) => {
+  const { field, type, name } = definition;
+  if (!QUERY_OPERATORS[type].includes(operator)) {
+    throw new SyntaxError(`${name} does not take ${operator} (at ${token.position + 1})`);
+  }
+  if (values.length > 1 && ![':', '=', '!='].includes(operator)) {
+    throw new SyntaxError(`${name}${operator} takes a single value (at ${token.position + 1})`);
+  }
+
+  if (type === 'text' || type === 'category') {
+    const contains = type === 'text' && operator === ':';
+    const patterns = values.map(
+      (value) => new RegExp(contains ? escapeRegex(value) : `^${escapeRegex(value)}$`, 'i')
+    );
+    if (operator === '!=') return { [field]: { $nin: patterns } };
+    return { [field]: patterns.length === 1 ? patterns[0] : { $in: patterns } };
+  }
+
+  if (type === 'boolean') {
+    const value = BOOLEAN_VALUES[values[0].toLowerCase()];
+    if (value === undefined || values.length > 1) {
+      throw new SyntaxError(`${name} takes true or false (at ${token.position + 1})`);
+    }
+    return { [field]: value };
+  }
+
+  if (type === 'number') {
+    const numbers = values.map(Number);
+    if (numbers.some((value) => !Number.isFinite(value))) {
+      throw new SyntaxError(`${name} takes a number (at ${token.position + 1})`);
+    }
+    const [number] = numbers;
+    if (operator === '!=') return { [field]: { $nin: numbers } };
+    if ([':', '='].includes(operator)) return { [field]: numbers.length === 1 ? number : { $in: numbers } };
+    return { [field]: { [{ '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' }[operator]]: number } };
+  }
+
+  // date
+  const ranges = values.map(parseDateRange);
+  if (ranges.some((range) => !range)) {
+    throw new SyntaxError(`${name} takes a date as YYYY-MM-DD, DD-MM-YYYY or YYYY-MM (at ${token.position + 1})`);
+  }
+  const within = ({ start, end }) => ({ [field]: { $gte: start, $lte: end } });
+  const [{ start, end }] = ranges;
+  switch (operator) {
+    case '>':
+      return { [field]: { $gt: end } };
+    case '>=':
+      return { [field]: { $gte: start } };
+    case '<':
+      return { [field]: { $lt: start } };
+    case '<=':
+      return { [field]: { $lte: end } };
+    case '!=':
+      return { $nor: ranges.map(within) };
+    default:
+      return ranges.length === 1 ? within(ranges[0]) : { $or: ranges.map(within) };
+  }
+};
+
+// Recursive descent over the tokens, building the Mongo filter as it goes
+const parseTokens = (tokens) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (type) => {
+    const token = next();
+    if (token?.type !== type) throw new SyntaxError(`Expected "${type}" but found ${describe(token)}`);
+    return token;
+  };
+  const combine = (operator, clauses) => (clauses.length === 1 ? clauses[0] : { [operator]: clauses });
+
+  const parseValues = () => {
+    const values = [];
+    for (;;) {
+      const token = next();
+      if (!['word', 'string'].includes(token?.type)) throw new SyntaxError(`Expected a value but found ${describe(token)}`);
+      values.push(token.value);
+      if (peek()?.type !== ',') return values;
+      next();
+    }
+  };
+
+  const parsePrimary = (depth) => {
+    const token = peek();
+    if (token?.type === '(') {
+      if (depth >= MAX_QUERY_DEPTH) throw new SyntaxError(`Brackets nest deeper than ${MAX_QUERY_DEPTH} levels`);
+      next();
+      const clause = parseOr(depth + 1);
+      expect(')');
+      return clause;
+    }
+    if (token?.type === 'word' && tokens[index + 1]?.type === 'op') {
+      next();
+      const definition = findField(token.value);
+      if (!definition) throw new SyntaxError(`Unknown field "${token.value}" at ${token.position + 1}`);
+      const operator = next().value;
+      return compileComparison(definition, operator, parseValues(), token);
+    }
+    if (token?.type === 'word' || token?.type === 'string') {
+      next();
+      const terms = parseSearchTerms(token.value);
+      if (!terms.length) throw new SyntaxError(`Nothing to search for in ${describe(token)}`);
+      return { searchTokens: matchSearchTerms(terms) };
+    }
+    throw new SyntaxError(`Unexpected ${describe(token)}`);
+  };
+
+  const parseUnary = (depth) => {
+    if (peek()?.type === 'NOT') {
+      next();
+      return { $nor: [parseUnary(depth)] };
+    }
+    return parsePrimary(depth);
+  };
+
+  const parseAnd = (depth) => {
+    const clauses = [parseUnary(depth)];
+    while (peek() && !['OR', ')'].includes(peek().type)) {
+      if (peek().type === 'AND') next();
+      clauses.push(parseUnary(depth));
+    }
+    return combine('$and', clauses);
+  };
+
+  const parseOr = (depth) => {
+    const clauses = [parseAnd(depth)];
+    while (peek()?.type === 'OR') {
+      next();
+      clauses.push(parseAnd(depth));
+    }
+    return combine('$or', clauses);
+  };
+
+  const filter = parseOr(0);
+  if (index < tokens.length) throw new SyntaxError(`Unexpected ${describe(peek())}`);
+  return filter;
+};
+
+// Parse a filter query into a Mongo filter. Returns { filter, errors }; filter is null for a blank query or when
+// the query has errors.
+export const parseFilterQuery = (text) => {
+  const query = `${text ?? ''}`.trim();
+  if (!query) return { filter: null, errors: [] };
+  if (query.length > MAX_QUERY_LENGTH) {
+    return { filter: null, errors: [`Filter query is longer than ${MAX_QUERY_LENGTH} characters`] };
+  }
+
+  try {
+    return { filter: parseTokens(tokenizeQuery(query)), errors: [] };
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    return { filter: null, errors: [error.message] };
+  }
+};
+
+// Fields for the query bar's autocomplete, with their operators and, for fixed lists, their values
+export const describeQueryFields = () =>
+  QUERY_FIELDS.map(({ name, label, type, field }) => ({
+    name,
+    label,
+    type,
+    operators: QUERY_OPERATORS[type],
+    values:
+      type === 'boolean'
+        ? ['true', 'false']
+        : (ExpenseEntry.schema.path(field)?.enumValues || []).filter(Boolean),
+  }));
+
+// Values of a field that start with prefix among the entries the scope query matches, for autocomplete
+export const suggestFieldValues = async (scope, name, prefix = '') => {
+  const definition = findField(name);
+  if (!definition || !['text', 'category'].includes(definition.type)) return [];
+
+  const pattern = new RegExp(`^${escapeRegex(prefix)}`, 'i');
+  const values = await ExpenseEntry.distinct(definition.field, { $and: [scope, { [definition.field]: pattern }] });
+  return values
+    .filter((value) => typeof value === 'string' && value.trim())
+    .sort((a, b) => a.localeCompare(b))
+    .slice(0, MAX_VALUE_SUGGESTIONS);
+};
+
+export default {
+  QUERY_FIELDS,
+  QUERY_OPERATORS,
+  MAX_QUERY_LENGTH,
+  parseFilterQuery,
+  describeQueryFields,
+  suggestFieldValues,
+};
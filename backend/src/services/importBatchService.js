@@ -0,0 +1,121 @@
+import ExcelJS from 'exceljs';
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import ImportRow from '../models/ImportRow.js';
+import { recordEntryAudit, diffEntry } from './auditService.js';
+import { moveEntryToRecycleBin } from './recycleBinService.js';
+import { compileImportProfile } from './bulkImportService.js';
+
+const ERROR_HEADER = 'Error';
+const ERROR_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFC7CE' } };
+const ERROR_FONT = { color: { argb: 'FF9C0006' } };
+
+// Undo an import: entries it created go to the recycle bin and entries it updated get their previous values back
+export const rollbackImportBatch = async (batch, user) => {
+  const reason = `Rollback of import batch ${batch.fileName || batch._id}`;
+  const result = { removed: 0, reverted: 0 };
+  const rows = await ImportRow.find({ batch: batch._id, outcome: { $in: ['created', 'updated'] } })
+    .select('-data')
+    .sort({ index: 1 })
+    .lean();
+
+  // Latest rows first, so an entry updated by several rows ends up with its value from before the batch.
+  // A field edited again since the import keeps its newer value.
+  const updatedRows = rows.filter((row) => row.outcome === 'updated' && row.entry && row.changes?.length);
+  for (const row of [...updatedRows].reverse()) {
+    const entry = await ExpenseEntry.findById(row.entry);
+    if (!entry) continue;
+
+    const imported = Object.fromEntries(row.changes.map(({ field, to }) => [field, to]));
+    const editedSince = new Set(diffEntry(imported, entry).map(({ field }) => field));
+    const revert = row.changes.filter(({ field }) => !editedSince.has(field));
+    if (!revert.length) continue;
+
+    const before = entry.toObject();
+    Object.assign(entry, Object.fromEntries(revert.map(({ field, from }) => [field, from])));
+    await entry.save();
+    await recordEntryAudit({ entry, action: 'update', before, after: entry, user, source: 'bulk_upload', reason });
+    result.reverted++;
+  }
+
+  const createdIds = rows.filter((row) => row.outcome === 'created' && row.entry).map((row) => row.entry);
+  const createdEntries = await ExpenseEntry.find({ _id: { $in: createdIds }, importBatch: batch._id });
+  for (const entry of createdEntries) {
+    await moveEntryToRecycleBin(entry, user, { source: 'bulk_upload', reason });
+    result.removed++;
+  }
+
+  batch.status = 'rolled_back';
+  batch.rolledBackAt = new Date();
+  batch.rolledBackBy = user._id;
+  await batch.save();
+
+  return result;
+};
+
+// Failed rows of one source sheet as a worksheet in the sheet's own columns plus an Error column, with the
+// offending cells highlighted
+const addFailedRowsSheet = (workbook, name, failedRows, aliases) => {
+  // Column order of the source sheet; an Error column from an earlier error workbook is replaced
+  const headers = [];
+  for (const { data } of failedRows) {
+    for (const header of Object.keys(data || {})) {
+      if (header.trim().toLowerCase() !== ERROR_HEADER.toLowerCase() && !headers.includes(header)) {
+        headers.push(header);
+      }
+    }
+  }
+  const normalizedHeaders = headers.map((header) => header.trim().toLowerCase());
+  // Same precedence as getField: the first alias present in the sheet is the column the value came from
+  const columnOf = (field) => {
+    for (const alias of aliases[field] || []) {
+      const index = normalizedHeaders.indexOf(alias.trim().toLowerCase());
+      if (index !== -1) return index + 1;
+    }
+    return null;
+  };
+
+  const worksheet = workbook.addWorksheet(name);
+  worksheet.columns = [
+    ...headers.map((header) => ({ header, width: Math.min(Math.max(header.length + 4, 12), 40) })),
+    { header: ERROR_HEADER, width: 60 },
+  ];
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  for (const { data, error, fields } of failedRows) {
+    const row = worksheet.addRow([...headers.map((header) => data?.[header] ?? null), error]);
+    row.getCell(headers.length + 1).font = ERROR_FONT;
+    for (const field of fields || []) {
+      const column = columnOf(field);
+      if (!column) continue;
+      row.getCell(column).fill = ERROR_FILL;
+      row.getCell(column).font = ERROR_FONT;
+    }
+  }
+};
+
+// The rows of a batch that were not imported, one worksheet per source sheet named like it, so fixed rows
+// can be uploaded again as they are (the Error column is ignored). profile is the one the upload was read with,
+// for the columns to highlight.
+export const buildErrorWorkbook = async (batch, profile = null) => {
+  const failedRows = await ImportRow.find({ batch: batch._id, outcome: 'failed' }).sort({ index: 1 }).lean();
+  const { aliases } = compileImportProfile(profile);
+
+  const bySheet = new Map();
+  for (const item of failedRows) {
+    const name = item.sheet || 'Failed Rows';
+    bySheet.set(name, [...(bySheet.get(name) || []), item]);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  for (const [name, rows] of bySheet) {
+    addFailedRowsSheet(workbook, name, rows, aliases);
+  }
+
+  return workbook.xlsx.writeBuffer();
+};
+
+export default {
+  rollbackImportBatch,
+  buildErrorWorkbook,
+};
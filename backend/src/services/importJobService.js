@@ -0,0 +1,305 @@
+import ImportJob from '../models/ImportJob.js';
+import ImportBatch from '../models/ImportBatch.js';
+import ImportRow from '../models/ImportRow.js';
+import User from '../models/User.js';
+import { convertToINR } from './currencyService.js';
+import {
+  buildImportContext,
+  prepareImportRow,
+  findEntriesById,
+  locateImportRow,
+  commitImportRow,
+  commitImportUpdate,
+} from './bulkImportService.js';
+import { createNotification } from '../controllers/notificationController.js';
+
+// Rows written between progress saves
+const JOB_CHUNK_SIZE = 200;
+// Rows stored per insert when an upload is queued
+const ROW_INSERT_SIZE = 1000;
+// Failed rows listed on the job for the upload page; the error workbook has all of them
+const MAX_LISTED_ROW_ERRORS = 500;
+// A running job whose worker has not saved progress for this long is treated as abandoned and picked up again
+const STALE_JOB_MS = 10 * 60 * 1000;
+const MAX_JOB_ATTEMPTS = 3;
+
+let workerRunning = false;
+
+// Add a row's result to the counts of the sheet it came from
+const tallySheetRow = (sheet, outcome, error) => {
+  if (!sheet) return;
+  if (outcome === 'created') sheet.unique++;
+  if (outcome === 'updated') sheet.updated++;
+  if (error) {
+    sheet.failed++;
+  } else {
+    sheet.success++;
+  }
+};
+
+// Per-sheet results as kept on the batch and returned with the job
+const summarizeSheets = (sheets = []) =>
+  sheets.map(({ name, rowCount, month, success, failed, unique, updated }) => ({
+    name,
+    month: month?.label || '',
+    total: rowCount,
+    success,
+    failed,
+    unique,
+    updated,
+  }));
+
+// Queue an upload: the batch is created straight away so it shows in the import history while it waits.
+// `sheets` ({ name, rowCount, month }) describes the sheets the rows came from, in order.
+export const queueImportJob = async ({ rows, sheets = [], fileName, profile, mode = 'create', user }) => {
+  const sheetCounts = sheets.map((sheet) => ({ ...sheet, success: 0, failed: 0, unique: 0, updated: 0 }));
+  const batch = await ImportBatch.create({
+    fileName,
+    uploadedBy: user._id,
+    profileName: profile?.name || '',
+    status: 'queued',
+    counts: { total: rows.length },
+    sheets: summarizeSheets(sheetCounts),
+  });
+
+  for (let start = 0; start < rows.length; start += ROW_INSERT_SIZE) {
+    await ImportRow.insertMany(
+      rows.slice(start, start + ROW_INSERT_SIZE).map((data, i) => ({ batch: batch._id, index: start + i, data })),
+      { ordered: false }
+    );
+  }
+
+  const job = await ImportJob.create({
+    batch: batch._id,
+    user: user._id,
+    fileName,
+    profile: profile ? profile.toObject?.() || profile : null,
+    mode,
+    sheets: sheetCounts,
+    total: rows.length,
+  });
+
+  return { job, batch };
+};
+
+// One exchange rate lookup per currency and day instead of one per row
+const memoizeConversion = () => {
+  const rates = new Map();
+  return async (amount, currency, date) => {
+    const key = `${currency}|${new Date(date).toISOString().slice(0, 10)}`;
+    if (!rates.has(key)) rates.set(key, convertToINR(1, currency, date));
+    const { rate, rateDate, source } = await rates.get(key);
+    return { rate, rateDate, source, amountInINR: amount * rate };
+  };
+};
+
+// Seconds left at the rate processed so far; null until the first chunk is done
+export const estimateSecondsRemaining = (job, now = new Date()) => {
+  if (job.status !== 'running' || !job.startedAt || !job.processed) return null;
+  const elapsed = (now - new Date(job.startedAt)) / 1000;
+  return Math.round((elapsed / job.processed) * (job.total - job.processed));
+};
+
+// What importing a row did, as stored on its ImportRow. Unset fields are left out of the update.
+const toRowOutcome = ({ rowNumber, sheet }, result) =>
+  Object.fromEntries(
+    Object.entries({
+      rowNumber,
+      sheet,
+      outcome: result.outcome,
+      entry: result.entry?._id || result.entry || null,
+      changes: result.changes,
+      suspected: Boolean(result.suspected),
+      error: result.error || '',
+      fields: result.fields,
+    }).filter(([, value]) => value !== undefined)
+  );
+
+// Run a claimed job from where it left off. Each row's outcome is saved as soon as it is imported, so a job
+// picked up again after its worker stopped skips the rows already done and counts them from their outcomes.
+// Counts and progress are saved after every chunk.
+export const processImportJob = async (job) => {
+  const batch = await ImportBatch.findById(job.batch);
+  const user = await User.findById(job.user);
+  if (!batch || !user) {
+    throw new Error('Import batch or uploader no longer exists');
+  }
+
+  const ctx = await buildImportContext(job.profile);
+  const convert = memoizeConversion();
+
+  batch.status = 'processing';
+
+  for (let start = job.processed; start < job.total; start += JOB_CHUNK_SIZE) {
+    const rows = await ImportRow.find({ batch: batch._id, index: { $gte: start, $lt: start + JOB_CHUNK_SIZE } })
+      .sort({ index: 1 })
+      .lean();
+    if (!rows.length) throw new Error(`Rows ${start + 1} onwards of this upload are missing`);
+    const located = rows.map((row) => locateImportRow(job.sheets, row.index));
+    const prepared = rows.map((row, i) =>
+      row.outcome ? null : prepareImportRow(row.data, located[i].rowNumber, ctx, { sheet: located[i].sheet })
+    );
+    const valid = prepared.filter((item) => item && !item.errors.length);
+    const isUpdate = (item) => job.mode === 'upsert' && item.values.entryId;
+    const targets = await findEntriesById(valid.filter(isUpdate).map((item) => item.values.entryId));
+
+    const commitPreparedRow = async (item) => {
+      if (item.errors.length) {
+        return { outcome: 'failed', error: item.errors.join('; '), fields: item.errorFields };
+      }
+      if (isUpdate(item)) {
+        const target = targets.get(item.values.entryId);
+        if (!target) {
+          return { outcome: 'failed', error: `Entry ID ${item.values.entryId} not found`, fields: ['entryId'] };
+        }
+        return commitImportUpdate(item, target, { user, convert });
+      }
+      return commitImportRow(item, { user, batch, convert });
+    };
+
+    for (let i = 0; i < rows.length; i++) {
+      let result = rows[i];
+      if (!rows[i].outcome) {
+        try {
+          result = await commitPreparedRow(prepared[i]);
+        } catch (error) {
+          result = { outcome: 'failed', error: error.message };
+        }
+        result = toRowOutcome(prepared[i], result);
+        // Only failed rows keep their cells, for the error workbook
+        await ImportRow.updateOne(
+          { _id: rows[i]._id },
+          result.error ? { $set: result } : { $set: result, $unset: { data: 1 } }
+        );
+      }
+
+      const { rowNumber, sheet, outcome, suspected, error, fields } = result;
+      if (outcome === 'created') job.unique++;
+      if (outcome === 'updated') job.updated++;
+      if (suspected) job.suspected++;
+      // A row can fail after its entry was written (e.g. the subscription update); it keeps its outcome
+      if (error) {
+        job.failed++;
+        if (job.rowErrors.length < MAX_LISTED_ROW_ERRORS) job.rowErrors.push({ row: rowNumber, sheet, error, fields });
+      } else {
+        job.success++;
+      }
+      tallySheetRow(located[i].sheet, outcome, error);
+    }
+
+    job.processed = Math.min(start + JOB_CHUNK_SIZE, job.total);
+    job.heartbeatAt = new Date();
+    batch.counts = {
+      total: job.total,
+      success: job.success,
+      failed: job.failed,
+      unique: job.unique,
+      updated: job.updated,
+      suspected: job.suspected,
+    };
+    batch.sheets = summarizeSheets(job.sheets);
+    await batch.save();
+    await job.save();
+  }
+
+  batch.status = 'completed';
+  await batch.save();
+
+  job.status = 'completed';
+  job.finishedAt = new Date();
+  await job.save();
+
+  await createNotification(
+    job.user,
+    'import_completed',
+    'Bulk upload finished',
+    (job.mode === 'upsert'
+      ? `${job.fileName}: ${job.updated} updated, ${job.unique} created, ${job.failed} failed`
+      : `${job.fileName}: ${job.unique} created, ${job.failed} failed`) +
+      (job.suspected ? `; ${job.suspected} queued for duplicate review` : ''),
+    null,
+    { jobId: job._id, batchId: batch._id }
+  );
+};
+
+const failImportJob = async (job, error) => {
+  console.error(`[Import Job] ${job._id} failed:`, error.message);
+  job.status = 'failed';
+  job.error = error.message;
+  job.finishedAt = new Date();
+  await job.save();
+  await ImportBatch.updateOne({ _id: job.batch }, { $set: { status: 'failed' } });
+
+  await createNotification(
+    job.user,
+    'import_completed',
+    'Bulk upload failed',
+    `${job.fileName} stopped after ${job.processed} of ${job.total} rows: ${error.message}`,
+    null,
+    { jobId: job._id, batchId: job.batch }
+  );
+};
+
+// Atomically take the oldest queued job, or an abandoned running one, so several instances can share the queue
+const claimNextImportJob = () =>
+  ImportJob.findOneAndUpdate(
+    {
+      $or: [{ status: 'queued' }, { status: 'running', heartbeatAt: { $lt: new Date(Date.now() - STALE_JOB_MS) } }],
+    },
+    { $set: { status: 'running', heartbeatAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+// Work through the queue until it is empty. Called after each upload and from the scheduler as a safety net.
+export const runImportJobsOnce = async () => {
+  if (workerRunning) return;
+  workerRunning = true;
+
+  try {
+    let job = await claimNextImportJob();
+    while (job) {
+      try {
+        if (job.attempts > MAX_JOB_ATTEMPTS) {
+          throw new Error(`Gave up after ${MAX_JOB_ATTEMPTS} attempts`);
+        }
+        if (!job.startedAt) job.startedAt = new Date();
+        await processImportJob(job);
+      } catch (error) {
+        await failImportJob(job, error);
+      }
+      job = await claimNextImportJob();
+    }
+  } finally {
+    workerRunning = false;
+  }
+};
+
+// Progress as returned to the client: counts, ETA and, once finished, the row errors
+export const serializeImportJob = (job) => ({
+  _id: job._id,
+  batch: job.batch,
+  fileName: job.fileName,
+  mode: job.mode,
+  status: job.status,
+  total: job.total,
+  processed: job.processed,
+  success: job.success,
+  failed: job.failed,
+  unique: job.unique,
+  updated: job.updated,
+  suspected: job.suspected,
+  sheets: summarizeSheets(job.sheets),
+  etaSeconds: estimateSecondsRemaining(job),
+  errors: ['completed', 'failed'].includes(job.status) ? job.rowErrors : [],
+  error: job.error,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+});
+
+export default {
+  queueImportJob,
+  estimateSecondsRemaining,
+  processImportJob,
+  runImportJobsOnce,
+  serializeImportJob,
+};
@@ -0,0 +1,198 @@
+import ExcelJS from 'exceljs';
+import { getMasterValues } from './masterDataService.js';
+import { IMPORT_STATUSES, IMPORT_RECURRING_VALUES } from './bulkImportService.js';
+
+export const TEMPLATE_SHEET = 'Expense Template';
+const INSTRUCTIONS_SHEET = 'Instructions';
+const LOOKUP_SHEET = 'Lookups';
+// Rows of the template sheet that carry dropdowns and formats
+const TEMPLATE_ROWS = 1000;
+const DATE_FORMAT = 'dd-mmm-yyyy';
+
+// Template columns in upload order. Headers are ones the importer recognises; `list` names the lookup column
+// behind a dropdown.
+const TEMPLATE_COLUMNS = [
+  { key: 'cardNumber', header: 'Card Number', width: 18, required: true, help: 'Card number or payment source, e.g. XXXX-XXXX-XXXX-4242' },
+  { key: 'cardAssignedTo', header: 'Card Assigned To', width: 20, required: true, help: 'Card holder; filled from the card registry when left blank for a registered card' },
+  { key: 'date', header: 'Date', width: 14, required: true, help: 'Transaction date' },
+  { key: 'month', header: 'Month', width: 12, help: 'e.g. Jan 2025; taken from the date when left blank' },
+  { key: 'status', header: 'Status', width: 12, list: 'status', help: 'Active when left blank' },
+  { key: 'particulars', header: 'Particulars', width: 25, required: true, help: 'Service name as on the card statement' },
+  { key: 'narration', header: 'Narration', width: 25, help: 'Statement narration; Particulars is used when left blank' },
+  { key: 'currency', header: 'Currency', width: 10, list: 'currency', help: 'USD when left blank' },
+  { key: 'billStatus', header: 'Bill Status', width: 15, help: 'Free text' },
+  { key: 'amount', header: 'Amount', width: 12, required: true, help: 'Amount in the entry currency' },
+  { key: 'typeOfService', header: 'Types of Tools or Service', width: 25, required: true, list: 'typeOfService' },
+  { key: 'businessUnit', header: 'Business Unit', width: 15, required: true, list: 'businessUnit' },
+  { key: 'costCenter', header: 'Cost Center', width: 15, required: true, list: 'costCenter' },
+  { key: 'approvedBy', header: 'Approved By', width: 15, required: true, list: 'approver' },
+  { key: 'serviceHandler', header: 'Tool or Service Handler', width: 25, help: 'Person who looks after the tool' },
+  { key: 'recurring', header: 'Recurring/One-time', width: 18, list: 'recurring', help: 'One-time when left blank' },
+  { key: 'isShared', header: 'Is Shared', width: 12, list: 'yesNo', help: 'Yes when the bill is split between business units' },
+  { key: 'sharedAllocations', header: 'Shared Bill', width: 35, help: 'Business unit shares, e.g. Wytlabs: 200, Collabx: 100' },
+];
+
+const EXAMPLE_ROW = {
+  cardNumber: 'XXXX-XXXX-XXXX-4242',
+  cardAssignedTo: 'John Doe',
+  date: new Date(Date.UTC(2025, 0, 5)),
+  month: 'Jan 2025',
+  status: 'Active',
+  particulars: 'ChatGPT',
+  narration: 'ChatGPT Subscription',
+  currency: 'USD',
+  amount: 200,
+  typeOfService: 'Tool',
+  businessUnit: 'Wytlabs',
+  costCenter: 'Ops',
+  approvedBy: 'Raghav',
+  serviceHandler: 'Raghav',
+  recurring: 'Yearly',
+  isShared: 'Yes',
+  sharedAllocations: 'Wytlabs: 120, Collabx: 80',
+};
+
+// Allowed values behind each dropdown: master data for the configurable lists, the importer's own for the rest
+const loadTemplateLists = async () => {
+  const [businessUnit, costCenter, typeOfService, approver, currency] = await Promise.all(
+    ['businessUnit', 'costCenter', 'typeOfService', 'approver', 'currency'].map((type) => getMasterValues(type))
+  );
+
+  return {
+    businessUnit: { label: 'Business Unit', values: businessUnit },
+    costCenter: { label: 'Cost Center', values: costCenter },
+    typeOfService: { label: 'Type of Service', values: typeOfService },
+    approver: { label: 'Approved By', values: approver },
+    currency: { label: 'Currency', values: currency },
+    status: { label: 'Status', values: IMPORT_STATUSES },
+    recurring: { label: 'Recurring', values: IMPORT_RECURRING_VALUES },
+    yesNo: { label: 'Is Shared', values: ['Yes', 'No'] },
+  };
+};
+
+const columnLetter = (index) => {
+  let letter = '';
+  for (let n = index; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+const rejectWith = (title, error) => ({ showErrorMessage: true, errorStyle: 'stop', errorTitle: title, error });
+
+// Where each list sits on the lookup sheet (one column per list, values from row 2), for the dropdowns
+const lookupRanges = (lists) =>
+  Object.fromEntries(
+    Object.entries(lists)
+      .map(([name, { values }], i) => {
+        const column = columnLetter(i + 1);
+        return [name, values.length ? `${LOOKUP_SHEET}!$${column}$2:$${column}$${values.length + 1}` : null];
+      })
+      .filter(([, range]) => range)
+  );
+
+const addLookupSheet = (workbook, lists) => {
+  const worksheet = workbook.addWorksheet(LOOKUP_SHEET, { state: 'hidden' });
+  Object.values(lists).forEach(({ label, values }, i) => {
+    worksheet.getColumn(i + 1).values = [label, ...values];
+  });
+  return worksheet;
+};
+
+const addTemplateSheet = (workbook, lists, ranges) => {
+  const worksheet = workbook.addWorksheet(TEMPLATE_SHEET, { views: [{ state: 'frozen', ySplit: 1 }] });
+  worksheet.columns = TEMPLATE_COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+  worksheet.getRow(1).font = { bold: true };
+
+  TEMPLATE_COLUMNS.forEach((column, i) => {
+    const letter = columnLetter(i + 1);
+    const cells = `${letter}2:${letter}${TEMPLATE_ROWS + 1}`;
+    const headerCell = worksheet.getCell(`${letter}1`);
+    if (column.required) {
+      headerCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF2CC' } };
+    }
+
+    if (column.list && ranges[column.list]) {
+      const { label } = lists[column.list];
+      worksheet.dataValidations.add(cells, {
+        type: 'list',
+        allowBlank: true,
+        formulae: [ranges[column.list]],
+        ...rejectWith(`Invalid ${label}`, `Pick a ${label} from the list. New values are added under Master Data.`),
+      });
+    } else if (column.key === 'date') {
+      worksheet.getColumn(i + 1).numFmt = DATE_FORMAT;
+      worksheet.dataValidations.add(cells, {
+        type: 'date',
+        operator: 'greaterThan',
+        allowBlank: true,
+        formulae: [new Date(Date.UTC(2000, 0, 1))],
+        ...rejectWith('Invalid date', 'Enter a date, e.g. 05-Jan-2025'),
+      });
+    } else if (column.key === 'amount') {
+      worksheet.getColumn(i + 1).numFmt = '#,##0.00';
+      worksheet.dataValidations.add(cells, {
+        type: 'decimal',
+        operator: 'greaterThanOrEqual',
+        allowBlank: true,
+        formulae: [0],
+        ...rejectWith('Invalid amount', 'Enter the amount as a number'),
+      });
+    }
+  });
+
+  return worksheet;
+};
+
+const addInstructionsSheet = (workbook, lists) => {
+  const worksheet = workbook.addWorksheet(INSTRUCTIONS_SHEET);
+  worksheet.columns = [{ width: 28 }, { width: 12 }, { width: 60 }, { width: 60 }];
+
+  const lines = [
+    'How to fill in the expense template',
+    `Enter one expense per row on the "${TEMPLATE_SHEET}" sheet, starting at row 2. Keep the header row as it is.`,
+    'Highlighted headers are required. Columns with a dropdown only accept the listed values.',
+    'Missing a value in a dropdown? Ask an MIS manager to add it under Master Data, then download a new template.',
+    'Upload the file on the Bulk Upload page and check the preview before confirming.',
+  ];
+  lines.forEach((line, i) => {
+    const row = worksheet.addRow([line]);
+    if (i === 0) row.font = { bold: true, size: 14 };
+  });
+  worksheet.addRow([]);
+
+  const header = worksheet.addRow(['Column', 'Required', 'What to enter', 'Allowed values']);
+  header.font = { bold: true };
+  for (const column of TEMPLATE_COLUMNS) {
+    const allowed = column.list ? lists[column.list].values.join(', ') : '';
+    const row = worksheet.addRow([column.header, column.required ? 'Yes' : '', column.help || '', allowed]);
+    row.alignment = { wrapText: true, vertical: 'top' };
+  }
+  worksheet.addRow([]);
+
+  worksheet.addRow(['Example row']).font = { bold: true };
+  for (const column of TEMPLATE_COLUMNS) {
+    const value = EXAMPLE_ROW[column.key];
+    const row = worksheet.addRow([column.header, '', value ?? '']);
+    if (value instanceof Date) row.getCell(3).numFmt = DATE_FORMAT;
+  }
+
+  return worksheet;
+};
+
+// Bulk upload template: the entry sheet with dropdowns and formats, instructions, and a hidden sheet of the
+// allowed values. The entry sheet comes first, since uploads read the first sheet by default.
+export const buildImportTemplate = async () => {
+  const lists = await loadTemplateLists();
+  const workbook = new ExcelJS.Workbook();
+
+  addTemplateSheet(workbook, lists, lookupRanges(lists));
+  addInstructionsSheet(workbook, lists);
+  addLookupSheet(workbook, lists);
+  return workbook;
+};
+
+export default {
+  TEMPLATE_SHEET,
+  buildImportTemplate,
+};
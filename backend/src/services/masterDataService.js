@@ -0,0 +1,186 @@
+import MasterDataItem, { MASTER_DATA_TYPES } from '../models/MasterDataItem.js';
+
+// Values the app shipped with before master data became admin-managed. Used to seed an empty collection.
+export const DEFAULT_MASTER_DATA = {
+  businessUnit: [
+    { value: 'DWSG', aliases: ['dws g'] },
+    { value: 'Signature' },
+    { value: 'Collabx' },
+    { value: 'Wytlabs', aliases: ['shared', 'excel forum', 'excel fourm', 'wytlabs and dws'] },
+    { value: 'Smegoweb' },
+  ],
+  costCenter: [
+    { value: 'Ops' },
+    { value: 'FE' },
+    { value: 'OH Exps', aliases: ['oh exps.'] },
+    { value: 'Support' },
+    { value: 'Management EXPS', aliases: ['management exps.'] },
+  ],
+  typeOfService: [
+    { value: 'Domain' },
+    { value: 'Google' },
+    { value: 'Google Adwords Expense', aliases: ['google adwords expenses'] },
+    { value: 'Hosting' },
+    { value: 'Proxy' },
+    { value: 'Server' },
+    { value: 'Service', aliases: ['tool & service', 'tools & service', 'tool & services', 'tools & services'] },
+    { value: 'Tool' },
+  ],
+  approver: [
+    { value: 'Vaibhav' },
+    { value: 'Marc' },
+    { value: 'Dawood' },
+    { value: 'Raghav' },
+    { value: 'Tarun', aliases: ['suspense'] },
+    { value: 'Yulia' },
+    { value: 'Sarthak' },
+    { value: 'Harshit' },
+  ],
+  currency: [
+    { value: 'USD' },
+    { value: 'EUR' },
+    { value: 'GBP' },
+    { value: 'INR' },
+    { value: 'AUD' },
+    { value: 'CAD' },
+  ],
+};
+
+// Expense entry fields backed by master data, with the label used in validation messages
+export const MASTER_FIELD_TYPES = {
+  businessUnit: { type: 'businessUnit', label: 'Business Unit' },
+  costCenter: { type: 'costCenter', label: 'Cost Center' },
+  typeOfService: { type: 'typeOfService', label: 'Type of Service' },
+  approvedBy: { type: 'approver', label: 'Approved By' },
+  currency: { type: 'currency', label: 'Currency' },
+};
+
+// Cache for master data (refresh every 5 minutes, cleared on every write)
+let cachedItems = null;
+let lastFetchTime = null;
+const CACHE_DURATION = 300000;
+
+const seedDefaults = async () => {
+  const docs = Object.entries(DEFAULT_MASTER_DATA).flatMap(([type, items]) =>
+    items.map((item, index) => ({ type, value: item.value, aliases: item.aliases || [], sortOrder: index }))
+  );
+  try {
+    await MasterDataItem.insertMany(docs, { ordered: false });
+  } catch (error) {
+    // Another instance may have seeded concurrently; duplicate keys are expected then
+    if (error.code !== 11000) throw error;
+  }
+};
+
+export const loadMasterData = async () => {
+  const now = Date.now();
+  if (cachedItems && lastFetchTime && now - lastFetchTime < CACHE_DURATION) {
+    return cachedItems;
+  }
+
+  let items = await MasterDataItem.find({}).sort({ type: 1, sortOrder: 1, value: 1 }).lean();
+  if (items.length === 0) {
+    await seedDefaults();
+    items = await MasterDataItem.find({}).sort({ type: 1, sortOrder: 1, value: 1 }).lean();
+  }
+
+  cachedItems = items;
+  lastFetchTime = now;
+  return items;
+};
+
+export const invalidateMasterDataCache = () => {
+  cachedItems = null;
+  lastFetchTime = null;
+};
+
+export const getMasterItems = async (type, { includeInactive = false } = {}) => {
+  const items = await loadMasterData();
+  return items.filter((item) => item.type === type && (includeInactive || item.isActive));
+};
+
+export const getMasterValues = async (type, options = {}) =>
+  (await getMasterItems(type, options)).map((item) => item.value);
+
+// Any configured value (active or not) is valid on a stored document
+export const isKnownMasterValue = async (type, value) => {
+  if (value === undefined || value === null || value === '') return true;
+  const values = await getMasterValues(type, { includeInactive: true });
+  return values.includes(value);
+};
+
+// Mongoose validator factory used in place of hard-coded enums
+export const masterValueValidator = (type, label) => ({
+  validator: (value) => isKnownMasterValue(type, value),
+  message: (props) => `${props.value} is not a configured ${label}`,
+});
+
+// New or changed values must be active; values already on the entry are accepted even if since deactivated
+export const validateMasterFields = async (payload = {}, previous = {}) => {
+  const items = await loadMasterData();
+  const activeByType = MASTER_DATA_TYPES.reduce((acc, type) => {
+    acc[type] = new Set(items.filter((item) => item.type === type && item.isActive).map((item) => item.value));
+    return acc;
+  }, {});
+
+  const errors = [];
+  Object.entries(MASTER_FIELD_TYPES).forEach(([field, { type, label }]) => {
+    const value = payload[field];
+    if (value === undefined || value === null || value === '') return;
+    if (previous?.[field] === value) return;
+    if (!activeByType[type].has(value)) {
+      errors.push(`${label} "${value}" is not an active option`);
+    }
+  });
+
+  const previousAllocationUnits = new Set((previous?.sharedAllocations || []).map((alloc) => alloc.businessUnit));
+  (payload.sharedAllocations || []).forEach((alloc) => {
+    const bu = alloc?.businessUnit;
+    if (!bu || previousAllocationUnits.has(bu)) return;
+    if (!activeByType.businessUnit.has(bu)) {
+      errors.push(`Shared allocation Business Unit "${bu}" is not an active option`);
+    }
+  });
+
+  return errors;
+};
+
+// Build a case-insensitive normalizer (value or alias -> canonical value) over active items of a type
+export const buildMasterNormalizer = async (type) => {
+  const items = await getMasterItems(type);
+  const lookup = new Map();
+  items.forEach((item) => {
+    lookup.set(item.value.toLowerCase(), item.value);
+    (item.aliases || []).forEach((alias) => {
+      if (!lookup.has(alias)) lookup.set(alias, item.value);
+    });
+  });
+
+  return (raw) => {
+    if (raw === undefined || raw === null) return null;
+    const norm = raw.toString().trim().toLowerCase();
+    if (!norm) return null;
+    return lookup.get(norm) || null;
+  };
+};
+
+// Grouped active values for dropdowns
+export const getMasterDataOptions = async ({ includeInactive = false } = {}) => {
+  const items = await loadMasterData();
+  return MASTER_DATA_TYPES.reduce((acc, type) => {
+    acc[type] = items.filter((item) => item.type === type && (includeInactive || item.isActive));
+    return acc;
+  }, {});
+};
+
+export default {
+  loadMasterData,
+  invalidateMasterDataCache,
+  getMasterItems,
+  getMasterValues,
+  isKnownMasterValue,
+  masterValueValidator,
+  validateMasterFields,
+  buildMasterNormalizer,
+  getMasterDataOptions,
+};
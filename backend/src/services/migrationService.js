@@ -0,0 +1,47 @@
+import { refreshSearchTokens } from './entrySearchService.js';
+import { backfillSubscriptions } from './subscriptionService.js';
+
+// Entries without search words: the ones stored before search existed. Deleted and merged-away entries are
+// named separately, since queries skip them unless the filter names them.
+const UNINDEXED_ENTRY_FILTERS = [{}, { deletedAt: { $ne: null } }, { mergedInto: { $ne: null } }].map((filter) => ({
+  ...filter,
+  searchTokens: { $exists: false },
+}));
+
+// Give entries stored before search existed their search words, so the sheet's search finds them
+const backfillSearchTokens = async () => {
+  let updated = 0;
+  for (const filter of UNINDEXED_ENTRY_FILTERS) {
+    updated += (await refreshSearchTokens(filter)).updated;
+  }
+  return `${updated} entries indexed for search`;
+};
+
+// Renewal reminders and auto-cancel notices work on subscriptions; recurring entries stored before subscriptions
+// existed get theirs here, with the reminder state they had, so those jobs keep covering them without sending
+// reminders twice. Their renewal logs are linked too, since a subscription's history is read by subscription.
+const linkSubscriptions = async () => {
+  const { linked, subscriptions, logs } = await backfillSubscriptions();
+  return `${linked} recurring entries linked to ${subscriptions} subscriptions, ${logs} renewal logs linked`;
+};
+
+// Data changes that existing databases need after a deploy. Every step is safe to run again and finds nothing
+// left to do once it has run, so they all run on every start.
+const MIGRATIONS = [
+  { name: 'search tokens', run: backfillSearchTokens },
+  { name: 'subscriptions', run: linkSubscriptions },
+];
+
+export const runStartupMigrations = async () => {
+  for (const { name, run } of MIGRATIONS) {
+    try {
+      console.log(`[Migration] ${name}: ${await run()}`);
+    } catch (error) {
+      console.error(`[Migration] ${name} failed:`, error.message);
+    }
+  }
+};
+
+export default {
+  runStartupMigrations,
+};
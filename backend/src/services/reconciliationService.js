@@ -0,0 +1,347 @@
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import Statement from '../models/Statement.js';
+import { maskCardNumber, resolveEntryCard } from './cardService.js';
+import { convertToINR } from './currencyService.js';
+import { validateMasterFields } from './masterDataService.js';
+import { recordSubscriptionCharge } from './subscriptionService.js';
+import { recordEntryAudit } from './auditService.js';
+import { getField, parseDateValue } from '../utils/spreadsheet.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Matching tolerances: days either side of the statement date, absolute amount difference in the same
+// currency, and percentage difference when an INR statement line is compared with a foreign-currency entry
+export const getMatchOptions = () => ({
+  dateWindowDays: parseInt(process.env.RECONCILE_DATE_WINDOW_DAYS, 10) || 3,
+  amountTolerance: parseFloat(process.env.RECONCILE_AMOUNT_TOLERANCE) || 0.01,
+  inrTolerancePercent: parseFloat(process.env.RECONCILE_INR_TOLERANCE_PERCENT) || 3,
+});
+
+// Card numbers are compared by their last four digits when masked or full, otherwise as internal codes
+export const toCardKey = (value) => {
+  const text = `${value ?? ''}`.trim();
+  const digits = text.replace(/\D/g, '');
+  if (digits.length >= 4 && (/[x*•]/i.test(text) || digits.length >= 12)) {
+    return `last4:${digits.slice(-4)}`;
+  }
+  return text.toLowerCase();
+};
+
+// "1,234.50", "₹ 99", "45.00 DR" -> number; credits ("CR" or negative) come back negative
+const parseStatementAmount = (value) => {
+  if (typeof value === 'number') return value;
+  const text = `${value ?? ''}`.trim();
+  if (!text) return NaN;
+  const amount = parseFloat(text.replace(/[^\d.-]/g, ''));
+  return /cr$/i.test(text) ? -Math.abs(amount) : amount;
+};
+
+// Statement rows -> lines. Credits (payments, refunds) and unreadable rows are reported, not imported.
+export const parseStatementRows = (rows, { cardNumber = '', currency = 'INR', normalizeCurrency = (value) => value }) => {
+  const lines = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const date = parseDateValue(getField(row, ['Date', 'Transaction Date', 'Txn Date', 'Posting Date', 'Value Date']));
+    const debit = getField(row, ['Debit', 'Debit Amount', 'Withdrawal']);
+    const amount = parseStatementAmount(
+      debit !== undefined && `${debit}`.trim() !== '' ? debit : getField(row, ['Amount', 'Transaction Amount', 'Original Amount'])
+    );
+    const rawCurrency = getField(row, ['Currency', 'Original Currency', 'Txn Currency']) || currency;
+    const lineCurrency = normalizeCurrency(rawCurrency);
+    const lineCard = `${getField(row, ['Card', 'Card Number', 'Card No', 'Card No.']) || cardNumber}`.trim();
+
+    let error = null;
+    if (!date) error = 'Invalid or missing date';
+    else if (Number.isNaN(amount)) error = 'Invalid or missing amount';
+    else if (amount <= 0) error = 'Credit or zero amount skipped';
+    else if (!lineCurrency) error = `Unknown currency: ${rawCurrency}`;
+    else if (!lineCard) error = 'No card number on the row or the statement';
+
+    if (error) {
+      errors.push({ row: rowNumber, error, data: row });
+      return;
+    }
+
+    lines.push({
+      rowNumber,
+      date,
+      description: `${getField(row, ['Description', 'Details', 'Narration', 'Merchant', 'Particulars', 'Transaction Details']) || ''}`.trim(),
+      amount: Math.round(amount * 100) / 100,
+      currency: lineCurrency,
+      cardNumber: maskCardNumber(lineCard),
+    });
+  });
+
+  return { lines, errors };
+};
+
+// Whether an entry could be the booking of a statement line; returns its distance (lower is closer) or null
+export const compareLineToEntry = (line, entry, options = getMatchOptions()) => {
+  if (toCardKey(line.cardNumber) !== toCardKey(entry.cardNumber)) return null;
+
+  const dayDiff = Math.abs(new Date(line.date).getTime() - new Date(entry.date).getTime()) / DAY_MS;
+  if (dayDiff > options.dateWindowDays) return null;
+
+  let amountDiff;
+  if (line.currency === entry.currency) {
+    amountDiff = Math.abs(line.amount - entry.amount);
+    if (amountDiff > options.amountTolerance) return null;
+  } else if (line.currency === 'INR' && entry.amountInINR) {
+    // Bank conversion and markup differ from the booked rate
+    amountDiff = Math.abs(line.amount - entry.amountInINR) / entry.amountInINR;
+    if (amountDiff * 100 > options.inrTolerancePercent) return null;
+  } else {
+    return null;
+  }
+
+  return { dayDiff, amountDiff };
+};
+
+const closerThan = (a, b) => a.dayDiff - b.dayDiff || a.amountDiff - b.amountDiff;
+
+// Auto-match pending lines; lines already matched (by hand or earlier runs) keep their entry. A line is
+// matched when exactly one free entry fits, or when one candidate is an exact same-day hit and the others
+// are not. Lines left with several fits are ambiguous.
+export const matchStatementLines = (lines, entries, options = getMatchOptions()) => {
+  const taken = new Set(lines.filter((line) => line.status === 'matched' && line.entry).map((line) => String(line.entry)));
+  const pending = lines.filter((line) => line.status !== 'matched');
+
+  const fits = new Map(
+    pending.map((line) => [
+      line,
+      entries
+        .map((entry) => ({ entry, distance: compareLineToEntry(line, entry, options) }))
+        .filter((candidate) => candidate.distance)
+        .sort((a, b) => closerThan(a.distance, b.distance)),
+    ])
+  );
+  const freeFits = (line) => fits.get(line).filter((candidate) => !taken.has(String(candidate.entry._id)));
+  const assign = (line, entry) => {
+    line.status = 'matched';
+    line.matchType = 'auto';
+    line.entry = entry._id;
+    line.candidates = [];
+    taken.add(String(entry._id));
+  };
+
+  // Unique fits first; each assignment can leave other lines with a single fit
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const line of pending) {
+      if (line.status === 'matched') continue;
+      const free = freeFits(line);
+      if (free.length === 1) {
+        assign(line, free[0].entry);
+        changed = true;
+      }
+    }
+  }
+
+  pending.forEach((line) => {
+    if (line.status === 'matched') return;
+    const free = freeFits(line);
+    const exact = free.filter((candidate) => candidate.distance.dayDiff === 0 && candidate.distance.amountDiff === 0);
+
+    if (exact.length === 1) {
+      assign(line, exact[0].entry);
+    } else if (free.length > 1) {
+      line.status = 'ambiguous';
+      line.matchType = null;
+      line.entry = null;
+      line.candidates = free.map((candidate) => candidate.entry._id);
+    } else {
+      line.status = 'unmatched';
+      line.matchType = null;
+      line.entry = null;
+      line.candidates = [];
+    }
+  });
+
+  return lines;
+};
+
+// Entries a statement's lines may match: inside the date window and not reconciled against another statement
+export const loadCandidateEntries = async (statement, options = getMatchOptions()) => {
+  if (!statement.lines.length) return [];
+
+  const times = statement.lines.map((line) => new Date(line.date).getTime());
+  const windowMs = options.dateWindowDays * DAY_MS;
+  const cardKeys = new Set(statement.lines.map((line) => toCardKey(line.cardNumber)));
+
+  const entries = await ExpenseEntry.find({
+    entryStatus: { $ne: 'Rejected' },
+    date: { $gte: new Date(Math.min(...times) - windowMs), $lte: new Date(Math.max(...times) + windowMs) },
+    $or: [{ reconciledStatement: null }, { reconciledStatement: statement._id }],
+  })
+    .select('cardNumber date amount currency amountInINR reconciledStatement')
+    .lean();
+
+  return entries.filter((entry) => cardKeys.has(toCardKey(entry.cardNumber)));
+};
+
+// Keep ExpenseEntry.reconciledStatement in step with the statement's matched lines
+export const syncReconciledEntries = async (statement) => {
+  const matchedIds = statement.lines.filter((line) => line.status === 'matched' && line.entry).map((line) => line.entry);
+
+  await ExpenseEntry.updateMany(
+    { reconciledStatement: statement._id, _id: { $nin: matchedIds } },
+    { $set: { reconciledStatement: null } }
+  );
+  if (matchedIds.length) {
+    await ExpenseEntry.updateMany({ _id: { $in: matchedIds } }, { $set: { reconciledStatement: statement._id } });
+  }
+};
+
+// A deleted entry no longer backs its statement line
+export const releaseReconciledEntry = async (entry) => {
+  if (!entry.reconciledStatement) return;
+  await Statement.updateOne(
+    { _id: entry.reconciledStatement },
+    {
+      $set: {
+        'lines.$[line].status': 'unmatched',
+        'lines.$[line].matchType': null,
+        'lines.$[line].entry': null,
+      },
+    },
+    { arrayFilters: [{ 'line.entry': entry._id }] }
+  );
+};
+
+// Run the matcher over a statement's pending lines and persist the result
+export const reconcileStatement = async (statement) => {
+  const options = getMatchOptions();
+  const entries = await loadCandidateEntries(statement, options);
+  matchStatementLines(statement.lines, entries, options);
+  await statement.save();
+  await syncReconciledEntries(statement);
+  return statement;
+};
+
+export const summarizeStatement = (statement) =>
+  statement.lines.reduce(
+    (acc, line) => {
+      acc.total++;
+      acc[line.status]++;
+      return acc;
+    },
+    { total: 0, matched: 0, unmatched: 0, ambiguous: 0 }
+  );
+
+const ENTRY_DEFAULT_FIELDS = [
+  'particulars',
+  'typeOfService',
+  'businessUnit',
+  'costCenter',
+  'approvedBy',
+  'serviceHandler',
+  'cardAssignedTo',
+  'recurring',
+];
+const REQUIRED_ENTRY_FIELDS = ['particulars', 'typeOfService', 'businessUnit', 'costCenter', 'approvedBy', 'serviceHandler'];
+
+// Earlier entry on the same card to copy classification from: same service if the description names it
+const findTemplateEntry = async (line) => {
+  const cardKey = toCardKey(line.cardNumber);
+  const cardPattern = cardKey.startsWith('last4:')
+    ? `${cardKey.slice(6)}$`
+    : `^${cardKey.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`;
+  const recent = await ExpenseEntry.find({
+    cardNumber: { $regex: cardPattern, $options: 'i' },
+    date: { $lte: new Date(line.date) },
+    entryStatus: 'Accepted',
+  })
+    .sort({ date: -1 })
+    .limit(100)
+    .lean();
+  const sameCard = recent.filter((entry) => toCardKey(entry.cardNumber) === cardKey);
+  const description = (line.description || '').toLowerCase();
+
+  return (
+    sameCard.find((entry) => entry.particulars && description.includes(entry.particulars.trim().toLowerCase())) ||
+    sameCard[0] ||
+    null
+  );
+};
+
+// Fields a new entry for this line would get: copied from the template entry, then caller overrides
+export const buildEntryDefaults = async (line, overrides = {}) => {
+  const template = await findTemplateEntry(line);
+  const defaults = ENTRY_DEFAULT_FIELDS.reduce((acc, field) => {
+    acc[field] = overrides[field] || template?.[field] || '';
+    return acc;
+  }, {});
+
+  defaults.particulars = defaults.particulars || line.description;
+  defaults.recurring = defaults.recurring || 'One-time';
+  defaults.missingFields = REQUIRED_ENTRY_FIELDS.filter((field) => !defaults[field]);
+  return defaults;
+};
+
+// Book an unmatched statement line as a new accepted entry and match the line to it
+export const createEntryFromLine = async (statement, line, overrides, user) => {
+  const { missingFields, ...fields } = await buildEntryDefaults(line, overrides);
+  if (missingFields.length) {
+    throw Object.assign(new Error(`Please provide ${missingFields.join(', ')}`), { statusCode: 400, missingFields });
+  }
+
+  const masterErrors = await validateMasterFields(fields);
+  if (masterErrors.length) {
+    throw Object.assign(new Error(masterErrors.join('; ')), { statusCode: 400 });
+  }
+
+  const cardFields = await resolveEntryCard({
+    cardNumber: line.cardNumber,
+    cardAssignedTo: fields.cardAssignedTo || fields.serviceHandler,
+  });
+  const { rate, rateDate, source, amountInINR } = await convertToINR(line.amount, line.currency, line.date);
+  const date = new Date(line.date);
+
+  const entry = await ExpenseEntry.create({
+    ...fields,
+    ...cardFields,
+    date,
+    month: `${MONTH_LABELS[date.getUTCMonth()]}-${date.getUTCFullYear()}`,
+    status: 'Active',
+    narration: line.description || fields.particulars,
+    currency: line.currency,
+    amount: line.amount,
+    xeRate: rate,
+    xeRateDate: rateDate,
+    xeRateSource: source,
+    amountInINR,
+    entryStatus: 'Accepted',
+    duplicateStatus: 'Unique',
+    createdBy: user._id,
+    reconciledStatement: statement._id,
+  });
+  await recordEntryAudit({ entry, action: 'create', after: entry, user, source: 'reconciliation' });
+  await recordSubscriptionCharge(entry);
+
+  line.status = 'matched';
+  line.matchType = 'created';
+  line.entry = entry._id;
+  line.candidates = [];
+  await statement.save();
+
+  return entry;
+};
+
+export default {
+  getMatchOptions,
+  toCardKey,
+  parseStatementRows,
+  compareLineToEntry,
+  matchStatementLines,
+  loadCandidateEntries,
+  syncReconciledEntries,
+  releaseReconciledEntry,
+  reconcileStatement,
+  summarizeStatement,
+  buildEntryDefaults,
+  createEntryFromLine,
+};
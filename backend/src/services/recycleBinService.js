@@ -0,0 +1,30 @@
+import { recordEntryAudit } from './auditService.js';
+import { releaseReconciledEntry } from './reconciliationService.js';
+import { recordSubscriptionCharge, relinkLastCharges } from './subscriptionService.js';
+
+// Soft delete an entry. It no longer backs a statement line or stands as its subscription's last charge; if
+// restored it is re-matched from the statement and linked to the subscription again.
+export const moveEntryToRecycleBin = async (entry, user, { source = 'manual', reason = '' } = {}) => {
+  await releaseReconciledEntry(entry);
+  entry.reconciledStatement = null;
+  entry.deletedAt = new Date();
+  entry.deletedBy = user?._id || null;
+  await entry.save();
+  if (entry.subscription) await relinkLastCharges([entry._id]);
+  await recordEntryAudit({ entry, action: 'delete', before: entry, user, source, reason });
+  return entry;
+};
+
+export const restoreEntryFromRecycleBin = async (entry, user) => {
+  entry.deletedAt = null;
+  entry.deletedBy = null;
+  await entry.save();
+  await recordEntryAudit({ entry, action: 'restore', user });
+  await recordSubscriptionCharge(entry);
+  return entry;
+};
+
+export default {
+  moveEntryToRecycleBin,
+  restoreEntryFromRecycleBin,
+};
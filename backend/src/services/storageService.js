@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const getLocalRoot = () =>
+  path.resolve(process.env.ATTACHMENT_STORAGE_PATH || path.join(__dirname, '../../uploads/attachments'));
+
+// Keys are relative to the local root; anything resolving outside it is rejected
+const resolveLocalPath = (key) => {
+  const root = getLocalRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(`${root}${path.sep}`)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+};
+
+// Each driver stores a buffer under a generated key, streams it back and removes it
+const STORAGE_DRIVERS = {
+  local: {
+    save: async (buffer, { fileName }) => {
+      const now = new Date();
+      const safeName = path.basename(fileName).replace(/[^\w.-]+/g, '_').slice(-100);
+      const key = [
+        `${now.getUTCFullYear()}`,
+        String(now.getUTCMonth() + 1).padStart(2, '0'),
+        `${crypto.randomBytes(8).toString('hex')}-${safeName}`,
+      ].join('/');
+      const filePath = resolveLocalPath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return key;
+    },
+
+    read: async (key) => {
+      const filePath = resolveLocalPath(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveLocalPath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+  },
+};
+
+export const STORAGE_DRIVER_NAMES = Object.keys(STORAGE_DRIVERS);
+
+// Driver for new files comes from STORAGE_DRIVER (default `local`); stored files keep the driver they were saved with
+export const getStorageDriver = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const driver = STORAGE_DRIVERS[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return { name, ...driver };
+};
+
+export default {
+  STORAGE_DRIVER_NAMES,
+  getStorageDriver,
+};
@@ -0,0 +1,233 @@
+import Subscription from '../models/Subscription.js';
+import ExpenseEntry from '../models/ExpenseEntry.js';
+import RenewalLog from '../models/RenewalLog.js';
+
+export const RECURRING_CADENCES = ['Monthly', 'Yearly'];
+
+export const toServiceKey = (particulars = '') => `${particulars}`.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Date `cycles` billing periods after `date` (null for one-time purchases)
+export const addCadence = (date, recurring, cycles = 1) => {
+  const next = new Date(date);
+  if (recurring === 'Monthly') {
+    next.setMonth(next.getMonth() + cycles);
+  } else if (recurring === 'Yearly') {
+    next.setFullYear(next.getFullYear() + cycles);
+  } else {
+    return null;
+  }
+  return next;
+};
+
+// Move an overdue renewal date to the next future cycle and clear reminder flags
+export const advanceRenewal = (subscription, now = new Date()) => {
+  if (!subscription?.nextRenewalDate || !RECURRING_CADENCES.includes(subscription.recurring)) return false;
+
+  let nextDate = new Date(subscription.nextRenewalDate);
+  const original = nextDate.getTime();
+  while (nextDate < now) {
+    nextDate = addCadence(nextDate, subscription.recurring);
+  }
+
+  if (nextDate.getTime() === original) return false;
+
+  subscription.nextRenewalDate = nextDate;
+  subscription.renewalNotificationSent = false;
+  subscription.autoCancellationNotificationSent = false;
+  return true;
+};
+
+// Shape expected by the renewal and cancellation email templates
+export const toServiceDetails = (subscription) => {
+  const plain = typeof subscription.toObject === 'function' ? subscription.toObject() : subscription;
+  return {
+    ...plain,
+    amount: plain.expectedAmount,
+    date: plain.startDate,
+  };
+};
+
+export const deactivateSubscription = async (subscriptionId, disabledAt = new Date()) => {
+  if (!subscriptionId) return null;
+  return Subscription.findOneAndUpdate(
+    { _id: subscriptionId, status: { $ne: 'Deactive' } },
+    { $set: { status: 'Deactive', disabledAt } },
+    { new: true }
+  );
+};
+
+const findSubscriptionForEntry = async (entry) => {
+  if (entry.subscription) {
+    const linked = await Subscription.findById(entry.subscription);
+    if (linked) return linked;
+  }
+
+  // Prefer the active subscription when the service was cancelled and bought again
+  return Subscription.findOne({
+    businessUnit: entry.businessUnit,
+    serviceKey: toServiceKey(entry.particulars),
+    recurring: entry.recurring,
+  }).sort({ status: 1, lastChargeDate: -1 });
+};
+
+// Link an accepted recurring charge to its subscription, creating the subscription on the first
+// charge, and roll the renewal cycle forward from the charge date. Older charges only get linked.
+export const recordSubscriptionCharge = async (entry) => {
+  if (!entry || entry.entryStatus !== 'Accepted' || !RECURRING_CADENCES.includes(entry.recurring)) {
+    return null;
+  }
+
+  const chargeDate = new Date(entry.date);
+  let subscription = await findSubscriptionForEntry(entry);
+
+  if (!subscription) {
+    subscription = new Subscription({
+      particulars: entry.particulars,
+      serviceKey: toServiceKey(entry.particulars),
+      businessUnit: entry.businessUnit,
+      recurring: entry.recurring,
+      startDate: chargeDate,
+      createdBy: entry.createdBy,
+    });
+  }
+
+  const isLatest = !subscription.lastChargeDate || chargeDate >= subscription.lastChargeDate;
+  if (isLatest) {
+    subscription.set({
+      narration: entry.narration || subscription.narration,
+      serviceHandler: entry.serviceHandler,
+      costCenter: entry.costCenter,
+      typeOfService: entry.typeOfService,
+      approvedBy: entry.approvedBy,
+      card: entry.card || null,
+      cardNumber: entry.cardNumber,
+      cardAssignedTo: entry.cardAssignedTo,
+      currency: entry.currency,
+      expectedAmount: entry.amount,
+      lastChargeDate: chargeDate,
+      lastCharge: entry._id,
+    });
+
+    const nextRenewalDate = addCadence(chargeDate, subscription.recurring);
+    if (!subscription.nextRenewalDate || nextRenewalDate > subscription.nextRenewalDate) {
+      subscription.nextRenewalDate = nextRenewalDate;
+      subscription.renewalNotificationSent = false;
+      subscription.autoCancellationNotificationSent = false;
+    }
+
+    if (entry.status === 'Deactive' && subscription.status !== 'Deactive') {
+      subscription.status = 'Deactive';
+      subscription.disabledAt = entry.disabledAt || new Date();
+    }
+  }
+
+  if (chargeDate < subscription.startDate) {
+    subscription.startDate = chargeDate;
+  }
+
+  await subscription.save();
+
+  if (String(entry.subscription || '') !== String(subscription._id)) {
+    await ExpenseEntry.updateOne({ _id: entry._id }, { $set: { subscription: subscription._id } });
+    entry.subscription = subscription._id;
+  }
+
+  return subscription;
+};
+
+// Point subscriptions whose last charge was deleted or purged at their latest remaining accepted charge, or at
+// none, so renewal reminders describe a charge that still exists
+export const relinkLastCharges = async (removedIds) => {
+  const subscriptions = await Subscription.find({ lastCharge: { $in: removedIds } });
+  for (const subscription of subscriptions) {
+    const latest = await ExpenseEntry.findOne({ subscription: subscription._id, entryStatus: 'Accepted' })
+      .sort({ date: -1 })
+      .select('_id date');
+    subscription.lastCharge = latest?._id || null;
+    subscription.lastChargeDate = latest?.date || null;
+    await subscription.save();
+  }
+};
+
+// Before subscriptions existed each recurring entry kept its own reminder state. The model no longer has those
+// fields, so they are read from the raw collection.
+const LEGACY_RENEWAL_PROJECTION = {
+  nextRenewalDate: 1,
+  renewalNotificationSent: 1,
+  autoCancellationNotificationSent: 1,
+};
+
+// Give a subscription the reminder state of its latest charge, so the reminders already sent for it are not
+// sent again now that the charge date set a fresh renewal cycle
+const carryLegacyRenewal = async (subscription) => {
+  const legacy = await ExpenseEntry.collection.findOne(
+    { _id: subscription.lastCharge, nextRenewalDate: { $ne: null } },
+    { projection: LEGACY_RENEWAL_PROJECTION }
+  );
+  if (!legacy) return;
+
+  subscription.set({
+    nextRenewalDate: legacy.nextRenewalDate,
+    renewalNotificationSent: Boolean(legacy.renewalNotificationSent),
+    autoCancellationNotificationSent: Boolean(legacy.autoCancellationNotificationSent),
+  });
+  await subscription.save();
+};
+
+// Renewal logs written before subscriptions existed only name the charge; history is read by subscription
+const linkRenewalLogs = async () => {
+  const entryIds = await RenewalLog.distinct('expenseEntry', { subscription: null, expenseEntry: { $ne: null } });
+  if (!entryIds.length) return 0;
+
+  // Deleted and merged-away charges keep their history too
+  const entries = await ExpenseEntry.collection
+    .find({ _id: { $in: entryIds }, subscription: { $ne: null } }, { projection: { subscription: 1 } })
+    .toArray();
+  let linked = 0;
+  for (const entry of entries) {
+    const result = await RenewalLog.updateMany(
+      { subscription: null, expenseEntry: entry._id },
+      { $set: { subscription: entry.subscription } }
+    );
+    linked += result.modifiedCount;
+  }
+  return linked;
+};
+
+// Create subscriptions for accepted recurring entries recorded before subscriptions existed, keeping the
+// reminder state of their latest charge, and link their renewal logs
+export const backfillSubscriptions = async () => {
+  const entries = await ExpenseEntry.find({
+    subscription: null,
+    entryStatus: 'Accepted',
+    recurring: { $in: RECURRING_CADENCES },
+  }).sort({ date: 1 });
+
+  // The latest copy of each subscription the entries were linked to
+  const touched = new Map();
+  for (const entry of entries) {
+    const subscription = await recordSubscriptionCharge(entry);
+    if (subscription) touched.set(String(subscription._id), subscription);
+  }
+
+  // Only a charge linked just now can carry reminder state from before subscriptions
+  const linkedIds = new Set(entries.map((entry) => String(entry._id)));
+  for (const subscription of touched.values()) {
+    if (linkedIds.has(String(subscription.lastCharge))) await carryLegacyRenewal(subscription);
+  }
+
+  const logs = await linkRenewalLogs();
+  return { linked: entries.length, subscriptions: touched.size, logs };
+};
+
+export default {
+  RECURRING_CADENCES,
+  toServiceKey,
+  addCadence,
+  advanceRenewal,
+  toServiceDetails,
+  deactivateSubscription,
+  recordSubscriptionCharge,
+  relinkLastCharges,
+  backfillSubscriptions,
+};
@@ -0,0 +1,46 @@
+// Word splitting shared by the entry search index and the search endpoint. Words are runs of letters and digits,
+// lower-cased and stripped of accents, which is how the text index (language "none") splits them too.
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+export const normalizeWord = (word = '') =>
+  word
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+
+export const tokenize = (value) => (`${value ?? ''}`.match(WORD_PATTERN) || []).map(normalizeWord);
+
+// Distinct words of several values, for an entry's searchTokens
+export const collectTokens = (values) => [...new Set(values.flatMap(tokenize))];
+
+// Most words one search may hold
+export const MAX_SEARCH_TERMS = 8;
+
+// Distinct words of typed search text, as the terms to look up
+export const parseSearchTerms = (text) => [...new Set(tokenize(text))].slice(0, MAX_SEARCH_TERMS);
+
+// Entries with a word starting with each search term, from the searchTokens index. Terms are letters and
+// digits only, so they need no escaping.
+export const matchSearchTerms = (terms) => ({ $all: terms.map((term) => new RegExp(`^${term}`)) });
+
+// Where words of the text start with one of the terms: [{ start, end }] over the original text
+export const findPrefixMatches = (text, terms) => {
+  const matches = [];
+  for (const match of `${text ?? ''}`.matchAll(WORD_PATTERN)) {
+    const word = normalizeWord(match[0]);
+    const term = terms.filter((item) => word.startsWith(item)).sort((a, b) => b.length - a.length)[0];
+    if (term) matches.push({ start: match.index, end: match.index + Math.min(term.length, match[0].length) });
+  }
+  return matches;
+};
+
+export default {
+  MAX_SEARCH_TERMS,
+  normalizeWord,
+  tokenize,
+  collectTokens,
+  parseSearchTerms,
+  matchSearchTerms,
+  findPrefixMatches,
+};
@@ -0,0 +1,221 @@
+import ExcelJS from 'exceljs';
+import csvParser from 'csv-parser';
+import path from 'path';
+import fs from 'fs';
+
+// Shared CSV/XLSX parsing helpers for uploads (expense bulk upload, rate tables)
+
+// Header-keyed rows of one worksheet; the first row holds the headers and blank rows are skipped
+const parseWorksheet = (worksheet) => {
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, colNumber) => {
+    headers[colNumber] = cell.text?.trim() || (typeof cell.value === 'string' ? cell.value.trim() : cell.value);
+  });
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const rowData = {};
+
+    row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+      const header = headers[colNumber];
+      if (!header) return;
+
+      let value = cell.value;
+      if (value && typeof value === 'object') {
+        if (value.text) {
+          value = value.text;
+        } else if (value.result) {
+          value = value.result;
+        } else if (value.richText) {
+          value = value.richText.map((item) => item.text).join('');
+        } else if (value instanceof Date) {
+          value = value;
+        }
+      }
+
+      rowData[header] = value;
+    });
+
+    if (Object.values(rowData).some((val) => val !== undefined && val !== null && `${val}`.trim() !== '')) {
+      rows.push(rowData);
+    }
+  });
+
+  return rows;
+};
+
+export const parseExcelFile = async (filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const worksheet = workbook.worksheets[0];
+
+  if (!worksheet) {
+    return [];
+  }
+
+  return parseWorksheet(worksheet);
+};
+
+// Every visible worksheet of a workbook as { name, rows }, in tab order
+export const parseExcelSheets = async (filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  return workbook.worksheets
+    .filter((worksheet) => worksheet.state !== 'hidden' && worksheet.state !== 'veryHidden')
+    .map((worksheet) => ({ name: worksheet.name, rows: parseWorksheet(worksheet) }));
+};
+
+export const parseCSVFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csvParser())
+      .on('data', (data) => rows.push(data))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+
+const excelSerialToDate = (serial) => {
+  if (typeof serial !== 'number') return null;
+  const excelEpoch = new Date(Date.UTC(1899, 11, 30));
+  const days = Math.floor(serial);
+  const milliseconds = days * 86400000;
+  const fractionalDay = serial - days;
+  const seconds = Math.round(fractionalDay * 86400);
+  const date = new Date(excelEpoch.getTime() + milliseconds + seconds * 1000);
+  return date;
+};
+
+// Parse flexible date formats (Excel serial, mm-dd-yyyy, dd-mm-yyyy, dd-MMM-yy, etc.)
+export const parseDateValue = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') return excelSerialToDate(value);
+
+  const str = value.toString().trim();
+  if (!str) return null;
+
+  // Try native parse first
+  const native = new Date(str);
+  if (!isNaN(native.getTime())) return native;
+
+  // Normalize separators
+  const normalized = str.replace(/\//g, '-');
+
+  // Handle dd-MMM-yy or dd-MMM-yyyy (e.g., 05-Jan-25)
+  if (/^\d{1,2}-[A-Za-z]{3}-\d{2,4}$/.test(normalized)) {
+    const d = new Date(normalized);
+    if (!isNaN(d.getTime())) return d;
+  }
+
+  // Handle numeric parts (mm-dd-yyyy or dd-mm-yyyy)
+  const parts = normalized.split('-');
+  if (parts.length === 3) {
+    let [p1, p2, p3] = parts;
+    if (p3.length === 2) p3 = `20${p3}`;
+
+    const n1 = parseInt(p1, 10);
+    const n2 = parseInt(p2, 10);
+    const year = parseInt(p3, 10);
+
+    if (!isNaN(n1) && !isNaN(n2) && !isNaN(year)) {
+      let month;
+      let day;
+      if (n1 > 12) {
+        // assume dd-mm-yyyy
+        day = n1;
+        month = n2;
+      } else if (n2 > 12) {
+        // assume mm-dd-yyyy
+        month = n1;
+        day = n2;
+      } else {
+        // default mm-dd-yyyy
+        month = n1;
+        day = n2;
+      }
+      const parsed = new Date(Date.UTC(year, month - 1, day));
+      if (!isNaN(parsed.getTime())) return parsed;
+    }
+  }
+
+  return null;
+};
+
+// Helper to fetch a field by multiple aliases (handles trim and lower-case match)
+export const getField = (row, aliases = []) => {
+  const normalizedMap = Object.entries(row || {}).reduce((acc, [key, val]) => {
+    const norm = key?.toString().trim().toLowerCase();
+    if (norm) acc[norm] = val;
+    return acc;
+  }, {});
+
+  for (const alias of aliases) {
+    if (!alias) continue;
+    const norm = alias.toString().trim().toLowerCase();
+    if (norm && normalizedMap.hasOwnProperty(norm)) {
+      return normalizedMap[norm];
+    }
+  }
+  return undefined;
+};
+
+// Parse an uploaded CSV or Excel file into header-keyed row objects
+export const parseSpreadsheetFile = async (filePath) => {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.csv') {
+    return parseCSVFile(filePath);
+  }
+  return parseExcelFile(filePath);
+};
+
+// The sheets of an uploaded file; a CSV is a single sheet without a name
+export const parseSpreadsheetSheets = async (filePath) => {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.csv') {
+    return [{ name: '', rows: await parseCSVFile(filePath) }];
+  }
+  return parseExcelSheets(filePath);
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MONTH_PATTERN =
+  /(?<![a-z])(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)(?![a-z])/i;
+
+// Month a tab name refers to, e.g. "Sep 25", "Sep'25", "September 2025", "2025-09" or just "Oct".
+// Returns { month (0-11), year (null when the name has none), label } or null.
+export const inferMonthFromSheetName = (name) => {
+  const text = `${name || ''}`.trim();
+  let month = null;
+  let year = null;
+
+  const named = text.match(MONTH_PATTERN);
+  if (named) {
+    month = MONTH_NAMES.findIndex((item) => item.toLowerCase() === named[1].slice(0, 3).toLowerCase());
+    const yearMatch = text.slice(named.index + named[0].length).match(/^[\s'’_.,/-]*(\d{4}|\d{2})(?!\d)/);
+    if (yearMatch) year = yearMatch[1].length === 2 ? 2000 + Number(yearMatch[1]) : Number(yearMatch[1]);
+  } else {
+    const numeric = text.match(/(?<!\d)(20\d{2})[\s_.\/-](\d{1,2})(?!\d)/) || text.match(/(?<!\d)(\d{1,2})[\s_.\/-](20\d{2})(?!\d)/);
+    if (numeric) {
+      const [first, second] = [Number(numeric[1]), Number(numeric[2])];
+      [year, month] = first > 12 ? [first, second - 1] : [second, first - 1];
+      if (month < 0 || month > 11) return null;
+    }
+  }
+
+  if (month === null) return null;
+  return { month, year, label: year ? `${MONTH_NAMES[month]} ${year}` : MONTH_NAMES[month] };
+};
+
+export default {
+  parseExcelFile,
+  parseExcelSheets,
+  parseSpreadsheetSheets,
+  inferMonthFromSheetName,
+  parseCSVFile,
+  parseSpreadsheetFile,
+  parseDateValue,
+  getField,
+};
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { diffEntry, buildEntryAudit } from '../src/services/auditService.js';
+
+const base = {
+  _id: new mongoose.Types.ObjectId(),
+  particulars: 'Figma',
+  amount: 15,
+  date: new Date('2025-03-10T00:00:00.000Z'),
+  costCenter: 'Design',
+  approvalToken: 'abc',
+  sharedAllocations: [{ _id: new mongoose.Types.ObjectId(), businessUnit: 'DWAO', amount: 15 }],
+};
+
+test('entry diffs list changed audited fields with comparable values', () => {
+  const after = {
+    ...base,
+    amount: 18,
+    date: new Date('2025-03-10T00:00:00.000Z'),
+    costCenter: 'Product',
+    approvalToken: null,
+    sharedAllocations: [{ _id: new mongoose.Types.ObjectId(), businessUnit: 'DWAO', amount: 15 }],
+  };
+
+  assert.deepEqual(diffEntry(base, after), [
+    { field: 'amount', from: 15, to: 18 },
+    { field: 'costCenter', from: 'Design', to: 'Product' },
+  ]);
+});
+
+test('creates and deletes record every populated field from or to null', () => {
+  const created = diffEntry(null, base);
+  assert.deepEqual(
+    created.map((change) => change.field),
+    ['date', 'particulars', 'amount', 'costCenter', 'sharedAllocations']
+  );
+  assert.equal(created[0].to, '2025-03-10T00:00:00.000Z');
+  assert.deepEqual(created[4].to, [{ businessUnit: 'DWAO', amount: 15 }]);
+
+  assert.ok(diffEntry(base, null).every((change) => change.to === null));
+});
+
+test('updates that change nothing audited are not recorded', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), name: 'Asha' };
+
+  assert.equal(buildEntryAudit({ entry: base, action: 'update', before: base, after: { ...base, approvalToken: 'x' }, user }), null);
+
+  const audit = buildEntryAudit({ entry: base, action: 'update', before: base, after: { ...base, amount: 20 }, user });
+  assert.equal(audit.entry, base._id);
+  assert.equal(audit.userName, 'Asha');
+  assert.equal(audit.source, 'manual');
+  assert.deepEqual(audit.changes, [{ field: 'amount', from: 15, to: 20 }]);
+});
@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ExpenseEntry from '../src/models/ExpenseEntry.js';
+import MasterDataItem from '../src/models/MasterDataItem.js';
+import EntryAudit from '../src/models/EntryAudit.js';
+import RenewalLog from '../src/models/RenewalLog.js';
+import { batchUpdateExpenseEntries } from '../src/controllers/expenseController.js';
+
+const masterItems = [
+  ['costCenter', 'Ops'],
+  ['costCenter', 'Growth'],
+].map(([type, value]) => ({ type, value, aliases: [], isActive: true }));
+
+const createMockRes = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.payload = payload;
+    return res;
+  };
+  return res;
+};
+
+const storedEntry = (fields) => ({
+  particulars: 'Figma',
+  status: 'Active',
+  costCenter: 'Ops',
+  recurring: 'One-time',
+  serviceHandler: 'Asha',
+  entryStatus: 'Accepted',
+  subscription: null,
+  saved: 0,
+  ...fields,
+  toObject() {
+    const { toObject, save, ...rest } = this;
+    return { ...rest };
+  },
+  async save() {
+    this.saved++;
+  },
+});
+
+const mis = { _id: 'mis', name: 'MIS', role: 'mis_manager' };
+
+test('a batch update rejects fields and values a single edit would not accept', async () => {
+  MasterDataItem.find = () => ({ sort: () => ({ lean: async () => masterItems }) });
+  let touched = false;
+  ExpenseEntry.countDocuments = async () => {
+    touched = true;
+    return 0;
+  };
+
+  const res = createMockRes();
+  await batchUpdateExpenseEntries(
+    { body: { ids: ['64b7f0c2a1b2c3d4e5f60718'], patch: { amount: 10, status: 'Paused', costCenter: 'Legal' } }, user: mis },
+    res
+  );
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(
+    res.payload.message,
+    'amount cannot be changed in a batch update; status must be one of Active, Declined, Deactive; Cost Center "Legal" is not an active option'
+  );
+  assert.equal(touched, false);
+});
+
+test('a batch update patches the entries matching the filters with one audit each and logs deactivations', async () => {
+  MasterDataItem.find = () => ({ sort: () => ({ lean: async () => masterItems }) });
+  const entries = [
+    storedEntry({ _id: 'a', costCenter: 'Ops' }),
+    storedEntry({ _id: 'b', costCenter: 'Growth', status: 'Deactive' }),
+  ];
+  let query = null;
+  ExpenseEntry.countDocuments = async (filter) => {
+    query = filter;
+    return entries.length;
+  };
+  ExpenseEntry.find = async () => entries;
+  let audits = [];
+  EntryAudit.insertMany = async (docs) => {
+    audits = docs;
+    return docs;
+  };
+  const logs = [];
+  RenewalLog.create = async (doc) => logs.push(doc);
+
+  const res = createMockRes();
+  await batchUpdateExpenseEntries(
+    {
+      body: {
+        filters: { costCenter: 'Ops', month: 'Mar 2025' },
+        patch: { status: 'Deactive', costCenter: 'Growth' },
+        disableReason: 'Tool retired',
+      },
+      user: mis,
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(query, { costCenter: 'Ops', month: 'Mar 2025', entryStatus: 'Accepted' });
+  assert.deepEqual(res.payload.data, { matched: 2, updated: 1, unchanged: 1, failed: [] });
+  assert.deepEqual(
+    entries.map((entry) => entry.saved),
+    [1, 0]
+  );
+  assert.ok(entries[0].disabledAt instanceof Date);
+
+  assert.equal(audits.length, 1);
+  assert.equal(audits[0].source, 'batch_edit');
+  assert.equal(audits[0].reason, 'Tool retired');
+  assert.deepEqual(
+    audits[0].changes.map((change) => change.field),
+    ['status', 'costCenter', 'disabledAt']
+  );
+  assert.deepEqual(
+    logs.map((log) => [log.expenseEntry, log.action, log.reason]),
+    [['a', 'DisableByMIS', 'Tool retired']]
+  );
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ExpenseEntry from '../src/models/ExpenseEntry.js';
+import { getBudgetPeriod, getBudgetSummaries, getPendingThresholds } from '../src/services/budgetService.js';
+
+test('budget periods follow calendar months, quarters and years', () => {
+  const date = new Date('2025-05-14T10:00:00Z');
+
+  const monthly = getBudgetPeriod('Monthly', date);
+  assert.equal(monthly.key, '2025-05');
+  assert.equal(monthly.start.toISOString(), '2025-05-01T00:00:00.000Z');
+  assert.equal(monthly.end.toISOString(), '2025-06-01T00:00:00.000Z');
+
+  const quarterly = getBudgetPeriod('Quarterly', date);
+  assert.equal(quarterly.key, '2025-Q2');
+  assert.equal(quarterly.start.toISOString(), '2025-04-01T00:00:00.000Z');
+  assert.equal(quarterly.end.toISOString(), '2025-07-01T00:00:00.000Z');
+
+  assert.equal(getBudgetPeriod('Yearly', date).key, '2025');
+});
+
+test('budget actuals sum the matching accepted spend for the period', async () => {
+  const pipelines = [];
+  ExpenseEntry.aggregate = async (pipeline) => {
+    pipelines.push(pipeline);
+    return [
+      { _id: { businessUnit: 'Wytlabs', costCenter: 'OPS', typeOfService: 'Tools' }, total: 600, count: 2 },
+      { _id: { businessUnit: 'Wytlabs', costCenter: 'SEO', typeOfService: 'Tools' }, total: 300, count: 1 },
+      { _id: { businessUnit: 'Mobilityinfotech', costCenter: 'OPS', typeOfService: 'Tools' }, total: 999, count: 1 },
+    ];
+  };
+
+  const budgets = [
+    { _id: 'b1', businessUnit: 'Wytlabs', costCenter: '', typeOfService: '', period: 'Monthly', amount: 1000 },
+    { _id: 'b2', businessUnit: 'Wytlabs', costCenter: 'OPS', typeOfService: '', period: 'Monthly', amount: 500 },
+  ];
+
+  const [all, ops] = await getBudgetSummaries(budgets, new Date('2025-05-14T00:00:00Z'));
+
+  assert.equal(pipelines.length, 1);
+  assert.equal(pipelines[0][0].$match.entryStatus, 'Accepted');
+  assert.deepEqual(pipelines[0][0].$match.date, {
+    $gte: new Date('2025-05-01T00:00:00Z'),
+    $lt: new Date('2025-06-01T00:00:00Z'),
+  });
+  assert.equal(all.actual, 900);
+  assert.equal(all.percentUsed, 90);
+  assert.equal(ops.actual, 600);
+  assert.equal(ops.remaining, -100);
+  assert.equal(ops.percentUsed, 120);
+});
+
+test('pending thresholds skip ones already alerted this period', () => {
+  const summary = {
+    percentUsed: 120,
+    periodKey: '2025-05',
+    alertThresholds: [80, 100],
+    alertsSent: [
+      { periodKey: '2025-05', threshold: 80 },
+      { periodKey: '2025-04', threshold: 100 },
+    ],
+  };
+
+  assert.deepEqual(getPendingThresholds(summary), [100]);
+  assert.deepEqual(getPendingThresholds({ ...summary, percentUsed: 50 }), []);
+});
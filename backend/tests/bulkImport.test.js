@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ExpenseEntry from '../src/models/ExpenseEntry.js';
+import { prepareImportRow, previewImportRows } from '../src/services/bulkImportService.js';
+import { inferMonthFromSheetName } from '../src/utils/spreadsheet.js';
+
+const normalizer = (values, aliases = {}) => (raw) => {
+  const norm = raw?.toString().trim().toLowerCase();
+  if (!norm) return null;
+  return values.find((value) => value.toLowerCase() === norm) || aliases[norm] || null;
+};
+
+const ctx = {
+  normalizeBusinessUnit: normalizer(['DWSG', 'Wytlabs'], { shared: 'Wytlabs' }),
+  normalizeCostCenter: normalizer(['Ops']),
+  normalizeTypeOfService: normalizer(['Tool']),
+  normalizeApprover: normalizer(['Tarun'], { suspense: 'Tarun' }),
+  normalizeCurrency: normalizer(['USD', 'INR']),
+  resolveCard: ({ cardNumber, cardAssignedTo }) => ({ cardNumber, cardAssignedTo, card: null }),
+};
+
+const row = (fields = {}) => ({
+  'Card Number': 'XXXX-XXXX-XXXX-4242',
+  'Card Assigned To': 'Asha',
+  Date: '2025-03-10',
+  Particulars: 'Figma',
+  Currency: 'USD',
+  Amount: '1,200.50',
+  'Type of Tool or Service': 'Tool',
+  'Business Unit': 'DWSG',
+  'Cost Center': 'Ops',
+  'Approved By': 'Tarun',
+  'Recurring/One-time': 'Recurring_M',
+  ...fields,
+});
+
+test('rows normalize through master data and warn about silent alias mappings', () => {
+  const prepared = prepareImportRow(row({ 'Business Unit': 'Shared', 'Approved By': 'Suspense' }), 2, ctx);
+
+  assert.deepEqual(prepared.errors, []);
+  assert.equal(prepared.values.businessUnit, 'Wytlabs');
+  assert.equal(prepared.values.approvedBy, 'Tarun');
+  assert.equal(prepared.values.amount, 1200.5);
+  assert.equal(prepared.values.recurring, 'Monthly');
+  assert.deepEqual(prepared.warnings, ['Business Unit "Shared" mapped to Wytlabs', 'Approved By "Suspense" mapped to Tarun']);
+});
+
+test('rows report every problem at once', () => {
+  const prepared = prepareImportRow(row({ Date: 'someday', 'Cost Center': 'Marketing', Particulars: '' }), 3, ctx);
+
+  assert.deepEqual(prepared.errors, [
+    'Missing required fields: Particulars',
+    'Invalid enum: Cost Center (value: Marketing)',
+    'Invalid date',
+  ]);
+});
+
+test('preview points out exact duplicates of stored entries and earlier rows, which are still created', async () => {
+  let lookups = 0;
+  ExpenseEntry.find = async ({ $or: filters }) => {
+    lookups++;
+    return filters
+      .filter((filter) => filter.particulars === 'Slack')
+      .map((filter) => ({ ...filter, _id: 'existing', duplicateStatus: 'Unique' }));
+  };
+
+  const preview = await previewImportRows([row(), row(), row({ Particulars: 'Slack' }), row({ Amount: '' })], ctx);
+
+  assert.deepEqual(
+    preview.map((item) => [item.rowNumber, item.action]),
+    [
+      [2, 'create'],
+      [3, 'create'],
+      [4, 'create'],
+      [5, 'error'],
+    ]
+  );
+  assert.equal(lookups, 1);
+  assert.deepEqual(preview[1].duplicateOf, { row: 2, sheet: null });
+  assert.equal(preview[2].duplicateOf.entry, 'existing');
+  assert.equal(preview[0].duplicateOf, null);
+  assert.ok(preview[1].warnings.includes('Exact duplicate; it will be queued for duplicate review'));
+});
+
+test('tab names imply a month, with or without a year', () => {
+  assert.deepEqual(inferMonthFromSheetName("Sep'25"), { month: 8, year: 2025, label: 'Sep 2025' });
+  assert.deepEqual(inferMonthFromSheetName('2025-10'), { month: 9, year: 2025, label: 'Oct 2025' });
+  assert.deepEqual(inferMonthFromSheetName('November'), { month: 10, year: null, label: 'Nov' });
+  assert.equal(inferMonthFromSheetName('Mayank card'), null);
+  assert.equal(inferMonthFromSheetName('Pivot Report'), null);
+});
+
+test('rows of several sheets are numbered per sheet and take an empty month from the tab name', async () => {
+  ExpenseEntry.find = async () => [];
+  const sheets = [
+    { name: "Sep'25", rowCount: 1, month: inferMonthFromSheetName("Sep'25") },
+    { name: 'Oct', rowCount: 2, month: inferMonthFromSheetName('Oct') },
+  ];
+
+  const preview = await previewImportRows(
+    [row(), row({ Particulars: 'Slack' }), row({ Particulars: 'Zoom', Month: 'Oct-2025' })],
+    ctx,
+    { sheets }
+  );
+
+  assert.deepEqual(
+    preview.map((item) => [item.sheet, item.rowNumber, item.values.month]),
+    [
+      ["Sep'25", 2, 'Sep 2025'],
+      ['Oct', 2, 'Oct 2025'],
+      ['Oct', 3, 'Oct-2025'],
+    ]
+  );
+  assert.ok(preview[0].warnings.includes('Month taken from sheet "Sep\'25" (Sep 2025)'));
+});
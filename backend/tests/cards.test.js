@@ -0,0 +1,143 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Card from '../src/models/Card.js';
+import ExpenseEntry from '../src/models/ExpenseEntry.js';
+import User from '../src/models/User.js';
+import MasterDataItem from '../src/models/MasterDataItem.js';
+import EntryAudit from '../src/models/EntryAudit.js';
+import { updateCard, getCardHolders, syncCardsFromEntries } from '../src/controllers/cardController.js';
+
+const createMockRes = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.payload = payload;
+    return res;
+  };
+  return res;
+};
+
+const masterItems = [{ type: 'businessUnit', value: 'DWSG', isActive: true }];
+MasterDataItem.find = () => ({ sort: () => ({ lean: async () => masterItems }) });
+
+const manager = { _id: new mongoose.Types.ObjectId(), role: 'mis_manager', name: 'Mia' };
+
+const mockCard = () => {
+  const card = new Card({ maskedNumber: 'XXXX-1234', holderName: 'Asha', businessUnit: 'DWSG' });
+  card.save = async () => card;
+  Card.findById = async () => card;
+  return card;
+};
+
+test('a card holder that is not a user id is rejected before saving', async () => {
+  const card = mockCard();
+  let saved = false;
+  card.save = async () => {
+    saved = true;
+  };
+
+  const res = createMockRes();
+  await updateCard({ params: { id: card._id }, body: { holder: 'not-an-id' }, user: manager }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.payload.message, /Invalid card holder/);
+  assert.equal(saved, false);
+});
+
+test('changing the holder leaves past entries alone unless a date to move them from is given', async () => {
+  const card = mockCard();
+  const holder = { _id: new mongoose.Types.ObjectId(), name: 'Ravi' };
+  User.exists = async () => ({ _id: holder._id });
+  User.findById = () => ({ select: async () => holder });
+  const entryQueries = [];
+  ExpenseEntry.find = (query) => {
+    entryQueries.push(query);
+    // Awaited for the entries to move, lean() when their search words are refreshed
+    return { select: () => Object.assign(Promise.resolve([]), { lean: async () => [] }) };
+  };
+  ExpenseEntry.updateMany = async () => ({ modifiedCount: 0 });
+  ExpenseEntry.bulkWrite = async () => ({});
+  EntryAudit.insertMany = async () => [];
+
+  let res = createMockRes();
+  await updateCard({ params: { id: card._id }, body: { holder: holder._id.toString() }, user: manager }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(entryQueries.length, 0);
+
+  res = createMockRes();
+  await updateCard(
+    {
+      params: { id: card._id },
+      body: { holder: holder._id.toString(), reassignEntriesFrom: '2026-10-01' },
+      user: manager,
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(entryQueries[0].cardAssignedTo.$ne, 'Ravi');
+  assert.deepEqual(entryQueries[0].date, { $gte: new Date('2026-10-01') });
+});
+
+test('a bad date to move entries from is rejected', async () => {
+  const card = mockCard();
+
+  const res = createMockRes();
+  await updateCard({ params: { id: card._id }, body: { reassignEntriesFrom: 'soon' }, user: manager }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.payload.message, /reassignEntriesFrom/);
+});
+
+test('the holder picker gets active users by name only', async () => {
+  let filter = null;
+  let fields = null;
+  User.find = (query) => {
+    filter = query;
+    return {
+      select: (selected) => {
+        fields = selected;
+        return { sort: () => ({ lean: async () => [{ _id: manager._id, name: 'Mia' }] }) };
+      },
+    };
+  };
+
+  const res = createMockRes();
+  await getCardHolders({ user: manager }, res);
+
+  assert.deepEqual(filter, { isActive: true });
+  assert.equal(fields, 'name');
+  assert.deepEqual(res.payload.data, [{ _id: manager._id, name: 'Mia' }]);
+});
+
+test('syncing cards masks the numbers on linked entries and records the change in their history', async () => {
+  const raw = '4111 1111 1111 1234';
+  const entry = { _id: new mongoose.Types.ObjectId(), cardNumber: raw };
+  ExpenseEntry.aggregate = async () => [{ _id: raw, cardAssignedTo: '', businessUnit: 'DWSG' }];
+  const card = { _id: new mongoose.Types.ObjectId() };
+  Card.findOne = async () => card;
+  ExpenseEntry.find = () => ({ select: () => Object.assign(Promise.resolve([entry]), { lean: async () => [] }) });
+  const updates = [];
+  ExpenseEntry.updateMany = async (filter, update) => updates.push([filter, update]);
+  ExpenseEntry.bulkWrite = async () => ({});
+  const audits = [];
+  EntryAudit.insertMany = async (docs) => audits.push(...docs);
+
+  const res = createMockRes();
+  await syncCardsFromEntries({ user: manager }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.payload.data, { created: 0, linked: 1 });
+  const masked = updates[0][1].$set.cardNumber;
+  assert.notEqual(masked, raw);
+  assert.deepEqual(updates[0][0], { _id: { $in: [entry._id] } });
+  assert.deepEqual(
+    audits.map((audit) => [audit.entry, audit.source, audit.changes]),
+    [[entry._id, 'card', [{ field: 'cardNumber', from: raw, to: masked }]]]
+  );
+});
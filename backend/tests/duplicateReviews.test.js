@@ -0,0 +1,184 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ExpenseEntry from '../src/models/ExpenseEntry.js';
+import DuplicateReview from '../src/models/DuplicateReview.js';
+import EntryAudit from '../src/models/EntryAudit.js';
+import EntryMerge from '../src/models/EntryMerge.js';
+import RenewalLog from '../src/models/RenewalLog.js';
+import Attachment from '../src/models/Attachment.js';
+import Card from '../src/models/Card.js';
+import User from '../src/models/User.js';
+import MasterDataItem from '../src/models/MasterDataItem.js';
+import {
+  textSimilarity,
+  scoreDuplicate,
+  flagSuspectedDuplicates,
+  decideDuplicateReview,
+} from '../src/services/duplicateReviewService.js';
+import { createExpenseEntry } from '../src/controllers/expenseController.js';
+
+const createMockRes = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.payload = payload;
+    return res;
+  };
+  return res;
+};
+
+const options = { dateWindowDays: 3, amountTolerancePercent: 3, minTextSimilarity: 0.5, minScore: 0.65 };
+
+const entryFields = (fields = {}) => ({
+  cardNumber: 'XXXX-XXXX-XXXX-4242',
+  date: new Date('2025-01-05'),
+  particulars: 'ChatGPT',
+  businessUnit: 'DWSG',
+  currency: 'USD',
+  amount: 20,
+  amountInINR: 1680,
+  ...fields,
+});
+
+test('particulars similarity tolerates case, punctuation and extra words', () => {
+  assert.equal(textSimilarity('ChatGPT', 'chatgpt.'), 1);
+  assert.ok(textSimilarity('ChatGPT', 'ChatGPT Plus') >= 0.8);
+  assert.ok(textSimilarity('ChatGPT', 'Figma') < 0.5);
+  assert.equal(textSimilarity('', 'Figma'), 0);
+});
+
+test('a near match within the date and amount tolerances is scored, anything further is not', () => {
+  const stored = entryFields();
+  // Booked a day later in INR at a slightly different rate, under a longer name
+  const match = scoreDuplicate(
+    entryFields({ date: new Date('2025-01-06'), particulars: 'ChatGPT Plus', currency: 'INR', amount: 1700, amountInINR: 1700 }),
+    stored,
+    options
+  );
+  assert.ok(match.score >= 0.65);
+  assert.deepEqual(match.signals, { dayDiff: 1, amountDiffPercent: 1.18, textSimilarity: 0.8, sameCard: true });
+
+  assert.equal(scoreDuplicate(entryFields({ date: new Date('2025-01-10') }), stored, options), null);
+  assert.equal(scoreDuplicate(entryFields({ amount: 25 }), stored, options), null);
+  assert.equal(scoreDuplicate(entryFields({ particulars: 'Figma' }), stored, options), null);
+});
+
+test('a new entry queues its near matches for review', async () => {
+  const close = { _id: 'close', ...entryFields({ particulars: 'ChatGPT Subscription', amount: 20.2 }) };
+  const far = { _id: 'far', ...entryFields({ particulars: 'Notion', amount: 20 }) };
+  let query = null;
+  ExpenseEntry.find = async (filter) => {
+    query = filter;
+    return [close, far];
+  };
+  let queued = [];
+  DuplicateReview.insertMany = async (docs) => {
+    queued = docs;
+    return docs;
+  };
+
+  const reviews = await flagSuspectedDuplicates({ _id: 'new', ...entryFields() }, { source: 'bulk_upload', options });
+
+  assert.equal(query.businessUnit, 'DWSG');
+  assert.deepEqual(query._id, { $ne: 'new' });
+  assert.equal(reviews.length, 1);
+  assert.equal(queued[0].candidate, 'close');
+  assert.equal(queued[0].source, 'bulk_upload');
+});
+
+test('a merge decision merges the new entry into the existing one', async () => {
+  EntryAudit.insertMany = async () => [];
+  EntryMerge.prototype.save = async function () {
+    return this;
+  };
+  RenewalLog.find = () => ({ select: async () => [] });
+  Attachment.find = () => ({ select: async () => [] });
+  let dropped = null;
+  DuplicateReview.deleteMany = async (filter) => {
+    dropped = filter;
+  };
+
+  const fields = {
+    cardAssignedTo: 'Asha',
+    month: 'Jan 2025',
+    narration: 'ChatGPT',
+    typeOfService: 'Tool',
+    costCenter: 'Ops',
+    approvedBy: 'Tarun',
+    serviceHandler: 'Asha',
+    recurring: 'Monthly',
+    createdBy: '64b7f0c2a1b2c3d4e5f60700',
+  };
+  const candidate = new ExpenseEntry({ ...entryFields(), ...fields, billStatus: '', duplicateStatus: 'Unique' });
+  const entry = new ExpenseEntry({ ...entryFields({ particulars: 'ChatGPT Plus' }), ...fields, billStatus: 'Invoice received' });
+  const saves = [];
+  candidate.save = async () => saves.push('candidate');
+  entry.save = async () => saves.push('entry');
+  const review = { _id: 'review', status: 'pending', async save() {} };
+  const user = { _id: '64b7f0c2a1b2c3d4e5f60701', name: 'MIS' };
+
+  await decideDuplicateReview(review, 'merge', { entry, candidate, user });
+
+  assert.equal(candidate.billStatus, 'Invoice received');
+  assert.equal(candidate.duplicateStatus, 'Merged');
+  assert.equal(String(entry.mergedInto), String(candidate._id));
+  assert.equal(entry.deletedAt, null);
+  assert.deepEqual(saves, ['candidate', 'entry']);
+  assert.equal(review.status, 'merged');
+  assert.equal(review.decidedBy, user._id);
+  assert.deepEqual(dropped.$or, [{ entry: entry._id }, { candidate: entry._id }]);
+});
+
+test('an exact duplicate from the form is created and queued for review, leaving the stored entry alone', async () => {
+  const stored = { _id: 'stored', duplicateStatus: 'Unique', ...entryFields({ currency: 'INR', amount: 1680 }) };
+  MasterDataItem.find = () => ({
+    sort: () => ({
+      lean: async () => [
+        { type: 'businessUnit', value: 'DWSG', isActive: true },
+        { type: 'currency', value: 'INR', isActive: true },
+      ],
+    }),
+  });
+  Card.findOne = () => ({ populate: () => ({ lean: async () => null }) });
+  let created = null;
+  ExpenseEntry.create = async (fields) => {
+    created = { _id: 'new', ...fields, toObject: () => ({ _id: 'new', ...fields }) };
+    return created;
+  };
+  ExpenseEntry.find = async (filter) => (filter._id.$ne === 'new' ? [stored] : []);
+  EntryAudit.insertMany = async () => [];
+  User.find = async () => [];
+  let queued = [];
+  DuplicateReview.insertMany = async (docs) => {
+    queued = docs;
+    return docs;
+  };
+
+  const res = createMockRes();
+  await createExpenseEntry(
+    {
+      body: {
+        cardNumber: stored.cardNumber,
+        date: stored.date,
+        particulars: stored.particulars,
+        businessUnit: stored.businessUnit,
+        currency: 'INR',
+        amount: 1680,
+      },
+      user: { _id: 'admin', role: 'super_admin', name: 'Admin' },
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.payload.suspectedDuplicates, 1);
+  assert.equal(created.duplicateStatus, 'Unique');
+  assert.equal(stored.duplicateStatus, 'Unique');
+  assert.deepEqual(
+    queued.map((review) => [review.entry, review.candidate, review.score]),
+    [['new', 'stored', 1]]
+  );
+});
@@ -0,0 +1,205 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ExpenseEntry from '../src/models/ExpenseEntry.js';
+import EntryAudit from '../src/models/EntryAudit.js';
+import EntryMerge from '../src/models/EntryMerge.js';
+import RenewalLog from '../src/models/RenewalLog.js';
+import Attachment from '../src/models/Attachment.js';
+import Subscription from '../src/models/Subscription.js';
+import Statement from '../src/models/Statement.js';
+import { mergeEntries, revertMerge } from '../src/services/entryMergeService.js';
+import { runDeletedEntriesPurgeOnce, runRejectedEntriesCleanupOnce } from '../src/services/cronJobs.js';
+
+const user = { _id: '64b7f0c2a1b2c3d4e5f60701', name: 'MIS' };
+
+const newEntry = (fields = {}) => {
+  const entry = new ExpenseEntry({
+    cardNumber: 'XXXX-XXXX-XXXX-4242',
+    cardAssignedTo: 'Asha',
+    date: new Date('2025-01-05'),
+    month: 'Jan 2025',
+    particulars: 'ChatGPT',
+    narration: '',
+    businessUnit: 'DWSG',
+    currency: 'USD',
+    amount: 20,
+    xeRate: 84,
+    typeOfService: 'Tool',
+    costCenter: 'Ops',
+    approvedBy: 'Tarun',
+    serviceHandler: 'Asha',
+    recurring: 'Monthly',
+    createdBy: '64b7f0c2a1b2c3d4e5f60700',
+    ...fields,
+  });
+  entry.save = async () => entry;
+  return entry;
+};
+
+const mockWrites = () => {
+  const writes = { audits: [], logMoves: [], attachmentMoves: [] };
+  EntryAudit.insertMany = async (docs) => {
+    writes.audits.push(...docs);
+    return docs;
+  };
+  EntryMerge.prototype.save = async function () {
+    return this;
+  };
+  RenewalLog.updateMany = async (filter, update) => writes.logMoves.push({ filter, update });
+  RenewalLog.updateOne = async (filter, update) => writes.logMoves.push({ filter, update });
+  Attachment.updateMany = async () => {};
+  Attachment.updateOne = async () => {};
+  return writes;
+};
+
+test('a merge fills the survivor, joins allocations, moves renewal logs and archives the rest', async () => {
+  const writes = mockWrites();
+  const survivor = newEntry({ isShared: true, sharedAllocations: [{ businessUnit: 'DWSG', amount: 10 }] });
+  const duplicate = newEntry({
+    particulars: 'ChatGPT Plus',
+    narration: 'Team seat',
+    billStatus: 'Invoice received',
+    isShared: true,
+    sharedAllocations: [
+      { businessUnit: 'DWSG', amount: 5 },
+      { businessUnit: 'Tech', amount: 8 },
+    ],
+  });
+  const log = { _id: '64b7f0c2a1b2c3d4e5f60799', expenseEntry: duplicate._id };
+  RenewalLog.find = () => ({ select: async () => [log] });
+  Attachment.find = () => ({ select: async () => [] });
+
+  const merge = await mergeEntries(survivor, [duplicate], { user, fieldSources: { particulars: duplicate._id } });
+
+  assert.equal(survivor.particulars, 'ChatGPT Plus');
+  assert.equal(survivor.narration, 'Team seat');
+  assert.equal(survivor.billStatus, 'Invoice received');
+  assert.equal(survivor.duplicateStatus, 'Merged');
+  assert.deepEqual(
+    survivor.sharedAllocations.map(({ businessUnit, amount }) => [businessUnit, amount]),
+    [
+      ['DWSG', 10],
+      ['Tech', 8],
+    ]
+  );
+  assert.equal(String(duplicate.mergedInto), String(survivor._id));
+  assert.ok(duplicate.mergedAt instanceof Date);
+  assert.deepEqual(writes.logMoves[0].update, { $set: { expenseEntry: survivor._id } });
+  assert.equal(String(merge.renewalLogs[0].from), String(duplicate._id));
+  assert.deepEqual(
+    writes.audits.map((audit) => [String(audit.entry), audit.action, String(audit.merge)]),
+    [
+      [String(survivor._id), 'merge', String(merge._id)],
+      [String(duplicate._id), 'merge', String(merge._id)],
+    ]
+  );
+});
+
+test('allocations that would exceed the survivor amount are not joined', async () => {
+  mockWrites();
+  RenewalLog.find = () => ({ select: async () => [] });
+  Attachment.find = () => ({ select: async () => [] });
+  const survivor = newEntry({ isShared: true, sharedAllocations: [{ businessUnit: 'DWSG', amount: 15 }] });
+  const duplicate = newEntry({ isShared: true, sharedAllocations: [{ businessUnit: 'Tech', amount: 10 }] });
+
+  await mergeEntries(survivor, [duplicate], { user });
+
+  assert.deepEqual(
+    survivor.sharedAllocations.map(({ businessUnit }) => businessUnit),
+    ['DWSG']
+  );
+});
+
+test('undoing a merge restores the entries and survivor fields, keeping later edits', async () => {
+  const writes = mockWrites();
+  RenewalLog.find = () => ({ select: async () => [{ _id: '64b7f0c2a1b2c3d4e5f60799', expenseEntry: null }] });
+  Attachment.find = () => ({ select: async () => [] });
+  const survivor = newEntry();
+  const duplicate = newEntry({ narration: 'Team seat', billStatus: 'Invoice received' });
+  const merge = await mergeEntries(survivor, [duplicate], { user });
+  merge.renewalLogs[0].from = duplicate._id;
+
+  // Edited by hand after the merge
+  survivor.billStatus = 'Paid';
+  ExpenseEntry.find = async (filter) => {
+    assert.equal(String(filter.mergedInto), String(survivor._id));
+    return [duplicate];
+  };
+  writes.audits.length = 0;
+  writes.logMoves.length = 0;
+
+  const { restored, kept } = await revertMerge(merge, { survivor, user });
+
+  assert.deepEqual(restored, [duplicate]);
+  assert.deepEqual(kept, ['billStatus']);
+  assert.equal(survivor.billStatus, 'Paid');
+  assert.ok(!survivor.narration);
+  assert.equal(survivor.duplicateStatus, undefined);
+  assert.equal(duplicate.mergedInto, null);
+  assert.deepEqual(writes.logMoves[0].update, { $set: { expenseEntry: duplicate._id } });
+  assert.equal(merge.status, 'reverted');
+  assert.deepEqual(
+    writes.audits.map((audit) => audit.action),
+    ['unmerge', 'unmerge']
+  );
+});
+
+test('purging a survivor purges the entries merged into it and repoints subscriptions at a remaining charge', async () => {
+  const writes = mockWrites();
+  const survivor = newEntry({ deletedAt: new Date('2024-01-01') });
+  const mergedAway = newEntry({ mergedInto: survivor._id });
+  const remaining = newEntry({ date: new Date('2024-12-05') });
+  ExpenseEntry.find = async (filter) => (filter.deletedAt ? [survivor] : filter.mergedInto ? [mergedAway] : []);
+  let deleted = null;
+  ExpenseEntry.deleteMany = async (filter) => {
+    deleted = filter;
+    return { deletedCount: 2 };
+  };
+  let mergesRemoved = null;
+  EntryMerge.deleteMany = async (filter) => {
+    mergesRemoved = filter;
+  };
+  const subscription = { _id: 'sub', lastCharge: survivor._id, async save() {} };
+  Subscription.find = async () => [subscription];
+  ExpenseEntry.findOne = () => ({ sort: () => ({ select: async () => remaining }) });
+
+  await runDeletedEntriesPurgeOnce();
+
+  assert.deepEqual(
+    deleted.$or.map((clause) => clause._id.$in),
+    [[survivor._id], [mergedAway._id]]
+  );
+  assert.deepEqual(mergesRemoved, { survivor: { $in: [survivor._id] } });
+  assert.equal(subscription.lastCharge, remaining._id);
+  assert.deepEqual(subscription.lastChargeDate, remaining.date);
+  assert.deepEqual(
+    writes.audits.map((audit) => [`${audit.entry}`, audit.action]),
+    [
+      [`${survivor._id}`, 'purge'],
+      [`${mergedAway._id}`, 'purge'],
+    ]
+  );
+});
+
+test('rejected entries past the wait move to the recycle bin and give their statement line back', async () => {
+  const writes = mockWrites();
+  const statementId = '64b7f0c2a1b2c3d4e5f60750';
+  const reconciled = newEntry({ entryStatus: 'Rejected', reconciledStatement: statementId });
+  const unmatched = newEntry({ entryStatus: 'Rejected' });
+  ExpenseEntry.find = async () => [reconciled, unmatched];
+  const released = [];
+  Statement.updateOne = async (filter, update, options) => released.push([`${filter._id}`, options.arrayFilters]);
+
+  await runRejectedEntriesCleanupOnce();
+
+  assert.deepEqual(released, [[statementId, [{ 'line.entry': reconciled._id }]]]);
+  assert.equal(reconciled.reconciledStatement, null);
+  assert.ok(reconciled.deletedAt && unmatched.deletedAt);
+  assert.deepEqual(
+    writes.audits.map((audit) => [`${audit.entry}`, audit.action, audit.source]),
+    [
+      [`${reconciled._id}`, 'delete', 'system'],
+      [`${unmatched._id}`, 'delete', 'system'],
+    ]
+  );
+});
@@ -0,0 +1,206 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { searchExpenseEntries, updateExpenseEntry } from '../src/controllers/expenseController.js';
+import { buildEntryListQuery } from '../src/services/expenseQueryService.js';
+import { MAX_TERM_EXPANSIONS } from '../src/services/entrySearchService.js';
+import ExpenseEntry from '../src/models/ExpenseEntry.js';
+import MasterDataItem from '../src/models/MasterDataItem.js';
+import EntryAudit from '../src/models/EntryAudit.js';
+
+const createMockRes = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.payload = payload;
+    return res;
+  };
+  return res;
+};
+
+test('the list search matches word starts from the index and takes any characters', () => {
+  const query = buildEntryListQuery({ role: 'mis_manager' }, { search: 'Figma (Pro' });
+
+  assert.deepEqual(query.searchTokens, { $all: [/^figma/, /^pro/] });
+  assert.equal(query.$or, undefined);
+});
+
+test('entries keep the words of their searched fields for prefix search', async () => {
+  const entry = new ExpenseEntry({ particulars: 'Figma Pro', narration: 'Café seats', cardNumber: 'XXXX-1234' });
+  await entry.validate().catch(() => {});
+
+  assert.deepEqual(entry.searchTokens, ['figma', 'pro', 'xxxx', '1234', 'cafe', 'seats']);
+});
+
+// find() stand-in that records each query and answers from results(query)
+const mockFind = (results) => {
+  const calls = [];
+  ExpenseEntry.find = (query, projection) => {
+    const call = { query, projection };
+    calls.push(call);
+    const request = {
+      populate: () => request,
+      sort: (sort) => {
+        call.sort = sort;
+        return request;
+      },
+      skip: (skip) => {
+        call.skip = skip;
+        return request;
+      },
+      limit: (limit) => {
+        call.limit = limit;
+        return request;
+      },
+      lean: async () => results(query),
+    };
+    return request;
+  };
+  return calls;
+};
+
+test('search ranks by the text index over the words the terms start and marks the matches', async () => {
+  ExpenseEntry.distinct = async (field, filter) =>
+    filter.$and[1].searchTokens.test('figure') ? ['figure', 'figma', 'pro', 'annual'] : ['pro', 'figma'];
+  const calls = mockFind(() => [{ _id: 'a', particulars: 'Figma Pro', narration: 'Seats for design', score: 2.5 }]);
+  ExpenseEntry.countDocuments = async (query) => (query.$text ? 1 : 0);
+
+  const res = createMockRes();
+  await searchExpenseEntries({ query: { q: 'fig pro', status: 'Active' }, user: { role: 'mis_manager' } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(calls.length, 1);
+  const [{ query, sort }] = calls;
+  assert.equal(query.$text.$search, 'figma figure pro');
+  assert.deepEqual(query.searchTokens, { $all: [/^fig/, /^pro/] });
+  assert.equal(query.status, 'Active');
+  assert.deepEqual(sort.score, { $meta: 'textScore' });
+  assert.deepEqual(res.payload.data[0].highlights, {
+    particulars: [
+      { start: 0, end: 3 },
+      { start: 6, end: 9 },
+    ],
+  });
+});
+
+test('entries whose words are beyond the ranked expansions still match, after the ranked ones', async () => {
+  const words = Array.from({ length: MAX_TERM_EXPANSIONS + 5 }, (_, index) => `a${'x'.repeat(index)}`);
+  const longest = words[words.length - 1];
+  let expandedWithin = null;
+  ExpenseEntry.distinct = async (field, filter) => {
+    expandedWithin = filter.$and[0];
+    return words;
+  };
+  const calls = mockFind((query) =>
+    query.$text ? [{ _id: 'short', particulars: 'ax' }] : [{ _id: 'long', particulars: longest }]
+  );
+  ExpenseEntry.countDocuments = async () => 1;
+
+  const res = createMockRes();
+  await searchExpenseEntries(
+    { query: { q: 'a', page: '1', limit: '10' }, user: { role: 'business_unit_admin', businessUnit: 'DWSG' } },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(expandedWithin.businessUnit, 'DWSG');
+  assert.equal(res.payload.total, 2);
+  assert.deepEqual(
+    res.payload.data.map((entry) => entry._id),
+    ['short', 'long']
+  );
+  const unranked = calls[1].query;
+  assert.equal(unranked.$text, undefined);
+  assert.deepEqual(unranked.$and[0].searchTokens, { $all: [/^a/] });
+  assert.equal(unranked.$and[1].searchTokens.$nin.length, MAX_TERM_EXPANSIONS);
+  assert.ok(!unranked.$and[1].searchTokens.$nin.includes(longest));
+  assert.equal(calls[1].limit, 9);
+});
+
+test('search rejects a typed filter query that does not parse', async () => {
+  let searched = false;
+  ExpenseEntry.distinct = async () => {
+    searched = true;
+    return [];
+  };
+
+  const res = createMockRes();
+  await searchExpenseEntries({ query: { q: 'figma', filter: 'bu:(DWSG' }, user: { role: 'mis_manager' } }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(searched, false);
+});
+
+test('editing a searched field rebuilds the entry search words', async () => {
+  const masterItems = [{ type: 'businessUnit', value: 'DWSG', isActive: true }];
+  MasterDataItem.find = () => ({ sort: () => ({ lean: async () => masterItems }) });
+  EntryAudit.insertMany = async () => [];
+  const stored = new ExpenseEntry({
+    particulars: 'Figma Pro',
+    narration: 'Design seats',
+    cardNumber: 'XXXX-1234',
+    serviceHandler: 'Ravi',
+    cardAssignedTo: 'Asha',
+    amount: 100,
+    currency: 'USD',
+    date: new Date('2025-09-01'),
+    recurring: 'One-time',
+  });
+  ExpenseEntry.findById = async () => stored;
+  let update = null;
+  ExpenseEntry.findByIdAndUpdate = async (id, body) => {
+    update = body;
+    return new ExpenseEntry({ ...stored.toObject(), ...body });
+  };
+
+  const res = createMockRes();
+  await updateExpenseEntry(
+    {
+      params: { id: `${stored._id}` },
+      body: { particulars: 'Notion Plus', searchTokens: ['spoofed'] },
+      user: { _id: 'mis', role: 'mis_manager', name: 'MIS' },
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(update.searchTokens, ['notion', 'plus', 'xxxx', '1234', 'ravi', 'asha', 'design', 'seats']);
+});
+
+test('edits that leave the searched fields alone keep the stored search words', async () => {
+  const stored = new ExpenseEntry({
+    particulars: 'Figma Pro',
+    amount: 100,
+    currency: 'USD',
+    date: new Date('2025-09-01'),
+    recurring: 'One-time',
+  });
+  ExpenseEntry.findById = async () => stored;
+  let update = null;
+  ExpenseEntry.findByIdAndUpdate = async (id, body) => {
+    update = body;
+    return stored;
+  };
+
+  const res = createMockRes();
+  await updateExpenseEntry(
+    {
+      params: { id: `${stored._id}` },
+      body: { billStatus: 'Received', searchTokens: [] },
+      user: { _id: 'mis', role: 'mis_manager', name: 'MIS' },
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.equal('searchTokens' in update, false);
+});
+
+test('search without any words is rejected', async () => {
+  const res = createMockRes();
+  await searchExpenseEntries({ query: { q: '(( ))' }, user: { role: 'mis_manager' } }, res);
+
+  assert.equal(res.statusCode, 400);
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ExchangeRate from '../src/models/ExchangeRate.js';
+import RateOverride from '../src/models/RateOverride.js';
+import { getRateForDate } from '../src/services/currencyService.js';
+
+const mockHistory = (rows) => {
+  const queries = [];
+  ExchangeRate.findOne = (query) => {
+    queries.push(query);
+    const row = rows.find((item) => item.source === query.source && (!query.date.$lte || item.date <= query.date.$lte));
+    return { sort: () => ({ lean: async () => row || null }) };
+  };
+  return queries;
+};
+
+const mockOverride = (override) => {
+  RateOverride.findOne = () => ({ lean: async () => override });
+};
+
+test('past transactions use the closest earlier rate from history', async () => {
+  mockOverride(null);
+  const queries = mockHistory([{ source: 'http', rate: 82.9, date: new Date('2025-03-28T00:00:00Z') }]);
+
+  const result = await getRateForDate('USD', 'INR', new Date('2025-03-31T15:30:00Z'));
+
+  assert.equal(result.rate, 82.9);
+  assert.equal(result.source, 'http');
+  assert.deepEqual(queries.at(-1).date.$lte, new Date('2025-03-31T00:00:00Z'));
+});
+
+test('manual monthly override wins over tables and history', async () => {
+  mockOverride({ rate: 84.1, month: '2025-03' });
+  mockHistory([
+    { source: 'table', rate: 83, date: new Date('2025-03-01T00:00:00Z') },
+    { source: 'http', rate: 82.9, date: new Date('2025-03-28T00:00:00Z') },
+  ]);
+
+  const result = await getRateForDate('USD', 'INR', new Date('2025-03-31T15:30:00Z'));
+
+  assert.equal(result.rate, 84.1);
+  assert.equal(result.source, 'manual');
+});
+
+test('same-currency conversions never hit providers', async () => {
+  ExchangeRate.findOne = () => {
+    throw new Error('should not query');
+  };
+
+  const result = await getRateForDate('INR', 'INR', new Date('2024-01-01'));
+  assert.equal(result.rate, 1);
+  assert.equal(result.source, 'identity');
+});
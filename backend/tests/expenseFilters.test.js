@@ -38,3 +38,59 @@ test('applies duplicate status filter when requested', async () => {
   assert.equal(res.statusCode, 200);
 });
 
+
+test('pages, sorts and projects the list on the server with a total count', async () => {
+  const calls = {};
+  const request = {
+    populate: () => request,
+    sort: (sort) => {
+      calls.sort = sort;
+      return request;
+    },
+    skip: (skip) => {
+      calls.skip = skip;
+      return request;
+    },
+    limit: (limit) => {
+      calls.limit = limit;
+      return request;
+    },
+    then: (resolve) => resolve([{ _id: 'a' }, { _id: 'b' }]),
+  };
+  ExpenseEntry.find = (query, projection) => {
+    calls.projection = projection;
+    return request;
+  };
+  ExpenseEntry.countDocuments = async () => 45;
+
+  const res = createMockRes();
+  await getExpenseEntries(
+    {
+      query: { page: '3', limit: '20', sort: 'businessUnit,-amountInINR', fields: 'date,particulars,amountInINR' },
+      user: { role: 'mis_manager' },
+    },
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(calls.sort, { businessUnit: 1, amountInINR: -1, _id: 1 });
+  assert.equal(calls.skip, 40);
+  assert.equal(calls.limit, 20);
+  assert.equal(calls.projection, '_id date particulars amountInINR');
+  assert.equal(res.payload.total, 45);
+  assert.equal(res.payload.pages, 3);
+  assert.equal(res.payload.count, 2);
+});
+
+test('rejects sort columns, fields and page sizes the list does not offer', async () => {
+  const res = createMockRes();
+  await getExpenseEntries(
+    { query: { limit: '5000', sort: '-password', fields: 'approvalToken' }, user: { role: 'mis_manager' } },
+    res
+  );
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.payload.message, /limit must be/);
+  assert.match(res.payload.message, /Cannot sort by password/);
+  assert.match(res.payload.message, /Unknown field approvalToken/);
+});
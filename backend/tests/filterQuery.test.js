@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFilterQuery } from '../src/services/filterQueryService.js';
+import { getExpenseEntries } from '../src/controllers/expenseController.js';
+import ExpenseEntry from '../src/models/ExpenseEntry.js';
+
+const createMockRes = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.payload = payload;
+    return res;
+  };
+  return res;
+};
+
+test('a typed filter query becomes a Mongo filter', () => {
+  const { filter, errors } = parseFilterQuery(
+    'bu:DWSG AND (type:Tool OR type:Hosting) AND inr>50000 AND handler:"Ravi" NOT date:2025-03'
+  );
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(filter, {
+    $and: [
+      { businessUnit: /^DWSG$/i },
+      { $or: [{ typeOfService: /^Tool$/i }, { typeOfService: /^Hosting$/i }] },
+      { amountInINR: { $gt: 50000 } },
+      { serviceHandler: /Ravi/i },
+      {
+        $nor: [
+          { date: { $gte: new Date('2025-03-01T00:00:00.000Z'), $lte: new Date('2025-03-31T23:59:59.999Z') } },
+        ],
+      },
+    ],
+  });
+  assert.deepEqual(parseFilterQuery('figma type:Tool,Hosting').filter, {
+    $and: [{ searchTokens: { $all: [/^figma/] } }, { typeOfService: { $in: [/^Tool$/i, /^Hosting$/i] } }],
+  });
+});
+
+test('filter query mistakes are reported with where they are', () => {
+  assert.deepEqual(parseFilterQuery('colour:red').errors, ['Unknown field "colour" at 1']);
+  assert.deepEqual(parseFilterQuery('bu:DWSG AND (type:Tool').errors, ['Expected ")" but found the end of the query']);
+  assert.deepEqual(parseFilterQuery('inr>lots').errors, ['inr takes a number (at 1)']);
+  assert.deepEqual(parseFilterQuery('handler>Ravi').errors, ['handler does not take > (at 1)']);
+});
+
+test('the list applies the filter query inside the role scope and rejects one that does not parse', async () => {
+  let captured = null;
+  ExpenseEntry.find = (query) => {
+    captured = query;
+    return { populate: () => ({ sort: async () => [] }) };
+  };
+  const user = { role: 'spoc', businessUnit: 'DWSG' };
+
+  await getExpenseEntries({ query: { q: 'bu:Signature OR inr>100' }, user }, createMockRes());
+
+  assert.equal(captured.businessUnit, 'DWSG');
+  assert.deepEqual(captured.$and, [{ $or: [{ businessUnit: /^Signature$/i }, { amountInINR: { $gt: 100 } }] }]);
+
+  const res = createMockRes();
+  await getExpenseEntries({ query: { q: 'bu:Signature OR' }, user }, res);
+  assert.equal(res.statusCode, 400);
+});
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import ExpenseEntry from '../src/models/ExpenseEntry.js';
+import ImportRow from '../src/models/ImportRow.js';
+import EntryAudit from '../src/models/EntryAudit.js';
+import { rollbackImportBatch, buildErrorWorkbook } from '../src/services/importBatchService.js';
+
+const fakeEntry = (id, fields) => ({
+  _id: id,
+  ...fields,
+  saved: 0,
+  toObject() {
+    return { ...this };
+  },
+  async save() {
+    this.saved++;
+  },
+});
+
+test('rolling back a batch bins the entries it created and reverts its updates', async () => {
+  const created = fakeEntry('created', { importBatch: 'batch', duplicateStatus: 'Unique' });
+  // costCenter was edited again after the import, so only billStatus goes back
+  const updated = fakeEntry('updated', { billStatus: 'Received', costCenter: 'Sales' });
+  const entries = { [updated._id]: updated };
+
+  ExpenseEntry.findById = async (id) => entries[id] || null;
+  ExpenseEntry.find = async () => [created];
+  EntryAudit.insertMany = async () => [];
+
+  const rows = [
+    { rowNumber: 2, outcome: 'created', entry: 'created' },
+    { rowNumber: 6, outcome: 'failed', error: 'Invalid date' },
+    {
+      rowNumber: 7,
+      outcome: 'updated',
+      entry: 'updated',
+      changes: [
+        { field: 'billStatus', from: 'Pending', to: 'Received' },
+        { field: 'costCenter', from: 'Ops', to: 'Marketing' },
+      ],
+    },
+  ];
+  ImportRow.find = (filter) => ({
+    select: () => ({
+      sort: () => ({ lean: async () => rows.filter((row) => filter.outcome.$in.includes(row.outcome)) }),
+    }),
+  });
+  const batch = { _id: 'batch', fileName: 'march.xlsx', status: 'completed', async save() {} };
+
+  const result = await rollbackImportBatch(batch, { _id: 'mis', name: 'MIS' });
+
+  assert.deepEqual(result, { removed: 1, reverted: 1 });
+  assert.equal(updated.billStatus, 'Pending');
+  assert.equal(updated.costCenter, 'Sales');
+  assert.ok(created.deletedAt instanceof Date);
+  assert.equal(created.deletedBy, 'mis');
+  assert.equal(batch.status, 'rolled_back');
+  assert.equal(batch.rolledBackBy, 'mis');
+});
+
+test('the error workbook keeps the source columns of failed rows and highlights the offending cells', async () => {
+  const rows = [
+    {
+      rowNumber: 2,
+      outcome: 'failed',
+      error: 'Invalid enum: Cost Center (value: Marketing)',
+      fields: ['costCenter'],
+      data: { Particulars: 'Figma', 'Cost Center': 'Marketing', Error: 'from an earlier round' },
+    },
+    { rowNumber: 3, outcome: 'created', entry: 'created', error: 'Subscription update failed' },
+  ];
+  ImportRow.find = (filter) => ({
+    sort: () => ({ lean: async () => rows.filter((row) => row.outcome === filter.outcome) }),
+  });
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await buildErrorWorkbook({ _id: 'batch' }, null));
+  const sheet = workbook.worksheets[0];
+
+  assert.deepEqual(sheet.getRow(1).values.slice(1), ['Particulars', 'Cost Center', 'Error']);
+  assert.equal(sheet.rowCount, 2);
+  assert.deepEqual(sheet.getRow(2).values.slice(1), ['Figma', 'Marketing', 'Invalid enum: Cost Center (value: Marketing)']);
+  assert.equal(sheet.getCell('B2').fill?.fgColor?.argb, 'FFFFC7CE');
+  assert.equal(sheet.getCell('A2').fill, undefined);
+});
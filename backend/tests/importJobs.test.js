@@ -0,0 +1,274 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ExpenseEntry from '../src/models/ExpenseEntry.js';
+import ImportBatch from '../src/models/ImportBatch.js';
+import ImportRow from '../src/models/ImportRow.js';
+import User from '../src/models/User.js';
+import Card from '../src/models/Card.js';
+import MasterDataItem from '../src/models/MasterDataItem.js';
+import EntryAudit from '../src/models/EntryAudit.js';
+import Notification from '../src/models/Notification.js';
+import DuplicateReview from '../src/models/DuplicateReview.js';
+import { processImportJob, estimateSecondsRemaining } from '../src/services/importJobService.js';
+
+const masterItems = [
+  ['businessUnit', 'DWSG'],
+  ['costCenter', 'Ops'],
+  ['typeOfService', 'Tool'],
+  ['approver', 'Tarun'],
+  ['currency', 'INR'],
+].map(([type, value]) => ({ type, value, aliases: [], isActive: true }));
+
+const sheetRow = (fields = {}) => ({
+  'Card Number': 'XXXX-XXXX-XXXX-4242',
+  'Card Assigned To': 'Asha',
+  Date: '2025-03-10',
+  Particulars: 'Figma',
+  Currency: 'INR',
+  Amount: '1200',
+  Type: 'Tool',
+  'Business Unit': 'DWSG',
+  'Cost Center': 'Ops',
+  'Approved By': 'Tarun',
+  ...fields,
+});
+
+// Stored rows of an upload (cells, plus an outcome once imported); updates are applied to them as saved
+const mockImportRows = (rows) => {
+  const stored = rows.map((row, index) => ({ _id: `row-${index}`, index, outcome: null, ...row }));
+  ImportRow.find = (filter) => ({
+    sort: () => ({
+      lean: async () =>
+        stored
+          .filter((row) => row.index >= filter.index.$gte && row.index < filter.index.$lt)
+          .map((row) => ({ ...row })),
+    }),
+  });
+  ImportRow.updateOne = async ({ _id }, update) => {
+    const row = stored.find((item) => item._id === _id);
+    Object.assign(row, update.$set);
+    Object.keys(update.$unset || {}).forEach((field) => delete row[field]);
+  };
+  return stored;
+};
+
+test('a job creates exact duplicates too, queues them for review and notifies the uploader', async () => {
+  MasterDataItem.find = () => ({ sort: () => ({ lean: async () => masterItems }) });
+  Card.find = () => ({ populate: () => ({ lean: async () => [] }) });
+  User.findById = async () => ({ _id: 'mis', name: 'MIS' });
+  EntryAudit.insertMany = async () => [];
+
+  // Each created row is compared with the entries stored before it
+  const created = [];
+  ExpenseEntry.find = async (filter) => created.filter((entry) => entry._id !== filter._id.$ne);
+  const reviews = [];
+  DuplicateReview.insertMany = async (docs) => {
+    reviews.push(...docs);
+    return docs;
+  };
+  ExpenseEntry.create = async (fields) => {
+    const entry = {
+      _id: `entry-${created.length + 1}`,
+      ...fields,
+      toObject() {
+        return { ...this };
+      },
+      async save() {},
+    };
+    created.push(entry);
+    return entry;
+  };
+  const notifications = [];
+  Notification.create = async (doc) => notifications.push(doc);
+
+  const batch = { _id: 'batch', status: 'queued', async save() {} };
+  ImportBatch.findById = async () => batch;
+  const rows = mockImportRows([{ data: sheetRow() }, { data: sheetRow() }, { data: sheetRow({ Date: 'someday' }) }]);
+
+  const job = {
+    _id: 'job',
+    batch: 'batch',
+    user: 'mis',
+    fileName: 'march.xlsx',
+    profile: null,
+    status: 'running',
+    total: 3,
+    processed: 0,
+    success: 0,
+    failed: 0,
+    unique: 0,
+    suspected: 0,
+    rowErrors: [],
+    async save() {},
+  };
+
+  await processImportJob(job);
+
+  assert.equal(created.length, 2);
+  assert.deepEqual(
+    rows.map((row) => [row.outcome, row.suspected]),
+    [
+      ['created', false],
+      ['created', true],
+      ['failed', false],
+    ]
+  );
+  assert.deepEqual(
+    reviews.map((review) => [review.entry, review.candidate, review.score]),
+    [['entry-2', 'entry-1', 1]]
+  );
+  // Only the failed row keeps its cells, for the error workbook
+  assert.deepEqual(
+    rows.map((row) => 'data' in row),
+    [false, false, true]
+  );
+  assert.equal(batch.status, 'completed');
+  assert.deepEqual([job.processed, job.unique, job.suspected, job.failed], [3, 2, 1, 1]);
+  assert.deepEqual(
+    job.rowErrors.map((item) => item.row),
+    [4]
+  );
+  assert.equal(job.status, 'completed');
+  assert.equal(notifications[0].type, 'import_completed');
+  assert.equal(notifications[0].message, 'march.xlsx: 2 created, 1 failed; 1 queued for duplicate review');
+});
+
+test('an upsert job updates the entries named by Entry ID and records what changed', async () => {
+  MasterDataItem.find = () => ({ sort: () => ({ lean: async () => masterItems }) });
+  Card.find = () => ({ populate: () => ({ lean: async () => [] }) });
+  User.findById = async () => ({ _id: 'mis', name: 'MIS' });
+  EntryAudit.insertMany = async () => [];
+  Notification.create = async () => {};
+
+  const id = '64b7f0c2a1b2c3d4e5f60718';
+  const stored = {
+    _id: id,
+    cardNumber: 'XXXX-XXXX-XXXX-4242',
+    cardAssignedTo: 'Asha',
+    card: null,
+    date: new Date('2025-03-10'),
+    month: 'Mar 2025',
+    status: 'Active',
+    particulars: 'Figma',
+    narration: 'Figma',
+    currency: 'INR',
+    billStatus: '',
+    amount: 1200,
+    xeRate: 1,
+    amountInINR: 1200,
+    typeOfService: 'Tool',
+    businessUnit: 'DWSG',
+    costCenter: 'Ops',
+    approvedBy: 'Tarun',
+    serviceHandler: '',
+    recurring: 'One-time',
+    isShared: false,
+    sharedAllocations: [],
+    entryStatus: 'Pending',
+    saved: 0,
+    toObject() {
+      const { toObject, save, ...rest } = this;
+      return { ...rest };
+    },
+    async save() {
+      this.saved++;
+    },
+  };
+  ExpenseEntry.find = async (filter) => (filter._id ? [stored] : []);
+
+  const batch = { _id: 'batch', status: 'queued', async save() {} };
+  ImportBatch.findById = async () => batch;
+  const rows = mockImportRows([
+    { data: sheetRow({ 'Entry ID': id, Month: 'Mar 2025', Amount: '1500', 'Bill Status': 'Received' }) },
+    { data: sheetRow({ 'Entry ID': '64b7f0c2a1b2c3d4e5f60799' }) },
+  ]);
+
+  const job = {
+    _id: 'job',
+    batch: 'batch',
+    user: 'mis',
+    fileName: 'export.xlsx',
+    profile: null,
+    mode: 'upsert',
+    status: 'running',
+    total: 2,
+    processed: 0,
+    success: 0,
+    failed: 0,
+    unique: 0,
+    updated: 0,
+    rowErrors: [],
+    async save() {},
+  };
+
+  await processImportJob(job);
+
+  assert.equal(stored.saved, 1);
+  assert.equal(stored.amount, 1500);
+  assert.equal(stored.amountInINR, 1500);
+  assert.equal(rows[0].outcome, 'updated');
+  // The date cell names the same day, so only the edited cells and the conversion they trigger changed
+  const changed = rows[0].changes.map((change) => change.field);
+  assert.deepEqual(changed.slice(0, 2), ['billStatus', 'amount']);
+  assert.ok(!changed.includes('date'));
+  assert.ok(changed.includes('amountInINR'));
+  assert.equal(rows[1].outcome, 'failed');
+  assert.equal(rows[1].error, 'Entry ID 64b7f0c2a1b2c3d4e5f60799 not found');
+  assert.deepEqual([job.updated, job.failed], [1, 1]);
+});
+
+test('a job picked up again skips the rows its stopped worker already imported and still counts them', async () => {
+  MasterDataItem.find = () => ({ sort: () => ({ lean: async () => masterItems }) });
+  Card.find = () => ({ populate: () => ({ lean: async () => [] }) });
+  User.findById = async () => ({ _id: 'mis', name: 'MIS' });
+  EntryAudit.insertMany = async () => [];
+  Notification.create = async () => {};
+
+  ExpenseEntry.find = async () => [];
+  const created = [];
+  ExpenseEntry.create = async (fields) => {
+    created.push(fields);
+    return { _id: 'entry-2', ...fields };
+  };
+
+  const batch = { _id: 'batch', status: 'processing', async save() {} };
+  ImportBatch.findById = async () => batch;
+  const rows = mockImportRows([
+    { rowNumber: 2, outcome: 'created', entry: 'entry-1' },
+    { data: sheetRow({ Particulars: 'Slack', Amount: '900' }) },
+  ]);
+
+  const job = {
+    _id: 'job',
+    batch: 'batch',
+    user: 'mis',
+    fileName: 'march.xlsx',
+    profile: null,
+    status: 'running',
+    total: 2,
+    processed: 0,
+    success: 0,
+    failed: 0,
+    unique: 0,
+    rowErrors: [],
+    async save() {},
+  };
+
+  await processImportJob(job);
+
+  assert.equal(created.length, 1);
+  assert.equal(created[0].particulars, 'Slack');
+  assert.deepEqual(
+    rows.map((row) => row.outcome),
+    ['created', 'created']
+  );
+  assert.deepEqual([job.processed, job.unique, job.success], [2, 2, 2]);
+});
+
+test('the ETA extrapolates from the rows processed so far', () => {
+  const startedAt = new Date('2025-03-10T10:00:00Z');
+  const now = new Date('2025-03-10T10:01:00Z');
+
+  assert.equal(estimateSecondsRemaining({ status: 'running', startedAt, processed: 200, total: 1000 }, now), 240);
+  assert.equal(estimateSecondsRemaining({ status: 'queued', startedAt: null, processed: 0, total: 1000 }, now), null);
+});
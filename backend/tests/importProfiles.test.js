@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compileImportProfile,
+  detectImportProfile,
+  prepareImportRow,
+  sheetHeaders,
+} from '../src/services/bulkImportService.js';
+
+const normalizer = (values) => (raw) => {
+  const norm = raw?.toString().trim().toLowerCase();
+  return values.find((value) => value.toLowerCase() === norm) || null;
+};
+
+const bankProfile = {
+  name: 'Bank export',
+  columns: [
+    { field: 'particulars', headers: ['Merchant'] },
+    { field: 'amount', headers: ['Debit Amount'] },
+    { field: 'date', headers: ['Txn Date'] },
+  ],
+  valueAliases: [{ field: 'businessUnit', from: 'team shared', to: 'Wytlabs' }],
+  defaults: [
+    { field: 'costCenter', value: 'Ops' },
+    { field: 'approvedBy', value: 'Tarun' },
+  ],
+};
+
+const ctx = {
+  normalizeBusinessUnit: normalizer(['DWSG', 'Wytlabs']),
+  normalizeCostCenter: normalizer(['Ops']),
+  normalizeTypeOfService: normalizer(['Tool']),
+  normalizeApprover: normalizer(['Tarun']),
+  normalizeCurrency: normalizer(['USD']),
+  resolveCard: ({ cardNumber, cardAssignedTo }) => ({ cardNumber, cardAssignedTo, card: null }),
+  mapping: compileImportProfile(bankProfile),
+};
+
+test('profiles map their own headers, rewrite values and fill defaults', () => {
+  const prepared = prepareImportRow(
+    {
+      'Card Number': '4242',
+      'Card Assigned To': 'Asha',
+      'Txn Date': '2025-03-10',
+      Merchant: 'Figma',
+      Currency: 'USD',
+      'Debit Amount': '45',
+      Type: 'Tool',
+      'Business Unit': 'Team Shared',
+    },
+    2,
+    ctx
+  );
+
+  assert.deepEqual(prepared.errors, []);
+  assert.equal(prepared.values.particulars, 'Figma');
+  assert.equal(prepared.values.amount, 45);
+  assert.equal(prepared.values.businessUnit, 'Wytlabs');
+  assert.equal(prepared.values.costCenter, 'Ops');
+  assert.deepEqual(prepared.warnings, ['Cost Center missing, defaulted to Ops', 'Approved By missing, defaulted to Tarun']);
+});
+
+test('auto-detect picks the profile matching the most headers', () => {
+  const walletProfile = { name: 'Wallet', columns: [{ field: 'particulars', headers: ['Merchant', 'Wallet Id'] }] };
+  const rows = [{ Merchant: 'Figma', 'Debit Amount': '45' }, { 'Txn Date': '2025-03-10' }];
+
+  assert.equal(detectImportProfile(sheetHeaders(rows), [walletProfile, bankProfile]), bankProfile);
+  assert.equal(detectImportProfile(sheetHeaders([{ Particulars: 'Figma' }]), [walletProfile, bankProfile]), null);
+});
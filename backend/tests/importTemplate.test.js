@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import MasterDataItem from '../src/models/MasterDataItem.js';
+import { invalidateMasterDataCache } from '../src/services/masterDataService.js';
+import { buildImportTemplate, TEMPLATE_SHEET } from '../src/services/importTemplateService.js';
+import { countRecognisedHeaders, IMPORT_FIELD_ALIASES } from '../src/services/bulkImportService.js';
+
+test('the template offers master data as dropdowns on headers the importer reads', async () => {
+  const items = [
+    ['businessUnit', 'DWSG'],
+    ['businessUnit', 'Wytlabs'],
+    ['costCenter', 'Ops'],
+    ['typeOfService', 'Tool'],
+    ['approver', 'Tarun'],
+    ['currency', 'USD'],
+  ].map(([type, value]) => ({ type, value, aliases: [], isActive: true }));
+  MasterDataItem.find = () => ({ sort: () => ({ lean: async () => items }) });
+  invalidateMasterDataCache();
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await (await buildImportTemplate()).xlsx.writeBuffer());
+  const [sheet, instructions, lookups] = workbook.worksheets;
+
+  assert.equal(sheet.name, TEMPLATE_SHEET);
+  assert.equal(instructions.name, 'Instructions');
+  assert.equal(lookups.state, 'hidden');
+
+  const headers = new Set(sheet.getRow(1).values.filter(Boolean).map((header) => header.toLowerCase()));
+  // Every field but the Entry ID and the exchange rate columns, which only exports carry
+  assert.equal(countRecognisedHeaders(headers), Object.keys(IMPORT_FIELD_ALIASES).length - 3);
+
+  const businessUnit = sheet.dataValidations.find('L2');
+  assert.equal(businessUnit.type, 'list');
+  assert.deepEqual(lookups.getColumn(1).values.slice(1), ['Business Unit', 'DWSG', 'Wytlabs']);
+  assert.equal(businessUnit.formulae[0], 'Lookups!$A$2:$A$3');
+  assert.equal(sheet.dataValidations.find('C2').type, 'date');
+  assert.equal(sheet.getColumn(3).numFmt, 'dd-mmm-yyyy');
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import MasterDataItem from '../src/models/MasterDataItem.js';
+import {
+  buildMasterNormalizer,
+  invalidateMasterDataCache,
+  validateMasterFields,
+} from '../src/services/masterDataService.js';
+
+const items = [
+  { type: 'businessUnit', value: 'DWSG', aliases: ['dws g'], isActive: true },
+  { type: 'businessUnit', value: 'Smegoweb', aliases: [], isActive: false },
+  { type: 'approver', value: 'Tarun', aliases: ['suspense'], isActive: true },
+  { type: 'currency', value: 'USD', aliases: [], isActive: true },
+];
+
+const mockItems = () => {
+  invalidateMasterDataCache();
+  MasterDataItem.find = () => ({
+    sort: () => ({ lean: async () => items }),
+  });
+};
+
+test('normalizer resolves aliases case-insensitively and skips inactive values', async () => {
+  mockItems();
+  const normalizeBusinessUnit = await buildMasterNormalizer('businessUnit');
+  const normalizeApprover = await buildMasterNormalizer('approver');
+
+  assert.equal(normalizeBusinessUnit(' DWS G '), 'DWSG');
+  assert.equal(normalizeBusinessUnit('smegoweb'), null);
+  assert.equal(normalizeApprover('Suspense'), 'Tarun');
+});
+
+test('inactive values are rejected on new entries but kept on existing ones', async () => {
+  mockItems();
+
+  const createErrors = await validateMasterFields({ businessUnit: 'Smegoweb', currency: 'USD' });
+  assert.equal(createErrors.length, 1);
+  assert.match(createErrors[0], /Business Unit "Smegoweb"/);
+
+  const updateErrors = await validateMasterFields(
+    { businessUnit: 'Smegoweb', approvedBy: 'Tarun' },
+    { businessUnit: 'Smegoweb', approvedBy: 'Tarun' }
+  );
+  assert.deepEqual(updateErrors, []);
+});
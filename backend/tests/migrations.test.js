@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import ExpenseEntry from '../src/models/ExpenseEntry.js';
+import RenewalLog from '../src/models/RenewalLog.js';
+import { runStartupMigrations } from '../src/services/migrationService.js';
+
+test('recurring entries without a subscription are linked on startup', async () => {
+  RenewalLog.distinct = async () => [];
+  let backfillQuery = null;
+  ExpenseEntry.find = (filter) => ({
+    select: () => ({ lean: async () => [] }),
+    sort: async () => {
+      backfillQuery = filter;
+      return [];
+    },
+  });
+
+  await runStartupMigrations();
+
+  assert.deepEqual(backfillQuery, { subscription: null, entryStatus: 'Accepted', recurring: { $in: ['Monthly', 'Yearly'] } });
+});
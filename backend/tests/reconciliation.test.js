@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStatementRows, matchStatementLines, toCardKey } from '../src/services/reconciliationService.js';
+
+const options = { dateWindowDays: 3, amountTolerance: 0.01, inrTolerancePercent: 3 };
+
+const entry = (id, fields) => ({
+  _id: id,
+  cardNumber: 'XXXX-XXXX-XXXX-4242',
+  currency: 'USD',
+  ...fields,
+  date: new Date(fields.date),
+});
+
+const line = (fields) => ({
+  status: 'unmatched',
+  cardNumber: 'XXXX-XXXX-XXXX-4242',
+  currency: 'USD',
+  ...fields,
+  date: new Date(fields.date),
+});
+
+test('statement rows become debit lines; credits and bad rows are reported', () => {
+  const { lines, errors } = parseStatementRows(
+    [
+      { 'Txn Date': '2025-03-10', Details: 'FIGMA.COM', Amount: '15.00', Currency: 'usd' },
+      { 'Txn Date': '2025-03-12', Details: 'PAYMENT RECEIVED', Amount: '500.00 CR' },
+      { 'Txn Date': 'not a date', Details: 'NOTION', Amount: '8' },
+    ],
+    { cardNumber: '4111 1111 1111 4242', normalizeCurrency: (value) => value.toUpperCase() }
+  );
+
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].amount, 15);
+  assert.equal(lines[0].currency, 'USD');
+  assert.equal(lines[0].cardNumber, 'XXXX-XXXX-XXXX-4242');
+  assert.deepEqual(
+    errors.map((error) => [error.row, error.error]),
+    [
+      [3, 'Credit or zero amount skipped'],
+      [4, 'Invalid or missing date'],
+    ]
+  );
+});
+
+test('card keys compare masked numbers by last four digits', () => {
+  assert.equal(toCardKey('xxxx xxxx xxxx 4242'), toCardKey('XXXX-XXXX-XXXX-4242'));
+  assert.equal(toCardKey('M003'), 'm003');
+});
+
+test('lines match unique fits, fall back to exact hits and flag the rest as ambiguous', () => {
+  const entries = [
+    entry('figma', { date: '2025-03-09', amount: 15 }),
+    entry('slack-a', { date: '2025-03-14', amount: 8.75 }),
+    entry('slack-b', { date: '2025-03-15', amount: 8.75 }),
+    entry('aws', { date: '2025-03-20', amount: 120, amountInINR: 10000 }),
+    entry('zoom-a', { date: '2025-03-24', amount: 20 }),
+    entry('zoom-b', { date: '2025-03-26', amount: 20 }),
+  ];
+  const lines = [
+    line({ date: '2025-03-10', amount: 15 }),
+    line({ date: '2025-03-14', amount: 8.75 }),
+    line({ date: '2025-03-21', amount: 10150, currency: 'INR' }),
+    line({ date: '2025-03-25', amount: 20 }),
+    line({ date: '2025-03-28', amount: 99 }),
+  ];
+
+  matchStatementLines(lines, entries, options);
+
+  assert.deepEqual(
+    lines.map((item) => [item.status, item.entry]),
+    [
+      ['matched', 'figma'],
+      ['matched', 'slack-a'],
+      ['matched', 'aws'],
+      ['ambiguous', null],
+      ['unmatched', null],
+    ]
+  );
+  assert.deepEqual(lines[3].candidates, ['zoom-a', 'zoom-b']);
+});
+
+test('lines already matched keep their entry and take it out of the pool', () => {
+  const entries = [entry('only', { date: '2025-03-10', amount: 15 })];
+  const lines = [
+    line({ date: '2025-03-10', amount: 15, status: 'matched', matchType: 'manual', entry: 'only' }),
+    line({ date: '2025-03-10', amount: 15 }),
+  ];
+
+  matchStatementLines(lines, entries, options);
+
+  assert.equal(lines[0].entry, 'only');
+  assert.equal(lines[1].status, 'unmatched');
+});
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import SavedView from '../src/models/SavedView.js';
+import { getSavedViews, createSavedView, updateSavedView } from '../src/controllers/savedViewController.js';
+
+const createMockRes = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.payload = payload;
+    return res;
+  };
+  return res;
+};
+
+const spoc = { _id: new mongoose.Types.ObjectId(), role: 'spoc', businessUnit: 'DWSG' };
+
+test('views are listed for their owner and the roles and business units they are shared with', async () => {
+  let filter = null;
+  SavedView.find = (query) => {
+    filter = query;
+    return { populate: () => ({ sort: async () => [] }) };
+  };
+
+  await getSavedViews({ user: spoc }, createMockRes());
+
+  assert.deepEqual(filter.$or, [
+    { owner: spoc._id },
+    { sharedWithRoles: 'spoc' },
+    { sharedWithBusinessUnits: 'DWSG' },
+  ]);
+});
+
+test('a saved view keeps known filters only and rejects bad sorts, columns and shares', async () => {
+  SavedView.findOne = async () => null;
+  let created = null;
+  SavedView.create = async (doc) => {
+    created = doc;
+    return doc;
+  };
+
+  const res = createMockRes();
+  await createSavedView(
+    {
+      user: spoc,
+      body: {
+        name: 'Open tools',
+        filters: { status: 'Active', typeOfService: ' Tool ', endDate: '', $where: 'x' },
+        search: 'figma',
+        sort: '-amountInINR,particulars',
+        columns: ['date', 'particulars', 'amountInINR'],
+        sharedWithRoles: ['spoc'],
+        sharedWithBusinessUnits: ['DWSG'],
+      },
+    },
+    res
+  );
+  assert.equal(res.statusCode, 201);
+  assert.deepEqual(created.filters, { status: 'Active', typeOfService: 'Tool' });
+  assert.equal(created.owner, spoc._id);
+
+  const rejected = createMockRes();
+  await createSavedView(
+    {
+      user: spoc,
+      body: { name: 'Bad', sort: '-password', columns: 'date,secret', sharedWithBusinessUnits: ['Signature'] },
+    },
+    rejected
+  );
+  assert.equal(rejected.statusCode, 400);
+  assert.match(rejected.payload.message, /Cannot sort by password/);
+  assert.match(rejected.payload.message, /Unknown column secret/);
+  assert.match(rejected.payload.message, /your own business unit/);
+});
+
+test('only the owner can change a shared view', async () => {
+  SavedView.findById = async () => new SavedView({ name: 'Team', owner: new mongoose.Types.ObjectId() });
+
+  const res = createMockRes();
+  await updateSavedView({ user: spoc, params: { id: 'view' }, body: { name: 'Mine now' } }, res);
+
+  assert.equal(res.statusCode, 403);
+});
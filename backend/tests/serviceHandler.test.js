@@ -1,7 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { respondToRenewal } from '../src/controllers/serviceHandlerController.js';
-import ExpenseEntry from '../src/models/ExpenseEntry.js';
+import Subscription from '../src/models/Subscription.js';
 import RenewalLog from '../src/models/RenewalLog.js';
 import User from '../src/models/User.js';
 
@@ -18,22 +18,25 @@ const createMockRes = () => {
   return res;
 };
 
-test('service handler renewal continue flow creates log entry', async () => {
-  const sampleEntry = {
-    _id: 'entry-1',
+test('service handler renewal continue flow logs against the subscription', async () => {
+  const sampleSubscription = {
+    _id: '64b000000000000000000001',
+    particulars: 'Figma',
     serviceHandler: 'Handler Wytlabs',
+    lastCharge: '64b000000000000000000002',
     nextRenewalDate: new Date('2025-02-05'),
   };
 
   let createdLog;
-  ExpenseEntry.findById = async () => sampleEntry;
+  Subscription.findById = async () => sampleSubscription;
   RenewalLog.create = async (payload) => {
     createdLog = payload;
   };
   User.findOne = async () => null;
+  User.find = async () => [];
 
   const req = {
-    params: { entryId: 'entry-1' },
+    params: { subscriptionId: '64b000000000000000000001' },
     body: { continueService: true, reason: 'Still required' },
     user: { name: 'Handler Wytlabs' },
   };
@@ -45,5 +48,7 @@ test('service handler renewal continue flow creates log entry', async () => {
   assert.equal(res.payload.message, 'Your response has been recorded. The service will continue.');
   assert.equal(createdLog.action, 'Continue');
   assert.equal(createdLog.reason, 'Still required');
+  assert.equal(createdLog.subscription, sampleSubscription._id);
+  assert.equal(createdLog.expenseEntry, sampleSubscription.lastCharge);
 });
 
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import Attachment from '../src/models/Attachment.js';
+import ExpenseEntry from '../src/models/ExpenseEntry.js';
+import { getStorageDriver } from '../src/services/storageService.js';
+import { downloadAttachment } from '../src/controllers/attachmentController.js';
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+test('local storage driver saves, reads and removes files under its root', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+  process.env.ATTACHMENT_STORAGE_PATH = root;
+
+  try {
+    const driver = getStorageDriver('local');
+    const key = await driver.save(Buffer.from('invoice body'), { fileName: '../Invoice March.pdf' });
+
+    assert.match(key, /^\d{4}\/\d{2}\/[0-9a-f]{16}-Invoice_March\.pdf$/);
+    assert.ok(fs.existsSync(path.join(root, key)));
+    assert.equal(await readStream(await driver.read(key)), 'invoice body');
+
+    await driver.remove(key);
+    assert.equal(fs.existsSync(path.join(root, key)), false);
+    await driver.remove(key);
+
+    await assert.rejects(() => driver.read('../outside.pdf'), /Invalid storage key/);
+  } finally {
+    delete process.env.ATTACHMENT_STORAGE_PATH;
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('unknown storage drivers are rejected', () => {
+  assert.throws(() => getStorageDriver('ftp'), /Unknown storage driver/);
+});
+
+test('downloads name the file in ASCII and in UTF-8 for names outside ASCII', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+  process.env.ATTACHMENT_STORAGE_PATH = root;
+
+  try {
+    const storageKey = await getStorageDriver('local').save(Buffer.from('facture'), { fileName: 'facture.pdf' });
+    ExpenseEntry.findById = async () => ({ _id: 'entry', businessUnit: 'DWSG' });
+    Attachment.findOne = async () => ({
+      storageDriver: 'local',
+      storageKey,
+      fileName: 'Facture été "v2".pdf',
+      mimeType: 'application/pdf',
+      size: 7,
+    });
+    const res = new PassThrough();
+    const headers = {};
+    res.setHeader = (name, value) => {
+      headers[name] = value;
+    };
+
+    await downloadAttachment({ params: { id: 'entry', attachmentId: 'file' }, user: { role: 'super_admin' } }, res);
+
+    assert.equal(await readStream(res), 'facture');
+    assert.equal(
+      headers['Content-Disposition'],
+      `attachment; filename="Facture _t_ _v2_.pdf"; filename*=UTF-8''Facture%20%C3%A9t%C3%A9%20%22v2%22.pdf`
+    );
+  } finally {
+    delete process.env.ATTACHMENT_STORAGE_PATH;
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,195 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Subscription from '../src/models/Subscription.js';
+import ExpenseEntry from '../src/models/ExpenseEntry.js';
+import RenewalLog from '../src/models/RenewalLog.js';
+import EntryAudit from '../src/models/EntryAudit.js';
+import MasterDataItem from '../src/models/MasterDataItem.js';
+import {
+  recordSubscriptionCharge,
+  advanceRenewal,
+  backfillSubscriptions,
+} from '../src/services/subscriptionService.js';
+import { moveEntryToRecycleBin } from '../src/services/recycleBinService.js';
+import { updateExpenseEntry } from '../src/controllers/expenseController.js';
+
+const baseCharge = {
+  _id: '64b000000000000000000010',
+  entryStatus: 'Accepted',
+  recurring: 'Monthly',
+  particulars: 'Figma ',
+  businessUnit: 'Wytlabs',
+  serviceHandler: 'Handler Wytlabs',
+  cardNumber: 'M003',
+  currency: 'USD',
+  amount: 15,
+  status: 'Active',
+  subscription: null,
+};
+
+const mockStore = (existing) => {
+  const linked = [];
+  Subscription.findById = async () => null;
+  Subscription.findOne = () => ({ sort: async () => existing });
+  Subscription.prototype.save = async function save() {
+    return this;
+  };
+  ExpenseEntry.updateOne = async (filter, update) => {
+    linked.push(update.$set.subscription);
+  };
+  return linked;
+};
+
+test('first recurring charge creates the subscription and schedules the next renewal', async () => {
+  const linked = mockStore(null);
+  const charge = { ...baseCharge, date: new Date(2025, 2, 10) };
+
+  const subscription = await recordSubscriptionCharge(charge);
+
+  assert.equal(subscription.serviceKey, 'figma');
+  assert.equal(subscription.expectedAmount, 15);
+  assert.deepEqual(subscription.nextRenewalDate, new Date(2025, 3, 10));
+  assert.equal(String(linked[0]), String(subscription._id));
+});
+
+test('a later charge rolls the cycle forward, an older one is only linked', async () => {
+  const existing = new Subscription({
+    particulars: 'Figma',
+    serviceKey: 'figma',
+    businessUnit: 'Wytlabs',
+    serviceHandler: 'Handler Wytlabs',
+    recurring: 'Monthly',
+    expectedAmount: 15,
+    startDate: new Date(2025, 2, 10),
+    lastChargeDate: new Date(2025, 2, 10),
+    nextRenewalDate: new Date(2025, 3, 10),
+    renewalNotificationSent: true,
+  });
+  mockStore(existing);
+
+  await recordSubscriptionCharge({ ...baseCharge, date: new Date(2025, 3, 10), amount: 18 });
+  assert.equal(existing.expectedAmount, 18);
+  assert.deepEqual(existing.nextRenewalDate, new Date(2025, 4, 10));
+  assert.equal(existing.renewalNotificationSent, false);
+
+  await recordSubscriptionCharge({ ...baseCharge, date: new Date(2025, 1, 10), amount: 12 });
+  assert.equal(existing.expectedAmount, 18);
+  assert.deepEqual(existing.nextRenewalDate, new Date(2025, 4, 10));
+  assert.deepEqual(existing.startDate, new Date(2025, 1, 10));
+});
+
+test('one-time and pending entries are not subscriptions', async () => {
+  mockStore(null);
+  assert.equal(await recordSubscriptionCharge({ ...baseCharge, recurring: 'One-time', date: new Date() }), null);
+  assert.equal(await recordSubscriptionCharge({ ...baseCharge, entryStatus: 'Pending', date: new Date() }), null);
+});
+
+test('linking an old recurring entry keeps the reminders it already sent and links its renewal logs', async () => {
+  mockStore(null);
+  const charge = { ...baseCharge, date: new Date(2025, 2, 10) };
+  ExpenseEntry.find = () => ({ sort: async () => [charge] });
+  // The entry still has the reminder state it kept before subscriptions, out of the model's sight
+  const collection = {
+    findOne: async (filter, options) => {
+      assert.deepEqual(Object.keys(options.projection), [
+        'nextRenewalDate',
+        'renewalNotificationSent',
+        'autoCancellationNotificationSent',
+      ]);
+      return { _id: filter._id, nextRenewalDate: new Date(2025, 3, 12), renewalNotificationSent: true };
+    },
+    find: () => ({ toArray: async () => [{ _id: charge._id, subscription: charge.subscription }] }),
+  };
+  Object.defineProperty(ExpenseEntry, 'collection', { value: collection, configurable: true });
+  RenewalLog.distinct = async () => [charge._id];
+  const logUpdates = [];
+  RenewalLog.updateMany = async (filter, update) => {
+    logUpdates.push([filter, update]);
+    return { modifiedCount: 2 };
+  };
+  let saved = null;
+  Subscription.prototype.save = async function save() {
+    saved = this;
+    return this;
+  };
+
+  const result = await backfillSubscriptions();
+
+  assert.deepEqual(result, { linked: 1, subscriptions: 1, logs: 2 });
+  assert.deepEqual(saved.nextRenewalDate, new Date(2025, 3, 12));
+  assert.equal(saved.renewalNotificationSent, true);
+  assert.equal(saved.autoCancellationNotificationSent, false);
+  assert.deepEqual(logUpdates, [
+    [{ subscription: null, expenseEntry: charge._id }, { $set: { subscription: saved._id } }],
+  ]);
+});
+
+test('deleting the last charge points the subscription at the charge before it', async () => {
+  const deleted = new ExpenseEntry({
+    ...baseCharge,
+    date: new Date(2025, 3, 10),
+    subscription: '64b000000000000000000020',
+  });
+  deleted.save = async () => deleted;
+  const previous = { _id: '64b000000000000000000011', date: new Date(2025, 2, 10) };
+  const subscription = { _id: deleted.subscription, lastCharge: deleted._id, async save() {} };
+  let subscriptionQuery = null;
+  Subscription.find = async (filter) => {
+    subscriptionQuery = filter;
+    return [subscription];
+  };
+  ExpenseEntry.findOne = () => ({ sort: () => ({ select: async () => previous }) });
+  EntryAudit.insertMany = async (docs) => docs;
+
+  await moveEntryToRecycleBin(deleted, null);
+
+  assert.deepEqual(subscriptionQuery, { lastCharge: { $in: [deleted._id] } });
+  assert.equal(subscription.lastCharge, previous._id);
+  assert.deepEqual(subscription.lastChargeDate, previous.date);
+});
+
+test('a shared allocation edit is logged against the subscription of the charge', async () => {
+  MasterDataItem.find = () => ({
+    sort: () => ({ lean: async () => [{ type: 'businessUnit', value: 'Wytlabs', isActive: true }] }),
+  });
+  EntryAudit.insertMany = async (docs) => docs;
+  const stored = new ExpenseEntry({
+    ...baseCharge,
+    recurring: 'One-time',
+    date: new Date(2025, 2, 10),
+    subscription: '64b000000000000000000020',
+    isShared: true,
+    sharedAllocations: [{ businessUnit: 'Wytlabs', amount: 15 }],
+  });
+  ExpenseEntry.findById = async () => stored;
+  ExpenseEntry.findByIdAndUpdate = async (id, body) => new ExpenseEntry({ ...stored.toObject(), ...body });
+  const logs = [];
+  RenewalLog.create = async (log) => logs.push(log);
+  const res = { status: () => res, json: () => res };
+
+  await updateExpenseEntry(
+    {
+      params: { id: `${stored._id}` },
+      body: { amount: 18, sharedAllocations: [{ businessUnit: 'Wytlabs', amount: 18 }] },
+      user: { _id: 'mis', role: 'mis_manager', name: 'MIS' },
+    },
+    res
+  );
+
+  assert.deepEqual(
+    logs.map((log) => [log.action, `${log.subscription}`]),
+    [['SharedEdit', '64b000000000000000000020']]
+  );
+});
+
+test('overdue renewals move to the next future cycle', () => {
+  const subscription = {
+    recurring: 'Yearly',
+    nextRenewalDate: new Date(2023, 5, 1),
+    renewalNotificationSent: true,
+  };
+
+  assert.equal(advanceRenewal(subscription, new Date(2025, 0, 15)), true);
+  assert.deepEqual(subscription.nextRenewalDate, new Date(2025, 5, 1));
+  assert.equal(subscription.renewalNotificationSent, false);
+});
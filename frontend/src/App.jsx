@@ -1,6 +1,7 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { MasterDataProvider } from './context/MasterDataContext';
 import Login from './pages/Login';
 import SuperAdminSetup from './pages/SuperAdminSetup';
 import Dashboard from './pages/Dashboard';
@@ -12,6 +13,16 @@ import BulkUpload from './pages/BulkUpload';
 import Profile from './pages/Profile';
 import ServiceHandler from './pages/ServiceHandler';
 import Logs from './pages/Logs';
+import MasterData from './pages/MasterData';
+import ExchangeRates from './pages/ExchangeRates';
+import Cards from './pages/Cards';
+import CardDetail from './pages/CardDetail';
+import Budgets from './pages/Budgets';
+import Reconciliation from './pages/Reconciliation';
+import StatementDetail from './pages/StatementDetail';
+import RecycleBin from './pages/RecycleBin';
+import DuplicateReviews from './pages/DuplicateReviews';
+import Search from './pages/Search';
 import Loading from './components/common/Loading';
 
 // Protected Route Component
@@ -147,6 +158,86 @@ function AppContent() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/master-data"
+          element={
+            <ProtectedRoute>
+              <MasterData />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/cards"
+          element={
+            <ProtectedRoute>
+              <Cards />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/cards/:id"
+          element={
+            <ProtectedRoute>
+              <CardDetail />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/budgets"
+          element={
+            <ProtectedRoute>
+              <Budgets />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/reconciliation"
+          element={
+            <ProtectedRoute>
+              <Reconciliation />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/reconciliation/:id"
+          element={
+            <ProtectedRoute>
+              <StatementDetail />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/duplicate-reviews"
+          element={
+            <ProtectedRoute>
+              <DuplicateReviews />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/search"
+          element={
+            <ProtectedRoute>
+              <Search />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/recycle-bin"
+          element={
+            <ProtectedRoute>
+              <RecycleBin />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/exchange-rates"
+          element={
+            <ProtectedRoute>
+              <ExchangeRates />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/bulk-upload"
           element={
@@ -186,7 +277,9 @@ function App() {
   return (
     <Router>
       <AuthProvider>
-        <AppContent />
+        <MasterDataProvider>
+          <AppContent />
+        </MasterDataProvider>
       </AuthProvider>
     </Router>
   );
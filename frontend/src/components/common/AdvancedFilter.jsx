@@ -4,14 +4,8 @@ import Button from './Button';
 import Select from './Select';
 import Input from './Input';
 import Modal from './Modal';
-import {
-  BUSINESS_UNITS,
-  TYPES_OF_EXPENSE,
-  COST_CENTERS,
-  APPROVED_BY,
-  RECURRING_OPTIONS,
-  STATUS_OPTIONS,
-} from '../../utils/constants';
+import { useMasterData } from '../../context/useMasterData';
+import { RECURRING_OPTIONS, STATUS_OPTIONS } from '../../utils/constants';
 
 export const ADVANCED_FILTER_DEFAULTS = {
   businessUnit: '',
@@ -48,6 +42,7 @@ const AdvancedFilter = forwardRef(({
   variant = 'outline',
   hideTrigger = false,
 }, ref) => {
+  const { businessUnits, typesOfService, costCenters, approvers } = useMasterData();
   const [showModal, setShowModal] = useState(false);
   const [filters, setFilters] = useState({ ...ADVANCED_FILTER_DEFAULTS, ...appliedFilters });
   const serviceHandlerListId = useId();
@@ -128,7 +123,7 @@ const AdvancedFilter = forwardRef(({
                 name="businessUnit"
                 value={filters.businessUnit}
                 onChange={handleChange}
-                options={BUSINESS_UNITS}
+                options={businessUnits}
               />
             )}
 
@@ -177,7 +172,7 @@ const AdvancedFilter = forwardRef(({
               name="typeOfService"
               value={filters.typeOfService}
               onChange={handleChange}
-              options={TYPES_OF_EXPENSE}
+              options={typesOfService}
             />
 
             {showServiceHandlerFilter && (
@@ -207,7 +202,7 @@ const AdvancedFilter = forwardRef(({
               name="costCenter"
               value={filters.costCenter}
               onChange={handleChange}
-              options={COST_CENTERS}
+              options={costCenters}
             />
 
             {/* Approved By */}
@@ -216,7 +211,7 @@ const AdvancedFilter = forwardRef(({
               name="approvedBy"
               value={filters.approvedBy}
               onChange={handleChange}
-              options={APPROVED_BY}
+              options={approvers}
             />
 
             {/* Recurring */}
@@ -0,0 +1,21 @@
+// Text with the given [{ start, end }] ranges marked
+const Highlight = ({ text, matches = [] }) => {
+  const value = `${text ?? ''}`;
+  if (!matches.length) return value;
+
+  const parts = [];
+  let cursor = 0;
+  matches.forEach(({ start, end }) => {
+    if (start > cursor) parts.push(value.slice(cursor, start));
+    parts.push(
+      <mark key={start} className="rounded bg-amber-100 px-0.5 text-slate-900">
+        {value.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  parts.push(value.slice(cursor));
+  return parts;
+};
+
+export default Highlight;
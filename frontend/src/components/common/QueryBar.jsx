@@ -0,0 +1,191 @@
+import { useEffect, useRef, useState } from 'react';
+import { Code2 } from 'lucide-react';
+import Button from './Button';
+import { getFilterQueryFields, getFilterQueryValues } from '../../services/expenseService';
+import { QUERY_KEYWORDS, quoteValue, tokenAtCaret } from '../../utils/filterQuery';
+
+// Wait for a pause in typing before asking the server for values
+const SUGGEST_DELAY_MS = 200;
+const MAX_SUGGESTIONS = 12;
+
+// Fields are loaded once per page load; they only change with a deploy
+let fieldsRequest = null;
+const loadFields = () => {
+  fieldsRequest = fieldsRequest || getFilterQueryFields().then((response) => response.data || []);
+  return fieldsRequest.catch((error) => {
+    fieldsRequest = null;
+    throw error;
+  });
+};
+
+// Typed filter query with autocomplete for field names and their values, e.g.
+// bu:DWSG AND (type:Tool OR type:Hosting) AND inr>50000 AND handler:"Ravi"
+const QueryBar = ({ value, onChange, onSubmit, error }) => {
+  const inputRef = useRef(null);
+  const [fields, setFields] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(0);
+  const [caret, setCaret] = useState(value.length);
+  const [focused, setFocused] = useState(false);
+
+  useEffect(() => {
+    loadFields()
+      .then(setFields)
+      .catch(() => setFields([]));
+  }, []);
+
+  // Suggestions for the token at the caret: field names (and keywords) while a name is typed, values after an
+  // operator. Fixed values come with the fields; the others are looked up among the entries.
+  useEffect(() => {
+    if (!focused) return undefined;
+    const token = tokenAtCaret(value, caret);
+    let cancelled = false;
+    const show = (items) => {
+      if (cancelled) return;
+      setSuggestions(items.slice(0, MAX_SUGGESTIONS));
+      setHighlighted(0);
+    };
+
+    if (!token.field) {
+      const typed = token.name.toLowerCase();
+      const names = fields
+        .filter((field) => field.name.startsWith(typed))
+        .map((field) => ({ kind: 'field', label: field.name, hint: field.label, token }));
+      const keywords = typed
+        ? QUERY_KEYWORDS.filter((keyword) => keyword.toLowerCase().startsWith(typed) && keyword.toLowerCase() !== typed)
+            .map((keyword) => ({ kind: 'keyword', label: keyword, token }))
+        : [];
+      show([...names, ...keywords]);
+      return () => {
+        cancelled = true;
+      };
+    }
+
+    const field = fields.find((item) => item.name === token.field.toLowerCase());
+    if (!field || ['number', 'date'].includes(field.type)) {
+      show([]);
+      return () => {
+        cancelled = true;
+      };
+    }
+    const toItems = (values) =>
+      values
+        .filter((item) => item.toLowerCase().startsWith(token.value.toLowerCase()))
+        .map((item) => ({ kind: 'value', label: item, token }));
+    if (field.values.length) {
+      show(toItems(field.values));
+      return () => {
+        cancelled = true;
+      };
+    }
+
+    const timer = setTimeout(() => {
+      getFilterQueryValues(field.name, token.value)
+        .then((response) => show(toItems(response.data || [])))
+        .catch(() => show([]));
+    }, SUGGEST_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value, caret, fields, focused]);
+
+  const moveCaret = (position) => {
+    setCaret(position);
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(position, position));
+  };
+
+  // Replace the token at the caret with the picked suggestion
+  const pick = ({ kind, label, token }) => {
+    let before;
+    if (kind === 'value') before = `${value.slice(0, token.valueOffset)}${quoteValue(label)} `;
+    else if (kind === 'field') before = `${value.slice(0, token.start)}${label}:`;
+    else before = `${value.slice(0, token.start)}${label} `;
+    // The rest of the token goes; values and keywords bring their own space before whatever follows
+    const rest = value.slice(caret).replace(/^\S*/, '');
+    onChange(`${before}${kind === 'field' ? rest : rest.trimStart()}`);
+    moveCaret(before.length);
+    setSuggestions([]);
+  };
+
+  const handleKeyDown = (e) => {
+    const open = suggestions.length > 0;
+    if (open && e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((prev) => (prev + 1) % suggestions.length);
+    } else if (open && e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((prev) => (prev - 1 + suggestions.length) % suggestions.length);
+    } else if (open && (e.key === 'Tab' || (e.key === 'Enter' && !e.metaKey && !e.ctrlKey))) {
+      e.preventDefault();
+      pick(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setSuggestions([]);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      setSuggestions([]);
+      onSubmit();
+    }
+  };
+
+  const syncCaret = (e) => setCaret(e.target.selectionStart ?? e.target.value.length);
+
+  return (
+    <div className="flex-1 space-y-1">
+      <div className="relative flex gap-3">
+        <div className="relative flex-1">
+          <Code2 size={16} className="pointer-events-none absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+          <input
+            ref={inputRef}
+            type="text"
+            spellCheck={false}
+            aria-label="Filter query"
+            placeholder='bu:DWSG AND (type:Tool OR type:Hosting) AND inr>50000 AND handler:"Ravi"'
+            value={value}
+            onChange={(e) => {
+              onChange(e.target.value);
+              syncCaret(e);
+            }}
+            onKeyDown={handleKeyDown}
+            onKeyUp={syncCaret}
+            onClick={syncCaret}
+            onFocus={() => setFocused(true)}
+            onBlur={() => {
+              setFocused(false);
+              setSuggestions([]);
+            }}
+            className={`w-full rounded-xl border bg-white py-3 pl-9 pr-4 font-mono text-sm text-slate-900 shadow-sm placeholder:text-slate-400 focus:outline-none focus:ring-2 focus:ring-primary-300 ${
+              error ? 'border-rose-300' : 'border-slate-200'
+            }`}
+          />
+          {focused && suggestions.length > 0 && (
+            <ul className="absolute left-0 right-0 z-30 mt-1 max-h-72 overflow-y-auto rounded-xl border border-slate-200 bg-white py-1 shadow-lg">
+              {suggestions.map((item, index) => (
+                <li key={`${item.kind}-${item.label}`}>
+                  <button
+                    type="button"
+                    // Keep focus in the input so the pick lands at the caret
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      pick(item);
+                    }}
+                    className={`flex w-full items-center justify-between gap-3 px-3 py-1.5 text-left text-sm ${
+                      index === highlighted ? 'bg-primary-50 text-primary-800' : 'text-slate-700'
+                    }`}
+                  >
+                    <span className="font-mono">{item.label}</span>
+                    {item.hint && <span className="text-xs text-slate-400">{item.hint}</span>}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <Button onClick={onSubmit}>Apply query</Button>
+      </div>
+      {error && <p className="text-xs text-rose-600">{error}</p>}
+    </div>
+  );
+};
+
+export default QueryBar;
@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { useState } from 'react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+
+vi.mock('../../services/expenseService', () => ({
+  getFilterQueryFields: vi.fn(() =>
+    Promise.resolve({
+      data: [
+        { name: 'bu', label: 'Business unit', type: 'text', values: ['DWSG', 'DWSS'] },
+        { name: 'handler', label: 'Service handler', type: 'text', values: [] },
+        { name: 'inr', label: 'Amount in INR', type: 'number', values: [] },
+      ],
+    })
+  ),
+  getFilterQueryValues: vi.fn(() => Promise.resolve({ data: ['Ravi Kumar', 'Rhea'] })),
+}));
+
+import QueryBar from './QueryBar';
+import { getFilterQueryValues } from '../../services/expenseService';
+
+// The bar is controlled; keep its text the way the Expenses page does
+const Harness = ({ initial = '', onSubmit = () => {}, error }) => {
+  const [value, setValue] = useState(initial);
+  return <QueryBar value={value} onChange={setValue} onSubmit={onSubmit} error={error} />;
+};
+
+const suggestionLabels = () =>
+  screen.queryAllByRole('listitem').map((item) => item.querySelector('.font-mono').textContent);
+
+describe('QueryBar', () => {
+  beforeEach(() => {
+    getFilterQueryValues.mockClear();
+  });
+
+  it('suggests field names and inserts the picked one with its colon, caret after it', async () => {
+    const user = userEvent.setup();
+    render(<Harness />);
+    const input = screen.getByLabelText('Filter query');
+
+    await user.type(input, 'b');
+    await waitFor(() => expect(suggestionLabels()).toEqual(['bu']));
+
+    await user.keyboard('{Tab}');
+    expect(input).toHaveValue('bu:');
+    await waitFor(() => expect(input.selectionStart).toBe(3));
+  });
+
+  it('offers fixed values after an operator and picks the highlighted one with the arrow keys', async () => {
+    const user = userEvent.setup();
+    render(<Harness />);
+    const input = screen.getByLabelText('Filter query');
+
+    await user.type(input, 'bu:DW');
+    await waitFor(() => expect(suggestionLabels()).toEqual(['DWSG', 'DWSS']));
+
+    await user.keyboard('{ArrowDown}{Enter}');
+    expect(input).toHaveValue('bu:DWSS ');
+    // The caret now starts the next token
+    await waitFor(() => expect(suggestionLabels()).toEqual(['bu', 'handler', 'inr']));
+  });
+
+  it('looks other values up among the entries and quotes the ones with spaces', async () => {
+    const user = userEvent.setup();
+    render(<Harness />);
+    const input = screen.getByLabelText('Filter query');
+
+    await user.type(input, 'handler:R');
+    await waitFor(() => expect(suggestionLabels()).toEqual(['Ravi Kumar', 'Rhea']));
+    expect(getFilterQueryValues).toHaveBeenLastCalledWith('handler', 'R');
+
+    fireEvent.mouseDown(screen.getByText('Ravi Kumar'));
+    expect(input).toHaveValue('handler:"Ravi Kumar" ');
+  });
+
+  it('replaces only the token at the caret when the query goes on after it', async () => {
+    const user = userEvent.setup();
+    render(<Harness initial="bu:DW AND inr>5000" />);
+    const input = screen.getByLabelText('Filter query');
+
+    await user.click(input);
+    input.setSelectionRange(5, 5);
+    fireEvent.keyUp(input, { key: 'ArrowLeft' });
+    await waitFor(() => expect(suggestionLabels()).toEqual(['DWSG', 'DWSS']));
+
+    await user.keyboard('{Enter}');
+    expect(input).toHaveValue('bu:DWSG AND inr>5000');
+    await waitFor(() => expect(input.selectionStart).toBe(8));
+  });
+
+  it('has no value suggestions for numbers and submits on Enter', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    render(<Harness onSubmit={onSubmit} />);
+    const input = screen.getByLabelText('Filter query');
+
+    await user.type(input, 'inr>5');
+    expect(suggestionLabels()).toEqual([]);
+
+    await user.keyboard('{Enter}');
+    expect(onSubmit).toHaveBeenCalledTimes(1);
+    expect(input).toHaveValue('inr>5');
+  });
+
+  it('shows the parse error under the bar', async () => {
+    render(<Harness initial="bu:(DWSG" error={'Expected ")" at position 8'} />);
+
+    expect(await screen.findByText('Expected ")" at position 8')).toBeInTheDocument();
+    expect(screen.getByLabelText('Filter query')).toHaveClass('border-rose-300');
+  });
+});
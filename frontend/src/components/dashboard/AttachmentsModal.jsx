@@ -0,0 +1,157 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Download, Paperclip, Trash2, Upload } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import Loading from '../common/Loading';
+import { getAttachments, uploadAttachment, downloadAttachment, deleteAttachment } from '../../services/expenseService';
+import { downloadFile, formatDate } from '../../utils/formatters';
+import { useAuth } from '../../context/AuthContext';
+
+const ACCEPTED_TYPES = '.pdf,.png,.jpg,.jpeg,.webp';
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+// Receipts and invoices of one entry; onChange receives the new attachment count
+const AttachmentsModal = ({ expense, onClose, onChange }) => {
+  const { user } = useAuth();
+  const fileInputRef = useRef(null);
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const canUpload = ['spoc', 'mis_manager', 'super_admin', 'business_unit_admin', 'service_handler'].includes(user?.role);
+  const canManageAll = ['mis_manager', 'super_admin'].includes(user?.role);
+
+  const expenseId = expense._id;
+
+  const fetchAttachments = useCallback(async () => {
+    try {
+      const response = await getAttachments(expenseId);
+      if (response.success) {
+        setAttachments(response.data);
+        return response.data.length;
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load attachments');
+    } finally {
+      setLoading(false);
+    }
+    return null;
+  }, [expenseId]);
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchAttachments();
+    };
+    load();
+  }, [fetchAttachments]);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      await uploadAttachment(expense._id, file);
+      toast.success('Attachment uploaded');
+      const count = await fetchAttachments();
+      if (count !== null) onChange?.(count);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload attachment');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await downloadAttachment(expense._id, attachment._id);
+      downloadFile(blob, attachment.fileName);
+    } catch {
+      toast.error('Failed to download attachment');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.fileName}?`)) return;
+    try {
+      const response = await deleteAttachment(expense._id, attachment._id);
+      toast.success('Attachment deleted');
+      setAttachments((prev) => prev.filter((item) => item._id !== attachment._id));
+      onChange?.(response.data?.attachmentCount ?? attachments.length - 1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete attachment');
+    }
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title={`Bills · ${expense.particulars || expense.cardNumber}`} size="md">
+      <div className="space-y-4">
+        {loading ? (
+          <Loading />
+        ) : attachments.length === 0 ? (
+          <p className="rounded-xl bg-rose-50 px-4 py-3 text-sm text-rose-700">No bill attached to this entry yet.</p>
+        ) : (
+          <ul className="divide-y divide-slate-100 rounded-xl border border-slate-200">
+            {attachments.map((attachment) => {
+              const canDelete = canManageAll || attachment.uploadedBy?._id === user?._id;
+              return (
+                <li key={attachment._id} className="flex items-center justify-between gap-3 px-4 py-3">
+                  <div className="flex min-w-0 items-center gap-3">
+                    <Paperclip size={16} className="shrink-0 text-slate-400" />
+                    <div className="min-w-0">
+                      <p className="truncate text-sm font-semibold text-slate-900">{attachment.fileName}</p>
+                      <p className="text-xs text-slate-500">
+                        {formatSize(attachment.size)} · {attachment.uploadedBy?.name || 'Unknown'} ·{' '}
+                        {formatDate(attachment.createdAt)}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex shrink-0 gap-2">
+                    <button
+                      onClick={() => handleDownload(attachment)}
+                      className="rounded-full bg-indigo-50 p-2 text-indigo-600 hover:bg-indigo-100"
+                      title="Download"
+                    >
+                      <Download size={16} />
+                    </button>
+                    {canDelete && (
+                      <button
+                        onClick={() => handleDelete(attachment)}
+                        className="rounded-full bg-rose-50 p-2 text-rose-600 hover:bg-rose-100"
+                        title="Delete"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        <div className="flex items-center justify-between gap-3 pt-2">
+          <p className="text-xs text-slate-500">PDF or image (PNG, JPG, WEBP), up to 10MB.</p>
+          <div className="flex gap-3">
+            <Button variant="secondary" onClick={onClose}>
+              Close
+            </Button>
+            {canUpload && (
+              <>
+                <input ref={fileInputRef} type="file" accept={ACCEPTED_TYPES} className="hidden" onChange={handleUpload} />
+                <Button onClick={() => fileInputRef.current?.click()} disabled={uploading}>
+                  <Upload size={18} className="mr-2" />
+                  {uploading ? 'Uploading...' : 'Attach bill'}
+                </Button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default AttachmentsModal;
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Select from '../common/Select';
+import { useMasterData } from '../../context/useMasterData';
+import { STATUS_OPTIONS, RECURRING_OPTIONS } from '../../utils/constants';
+
+// Fields the batch update API accepts; the rest are single-entry edits
+const BATCH_FIELDS = [
+  { key: 'status', label: 'Status' },
+  { key: 'billStatus', label: 'Bill Status' },
+  { key: 'typeOfService', label: 'Type of Service' },
+  { key: 'costCenter', label: 'Cost Center' },
+  { key: 'approvedBy', label: 'Approved By' },
+  { key: 'serviceHandler', label: 'Service Handler' },
+  { key: 'recurring', label: 'Recurring' },
+];
+
+// Sets one field on the selected entries, or on every entry matching the sheet's filters. Two or more selected
+// entries can also be merged into one.
+const BatchEditBar = ({ selectedCount, matchingCount, applying, onApply, onMerge, onClear }) => {
+  const { typesOfService, costCenters, approvers } = useMasterData();
+  const [field, setField] = useState('status');
+  const [value, setValue] = useState('');
+  const [disableReason, setDisableReason] = useState('');
+  const [allMatching, setAllMatching] = useState(false);
+
+  const options = {
+    status: STATUS_OPTIONS,
+    typeOfService: typesOfService,
+    costCenter: costCenters,
+    approvedBy: approvers,
+    recurring: RECURRING_OPTIONS,
+  }[field];
+  const fieldLabel = BATCH_FIELDS.find((item) => item.key === field).label;
+  const targetCount = allMatching ? matchingCount : selectedCount;
+  const deactivating = field === 'status' && value === 'Deactive';
+
+  const handleFieldChange = (e) => {
+    setField(e.target.value);
+    setValue('');
+  };
+
+  const handleApply = () => {
+    const confirmation = `Set ${fieldLabel} to "${value || '(blank)'}" on ${targetCount} entr${targetCount === 1 ? 'y' : 'ies'}?`;
+    if (!window.confirm(confirmation)) return;
+    onApply({ patch: { [field]: value }, disableReason: deactivating ? disableReason : '', allMatching });
+  };
+
+  if (!selectedCount && !allMatching) return null;
+
+  return (
+    <div className="mb-4 rounded-2xl border border-primary-100 bg-primary-50/60 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className="text-sm font-semibold text-slate-800">
+          {allMatching ? `All ${matchingCount} entries matching the filters` : `${selectedCount} selected`}
+        </p>
+        <div className="flex items-center gap-3">
+          <label className="inline-flex items-center gap-2 rounded-full bg-white px-3 py-1.5 text-xs font-semibold text-slate-600">
+            <input
+              type="checkbox"
+              className="h-4 w-4 text-primary-600 rounded"
+              checked={allMatching}
+              onChange={(e) => setAllMatching(e.target.checked)}
+            />
+            Apply to all {matchingCount} matching entries
+          </label>
+          {onMerge && selectedCount > 1 && !allMatching && (
+            <Button variant="secondary" size="sm" onClick={onMerge}>
+              Merge selected
+            </Button>
+          )}
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => {
+              setAllMatching(false);
+              onClear();
+            }}
+          >
+            Clear selection
+          </Button>
+        </div>
+      </div>
+
+      <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-4 md:items-end">
+        {/* Select shows option values as labels, so the field picker is a plain select */}
+        <div className="space-y-1">
+          <label htmlFor="batchField" className="text-sm font-semibold text-slate-600 tracking-wide">
+            Field
+          </label>
+          <select
+            id="batchField"
+            value={field}
+            onChange={handleFieldChange}
+            className="w-full rounded-xl border border-white/70 bg-white/80 px-4 py-3 text-sm shadow-sm shadow-slate-100 focus:border-transparent focus:outline-none focus:ring-2 focus:ring-primary-200 focus:ring-offset-2"
+          >
+            {BATCH_FIELDS.map((item) => (
+              <option key={item.key} value={item.key}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {options ? (
+          <Select
+            label={`New ${fieldLabel}`}
+            name="batchValue"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            options={options}
+          />
+        ) : (
+          <Input
+            label={`New ${fieldLabel}`}
+            name="batchValue"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={field === 'billStatus' ? 'Leave blank to clear' : ''}
+          />
+        )}
+        {deactivating && (
+          <Input
+            label="Reason"
+            name="batchDisableReason"
+            value={disableReason}
+            onChange={(e) => setDisableReason(e.target.value)}
+            placeholder="Why these services are disabled"
+          />
+        )}
+        <Button onClick={handleApply} disabled={applying || !targetCount || (!value && field !== 'billStatus')}>
+          {applying ? 'Updating...' : `Update ${targetCount} entr${targetCount === 1 ? 'y' : 'ies'}`}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default BatchEditBar;
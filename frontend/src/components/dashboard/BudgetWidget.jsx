@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import Card from '../common/Card';
+import { getBudgets } from '../../services/budgetService';
+import { formatCurrency } from '../../utils/formatters';
+
+const barTone = (percentUsed) => {
+  if (percentUsed >= 100) return 'bg-rose-500';
+  if (percentUsed >= 80) return 'bg-amber-500';
+  return 'bg-emerald-500';
+};
+
+export const BudgetProgressBar = ({ percentUsed = 0 }) => (
+  <div className="h-2 w-full overflow-hidden rounded-full bg-slate-100">
+    <div className={`h-full rounded-full ${barTone(percentUsed)}`} style={{ width: `${Math.min(percentUsed, 100)}%` }} />
+  </div>
+);
+
+const budgetScope = (budget) =>
+  [budget.businessUnit, budget.costCenter || 'All cost centers', budget.typeOfService || 'All services'].join(' / ');
+
+const BudgetWidget = ({ limit = 6 }) => {
+  const [budgets, setBudgets] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await getBudgets();
+        if (response.success) {
+          // Most consumed budgets first
+          setBudgets([...response.data].sort((a, b) => b.percentUsed - a.percentUsed));
+        }
+      } catch {
+        // The widget is informational; the dashboard works without it
+      } finally {
+        setLoaded(true);
+      }
+    };
+    load();
+  }, []);
+
+  if (!loaded || budgets.length === 0) return null;
+
+  return (
+    <Card
+      title="Budget vs Actual"
+      subtitle="Accepted spend against budget for the current period"
+      className="shadow-[0_16px_40px_rgba(15,23,42,0.08)] border border-slate-100"
+      headerAction={
+        <Link to="/budgets" className="text-sm font-semibold text-primary-700 hover:underline">
+          View all
+        </Link>
+      }
+    >
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-3">
+        {budgets.slice(0, limit).map((budget) => (
+          <div key={budget._id} className="space-y-2 rounded-xl border border-slate-100 p-4">
+            <div className="flex items-start justify-between gap-2">
+              <div>
+                <p className="text-sm font-semibold text-slate-900">{budgetScope(budget)}</p>
+                <p className="text-xs text-slate-500">
+                  {budget.period} · {budget.periodLabel}
+                </p>
+              </div>
+              <span className={`text-sm font-semibold ${budget.percentUsed >= 100 ? 'text-rose-600' : 'text-slate-700'}`}>
+                {budget.percentUsed}%
+              </span>
+            </div>
+            <BudgetProgressBar percentUsed={budget.percentUsed} />
+            <p className="text-xs text-slate-600">
+              {formatCurrency(budget.actual)} of {formatCurrency(budget.amount)}
+            </p>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+};
+
+export default BudgetWidget;
@@ -0,0 +1,57 @@
+import { formatDate } from '../../utils/formatters';
+
+const FIELD_LABELS = {
+  cardNumber: 'Card Number',
+  cardAssignedTo: 'Card Assigned To',
+  date: 'Date',
+  month: 'Month',
+  status: 'Status',
+  particulars: 'Particulars',
+  narration: 'Narration',
+  currency: 'Currency',
+  billStatus: 'Bill Status',
+  amount: 'Amount',
+  xeRate: 'XE Rate',
+  xeRateDate: 'XE Rate Date',
+  xeRateSource: 'XE Rate Source',
+  amountInINR: 'Amount (INR)',
+  typeOfService: 'Type of Service',
+  businessUnit: 'Business Unit',
+  costCenter: 'Cost Center',
+  approvedBy: 'Approved By',
+  serviceHandler: 'Service Handler',
+  recurring: 'Recurring',
+  entryStatus: 'Entry Status',
+  duplicateStatus: 'Duplicate Status',
+  disabledAt: 'Disabled On',
+  isShared: 'Shared',
+  sharedAllocations: 'Shared Allocations',
+};
+
+const DATE_FIELDS = ['date', 'xeRateDate', 'disabledAt'];
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined) return '—';
+  if (DATE_FIELDS.includes(field)) return formatDate(value);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) {
+    return value.map((item) => `${item.businessUnit}: ${item.amount}`).join(', ') || '—';
+  }
+  return String(value);
+};
+
+// Field-level changes as "Field: old → new", as recorded in entry audits and import batches
+const ChangeList = ({ changes, className = '' }) => (
+  <ul className={`space-y-1 ${className}`}>
+    {changes.map((change) => (
+      <li key={change.field} className="text-gray-700">
+        <span className="font-medium">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+        <span className="text-rose-600 line-through">{formatValue(change.field, change.from)}</span>
+        {' → '}
+        <span className="text-emerald-700">{formatValue(change.field, change.to)}</span>
+      </li>
+    ))}
+  </ul>
+);
+
+export default ChangeList;
@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { Columns3 } from 'lucide-react';
+import Button from '../common/Button';
+import { EXPENSE_COLUMNS } from '../../utils/constants';
+
+// Choose which expense sheet columns show. columns lists the visible keys; empty means all of them.
+const ColumnPicker = ({ columns, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const visible = columns.length ? columns : EXPENSE_COLUMNS.map((column) => column.key);
+
+  const toggleColumn = (key) => {
+    const next = visible.includes(key) ? visible.filter((item) => item !== key) : [...visible, key];
+    if (!next.length) return;
+    // Keep sheet order, and store "all" as empty so later columns show up in the view too
+    onChange(next.length === EXPENSE_COLUMNS.length ? [] : EXPENSE_COLUMNS.map((column) => column.key).filter((item) => next.includes(item)));
+  };
+
+  return (
+    <div className="relative">
+      <Button variant="outline" size="sm" onClick={() => setOpen((prev) => !prev)}>
+        <Columns3 size={14} className="mr-1" />
+        Columns{columns.length ? ` (${columns.length})` : ''}
+      </Button>
+      {open && (
+        <div className="absolute right-0 z-20 mt-2 w-56 rounded-xl border border-slate-200 bg-white p-3 shadow-lg">
+          <div className="max-h-72 space-y-1 overflow-y-auto">
+            {EXPENSE_COLUMNS.map((column) => (
+              <label key={column.key} className="flex items-center gap-2 text-sm text-slate-700">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4 rounded text-primary-600"
+                  checked={visible.includes(column.key)}
+                  onChange={() => toggleColumn(column.key)}
+                />
+                {column.label}
+              </label>
+            ))}
+          </div>
+          <div className="mt-3 flex justify-between text-xs">
+            <button type="button" className="text-primary-600" onClick={() => onChange([])}>
+              Show all
+            </button>
+            <button type="button" className="text-slate-500" onClick={() => setOpen(false)}>
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColumnPicker;
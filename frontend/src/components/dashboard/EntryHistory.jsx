@@ -0,0 +1,130 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import Badge from '../common/Badge';
+import Button from '../common/Button';
+import Loading from '../common/Loading';
+import ChangeList from './ChangeList';
+import { getExpenseHistory, revertExpenseMerge } from '../../services/expenseService';
+import { formatDateTime } from '../../utils/formatters';
+import { useAuth } from '../../context/AuthContext';
+
+const ACTION_VARIANTS = {
+  create: 'success',
+  update: 'info',
+  delete: 'danger',
+  restore: 'success',
+  purge: 'danger',
+  merge: 'warning',
+  unmerge: 'info',
+};
+
+const ACTION_SUMMARIES = {
+  create: 'Entry created',
+  delete: 'Entry moved to the recycle bin',
+  restore: 'Entry restored from the recycle bin',
+  purge: 'Entry permanently purged',
+  merge: 'Merged with a duplicate entry',
+  unmerge: 'Merge undone',
+};
+
+// Actions whose field changes are worth listing; creates and deletes would list every field
+const CHANGE_ACTIONS = ['update', 'merge', 'unmerge'];
+
+const SOURCE_LABELS = {
+  manual: 'Manual edit',
+  batch_edit: 'Batch edit',
+  bulk_upload: 'Bulk upload',
+  approval: 'Email approval',
+  reconciliation: 'Reconciliation',
+  card: 'Card registry',
+  system: 'Scheduled job',
+};
+
+// Who changed which field of an entry, newest first. MIS can undo a merge from here; onMergeReverted
+// lets the page refresh the entries it shows.
+const EntryHistory = ({ expenseId, onMergeReverted }) => {
+  const { user } = useAuth();
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reverting, setReverting] = useState(null);
+  const canUndoMerge = ['mis_manager', 'super_admin'].includes(user?.role);
+
+  const loadHistory = async (id) => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await getExpenseHistory(id);
+      if (response.success) setHistory(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      await loadHistory(expenseId);
+    };
+    load();
+  }, [expenseId]);
+
+  const handleUndoMerge = async (merge) => {
+    if (!window.confirm('Undo this merge? The merged entries come back and this entry gets its previous values.')) {
+      return;
+    }
+    setReverting(merge._id);
+    try {
+      const response = await revertExpenseMerge(merge._id);
+      toast.success(response.message);
+      await loadHistory(expenseId);
+      onMergeReverted?.();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to undo the merge');
+    } finally {
+      setReverting(null);
+    }
+  };
+
+  if (loading) return <Loading />;
+  if (error) return <p className="text-sm text-rose-600">{error}</p>;
+  if (history.length === 0) {
+    return <p className="text-sm text-gray-500">No recorded changes for this entry yet</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2 space-y-5">
+      {history.map((audit) => (
+        <li key={audit._id} className="ml-4">
+          <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white bg-primary-500" />
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <Badge variant={ACTION_VARIANTS[audit.action]}>{audit.action}</Badge>
+            <span className="font-medium text-gray-900">{audit.user?.name || audit.userName || 'System'}</span>
+            <span className="text-gray-500">{formatDateTime(audit.createdAt)}</span>
+            <span className="text-xs text-gray-400">{SOURCE_LABELS[audit.source] || audit.source}</span>
+          </div>
+          {audit.reason && <p className="mt-1 text-xs text-gray-600">{audit.reason}</p>}
+          {CHANGE_ACTIONS.includes(audit.action) && audit.changes.length > 0 ? (
+            <ChangeList changes={audit.changes} className="mt-2 text-sm" />
+          ) : (
+            <p className="mt-1 text-xs text-gray-500">{ACTION_SUMMARIES[audit.action] || audit.action}</p>
+          )}
+          {audit.action === 'merge' && audit.merge?.status === 'merged' && canUndoMerge && (
+            <Button
+              variant="outline"
+              size="sm"
+              className="mt-2"
+              disabled={reverting === audit.merge._id}
+              onClick={() => handleUndoMerge(audit.merge)}
+            >
+              {reverting === audit.merge._id ? 'Undoing...' : 'Undo merge'}
+            </Button>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default EntryHistory;
@@ -1,43 +1,180 @@
-import { useState } from 'react';
-import { Edit, Trash2 } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { Edit, Paperclip, Trash2 } from 'lucide-react';
 import Badge from '../common/Badge';
 import { formatCurrency, formatDate } from '../../utils/formatters';
 import { useAuth } from '../../context/AuthContext';
+import { EXPENSE_COLUMNS } from '../../utils/constants';
 
-const ExpenseTable = ({ expenses, onEdit, onDelete, loading, showDuplicateColumn = true }) => {
-  const { user } = useAuth();
-  const [sortField, setSortField] = useState('date');
-  const [sortOrder, setSortOrder] = useState('desc');
+// Attachment count drives the "missing bill" flag; the free-text bill status is shown alongside
+const BillIndicator = ({ expense, onClick }) => {
+  const count = expense.attachmentCount || 0;
+  return (
+    <button
+      type="button"
+      onClick={() => onClick?.(expense)}
+      disabled={!onClick}
+      className={`inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs font-semibold ${
+        count ? 'bg-emerald-50 text-emerald-700 hover:bg-emerald-100' : 'bg-rose-50 text-rose-700 hover:bg-rose-100'
+      }`}
+      title={count ? 'View attached bills' : 'No bill attached'}
+    >
+      <Paperclip size={12} />
+      {count ? `${count} bill${count > 1 ? 's' : ''}` : 'Missing bill'}
+    </button>
+  );
+};
 
-  const canEdit = ['mis_manager', 'super_admin'].includes(user?.role);
-  const canDelete = user?.role === 'super_admin';
-  const canViewDuplicateStatus = user?.role === 'mis_manager';
-  const displayDuplicateColumn = canViewDuplicateStatus && showDuplicateColumn;
+const HEADER_CLASS = 'px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400';
+
+// Column header; columns with a field sort the list on click, shift-click adds them as a further sort column
+const HeaderCell = ({ label, field, sort, onSortChange }) => {
+  if (!field || !onSortChange) return <th className={HEADER_CLASS}>{label}</th>;
 
-  const handleSort = (field) => {
-    if (sortField === field) {
-      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+  const index = sort.findIndex((item) => item.field === field);
+  const current = sort[index];
+
+  const handleClick = (e) => {
+    const order = current?.order === 'asc' ? 'desc' : 'asc';
+    if (!e.shiftKey) {
+      onSortChange([{ field, order: index === 0 ? order : 'asc' }]);
+    } else if (current) {
+      onSortChange(sort.map((item) => (item.field === field ? { field, order } : item)));
     } else {
-      setSortField(field);
-      setSortOrder('asc');
+      onSortChange([...sort, { field, order: 'asc' }]);
     }
   };
 
-  const sortedExpenses = [...expenses].sort((a, b) => {
-    let aVal = a[sortField];
-    let bVal = b[sortField];
+  return (
+    <th
+      onClick={handleClick}
+      className={`${HEADER_CLASS} cursor-pointer select-none hover:text-slate-600`}
+      title="Click to sort, shift-click to add a sort column"
+    >
+      {label}
+      {current && (
+        <span className="ml-1 text-primary-600">
+          {current.order === 'asc' ? '↑' : '↓'}
+          {sort.length > 1 ? index + 1 : ''}
+        </span>
+      )}
+    </th>
+  );
+};
+
+const CELL_CLASS = 'px-4 py-3 whitespace-nowrap text-sm text-gray-900';
 
-    if (sortField === 'date') {
-      aVal = new Date(aVal);
-      bVal = new Date(bVal);
-    }
+const entryStatusVariant = (entryStatus) =>
+  entryStatus === 'Accepted' ? 'success' : entryStatus === 'Rejected' ? 'danger' : 'warning';
 
-    if (sortOrder === 'asc') {
-      return aVal > bVal ? 1 : -1;
-    } else {
-      return aVal < bVal ? 1 : -1;
-    }
-  });
+// How each column of EXPENSE_COLUMNS renders on the desktop table
+const CELLS = {
+  date: {
+    className: 'px-4 py-3 whitespace-nowrap text-sm font-semibold text-slate-900',
+    render: (expense) => formatDate(expense.date),
+  },
+  cardNumber: {
+    render: (expense) =>
+      expense.card ? (
+        <Link to={`/cards/${expense.card}`} className="text-primary-700 hover:underline">
+          {expense.cardNumber}
+        </Link>
+      ) : (
+        expense.cardNumber || '-'
+      ),
+  },
+  cardAssignedTo: { render: (expense) => expense.cardAssignedTo || '-' },
+  month: { render: (expense) => expense.month || '-' },
+  status: { render: (expense) => <Badge>{expense.status || '-'}</Badge> },
+  entryStatus: {
+    render: (expense) => (
+      <Badge variant={entryStatusVariant(expense.entryStatus)}>{expense.entryStatus || 'Accepted'}</Badge>
+    ),
+  },
+  particulars: {
+    className: 'px-4 py-3 text-sm text-gray-900',
+    render: (expense) => (
+      <>
+        <div className="font-medium">{expense.particulars || '-'}</div>
+        <div className="text-xs text-gray-500">{expense.typeOfService || '-'}</div>
+      </>
+    ),
+  },
+  narration: {
+    className: 'px-4 py-3 text-sm text-gray-700 whitespace-nowrap max-w-xs',
+    render: (expense) => <div className="truncate">{expense.narration || '-'}</div>,
+  },
+  currency: { render: (expense) => expense.currency || '-' },
+  billStatus: {
+    render: (expense, { onAttachments }) => (
+      <>
+        <BillIndicator expense={expense} onClick={onAttachments} />
+        {expense.billStatus && <div className="mt-1 text-xs text-slate-500">{expense.billStatus}</div>}
+      </>
+    ),
+  },
+  amount: { render: (expense) => (expense.amount ? `${expense.amount} ${expense.currency || ''}` : '-') },
+  xeRate: {
+    title: (expense) =>
+      expense.xeRateSource
+        ? `Source: ${expense.xeRateSource}${expense.xeRateDate ? ` · rate of ${formatDate(expense.xeRateDate)}` : ''}`
+        : undefined,
+    render: (expense) => expense.xeRate || '-',
+  },
+  amountInINR: {
+    className: 'px-4 py-3 whitespace-nowrap text-sm text-gray-900 font-semibold',
+    render: (expense) => (expense.amountInINR ? formatCurrency(expense.amountInINR) : '-'),
+  },
+  typeOfService: { render: (expense) => expense.typeOfService || '-' },
+  businessUnit: { render: (expense) => expense.businessUnit || '-' },
+  costCenter: { render: (expense) => expense.costCenter || '-' },
+  approvedBy: { render: (expense) => expense.approvedBy || '-' },
+  serviceHandler: { render: (expense) => expense.serviceHandler || '-' },
+  recurring: { render: (expense) => expense.recurring || '-' },
+  isShared: {
+    render: (expense) =>
+      expense.isShared ? (
+        <div>
+          <span className="inline-flex items-center gap-1 font-semibold text-emerald-700">Shared</span>
+          <span className="block text-[11px] text-slate-500">
+            {(expense.sharedAllocations || [])
+              .filter((s) => s.businessUnit)
+              .map((s) => `${s.businessUnit}: ${s.amount}`)
+              .join(', ')}
+          </span>
+        </div>
+      ) : (
+        <span className="text-slate-400">—</span>
+      ),
+  },
+};
+
+// Passing onToggleSelect adds a checkbox per entry (and one for the whole page) for batch edits. The list arrives
+// sorted and paged by the server; sort and onSortChange ({ field, order } items, first wins) drive that sort.
+// columns lists the keys of the desktop columns to show (all when empty).
+const ExpenseTable = ({
+  expenses,
+  onEdit,
+  onDelete,
+  onAttachments,
+  loading,
+  showDuplicateColumn = true,
+  selectedIds,
+  onToggleSelect,
+  onToggleSelectAll,
+  sort = [],
+  onSortChange,
+  columns = [],
+}) => {
+  const { user } = useAuth();
+
+  const canEdit = ['mis_manager', 'super_admin'].includes(user?.role);
+  const canDelete = user?.role === 'super_admin';
+  const canViewDuplicateStatus = user?.role === 'mis_manager';
+  const displayDuplicateColumn = canViewDuplicateStatus && showDuplicateColumn;
+  const selectable = Boolean(onToggleSelect);
+  const sortProps = { sort, onSortChange };
+  const visibleColumns = columns.length ? EXPENSE_COLUMNS.filter((column) => columns.includes(column.key)) : EXPENSE_COLUMNS;
+  const allSelected = selectable && expenses.length > 0 && expenses.every((expense) => selectedIds.has(expense._id));
 
   if (loading) {
     return (
@@ -61,31 +198,25 @@ const ExpenseTable = ({ expenses, onEdit, onDelete, loading, showDuplicateColumn
         <table className="min-w-full border-separate border-spacing-y-3 text-sm">
           <thead>
             <tr>
-              <th
-                onClick={() => handleSort('date')}
-                className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400 cursor-pointer"
-              >
-                Date
-              </th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Card No</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Card Assigned To</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Month</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Status</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Entry Status</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Particulars</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Narration</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Currency</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Bill Status</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Amount</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">XE Rate</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Amount (INR)</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Type of Service</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Business Unit</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Cost Center</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Approved By</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Service Handler</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Recurring</th>
-              <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">Shared</th>
+              {selectable && (
+                <th className="px-4 py-3 text-left">
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 text-primary-600 rounded"
+                    checked={allSelected}
+                    onChange={(e) => onToggleSelectAll(expenses.map((expense) => expense._id), e.target.checked)}
+                    aria-label="Select all entries on this page"
+                  />
+                </th>
+              )}
+              {visibleColumns.map((column) => (
+                <HeaderCell
+                  key={column.key}
+                  label={column.label}
+                  field={column.sortable ? column.key : undefined}
+                  {...sortProps}
+                />
+              ))}
               {displayDuplicateColumn && (
                 <th className="px-4 py-3 text-left text-[0.7rem] font-semibold uppercase tracking-[0.3em] text-slate-400">
                   Duplicate
@@ -99,83 +230,27 @@ const ExpenseTable = ({ expenses, onEdit, onDelete, loading, showDuplicateColumn
             </tr>
           </thead>
           <tbody>
-            {sortedExpenses.map((expense) => (
+            {expenses.map((expense) => (
               <tr key={expense._id} className="bg-white/90 shadow-sm rounded-2xl hover:bg-white">
-                <td className="px-4 py-3 whitespace-nowrap text-sm font-semibold text-slate-900">
-                  {formatDate(expense.date)}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.cardNumber || '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.cardAssignedTo || '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.month || '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  <Badge>{expense.status || '-'}</Badge>
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  <Badge variant={expense.entryStatus === 'Accepted' ? 'success' : expense.entryStatus === 'Rejected' ? 'danger' : 'warning'}>
-                    {expense.entryStatus || 'Accepted'}
-                  </Badge>
-                </td>
-                <td className="px-4 py-3 text-sm text-gray-900">
-                  <div className="font-medium">{expense.particulars || '-'}</div>
-                  <div className="text-xs text-gray-500">{expense.typeOfService || '-'}</div>
-                </td>
-                <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap max-w-xs">
-                  <div className="truncate">{expense.narration || '-'}</div>
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.currency || '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.billStatus || '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.amount ? `${expense.amount} ${expense.currency || ''}` : '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.xeRate || '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900 font-semibold">
-                  {expense.amountInINR ? formatCurrency(expense.amountInINR) : '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.typeOfService || '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.businessUnit || '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.costCenter || '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.approvedBy || '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.serviceHandler || '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.recurring || '-'}
-                </td>
-                <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
-                  {expense.isShared ? (
-                    <div>
-                      <span className="inline-flex items-center gap-1 font-semibold text-emerald-700">Shared</span>
-                      <span className="block text-[11px] text-slate-500">
-                        {(expense.sharedAllocations || [])
-                          .filter((s) => s.businessUnit)
-                          .map((s) => `${s.businessUnit}: ${s.amount}`)
-                          .join(', ')}
-                      </span>
-                    </div>
-                  ) : (
-                    <span className="text-slate-400">—</span>
-                  )}
-                </td>
+                {selectable && (
+                  <td className="px-4 py-3">
+                    <input
+                      type="checkbox"
+                      className="h-4 w-4 text-primary-600 rounded"
+                      checked={selectedIds.has(expense._id)}
+                      onChange={() => onToggleSelect(expense._id)}
+                      aria-label={`Select ${expense.particulars}`}
+                    />
+                  </td>
+                )}
+                {visibleColumns.map((column) => {
+                  const cell = CELLS[column.key];
+                  return (
+                    <td key={column.key} className={cell.className || CELL_CLASS} title={cell.title?.(expense)}>
+                      {cell.render(expense, { onAttachments })}
+                    </td>
+                  );
+                })}
                 {displayDuplicateColumn && (
                   <td className="px-4 py-3 whitespace-nowrap text-sm">
                     {expense.duplicateStatus && (
@@ -215,10 +290,19 @@ const ExpenseTable = ({ expenses, onEdit, onDelete, loading, showDuplicateColumn
 
       {/* Mobile / tablet cards */}
       <div className="grid gap-3 md:hidden">
-        {sortedExpenses.map((expense) => (
+        {expenses.map((expense) => (
           <div key={expense._id} className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
             <div className="flex items-start justify-between gap-3">
-              <div>
+              {selectable && (
+                <input
+                  type="checkbox"
+                  className="mt-1 h-4 w-4 text-primary-600 rounded"
+                  checked={selectedIds.has(expense._id)}
+                  onChange={() => onToggleSelect(expense._id)}
+                  aria-label={`Select ${expense.particulars}`}
+                />
+              )}
+              <div className="flex-1">
                 <p className="text-xs uppercase tracking-[0.25em] text-slate-400">Date</p>
                 <p className="text-base font-semibold text-slate-900">{formatDate(expense.date)}</p>
                 <p className="text-sm text-slate-600 mt-1">{expense.cardNumber || '-'}</p>
@@ -226,7 +310,7 @@ const ExpenseTable = ({ expenses, onEdit, onDelete, loading, showDuplicateColumn
               <div className="flex flex-wrap gap-2 justify-end">
                 {expense.status && <Badge>{expense.status}</Badge>}
                 {expense.entryStatus && (
-                  <Badge variant={expense.entryStatus === 'Accepted' ? 'success' : expense.entryStatus === 'Rejected' ? 'danger' : 'warning'}>
+                  <Badge variant={entryStatusVariant(expense.entryStatus)}>
                     {expense.entryStatus}
                   </Badge>
                 )}
@@ -257,7 +341,8 @@ const ExpenseTable = ({ expenses, onEdit, onDelete, loading, showDuplicateColumn
               </div>
               <div>
                 <p className="text-xs uppercase tracking-[0.2em] text-slate-400">Bill Status</p>
-                <p className="text-slate-700">{expense.billStatus || '-'}</p>
+                <BillIndicator expense={expense} onClick={onAttachments} />
+                {expense.billStatus && <p className="mt-1 text-slate-700">{expense.billStatus}</p>}
               </div>
               <div>
                 <p className="text-xs uppercase tracking-[0.2em] text-slate-400">Business Unit</p>
@@ -0,0 +1,215 @@
+import { useEffect, useState } from 'react';
+import { RotateCcw, List, Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Card from '../common/Card';
+import Badge from '../common/Badge';
+import Modal from '../common/Modal';
+import Loading from '../common/Loading';
+import ChangeList from './ChangeList';
+import ImportSheetResults from './ImportSheetResults';
+import {
+  getImportBatches,
+  getImportBatch,
+  rollbackImportBatch,
+  downloadImportErrors,
+} from '../../services/importBatchService';
+import { formatDate, formatDateTime, downloadFile } from '../../utils/formatters';
+
+const STATUS_VARIANTS = {
+  queued: 'default',
+  completed: 'success',
+  processing: 'info',
+  failed: 'danger',
+  rolled_back: 'warning',
+};
+const STATUS_LABELS = {
+  queued: 'Queued',
+  completed: 'Completed',
+  processing: 'Processing',
+  failed: 'Failed',
+  rolled_back: 'Rolled back',
+};
+const OUTCOME_VARIANTS = { created: 'success', updated: 'info', unchanged: 'default', failed: 'danger' };
+
+// Past bulk uploads; refreshKey changes after each new upload
+const ImportHistory = ({ refreshKey }) => {
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedBatch, setSelectedBatch] = useState(null);
+  const [rollingBackId, setRollingBackId] = useState(null);
+
+  const fetchBatches = async () => {
+    try {
+      const response = await getImportBatches();
+      if (response.success) setBatches(response.data);
+    } catch {
+      toast.error('Failed to load import history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchBatches();
+    };
+    load();
+  }, [refreshKey]);
+
+  const handleView = async (batch) => {
+    try {
+      const response = await getImportBatch(batch._id);
+      if (response.success) setSelectedBatch(response.data);
+    } catch {
+      toast.error('Failed to load batch rows');
+    }
+  };
+
+  const handleDownloadErrors = async (batch) => {
+    try {
+      const blob = await downloadImportErrors(batch._id);
+      downloadFile(blob, `${batch.fileName.replace(/\.[^.]+$/, '')}-errors.xlsx`);
+    } catch {
+      toast.error('Failed rows are not available for this upload');
+    }
+  };
+
+  const handleRollback = async (batch) => {
+    if (
+      !window.confirm(
+        `Roll back ${batch.fileName}? Its ${batch.counts.unique} created entries move to the recycle bin and its ${batch.counts.updated || 0} updated entries get their previous values back.`
+      )
+    ) {
+      return;
+    }
+
+    setRollingBackId(batch._id);
+    try {
+      const response = await rollbackImportBatch(batch._id);
+      toast.success(response.message);
+      fetchBatches();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Rollback failed');
+    } finally {
+      setRollingBackId(null);
+    }
+  };
+
+  return (
+    <Card title="Import History" subtitle="Every bulk upload, with one-click rollback">
+      {loading ? (
+        <Loading />
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {['File', 'Uploaded', 'Created', 'Updated', 'In review', 'Failed', 'Status', ''].map((heading) => (
+                  <th
+                    key={heading}
+                    className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {batches.map((batch) => (
+                <tr key={batch._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <div className="font-medium text-gray-900">{batch.fileName}</div>
+                    {batch.profileName && <div className="text-xs text-gray-500">Profile: {batch.profileName}</div>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                    <div>{formatDateTime(batch.createdAt)}</div>
+                    <div className="text-xs text-gray-500">{batch.uploadedBy?.name || '-'}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{batch.counts.unique}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{batch.counts.updated || 0}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{batch.counts.suspected || 0}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{batch.counts.failed}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <Badge variant={STATUS_VARIANTS[batch.status]}>{STATUS_LABELS[batch.status] || batch.status}</Badge>
+                    {batch.rolledBackAt && (
+                      <div className="mt-1 text-xs text-gray-500">
+                        {formatDate(batch.rolledBackAt)} by {batch.rolledBackBy?.name || '-'}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <div className="flex items-center space-x-3">
+                      <button
+                        onClick={() => handleView(batch)}
+                        className="text-primary-600 hover:text-primary-800"
+                        title="View rows"
+                      >
+                        <List size={18} />
+                      </button>
+                      {batch.counts.failed > 0 && (
+                        <button
+                          onClick={() => handleDownloadErrors(batch)}
+                          className="text-amber-600 hover:text-amber-800"
+                          title="Download failed rows"
+                        >
+                          <Download size={18} />
+                        </button>
+                      )}
+                      {batch.status === 'completed' && (
+                        <button
+                          onClick={() => handleRollback(batch)}
+                          disabled={rollingBackId === batch._id}
+                          className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                          title="Roll back"
+                        >
+                          <RotateCcw size={18} />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {batches.length === 0 && (
+            <div className="text-center py-12">
+              <p className="text-gray-500">No bulk uploads yet</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {selectedBatch && (
+        <Modal isOpen onClose={() => setSelectedBatch(null)} title={selectedBatch.fileName} size="lg">
+          {selectedBatch.sheets?.length > 1 && (
+            <div className="mb-4">
+              <ImportSheetResults sheets={selectedBatch.sheets} />
+            </div>
+          )}
+          <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+            {selectedBatch.rows.map((row) => (
+              <li key={`${row.sheet}-${row.rowNumber}`} className="flex items-start justify-between gap-4 py-2 text-sm">
+                <div>
+                  <span className="font-medium text-gray-900">
+                    {row.sheet ? `${row.sheet}, row ${row.rowNumber}` : `Row ${row.rowNumber}`}
+                  </span>
+                  <span className="ml-2 text-gray-600">
+                    {row.entry
+                      ? `${row.entry.particulars} · ${formatDate(row.entry.date)} · ${row.entry.currency} ${row.entry.amount}`
+                      : row.error || (row.outcome === 'failed' ? '' : 'Entry no longer on the sheet')}
+                  </span>
+                  {row.entry && row.error && <p className="text-xs text-rose-600">{row.error}</p>}
+                  {row.changes?.length > 0 && <ChangeList changes={row.changes} className="mt-1 text-xs" />}
+                </div>
+                <Badge variant={OUTCOME_VARIANTS[row.outcome]}>{row.outcome}</Badge>
+              </li>
+            ))}
+          </ul>
+        </Modal>
+      )}
+    </Card>
+  );
+};
+
+export default ImportHistory;
@@ -0,0 +1,72 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import Card from '../common/Card';
+import { getImportJob } from '../../services/importBatchService';
+
+const POLL_INTERVAL_MS = 2000;
+
+const formatEta = (seconds) => {
+  if (seconds === null || seconds === undefined) return 'estimating...';
+  if (seconds < 60) return `about ${Math.max(seconds, 1)}s left`;
+  return `about ${Math.ceil(seconds / 60)} min left`;
+};
+
+// Polls a queued bulk upload until it finishes, then hands the final job to onFinished
+const ImportJobProgress = ({ jobId, fileName, onFinished }) => {
+  const [job, setJob] = useState(null);
+
+  useEffect(() => {
+    let stopped = false;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const response = await getImportJob(jobId);
+        if (stopped || !response.success) return;
+        setJob(response.data);
+        if (['completed', 'failed'].includes(response.data.status)) {
+          onFinished(response.data);
+          return;
+        }
+      } catch {
+        if (stopped) return;
+        toast.error('Lost track of the upload progress, retrying...');
+      }
+      timer = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+    poll();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [jobId, onFinished]);
+
+  const total = job?.total || 0;
+  const processed = job?.processed || 0;
+  const percent = total ? Math.round((processed / total) * 100) : 0;
+
+  return (
+    <Card
+      title={`Importing ${job?.fileName || fileName}`}
+      subtitle="You can leave this page; a notification arrives when the upload finishes"
+    >
+      <div className="space-y-3">
+        <div className="h-3 w-full rounded-full bg-gray-100 overflow-hidden">
+          <div className="h-full bg-primary-600 transition-all duration-500" style={{ width: `${percent}%` }} />
+        </div>
+        <div className="flex flex-wrap justify-between gap-2 text-sm text-gray-600">
+          <span>
+            {job?.status === 'queued' || !job
+              ? 'Waiting in the queue...'
+              : `${processed} of ${total} rows processed (${percent}%)`}
+          </span>
+          {job?.failed > 0 && <span className="text-rose-700">{job.failed} failed</span>}
+          {job?.status === 'running' && <span>{formatEta(job.etaSeconds)}</span>}
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default ImportJobProgress;
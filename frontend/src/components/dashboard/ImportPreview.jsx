@@ -0,0 +1,170 @@
+import { useState } from 'react';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import Badge from '../common/Badge';
+import ChangeList from './ChangeList';
+import ImportSheetResults from './ImportSheetResults';
+import { formatDate } from '../../utils/formatters';
+
+const ACTION_VARIANTS = { create: 'success', update: 'info', unchanged: 'default', error: 'danger' };
+const ACTION_LABELS = { create: 'New', update: 'Update', unchanged: 'No change', error: 'Error' };
+
+const FILTERS = [
+  { key: 'all', label: 'All rows' },
+  { key: 'update', label: 'Updates only' },
+  { key: 'issues', label: 'Warnings & errors' },
+  { key: 'error', label: 'Errors only' },
+];
+
+const matchesFilter = (row, filter) => {
+  if (filter === 'issues') return row.errors.length > 0 || row.warnings.length > 0;
+  if (filter === 'error') return row.action === 'error';
+  if (filter === 'update') return row.action === 'update';
+  return true;
+};
+
+const describeDuplicate = (duplicateOf) => {
+  if (!duplicateOf?.row) return 'Matches an existing entry';
+  return duplicateOf.sheet
+    ? `Duplicates row ${duplicateOf.row} of sheet ${duplicateOf.sheet}`
+    : `Duplicates row ${duplicateOf.row} of this file`;
+};
+
+const describeSummary = (summary) => {
+  const parts = [`${summary.create} new`, `${summary.duplicates} exact duplicates`];
+  if (summary.mode === 'upsert') parts.unshift(`${summary.update} updates`, `${summary.unchanged} unchanged`);
+  return [...parts, `${summary.error} with errors`, `${summary.warnings} with warnings`].join(', ');
+};
+
+// Row-by-row dry run of a bulk upload; nothing is saved until the user confirms
+const ImportPreview = ({ preview, onConfirm, onCancel, confirming }) => {
+  const [filter, setFilter] = useState('all');
+  const { summary, rows } = preview;
+  const visibleRows = rows.filter((row) => matchesFilter(row, filter));
+  const filters = summary.mode === 'upsert' ? FILTERS : FILTERS.filter((item) => item.key !== 'update');
+  const multiSheet = summary.sheets?.length > 1;
+  const headings = ['Row', 'Result', 'Date', 'Particulars', 'Amount', 'Business Unit', 'Cost Center', 'Type', 'Approved By', 'Notes'];
+
+  return (
+    <Card
+      title="Preview"
+      subtitle={describeSummary(summary)}
+      headerAction={
+        <div className="flex space-x-2">
+          <Button variant="secondary" size="sm" onClick={onCancel} disabled={confirming}>
+            Cancel
+          </Button>
+          <Button size="sm" onClick={onConfirm} disabled={confirming || summary.create + (summary.update || 0) === 0}>
+            {confirming ? 'Importing...' : 'Confirm Import'}
+          </Button>
+        </div>
+      }
+    >
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          {preview.profile ? (
+            <>
+              Read with the import profile <strong>{preview.profile.name}</strong>.
+            </>
+          ) : (
+            'Read with the template headers.'
+          )}
+        </p>
+
+        {summary.mode === 'upsert' && (
+          <p className="text-sm text-gray-600">
+            Rows with an Entry ID update that entry; blank cells leave its value as it is. Rows without one are added as
+            new entries.
+          </p>
+        )}
+
+        {summary.error > 0 && (
+          <p className="text-sm text-rose-700">Rows with errors are skipped on import. Fix them in the file and preview again.</p>
+        )}
+
+        {multiSheet && (
+          <ImportSheetResults
+            sheets={summary.sheets.map((sheet) => ({
+              ...sheet,
+              unique: sheet.create,
+              updated: sheet.update,
+              failed: sheet.error,
+            }))}
+          />
+        )}
+
+        <div className="flex space-x-2">
+          {filters.map((item) => (
+            <Button
+              key={item.key}
+              size="sm"
+              variant={filter === item.key ? 'primary' : 'ghost'}
+              onClick={() => setFilter(item.key)}
+            >
+              {item.label}
+            </Button>
+          ))}
+        </div>
+
+        <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                {(multiSheet ? ['Sheet', ...headings] : headings).map((heading) => (
+                  <th
+                    key={heading}
+                    className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {visibleRows.map((row) => (
+                <tr key={`${row.sheet}-${row.rowNumber}`} className={row.action === 'error' ? 'bg-rose-50/50' : ''}>
+                  {multiSheet && <td className="px-4 py-3 whitespace-nowrap text-gray-700">{row.sheet}</td>}
+                  <td className="px-4 py-3 whitespace-nowrap text-gray-500">{row.rowNumber}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <Badge variant={ACTION_VARIANTS[row.action]}>{ACTION_LABELS[row.action]}</Badge>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-gray-900">{formatDate(row.values.date)}</td>
+                  <td className="px-4 py-3 text-gray-900">{row.values.particulars || '—'}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-gray-900">
+                    {row.values.currency || ''} {row.values.amount ?? '—'}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-gray-700">{row.values.businessUnit || '—'}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-gray-700">{row.values.costCenter || '—'}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-gray-700">{row.values.typeOfService || '—'}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-gray-700">{row.values.approvedBy || '—'}</td>
+                  <td className="px-4 py-3 text-xs">
+                    {row.errors.map((error) => (
+                      <p key={error} className="text-rose-700">
+                        {error}
+                      </p>
+                    ))}
+                    {row.warnings.map((warning) => (
+                      <p key={warning} className="text-amber-700">
+                        {warning}
+                      </p>
+                    ))}
+                    {row.duplicateOf && <p className="text-gray-500">{describeDuplicate(row.duplicateOf)}</p>}
+                    {row.action === 'update' && <ChangeList changes={row.changes} />}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {visibleRows.length === 0 && (
+            <div className="text-center py-8">
+              <p className="text-gray-500">No rows to show</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default ImportPreview;
@@ -0,0 +1,321 @@
+import { useEffect, useState } from 'react';
+import { Plus, Edit, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Modal from '../common/Modal';
+import Loading from '../common/Loading';
+import {
+  getImportProfiles,
+  getImportProfileFields,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile,
+} from '../../services/importProfileService';
+import { formatDate } from '../../utils/formatters';
+
+const EMPTY_FORM = { name: '', description: '', fields: {} };
+
+const splitList = (text) =>
+  text
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Profile document -> editor state, one row of text inputs per entry field
+const toForm = (profile) => {
+  const fields = {};
+  const fieldState = (field) => {
+    fields[field] = fields[field] || { headers: '', aliases: '', default: '' };
+    return fields[field];
+  };
+
+  profile.columns.forEach((column) => {
+    fieldState(column.field).headers = column.headers.join(', ');
+  });
+  profile.valueAliases.forEach((alias) => {
+    const state = fieldState(alias.field);
+    state.aliases = [state.aliases, `${alias.from}=${alias.to}`].filter(Boolean).join(', ');
+  });
+  profile.defaults.forEach((item) => {
+    fieldState(item.field).default = item.value;
+  });
+
+  return { name: profile.name, description: profile.description || '', fields };
+};
+
+const toPayload = (form) => {
+  const entries = Object.entries(form.fields);
+  return {
+    name: form.name,
+    description: form.description,
+    columns: entries.map(([field, state]) => ({ field, headers: splitList(state.headers) })),
+    valueAliases: entries.flatMap(([field, state]) =>
+      splitList(state.aliases).map((pair) => {
+        const [from, ...rest] = pair.split('=');
+        return { field, from, to: rest.join('=') };
+      })
+    ),
+    defaults: entries.map(([field, state]) => ({ field, value: state.default })),
+  };
+};
+
+// Named column mappings for bulk uploads; onProfilesChange keeps the upload page's profile picker in sync
+const ImportProfiles = ({ onProfilesChange }) => {
+  const [profiles, setProfiles] = useState([]);
+  const [fields, setFields] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingProfile, setEditingProfile] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchProfiles = async () => {
+    try {
+      const response = await getImportProfiles();
+      if (response.success) setProfiles(response.data);
+    } catch {
+      toast.error('Failed to load import profiles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await getImportProfileFields();
+        if (response.success) setFields(response.data);
+      } catch {
+        toast.error('Failed to load import fields');
+      }
+      await fetchProfiles();
+    };
+    load();
+  }, []);
+
+  useEffect(() => {
+    onProfilesChange?.(profiles);
+  }, [profiles, onProfilesChange]);
+
+  const handleOpenModal = (profile = null) => {
+    setEditingProfile(profile);
+    setFormData(profile ? toForm(profile) : EMPTY_FORM);
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingProfile(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleFieldChange = (field, key, value) => {
+    setFormData((current) => ({
+      ...current,
+      fields: {
+        ...current.fields,
+        [field]: { headers: '', aliases: '', default: '', ...current.fields[field], [key]: value },
+      },
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setSaving(true);
+    try {
+      if (editingProfile) {
+        await updateImportProfile(editingProfile._id, toPayload(formData));
+        toast.success('Import profile updated');
+      } else {
+        await createImportProfile(toPayload(formData));
+        toast.success('Import profile created');
+      }
+      handleCloseModal();
+      fetchProfiles();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save import profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete the import profile "${profile.name}"?`)) return;
+
+    try {
+      await deleteImportProfile(profile._id);
+      toast.success('Import profile deleted');
+      fetchProfiles();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete import profile');
+    }
+  };
+
+  return (
+    <Card
+      title="Import Profiles"
+      subtitle="Column mappings for spreadsheets that don't follow the template"
+      headerAction={
+        <Button size="sm" onClick={() => handleOpenModal()}>
+          <Plus size={16} />
+          New Profile
+        </Button>
+      }
+    >
+      {loading ? (
+        <Loading />
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Name', 'Mapped Columns', 'Value Aliases', 'Defaults', 'Updated', ''].map((heading) => (
+                  <th
+                    key={heading}
+                    className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {profiles.map((profile) => (
+                <tr key={profile._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 text-sm">
+                    <div className="font-medium text-gray-900">{profile.name}</div>
+                    {profile.description && <div className="text-xs text-gray-500">{profile.description}</div>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{profile.columns.length}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{profile.valueAliases.length}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{profile.defaults.length}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                    <div>{formatDate(profile.updatedAt)}</div>
+                    <div className="text-xs text-gray-500">{profile.updatedBy?.name || '-'}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <div className="flex items-center space-x-3">
+                      <button
+                        onClick={() => handleOpenModal(profile)}
+                        className="text-primary-600 hover:text-primary-800"
+                        title="Edit"
+                      >
+                        <Edit size={18} />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(profile)}
+                        className="text-red-600 hover:text-red-800"
+                        title="Delete"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {profiles.length === 0 && (
+            <div className="text-center py-12">
+              <p className="text-gray-500">No import profiles yet. Files are read with the template's headers.</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      <Modal
+        isOpen={showModal}
+        onClose={handleCloseModal}
+        title={editingProfile ? `Edit ${editingProfile.name}` : 'New Import Profile'}
+        size="xl"
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Name"
+              name="name"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              required
+            />
+            <Input
+              label="Description"
+              name="description"
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+            />
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Leave a field blank to use the template headers. Headers are comma separated; value aliases are written as
+            <span className="font-mono"> sheet value=entry value</span>, e.g. <span className="font-mono">Team Shared=Wytlabs</span>.
+          </p>
+
+          <div className="max-h-[28rem] overflow-y-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  {['Field', 'Source Headers', 'Value Aliases', 'Default'].map((heading) => (
+                    <th
+                      key={heading}
+                      className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                    >
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {fields.map((item) => {
+                  const state = formData.fields[item.field] || {};
+                  return (
+                    <tr key={item.field}>
+                      <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">{item.label}</td>
+                      <td className="px-3 py-2">
+                        <Input
+                          name={`${item.field}-headers`}
+                          value={state.headers || ''}
+                          onChange={(e) => handleFieldChange(item.field, 'headers', e.target.value)}
+                          placeholder={item.builtInHeaders[0]}
+                        />
+                      </td>
+                      <td className="px-3 py-2">
+                        <Input
+                          name={`${item.field}-aliases`}
+                          value={state.aliases || ''}
+                          onChange={(e) => handleFieldChange(item.field, 'aliases', e.target.value)}
+                        />
+                      </td>
+                      <td className="px-3 py-2">
+                        <Input
+                          name={`${item.field}-default`}
+                          value={state.default || ''}
+                          onChange={(e) => handleFieldChange(item.field, 'default', e.target.value)}
+                        />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <Button type="button" variant="secondary" onClick={handleCloseModal}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={saving}>
+              {saving ? 'Saving...' : editingProfile ? 'Update' : 'Create'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default ImportProfiles;
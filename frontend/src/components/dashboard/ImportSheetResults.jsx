@@ -0,0 +1,30 @@
+// Row counts per worksheet of a multi-sheet upload (job results, a batch, or a preview mapped to the same keys)
+const ImportSheetResults = ({ sheets }) => (
+  <div className="overflow-x-auto">
+    <table className="min-w-full divide-y divide-gray-200 text-sm">
+      <thead className="bg-gray-50">
+        <tr>
+          {['Sheet', 'Month', 'Rows', 'Created', 'Updated', 'Failed'].map((heading) => (
+            <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+              {heading}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody className="bg-white divide-y divide-gray-200">
+        {sheets.map((sheet) => (
+          <tr key={sheet.name}>
+            <td className="px-4 py-2 whitespace-nowrap font-medium text-gray-900">{sheet.name}</td>
+            <td className="px-4 py-2 whitespace-nowrap text-gray-600">{sheet.month || '—'}</td>
+            <td className="px-4 py-2 whitespace-nowrap text-gray-900">{sheet.total}</td>
+            <td className="px-4 py-2 whitespace-nowrap text-gray-900">{sheet.unique}</td>
+            <td className="px-4 py-2 whitespace-nowrap text-gray-900">{sheet.updated || 0}</td>
+            <td className="px-4 py-2 whitespace-nowrap text-gray-900">{sheet.failed}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default ImportSheetResults;
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+
+// Fields the merge API lets a merged entry supply; blank survivor fields are filled automatically
+const MERGE_FIELDS = [
+  { key: 'particulars', label: 'Particulars' },
+  { key: 'narration', label: 'Narration' },
+  { key: 'billStatus', label: 'Bill Status' },
+  { key: 'serviceHandler', label: 'Service Handler' },
+  { key: 'cardAssignedTo', label: 'Card Assigned To' },
+  { key: 'typeOfService', label: 'Type of Service' },
+  { key: 'costCenter', label: 'Cost Center' },
+  { key: 'approvedBy', label: 'Approved By' },
+  { key: 'recurring', label: 'Recurring' },
+];
+
+// Pick the entry that survives a merge and, where the entries disagree, whose value each field keeps
+const MergeEntriesModal = ({ entries, merging, onMerge, onClose }) => {
+  const [survivorId, setSurvivorId] = useState(entries[0]._id);
+  const [fieldSources, setFieldSources] = useState({});
+
+  const survivor = entries.find((entry) => entry._id === survivorId);
+  const others = entries.filter((entry) => entry._id !== survivorId);
+  const conflicts = MERGE_FIELDS.filter(({ key }) => new Set(entries.map((entry) => entry[key] || '')).size > 1);
+
+  const handleSurvivorChange = (id) => {
+    setSurvivorId(id);
+    setFieldSources({});
+  };
+
+  const handleMerge = () => {
+    // A field left on the survivor's value needs no source
+    const sources = Object.fromEntries(Object.entries(fieldSources).filter(([, id]) => id && id !== survivorId));
+    onMerge({ survivorId, entryIds: others.map((entry) => entry._id), fieldSources: sources });
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title={`Merge ${entries.length} entries`} size="lg">
+      <div className="space-y-6">
+        <div>
+          <p className="text-sm font-semibold text-slate-700">Surviving entry</p>
+          <p className="text-xs text-slate-500">
+            The others are archived with a pointer to it. Their renewal logs, attachments and shared allocations
+            move over, and the merge can be undone from the entry&apos;s history.
+          </p>
+          <div className="mt-3 space-y-2">
+            {entries.map((entry) => (
+              <label
+                key={entry._id}
+                className={`flex cursor-pointer items-center gap-3 rounded-xl border p-3 text-sm ${
+                  entry._id === survivorId ? 'border-primary-300 bg-primary-50/60' : 'border-slate-200 bg-white'
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="survivor"
+                  className="h-4 w-4 text-primary-600"
+                  checked={entry._id === survivorId}
+                  onChange={() => handleSurvivorChange(entry._id)}
+                />
+                <span className="font-semibold text-slate-900">{entry.particulars}</span>
+                <span className="text-slate-600">
+                  {formatDate(entry.date)} · {formatCurrency(entry.amount, entry.currency)} · {entry.businessUnit}
+                </span>
+                {entry.attachmentCount > 0 && (
+                  <span className="text-xs text-slate-500">
+                    {entry.attachmentCount} attachment{entry.attachmentCount > 1 ? 's' : ''}
+                  </span>
+                )}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {conflicts.length > 0 && (
+          <div>
+            <p className="text-sm font-semibold text-slate-700">Values to keep</p>
+            <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-2">
+              {conflicts.map(({ key, label }) => (
+                <div key={key} className="space-y-1">
+                  <label htmlFor={`merge-${key}`} className="text-xs font-semibold text-slate-600">
+                    {label}
+                  </label>
+                  <select
+                    id={`merge-${key}`}
+                    value={fieldSources[key] || survivorId}
+                    onChange={(e) => setFieldSources((prev) => ({ ...prev, [key]: e.target.value }))}
+                    className="w-full rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-200"
+                  >
+                    <option value={survivorId}>{survivor[key] || '(blank: filled from the others)'}</option>
+                    {others
+                      .filter((entry) => entry[key])
+                      .map((entry) => (
+                        <option key={entry._id} value={entry._id}>
+                          {entry[key]}
+                        </option>
+                      ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3">
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleMerge} disabled={merging}>
+            {merging ? 'Merging...' : `Merge into ${survivor.particulars}`}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default MergeEntriesModal;
@@ -0,0 +1,213 @@
+import { useEffect, useState } from 'react';
+import { Bookmark, Link2, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Modal from '../common/Modal';
+import { useAuth } from '../../context/AuthContext';
+import { useMasterData } from '../../context/useMasterData';
+import { USER_ROLES } from '../../utils/constants';
+import { matchesView, viewStateToParams } from '../../utils/viewParams';
+import { getSavedViews, createSavedView, updateSavedView, deleteSavedView } from '../../services/savedViewService';
+
+const BU_SCOPED_ROLES = ['business_unit_admin', 'spoc', 'service_handler'];
+
+const toggleValue = (list, value) => (list.includes(value) ? list.filter((item) => item !== value) : [...list, value]);
+
+// Pick, save and share named views of the expense list. state is the loaded list's view (filters, search, sort,
+// columns); activeView is the saved view it was opened from, if any.
+const SavedViews = ({ state, activeView, onSelect }) => {
+  const { user } = useAuth();
+  const { businessUnits } = useMasterData();
+  const [views, setViews] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [showSaveModal, setShowSaveModal] = useState(false);
+  const [form, setForm] = useState({ name: '', sharedWithRoles: [], sharedWithBusinessUnits: [] });
+
+  const shareableUnits = BU_SCOPED_ROLES.includes(user?.role) ? [user.businessUnit].filter(Boolean) : businessUnits;
+  const ownsActive = activeView && `${activeView.owner?._id || activeView.owner}` === `${user?._id}`;
+  const modified = activeView && !matchesView(activeView, state);
+
+  const loadViews = async () => {
+    try {
+      const response = await getSavedViews();
+      if (response.success) setViews(response.data);
+    } catch {
+      toast.error('Failed to load saved views');
+    }
+  };
+
+  useEffect(() => {
+    loadViews();
+  }, []);
+
+  const handleSelect = (e) => {
+    onSelect(views.find((view) => view._id === e.target.value) || null);
+  };
+
+  const openSaveModal = () => {
+    setForm({ name: '', sharedWithRoles: [], sharedWithBusinessUnits: [] });
+    setShowSaveModal(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await createSavedView({ ...state, ...form });
+      if (response.success) {
+        toast.success(response.message);
+        setShowSaveModal(false);
+        await loadViews();
+        onSelect(response.data);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save view');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Overwrite the active view with what the list shows now
+  const handleUpdate = async () => {
+    try {
+      const response = await updateSavedView(activeView._id, state);
+      if (response.success) {
+        toast.success(response.message);
+        await loadViews();
+        onSelect(response.data);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update view');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the view "${activeView.name}"?`)) return;
+    try {
+      await deleteSavedView(activeView._id);
+      toast.success('View deleted');
+      setViews((prev) => prev.filter((view) => view._id !== activeView._id));
+      onSelect(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete view');
+    }
+  };
+
+  // A link to the saved view while the list still matches it, otherwise to the list as it stands
+  const handleCopyLink = async () => {
+    const params = activeView && !modified ? new URLSearchParams({ view: activeView._id }) : viewStateToParams(state);
+    const query = params.toString();
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`);
+      toast.success('Link copied');
+    } catch {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <div className="flex items-center gap-2 rounded-full border border-slate-200 bg-white/80 px-3 py-1.5 text-sm">
+        <Bookmark size={14} className="text-slate-400" />
+        <select
+          aria-label="Saved view"
+          value={activeView?._id || ''}
+          onChange={handleSelect}
+          className="bg-transparent text-sm text-slate-700 focus:outline-none"
+        >
+          <option value="">Saved views</option>
+          {views.map((view) => (
+            <option key={view._id} value={view._id}>
+              {view.name}
+              {`${view.owner?._id || view.owner}` !== `${user?._id}` && view.owner?.name ? ` · ${view.owner.name}` : ''}
+            </option>
+          ))}
+        </select>
+        {modified && <span className="text-xs text-amber-600">modified</span>}
+      </div>
+      <Button variant="secondary" size="sm" onClick={openSaveModal}>
+        Save view
+      </Button>
+      {ownsActive && modified && (
+        <Button variant="secondary" size="sm" onClick={handleUpdate}>
+          Update view
+        </Button>
+      )}
+      {ownsActive && (
+        <Button variant="secondary" size="sm" onClick={handleDelete} aria-label="Delete view">
+          <Trash2 size={14} />
+        </Button>
+      )}
+      <Button variant="outline" size="sm" onClick={handleCopyLink}>
+        <Link2 size={14} className="mr-1" />
+        Copy link
+      </Button>
+
+      {showSaveModal && (
+        <Modal isOpen onClose={() => setShowSaveModal(false)} title="Save view">
+          <div className="space-y-5">
+            <Input
+              label="Name"
+              name="viewName"
+              value={form.name}
+              onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g. Active tools over ₹10k"
+              required
+            />
+            <div>
+              <p className="text-sm font-semibold text-slate-600">Share with roles</p>
+              <div className="mt-2 flex flex-wrap gap-3">
+                {USER_ROLES.map((role) => (
+                  <label key={role.value} className="inline-flex items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      className="h-4 w-4 rounded text-primary-600"
+                      checked={form.sharedWithRoles.includes(role.value)}
+                      onChange={() =>
+                        setForm((prev) => ({ ...prev, sharedWithRoles: toggleValue(prev.sharedWithRoles, role.value) }))
+                      }
+                    />
+                    {role.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+            {shareableUnits.length > 0 && (
+              <div>
+                <p className="text-sm font-semibold text-slate-600">Share with business units</p>
+                <div className="mt-2 flex flex-wrap gap-3">
+                  {shareableUnits.map((businessUnit) => (
+                    <label key={businessUnit} className="inline-flex items-center gap-2 text-sm text-slate-700">
+                      <input
+                        type="checkbox"
+                        className="h-4 w-4 rounded text-primary-600"
+                        checked={form.sharedWithBusinessUnits.includes(businessUnit)}
+                        onChange={() =>
+                          setForm((prev) => ({
+                            ...prev,
+                            sharedWithBusinessUnits: toggleValue(prev.sharedWithBusinessUnits, businessUnit),
+                          }))
+                        }
+                      />
+                      {businessUnit}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+            <div className="flex justify-end gap-3">
+              <Button variant="secondary" onClick={() => setShowSaveModal(false)}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} disabled={saving || !form.name.trim()}>
+                {saving ? 'Saving...' : 'Save view'}
+              </Button>
+            </div>
+          </div>
+        </Modal>
+      )}
+    </div>
+  );
+};
+
+export default SavedViews;
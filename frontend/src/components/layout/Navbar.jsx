@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { Bell, LogOut, Menu, ShieldCheck, User, X } from 'lucide-react';
+import { Bell, LogOut, Menu, Search, ShieldCheck, User, X } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
 import { logout } from '../../services/authService';
 import { getRoleName } from '../../utils/formatters';
@@ -64,6 +64,13 @@ const Navbar = () => {
 
         <div className="hidden md:flex items-center gap-4">
           <RoleBadge />
+          <Link
+            to="/search"
+            aria-label="Search entries"
+            className="inline-flex h-10 w-10 items-center justify-center rounded-xl bg-slate-100 text-slate-600 hover:text-primary-600 transition-colors"
+          >
+            <Search size={18} />
+          </Link>
           <Link
             to="/notifications"
             className="relative inline-flex h-10 w-10 items-center justify-center rounded-xl bg-slate-100 text-slate-600 hover:text-primary-600 transition-colors"
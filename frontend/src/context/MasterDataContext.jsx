@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { MasterDataContext } from './useMasterData';
+import { getMasterData } from '../services/masterDataService';
+import {
+  BUSINESS_UNITS,
+  COST_CENTERS,
+  TYPES_OF_EXPENSE,
+  APPROVED_BY,
+  CURRENCIES,
+} from '../utils/constants';
+
+// Shipped defaults, used until the server list loads (or if it fails)
+const FALLBACK_OPTIONS = {
+  businessUnits: BUSINESS_UNITS,
+  costCenters: COST_CENTERS,
+  typesOfService: TYPES_OF_EXPENSE,
+  approvers: APPROVED_BY,
+  currencies: CURRENCIES,
+};
+
+const toValues = (items, fallback) =>
+  Array.isArray(items) && items.length > 0 ? items.map((item) => item.value) : fallback;
+
+export const MasterDataProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [options, setOptions] = useState(FALLBACK_OPTIONS);
+
+  const loadOptions = useCallback(async () => {
+    try {
+      const response = await getMasterData();
+      const data = response.data || {};
+      setOptions({
+        businessUnits: toValues(data.businessUnit, BUSINESS_UNITS),
+        costCenters: toValues(data.costCenter, COST_CENTERS),
+        typesOfService: toValues(data.typeOfService, TYPES_OF_EXPENSE),
+        approvers: toValues(data.approver, APPROVED_BY),
+        currencies: toValues(data.currency, CURRENCIES),
+      });
+    } catch (error) {
+      console.error('Failed to load master data:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+    const load = async () => {
+      await loadOptions();
+    };
+    load();
+  }, [user, loadOptions]);
+
+  const value = {
+    ...options,
+    refresh: loadOptions,
+  };
+
+  return <MasterDataContext.Provider value={value}>{children}</MasterDataContext.Provider>;
+};
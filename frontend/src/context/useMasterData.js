@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+export const MasterDataContext = createContext();
+
+export const useMasterData = () => {
+  const context = useContext(MasterDataContext);
+  if (!context) {
+    throw new Error('useMasterData must be used within a MasterDataProvider');
+  }
+  return context;
+};
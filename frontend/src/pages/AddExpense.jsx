@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Layout from '../components/layout/Layout';
 import Card from '../components/common/Card';
@@ -6,23 +6,19 @@ import Input from '../components/common/Input';
 import Select from '../components/common/Select';
 import Button from '../components/common/Button';
 import { createExpense } from '../services/expenseService';
+import { getCards } from '../services/cardService';
 import { useAuth } from '../context/AuthContext';
-import {
-  BUSINESS_UNITS,
-  TYPES_OF_EXPENSE,
-  COST_CENTERS,
-  APPROVED_BY,
-  RECURRING_OPTIONS,
-  CURRENCIES,
-  STATUS_OPTIONS,
-} from '../utils/constants';
+import { useMasterData } from '../context/useMasterData';
+import { RECURRING_OPTIONS, STATUS_OPTIONS } from '../utils/constants';
 import { getMonthYear } from '../utils/formatters';
 import toast from 'react-hot-toast';
 
 const AddExpense = () => {
   const { user } = useAuth();
+  const { businessUnits, typesOfService, costCenters, approvers, currencies } = useMasterData();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
+  const [cards, setCards] = useState([]);
   const isBusinessUnitLocked = ['business_unit_admin', 'spoc'].includes(user?.role);
   const [formData, setFormData] = useState({
     cardNumber: '',
@@ -52,6 +48,18 @@ const AddExpense = () => {
       [name]: value,
     });
 
+    // Fill the holder from the card registry when a registered card is picked
+    if (name === 'cardNumber' && !formData.cardAssignedTo) {
+      const card = cards.find((c) => c.maskedNumber.toLowerCase() === value.trim().toLowerCase());
+      const holderName = card?.holder?.name || card?.holderName;
+      if (holderName) {
+        setFormData((prev) => ({
+          ...prev,
+          cardAssignedTo: holderName,
+        }));
+      }
+    }
+
     // Auto-generate month when date changes
     if (name === 'date' && value) {
       setFormData((prev) => ({
@@ -69,6 +77,18 @@ const AddExpense = () => {
     }
   };
 
+  useEffect(() => {
+    const loadCards = async () => {
+      try {
+        const response = await getCards({ status: 'Active' });
+        if (response.success) setCards(response.data);
+      } catch {
+        // Card suggestions are optional; free-text card numbers still work
+      }
+    };
+    loadCards();
+  }, []);
+
   const handleSharedToggle = (checked) => {
     setFormData((prev) => {
       if (!checked) {
@@ -145,7 +165,11 @@ const AddExpense = () => {
         sharedAllocations,
       });
       if (response.success) {
-        toast.success('Expense entry submitted for approval!');
+        if (response.suspectedDuplicates) {
+          toast(response.message, { icon: '⚠️' });
+        } else {
+          toast.success('Expense entry submitted for approval!');
+        }
         navigate('/expenses');
       }
     } catch (error) {
@@ -170,8 +194,16 @@ const AddExpense = () => {
                   value={formData.cardNumber}
                   onChange={handleChange}
                   placeholder="e.g., M003"
+                  list="registered-card-options"
                   required
                 />
+                <datalist id="registered-card-options">
+                  {cards.map((card) => (
+                    <option key={card._id} value={card.maskedNumber}>
+                      {card.holder?.name || card.holderName || ''}
+                    </option>
+                  ))}
+                </datalist>
                 <Input
                   label="Card Assigned To"
                   name="cardAssignedTo"
@@ -239,7 +271,7 @@ const AddExpense = () => {
                   name="typeOfService"
                   value={formData.typeOfService}
                   onChange={handleChange}
-                  options={TYPES_OF_EXPENSE}
+                  options={typesOfService}
                   required
                 />
                 <Input
@@ -271,7 +303,7 @@ const AddExpense = () => {
                   name="currency"
                   value={formData.currency}
                   onChange={handleChange}
-                  options={CURRENCIES}
+                  options={currencies}
                   required
                 />
               </div>
@@ -297,7 +329,7 @@ const AddExpense = () => {
               </div>
               {formData.isShared && (
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
-                  {BUSINESS_UNITS.map((bu) => {
+                  {businessUnits.map((bu) => {
                     const alloc = formData.sharedAllocations?.find((a) => a.businessUnit === bu);
                     const enabled = Boolean(alloc) || bu === formData.businessUnit;
                     return (
@@ -339,7 +371,7 @@ const AddExpense = () => {
                   name="businessUnit"
                   value={formData.businessUnit}
                   onChange={handleChange}
-                  options={BUSINESS_UNITS}
+                  options={businessUnits}
                   disabled={isBusinessUnitLocked}
                   placeholder="Select Business Unit"
                   required
@@ -349,7 +381,7 @@ const AddExpense = () => {
                   name="costCenter"
                   value={formData.costCenter}
                   onChange={handleChange}
-                  options={COST_CENTERS}
+                  options={costCenters}
                   required
                 />
                 <Select
@@ -357,7 +389,7 @@ const AddExpense = () => {
                   name="approvedBy"
                   value={formData.approvedBy}
                   onChange={handleChange}
-                  options={APPROVED_BY}
+                  options={approvers}
                   required
                 />
                 <Input
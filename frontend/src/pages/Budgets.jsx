@@ -0,0 +1,322 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Plus, Edit, Trash2 } from 'lucide-react';
+import Layout from '../components/layout/Layout';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import Select from '../components/common/Select';
+import Modal from '../components/common/Modal';
+import Badge from '../components/common/Badge';
+import Loading from '../components/common/Loading';
+import { BudgetProgressBar } from '../components/dashboard/BudgetWidget';
+import { getBudgets, createBudget, updateBudget, deleteBudget } from '../services/budgetService';
+import { useAuth } from '../context/AuthContext';
+import { useMasterData } from '../context/useMasterData';
+import { formatCurrency } from '../utils/formatters';
+import toast from 'react-hot-toast';
+
+const BUDGET_PERIODS = ['Monthly', 'Quarterly', 'Yearly'];
+
+const EMPTY_FORM = {
+  businessUnit: '',
+  costCenter: '',
+  typeOfService: '',
+  period: 'Monthly',
+  amount: '',
+  alertThresholds: '80, 100',
+  notes: '',
+  status: 'Active',
+};
+
+const Budgets = () => {
+  const { user } = useAuth();
+  const { businessUnits, costCenters, typesOfService } = useMasterData();
+  const canManage = ['mis_manager', 'super_admin'].includes(user?.role);
+  const [budgets, setBudgets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [periodFilter, setPeriodFilter] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingBudget, setEditingBudget] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  const fetchBudgets = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await getBudgets({ period: periodFilter || undefined, includeInactive: canManage });
+      if (response.success) {
+        setBudgets(response.data);
+      }
+    } catch {
+      toast.error('Failed to load budgets');
+    } finally {
+      setLoading(false);
+    }
+  }, [periodFilter, canManage]);
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchBudgets();
+    };
+    load();
+  }, [fetchBudgets]);
+
+  const handleOpenModal = (budget = null) => {
+    setEditingBudget(budget);
+    setFormData(
+      budget
+        ? {
+            businessUnit: budget.businessUnit,
+            costCenter: budget.costCenter || '',
+            typeOfService: budget.typeOfService || '',
+            period: budget.period,
+            amount: budget.amount,
+            alertThresholds: (budget.alertThresholds || []).join(', '),
+            notes: budget.notes || '',
+            status: budget.isActive === false ? 'Inactive' : 'Active',
+          }
+        : EMPTY_FORM
+    );
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingBudget(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { status, ...fields } = formData;
+    const payload = {
+      ...fields,
+      amount: Number(formData.amount),
+      isActive: status === 'Active',
+    };
+
+    try {
+      if (editingBudget) {
+        await updateBudget(editingBudget._id, payload);
+        toast.success('Budget updated successfully');
+      } else {
+        await createBudget(payload);
+        toast.success('Budget created successfully');
+      }
+      handleCloseModal();
+      fetchBudgets();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Operation failed');
+    }
+  };
+
+  const handleDelete = async (budget) => {
+    if (!window.confirm(`Delete the ${budget.period.toLowerCase()} budget for ${budget.businessUnit}?`)) return;
+    try {
+      await deleteBudget(budget._id);
+      toast.success('Budget deleted successfully');
+      fetchBudgets();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete budget');
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-wrap justify-between items-center gap-3">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Budgets</h1>
+            <p className="text-sm text-gray-500">Accepted spend (INR) against budget for the current period</p>
+          </div>
+          <div className="flex items-center gap-3">
+            <Select
+              value={periodFilter}
+              onChange={(e) => setPeriodFilter(e.target.value)}
+              options={BUDGET_PERIODS}
+              placeholder="All periods"
+            />
+            {canManage && (
+              <Button onClick={() => handleOpenModal()}>
+                <Plus size={18} className="mr-2" />
+                Add Budget
+              </Button>
+            )}
+          </div>
+        </div>
+
+        {/* Budgets Table */}
+        <Card>
+          {loading ? (
+            <Loading />
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Business Unit', 'Cost Center', 'Type of Service', 'Period', 'Budget', 'Actual', 'Used', 'Alerts', ''].map(
+                      (heading) => (
+                        <th
+                          key={heading}
+                          className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                        >
+                          {heading}
+                        </th>
+                      )
+                    )}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {budgets.map((budget) => (
+                    <tr key={budget._id} className={`hover:bg-gray-50 ${budget.isActive === false ? 'opacity-60' : ''}`}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-semibold text-gray-900">{budget.businessUnit}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{budget.costCenter || 'All'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{budget.typeOfService || 'All'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        <div>{budget.period}</div>
+                        <div className="text-xs text-gray-500">{budget.periodLabel}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatCurrency(budget.amount)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        <div>{formatCurrency(budget.actual)}</div>
+                        <div className={`text-xs ${budget.remaining < 0 ? 'text-rose-600' : 'text-gray-500'}`}>
+                          {budget.remaining < 0
+                            ? `${formatCurrency(Math.abs(budget.remaining))} over`
+                            : `${formatCurrency(budget.remaining)} left`}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 w-48">
+                        <div className="mb-1">{budget.percentUsed}%</div>
+                        <BudgetProgressBar percentUsed={budget.percentUsed} />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        {budget.isActive === false ? (
+                          <Badge variant="default">Inactive</Badge>
+                        ) : (
+                          <span className="text-gray-600">{(budget.alertThresholds || []).map((t) => `${t}%`).join(', ')}</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        {canManage && (
+                          <div className="flex space-x-3">
+                            <button onClick={() => handleOpenModal(budget)} className="text-primary-600 hover:text-primary-800">
+                              <Edit size={18} />
+                            </button>
+                            <button onClick={() => handleDelete(budget)} className="text-red-600 hover:text-red-800">
+                              <Trash2 size={18} />
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {budgets.length === 0 && (
+                <div className="text-center py-12">
+                  <p className="text-gray-500">No budgets found</p>
+                </div>
+              )}
+            </div>
+          )}
+        </Card>
+
+        {/* Add/Edit Budget Modal */}
+        <Modal
+          isOpen={showModal}
+          onClose={handleCloseModal}
+          title={editingBudget ? 'Edit Budget' : 'Add Budget'}
+          size="md"
+        >
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Select
+                label="Business Unit"
+                name="businessUnit"
+                value={formData.businessUnit}
+                onChange={handleChange}
+                options={businessUnits}
+                required
+              />
+              <Select
+                label="Period"
+                name="period"
+                value={formData.period}
+                onChange={handleChange}
+                options={BUDGET_PERIODS}
+                required
+              />
+              <Select
+                label="Cost Center"
+                name="costCenter"
+                value={formData.costCenter}
+                onChange={handleChange}
+                options={costCenters}
+                placeholder="All cost centers"
+              />
+              <Select
+                label="Type of Service"
+                name="typeOfService"
+                value={formData.typeOfService}
+                onChange={handleChange}
+                options={typesOfService}
+                placeholder="All services"
+              />
+              <Input
+                label="Budget Amount (INR)"
+                type="number"
+                step="0.01"
+                min="0"
+                name="amount"
+                value={formData.amount}
+                onChange={handleChange}
+                required
+              />
+              <Input
+                label="Alert Thresholds (%)"
+                name="alertThresholds"
+                value={formData.alertThresholds}
+                onChange={handleChange}
+                placeholder="e.g., 80, 100"
+                required
+              />
+            </div>
+
+            <Input label="Notes" name="notes" value={formData.notes} onChange={handleChange} />
+
+            {editingBudget && (
+              <Select
+                label="Status"
+                name="status"
+                value={formData.status}
+                onChange={handleChange}
+                options={['Active', 'Inactive']}
+                required
+              />
+            )}
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <Button type="button" variant="secondary" onClick={handleCloseModal}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary">
+                {editingBudget ? 'Update Budget' : 'Create Budget'}
+              </Button>
+            </div>
+          </form>
+        </Modal>
+      </div>
+    </Layout>
+  );
+};
+
+export default Budgets;
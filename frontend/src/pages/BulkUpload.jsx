@@ -1,17 +1,71 @@
-import { useState } from 'react';
+import { useCallback, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { Upload, Download, FileSpreadsheet, AlertCircle, CheckCircle, XCircle } from 'lucide-react';
 import Layout from '../components/layout/Layout';
 import Card from '../components/common/Card';
 import Button from '../components/common/Button';
 import Badge from '../components/common/Badge';
-import { bulkUploadExpenses, downloadTemplate } from '../services/expenseService';
+import Select from '../components/common/Select';
+import ImportHistory from '../components/dashboard/ImportHistory';
+import ImportPreview from '../components/dashboard/ImportPreview';
+import ImportProfiles from '../components/dashboard/ImportProfiles';
+import ImportJobProgress from '../components/dashboard/ImportJobProgress';
+import ImportSheetResults from '../components/dashboard/ImportSheetResults';
+import { bulkUploadExpenses, downloadTemplate, listUploadSheets, previewBulkUpload } from '../services/expenseService';
+import { downloadImportErrors } from '../services/importBatchService';
 import { downloadFile } from '../utils/formatters';
 import toast from 'react-hot-toast';
 
+const AUTO_DETECT = 'Auto-detect from headers';
+const UPDATE_MODE = 'Update entries by Entry ID (edited export)';
+
 const BulkUpload = () => {
   const [file, setFile] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [uploadResult, setUploadResult] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [historyKey, setHistoryKey] = useState(0);
+  const [profiles, setProfiles] = useState([]);
+  const [profileChoice, setProfileChoice] = useState('');
+  const [activeJob, setActiveJob] = useState(null);
+  const [modeChoice, setModeChoice] = useState('');
+  const [sheets, setSheets] = useState([]);
+  const [selectedSheets, setSelectedSheets] = useState([]);
+
+  const mode = modeChoice === UPDATE_MODE ? 'upsert' : 'create';
+
+  // The picker shows names; the API takes an id, 'auto' or nothing for the template layout
+  const profileParam = () => {
+    if (profileChoice === AUTO_DETECT) return 'auto';
+    return profiles.find((profile) => profile.name === profileChoice)?._id || '';
+  };
+
+  // Workbooks with several tabs let the user pick the sheets to import; sheets with rows in a known layout
+  // start selected
+  const loadSheets = async (selectedFile) => {
+    setSheets([]);
+    setSelectedSheets([]);
+    if (selectedFile.name.toLowerCase().endsWith('.csv')) return;
+    try {
+      const response = await listUploadSheets(selectedFile);
+      if (response.success) {
+        setSheets(response.data);
+        setSelectedSheets(
+          response.data.filter((sheet) => sheet.rowCount > 0 && sheet.recognisedColumns > 0).map((sheet) => sheet.name)
+        );
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to read the workbook sheets');
+    }
+  };
+
+  const toggleSheet = (name, checked) => {
+    setSelectedSheets((current) =>
+      sheets.map((sheet) => sheet.name).filter((sheetName) => (sheetName === name ? checked : current.includes(sheetName)))
+    );
+    setPreview(null);
+  };
 
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
@@ -24,6 +78,8 @@ const BulkUpload = () => {
       if (validTypes.includes(selectedFile.type)) {
         setFile(selectedFile);
         setUploadResult(null);
+        setPreview(null);
+        loadSheets(selectedFile);
       } else {
         toast.error('Please select a valid Excel or CSV file');
         e.target.value = '';
@@ -41,6 +97,33 @@ const BulkUpload = () => {
     }
   };
 
+  const handlePreview = async () => {
+    if (!file) {
+      toast.error('Please select a file to upload');
+      return;
+    }
+    if (sheets.length > 1 && selectedSheets.length === 0) {
+      toast.error('Select at least one sheet to import');
+      return;
+    }
+
+    setPreviewing(true);
+    try {
+      const response = await previewBulkUpload(file, profileParam(), mode, selectedSheets);
+      if (response.success) {
+        setPreview(response.data);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Preview failed');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleCancelPreview = () => {
+    setPreview(null);
+  };
+
   const handleUpload = async () => {
     if (!file) {
       toast.error('Please select a file to upload');
@@ -49,11 +132,21 @@ const BulkUpload = () => {
 
     setUploading(true);
     try {
-      const response = await bulkUploadExpenses(file);
+      // Commit with the profile the preview used, so auto-detect cannot pick a different one
+      const response = await bulkUploadExpenses(
+        file,
+        preview?.profile?._id || profileParam(),
+        mode,
+        selectedSheets
+      );
       if (response.success) {
-        setUploadResult(response.data);
-        toast.success('Bulk upload completed successfully!');
+        setActiveJob({ id: response.data.jobId, fileName: file.name });
+        setPreview(null);
+        setHistoryKey((key) => key + 1);
+        toast.success('Upload queued, importing in the background');
         setFile(null);
+        setSheets([]);
+        setSelectedSheets([]);
         // Reset file input
         document.getElementById('file-input').value = '';
       }
@@ -64,6 +157,26 @@ const BulkUpload = () => {
     }
   };
 
+  const handleDownloadErrors = async () => {
+    try {
+      const blob = await downloadImportErrors(uploadResult.batch);
+      downloadFile(blob, `${uploadResult.fileName.replace(/\.[^.]+$/, '')}-errors.xlsx`);
+    } catch {
+      toast.error('Failed to download the failed rows');
+    }
+  };
+
+  const handleJobFinished = useCallback((job) => {
+    setActiveJob(null);
+    setHistoryKey((key) => key + 1);
+    if (job.status === 'completed') {
+      setUploadResult(job);
+      toast.success('Bulk upload completed successfully!');
+    } else {
+      toast.error(`Bulk upload failed: ${job.error}`);
+    }
+  }, []);
+
   return (
     <Layout>
       <div className="space-y-6">
@@ -87,7 +200,8 @@ const BulkUpload = () => {
               <div>
                 <p className="font-medium">Download the template</p>
                 <p className="text-gray-600">
-                  Click the "Download Template" button to get the Excel template with the correct format
+                  Click the "Download Template" button to get the Excel template with the correct format. Its dropdowns
+                  list the business units, cost centers and other values the upload accepts
                 </p>
               </div>
             </div>
@@ -115,7 +229,7 @@ const BulkUpload = () => {
               <div>
                 <p className="font-medium">Upload the file</p>
                 <p className="text-gray-600">
-                  Select your filled template and click "Upload" to process the entries
+                  Select your filled template and click "Preview Upload" to check every row, then confirm the import
                 </p>
               </div>
             </div>
@@ -129,7 +243,9 @@ const BulkUpload = () => {
               <FileSpreadsheet size={40} className="text-green-600" />
               <div>
                 <p className="font-medium text-gray-900">Expense Entry Template</p>
-                <p className="text-sm text-gray-600">Excel format with all required columns</p>
+                <p className="text-sm text-gray-600">
+                  Excel format with dropdowns for the allowed values and an Instructions sheet
+                </p>
               </div>
             </div>
             <Button onClick={handleDownloadTemplate} variant="outline">
@@ -160,6 +276,36 @@ const BulkUpload = () => {
               />
             </div>
 
+            <Select
+              label="Import Profile"
+              name="profile"
+              value={profileChoice}
+              onChange={(e) => {
+                setProfileChoice(e.target.value);
+                setPreview(null);
+              }}
+              options={[AUTO_DETECT, ...profiles.map((profile) => profile.name)]}
+              placeholder="Template layout (no profile)"
+            />
+
+            <Select
+              label="Import Mode"
+              name="mode"
+              value={modeChoice}
+              onChange={(e) => {
+                setModeChoice(e.target.value);
+                setPreview(null);
+              }}
+              options={[UPDATE_MODE]}
+              placeholder="Add new entries"
+            />
+            {mode === 'upsert' && (
+              <p className="text-xs text-gray-500">
+                Export entries from the expense sheet, edit them and upload the file here: rows keep their Entry ID and
+                update those entries in place. Every change is listed in the preview and can be rolled back.
+              </p>
+            )}
+
             {file && (
               <div className="flex items-center justify-between p-4 bg-blue-50 rounded-lg">
                 <div className="flex items-center space-x-3">
@@ -171,14 +317,57 @@ const BulkUpload = () => {
                     </p>
                   </div>
                 </div>
-                <Button onClick={handleUpload} disabled={uploading}>
-                  {uploading ? 'Uploading...' : 'Upload File'}
+                <Button onClick={handlePreview} disabled={previewing || uploading}>
+                  {previewing ? 'Checking...' : 'Preview Upload'}
                 </Button>
               </div>
             )}
+
+            {sheets.length > 1 && (
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Sheets to import</p>
+                <div className="flex flex-wrap gap-2">
+                  {sheets.map((sheet) => (
+                    <label
+                      key={sheet.name}
+                      className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white/80 px-3 py-1.5 text-sm"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={selectedSheets.includes(sheet.name)}
+                        onChange={(e) => toggleSheet(sheet.name, e.target.checked)}
+                        disabled={sheet.rowCount === 0}
+                        className="h-4 w-4 text-primary-600 rounded"
+                      />
+                      <span>{sheet.name}</span>
+                      <span className="text-xs text-gray-500">
+                        {sheet.rowCount} rows{sheet.month ? ` · ${sheet.month}` : ''}
+                        {sheet.rowCount > 0 && !sheet.recognisedColumns ? ' · no known columns' : ''}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  Rows with an empty Month column take the month shown next to their sheet.
+                </p>
+              </div>
+            )}
           </div>
         </Card>
 
+        {preview && (
+          <ImportPreview
+            preview={preview}
+            onConfirm={handleUpload}
+            onCancel={handleCancelPreview}
+            confirming={uploading}
+          />
+        )}
+
+        {activeJob && (
+          <ImportJobProgress jobId={activeJob.id} fileName={activeJob.fileName} onFinished={handleJobFinished} />
+        )}
+
         {/* Upload Results */}
         {uploadResult && (
           <Card title="Upload Results">
@@ -204,9 +393,9 @@ const BulkUpload = () => {
                 <div className="p-4 bg-yellow-50 rounded-lg">
                   <div className="flex items-center space-x-2 mb-1">
                     <AlertCircle size={18} className="text-yellow-600" />
-                    <p className="text-sm font-medium text-yellow-900">Merged</p>
+                    <p className="text-sm font-medium text-yellow-900">In review</p>
                   </div>
-                  <p className="text-2xl font-bold text-yellow-600">{uploadResult.merged}</p>
+                  <p className="text-2xl font-bold text-yellow-600">{uploadResult.suspected || 0}</p>
                 </div>
 
                 <div className="p-4 bg-red-50 rounded-lg">
@@ -218,15 +407,27 @@ const BulkUpload = () => {
                 </div>
               </div>
 
+              {uploadResult.sheets?.length > 1 && <ImportSheetResults sheets={uploadResult.sheets} />}
+
               {/* Errors */}
               {uploadResult.errors && uploadResult.errors.length > 0 && (
                 <div>
-                  <h3 className="font-semibold text-gray-900 mb-3">Errors</h3>
+                  <div className="flex items-center justify-between mb-3">
+                    <h3 className="font-semibold text-gray-900">Errors</h3>
+                    <Button size="sm" variant="outline" onClick={handleDownloadErrors}>
+                      <Download size={16} />
+                      Download failed rows
+                    </Button>
+                  </div>
+                  <p className="text-xs text-gray-500 mb-3">
+                    The download has your original columns with the problem cells highlighted. Fix them and upload the file
+                    again.
+                  </p>
                   <div className="space-y-2 max-h-64 overflow-y-auto">
                     {uploadResult.errors.map((error, index) => (
                       <div key={index} className="p-3 bg-red-50 border border-red-200 rounded-lg">
                         <p className="text-sm font-medium text-red-900">
-                          Row {error.row}: {error.error}
+                          {error.sheet ? `${error.sheet}, row ${error.row}` : `Row ${error.row}`}: {error.error}
                         </p>
                       </div>
                     ))}
@@ -236,13 +437,31 @@ const BulkUpload = () => {
 
               <div className="p-4 bg-green-50 border border-green-200 rounded-lg">
                 <p className="text-sm text-green-800">
+                  {uploadResult.mode === 'upsert' && (
+                    <>
+                      <strong>{uploadResult.updated}</strong> existing entries were updated.{' '}
+                    </>
+                  )}
                   <strong>{uploadResult.unique}</strong> unique entries were added to the global expense sheet.
-                  <strong> {uploadResult.merged}</strong> duplicate entries were merged.
+                  {uploadResult.suspected > 0 && (
+                    <>
+                      {' '}
+                      <strong>{uploadResult.suspected}</strong> new entries match or look like existing ones and wait in the{' '}
+                      <Link to="/duplicate-reviews" className="font-semibold underline">
+                        duplicate review queue
+                      </Link>
+                      .
+                    </>
+                  )}
                 </p>
               </div>
             </div>
           </Card>
         )}
+
+        <ImportProfiles onProfilesChange={setProfiles} />
+
+        <ImportHistory refreshKey={historyKey} />
       </div>
     </Layout>
   );
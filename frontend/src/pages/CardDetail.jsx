@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, CreditCard, IndianRupee, Package, BarChart3 } from 'lucide-react';
+import Layout from '../components/layout/Layout';
+import Card from '../components/common/Card';
+import Badge from '../components/common/Badge';
+import Loading from '../components/common/Loading';
+import { getCard } from '../services/cardService';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import toast from 'react-hot-toast';
+
+const CardDetail = () => {
+  const { id } = useParams();
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        const response = await getCard(id);
+        if (response.success) {
+          setDetail(response.data);
+        }
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load card');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [id]);
+
+  if (loading) {
+    return (
+      <Layout>
+        <Loading />
+      </Layout>
+    );
+  }
+
+  if (!detail) {
+    return (
+      <Layout>
+        <Card>
+          <p className="text-gray-500">Card not found.</p>
+          <Link to="/cards" className="text-primary-600 hover:underline text-sm">Back to cards</Link>
+        </Card>
+      </Layout>
+    );
+  }
+
+  const { card, summary, entries } = detail;
+  const limitUsedPct = card.monthlyLimit ? Math.round((summary.currentMonthSpend / card.monthlyLimit) * 100) : null;
+
+  const summaryCards = [
+    {
+      title: 'This Month',
+      value: formatCurrency(summary.currentMonthSpend),
+      helper: limitUsedPct === null ? 'No monthly limit set' : `${limitUsedPct}% of ${formatCurrency(card.monthlyLimit)} limit`,
+      icon: IndianRupee,
+    },
+    {
+      title: 'Total Billed',
+      value: formatCurrency(summary.totalINR),
+      helper: `${summary.totalEntries} entries`,
+      icon: BarChart3,
+    },
+    {
+      title: 'Active Services',
+      value: summary.activeServices,
+      helper: 'Currently billed to this card',
+      icon: Package,
+    },
+  ];
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div>
+          <Link to="/cards" className="inline-flex items-center text-sm text-slate-500 hover:text-slate-800 mb-3">
+            <ArrowLeft size={16} className="mr-1" />
+            Card Registry
+          </Link>
+          <div className="flex flex-wrap items-center gap-3">
+            <CreditCard size={28} className="text-slate-700" />
+            <h1 className="text-2xl font-bold text-gray-900">{card.maskedNumber}</h1>
+            <Badge variant={card.status === 'Active' ? 'success' : 'warning'}>{card.status}</Badge>
+          </div>
+          <p className="text-gray-600 mt-1">
+            {card.holder?.name || card.holderName || 'No holder'} · {card.issuingBank || 'Bank not set'} · {card.businessUnit}
+            {card.expiry ? ` · Expires ${formatDate(card.expiry, 'MM/yy')}` : ''}
+          </p>
+        </div>
+
+        {/* Summary */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {summaryCards.map(({ title, value, helper, icon }) => {
+            const Icon = icon;
+            return (
+              <Card key={title}>
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="text-sm text-slate-500">{title}</p>
+                    <p className="text-2xl font-bold text-slate-900">{value}</p>
+                    <p className="text-xs text-slate-500 mt-1">{helper}</p>
+                  </div>
+                  <Icon size={22} className="text-slate-400" />
+                </div>
+              </Card>
+            );
+          })}
+        </div>
+
+        {/* Services billed to this card */}
+        <Card title="Services Billed to This Card">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Date', 'Particulars', 'Service Handler', 'Business Unit', 'Amount', 'Amount in INR', 'Recurring', 'Status'].map(
+                    (heading) => (
+                      <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    )
+                  )}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {entries.map((entry) => (
+                  <tr key={entry._id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 whitespace-nowrap">{formatDate(entry.date)}</td>
+                    <td className="px-4 py-3">{entry.particulars}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{entry.serviceHandler || '-'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{entry.businessUnit}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{entry.amount} {entry.currency}</td>
+                    <td className="px-4 py-3 whitespace-nowrap font-semibold">{formatCurrency(entry.amountInINR)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{entry.recurring}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <Badge>{entry.status}</Badge>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {entries.length === 0 && (
+              <div className="text-center py-12">
+                <p className="text-gray-500">No services billed to this card yet</p>
+              </div>
+            )}
+          </div>
+        </Card>
+      </div>
+    </Layout>
+  );
+};
+
+export default CardDetail;
@@ -0,0 +1,384 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Plus, Edit, Trash2, RefreshCw, Search } from 'lucide-react';
+import Layout from '../components/layout/Layout';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import Select from '../components/common/Select';
+import Modal from '../components/common/Modal';
+import Badge from '../components/common/Badge';
+import Loading from '../components/common/Loading';
+import {
+  getCards,
+  getCardHolders,
+  createCard,
+  updateCard,
+  deleteCard,
+  syncCardsFromEntries,
+} from '../services/cardService';
+import { useAuth } from '../context/AuthContext';
+import { useMasterData } from '../context/useMasterData';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import toast from 'react-hot-toast';
+
+const CARD_STATUS_OPTIONS = ['Active', 'Blocked', 'Expired', 'Closed'];
+
+const CARD_STATUS_VARIANTS = {
+  Active: 'success',
+  Blocked: 'danger',
+  Expired: 'warning',
+  Closed: 'default',
+};
+
+const EMPTY_FORM = {
+  maskedNumber: '',
+  holderName: '',
+  issuingBank: '',
+  expiry: '',
+  monthlyLimit: '',
+  businessUnit: '',
+  status: 'Active',
+  reassignEntriesFrom: '',
+};
+
+const Cards = () => {
+  const { user } = useAuth();
+  const { businessUnits } = useMasterData();
+  const canManage = ['mis_manager', 'super_admin'].includes(user?.role);
+  const [cards, setCards] = useState([]);
+  const [holders, setHolders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingCard, setEditingCard] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [syncing, setSyncing] = useState(false);
+
+  const fetchCards = async () => {
+    try {
+      setLoading(true);
+      const response = await getCards();
+      if (response.success) {
+        setCards(response.data);
+      }
+    } catch {
+      toast.error('Failed to load cards');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchCards();
+      if (canManage) {
+        try {
+          const response = await getCardHolders();
+          if (response.success) setHolders(response.data);
+        } catch {
+          // Holder suggestions are optional
+        }
+      }
+    };
+    load();
+  }, [canManage]);
+
+  const handleOpenModal = (card = null) => {
+    setEditingCard(card);
+    setFormData(
+      card
+        ? {
+            maskedNumber: card.maskedNumber,
+            holderName: card.holder?.name || card.holderName || '',
+            issuingBank: card.issuingBank || '',
+            expiry: card.expiry ? card.expiry.slice(0, 7) : '',
+            monthlyLimit: card.monthlyLimit ?? '',
+            businessUnit: card.businessUnit || '',
+            status: card.status || 'Active',
+            reassignEntriesFrom: '',
+          }
+        : EMPTY_FORM
+    );
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingCard(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const holderChanged =
+    Boolean(editingCard) &&
+    formData.holderName.trim().toLowerCase() !==
+      (editingCard.holder?.name || editingCard.holderName || '').toLowerCase();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Link the holder to an app user when the typed name matches one
+    const holder = holders.find((u) => u.name.toLowerCase() === formData.holderName.trim().toLowerCase());
+    const payload = {
+      ...formData,
+      holder: holder?._id || '',
+      holderName: holder?.name || formData.holderName.trim(),
+      expiry: formData.expiry ? `${formData.expiry}-01` : '',
+    };
+
+    try {
+      if (editingCard) {
+        delete payload.maskedNumber;
+        if (!holderChanged) delete payload.reassignEntriesFrom;
+        await updateCard(editingCard._id, payload);
+        toast.success('Card updated successfully');
+      } else {
+        delete payload.reassignEntriesFrom;
+        const response = await createCard(payload);
+        toast.success(response.message || 'Card registered successfully');
+      }
+      handleCloseModal();
+      fetchCards();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Operation failed');
+    }
+  };
+
+  const handleDelete = async (card) => {
+    if (!window.confirm(`Delete card ${card.maskedNumber}?`)) return;
+    try {
+      await deleteCard(card._id);
+      toast.success('Card deleted successfully');
+      fetchCards();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete card');
+    }
+  };
+
+  const handleSync = async () => {
+    setSyncing(true);
+    try {
+      const response = await syncCardsFromEntries();
+      toast.success(response.message);
+      fetchCards();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sync cards');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const term = searchTerm.toLowerCase();
+  const filteredCards = cards.filter((card) =>
+    [card.maskedNumber, card.holder?.name, card.holderName, card.issuingBank, card.businessUnit]
+      .filter(Boolean)
+      .some((value) => value.toLowerCase().includes(term))
+  );
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-wrap justify-between items-center gap-3">
+          <h1 className="text-2xl font-bold text-gray-900">Card Registry</h1>
+          {canManage && (
+            <div className="flex gap-3">
+              <Button variant="outline" onClick={handleSync} disabled={syncing} title="Register cards found on existing entries">
+                <RefreshCw size={18} className="mr-2" />
+                {syncing ? 'Syncing...' : 'Sync from Entries'}
+              </Button>
+              <Button onClick={() => handleOpenModal()}>
+                <Plus size={18} className="mr-2" />
+                Add Card
+              </Button>
+            </div>
+          )}
+        </div>
+
+        {/* Search */}
+        <Card>
+          <div className="flex items-center space-x-3">
+            <div className="flex-1">
+              <Input
+                placeholder="Search by card number, holder, bank or business unit..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+              />
+            </div>
+            <Search size={20} className="text-gray-400" />
+          </div>
+        </Card>
+
+        {/* Cards Table */}
+        <Card>
+          {loading ? (
+            <Loading />
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Card', 'Holder', 'Bank', 'Expiry', 'This Month / Limit', 'Business Unit', 'Status', ''].map((heading) => (
+                      <th
+                        key={heading}
+                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                      >
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {filteredCards.map((card) => {
+                    const overLimit = card.monthlyLimit && card.currentMonthSpend > card.monthlyLimit;
+                    return (
+                      <tr key={card._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <Link to={`/cards/${card._id}`} className="text-sm font-semibold text-primary-700 hover:underline">
+                            {card.maskedNumber}
+                          </Link>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {card.holder?.name || card.holderName || '-'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{card.issuingBank || '-'}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                          {card.expiry ? formatDate(card.expiry, 'MM/yy') : '-'}
+                        </td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${overLimit ? 'text-rose-600 font-semibold' : 'text-gray-900'}`}>
+                          {formatCurrency(card.currentMonthSpend)}
+                          {card.monthlyLimit ? ` / ${formatCurrency(card.monthlyLimit)}` : ''}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{card.businessUnit}</td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <Badge variant={CARD_STATUS_VARIANTS[card.status] || 'default'}>{card.status}</Badge>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          {canManage && (
+                            <div className="flex space-x-3">
+                              <button
+                                onClick={() => handleOpenModal(card)}
+                                className="text-primary-600 hover:text-primary-800"
+                              >
+                                <Edit size={18} />
+                              </button>
+                              {user?.role === 'super_admin' && (
+                                <button onClick={() => handleDelete(card)} className="text-red-600 hover:text-red-800">
+                                  <Trash2 size={18} />
+                                </button>
+                              )}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {filteredCards.length === 0 && (
+                <div className="text-center py-12">
+                  <p className="text-gray-500">No cards found</p>
+                </div>
+              )}
+            </div>
+          )}
+        </Card>
+
+        {/* Add/Edit Card Modal */}
+        <Modal
+          isOpen={showModal}
+          onClose={handleCloseModal}
+          title={editingCard ? `Edit Card ${editingCard.maskedNumber}` : 'Register Card'}
+          size="md"
+        >
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <Input
+              label="Card Number"
+              name="maskedNumber"
+              value={formData.maskedNumber}
+              onChange={handleChange}
+              disabled={Boolean(editingCard)}
+              placeholder="Internal code (e.g., M003) or card number - only the last 4 digits are stored"
+              required
+            />
+
+            <div>
+              <Input
+                label="Holder"
+                name="holderName"
+                value={formData.holderName}
+                onChange={handleChange}
+                list="card-holder-options"
+                placeholder="Pick a user or type a name"
+              />
+              <datalist id="card-holder-options">
+                {holders.map((u) => (
+                  <option key={u._id} value={u.name} />
+                ))}
+              </datalist>
+            </div>
+
+            {holderChanged && (
+              <Input
+                label="Move Entries From"
+                type="date"
+                name="reassignEntriesFrom"
+                value={formData.reassignEntriesFrom}
+                onChange={handleChange}
+                hint="Entries on or after this date show the new holder. Leave blank to keep past entries as billed."
+              />
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Input label="Issuing Bank" name="issuingBank" value={formData.issuingBank} onChange={handleChange} />
+              <Input label="Expiry" type="month" name="expiry" value={formData.expiry} onChange={handleChange} />
+              <Input
+                label="Monthly Limit (INR)"
+                type="number"
+                step="0.01"
+                name="monthlyLimit"
+                value={formData.monthlyLimit}
+                onChange={handleChange}
+              />
+              <Select
+                label="Business Unit"
+                name="businessUnit"
+                value={formData.businessUnit}
+                onChange={handleChange}
+                options={businessUnits}
+                required
+              />
+              <Select
+                label="Status"
+                name="status"
+                value={formData.status}
+                onChange={handleChange}
+                options={CARD_STATUS_OPTIONS}
+                required
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <Button type="button" variant="secondary" onClick={handleCloseModal}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary">
+                {editingCard ? 'Update Card' : 'Register Card'}
+              </Button>
+            </div>
+          </form>
+        </Modal>
+      </div>
+    </Layout>
+  );
+};
+
+export default Cards;
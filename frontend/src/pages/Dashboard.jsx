@@ -1,5 +1,5 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import {
   Activity,
   BarChart3,
@@ -35,9 +35,13 @@ import Card from '../components/common/Card';
 import Button from '../components/common/Button';
 import Loading from '../components/common/Loading';
 import AdvancedFilter, { ADVANCED_FILTER_DEFAULTS } from '../components/common/AdvancedFilter';
+import BudgetWidget from '../components/dashboard/BudgetWidget';
+import SavedViews from '../components/dashboard/SavedViews';
 import { getExpenseStats, getExpenses, exportExpenses } from '../services/expenseService';
+import { getSavedView } from '../services/savedViewService';
 import { downloadFile, formatCurrency, formatDate, getRoleName } from '../utils/formatters';
 import { useAuth } from '../context/AuthContext';
+import { activeFilters, matchesView, viewStateFromParams, viewStateToParams } from '../utils/viewParams';
 
 const statusStyles = {
   Active: 'bg-emerald-50 text-emerald-700 border border-emerald-100',
@@ -73,6 +77,50 @@ const getSafeDate = (value) => {
   return parsed;
 };
 
+// The charts read every matching entry, so they ask only for the fields they aggregate; the detail table is paged
+const CHART_FIELDS =
+  'date,month,amount,amountInINR,status,recurring,businessUnit,typeOfService,costCenter,isShared,sharedAllocations,serviceHandler,cardAssignedTo';
+const TABLE_FIELDS = 'cardNumber,cardAssignedTo,serviceHandler,date,month,status,particulars,typeOfService,costCenter,amount,amountInINR';
+
+const enhanceExpense = (expense) => {
+  const amountValue = Number(expense.amountInINR ?? expense.amount ?? 0);
+  const dateObj = getSafeDate(expense.date);
+  const monthLabel = dateObj ? format(dateObj, 'MMM-yyyy') : expense.month || 'Unknown';
+
+  return {
+    ...expense,
+    amountValue,
+    amountBase: Number(expense.amount) || 0,
+    dateObj,
+    monthLabel,
+    recurringType: expense.recurring || 'One-time',
+    statusLabel: expense.status || 'Unknown',
+    businessUnitLabel: expense.businessUnit || 'Not tagged',
+    serviceLabel: expense.typeOfService || 'Other',
+    costCenterLabel: expense.costCenter || 'Not tagged',
+  };
+};
+
+const TABLE_PAGE_SIZE = 8;
+
+const requestTablePage = (query, page) => getExpenses({ ...query, page, limit: TABLE_PAGE_SIZE, fields: TABLE_FIELDS });
+
+// sort orders the detail table, as a saved view or link gives it
+const buildExpenseQuery = (filters, searchTerm, sort = '') => ({
+  ...filters,
+  ...(filters.sharedOnly === 'true' ? { isShared: 'true' } : {}),
+  search: searchTerm,
+  ...(sort ? { sort } : {}),
+});
+
+// The loaded dashboard as a view. The sheet columns are not shown here, so those of the open view carry through.
+const toViewState = (query, columns) => ({
+  filters: activeFilters(query),
+  search: query.search || '',
+  sort: query.sort || '',
+  columns,
+});
+
 const EmptyChartState = ({ message }) => (
   <div className="flex h-full flex-col items-center justify-center text-sm text-slate-500">
     <Activity size={20} className="mb-2 text-slate-400" />
@@ -82,6 +130,9 @@ const EmptyChartState = ({ message }) => (
 
 const Dashboard = () => {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // The link the dashboard was opened with, read once on load
+  const linkParams = useRef(searchParams);
   const { user } = useAuth();
   const filterRef = useRef(null);
   const createDefaultFilters = useCallback(() => ({ ...ADVANCED_FILTER_DEFAULTS }), []);
@@ -92,6 +143,12 @@ const Dashboard = () => {
   const [filters, setFilters] = useState(createDefaultFilters);
   const [exportLimit, setExportLimit] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
+  const [tableRows, setTableRows] = useState([]);
+  const [tableTotal, setTableTotal] = useState(0);
+  // Query of the loaded charts, which the detail table pages through
+  const [tableQuery, setTableQuery] = useState({});
+  const [activeView, setActiveView] = useState(null);
+  const [viewColumns, setViewColumns] = useState([]);
   const [pieGrouping, setPieGrouping] = useState('businessUnit');
   const [serviceMetric, setServiceMetric] = useState('expense');
   const [serviceView, setServiceView] = useState('total');
@@ -100,7 +157,6 @@ const Dashboard = () => {
   const [sharedOnly, setSharedOnly] = useState(false);
   const [sharedChartType, setSharedChartType] = useState('bar'); // 'bar' | 'pie'
   const [sharedMetric, setSharedMetric] = useState('expense'); // 'expense' | 'count'
-  const itemsPerPage = 8;
   const serviceHandlerOptions = useMemo(
     () =>
       [...new Set(expenses.map((expense) => expense.serviceHandler).filter(Boolean))]
@@ -114,12 +170,30 @@ const Dashboard = () => {
     [expenses]
   );
 
-  const loadInitialDashboard = useCallback(async () => {
+  const applyTablePage = (response, query) => {
+    if (!response.success) return;
+    setTableRows(response.data);
+    setTableTotal(response.total);
+    setCurrentPage(response.page);
+    setTableQuery(query);
+  };
+
+  // Load the dashboard, opened on a view when a saved view or link gives one
+  const loadInitialDashboard = useCallback(async (initialView = null, savedView = null) => {
     try {
       setLoading(true);
-      const [statsResponse, expenseResponse] = await Promise.all([
+      const initialFilters = { ...createDefaultFilters(), ...initialView?.filters };
+      const initialSearch = initialView?.search || '';
+      setFilters(initialFilters);
+      setSharedOnly(initialFilters.sharedOnly === 'true');
+      setSearchTerm(initialSearch);
+      setViewColumns(initialView?.columns || []);
+      setActiveView(savedView);
+      const query = buildExpenseQuery(initialFilters, initialSearch, initialView?.sort);
+      const [statsResponse, expenseResponse, tableResponse] = await Promise.all([
         getExpenseStats(),
-        getExpenses({ ...createDefaultFilters(), search: '' }),
+        getExpenses({ ...query, fields: CHART_FIELDS }),
+        requestTablePage(query, 1),
       ]);
 
       if (statsResponse.success) {
@@ -129,6 +203,12 @@ const Dashboard = () => {
       if (expenseResponse.success) {
         setExpenses(expenseResponse.data);
       }
+      if (tableResponse.success) {
+        setTableRows(tableResponse.data);
+        setTableTotal(tableResponse.total);
+        setCurrentPage(1);
+        setTableQuery(query);
+      }
     } catch (error) {
       console.error('Failed to load dashboard data', error);
       toast.error('Failed to load dashboard data');
@@ -138,20 +218,39 @@ const Dashboard = () => {
   }, [createDefaultFilters]);
 
   useEffect(() => {
-    loadInitialDashboard();
+    const viewId = linkParams.current.get('view');
+    if (!viewId) {
+      loadInitialDashboard(viewStateFromParams(linkParams.current));
+      return;
+    }
+    getSavedView(viewId)
+      .then((response) => loadInitialDashboard(response.data, response.data))
+      .catch(() => {
+        toast.error('Saved view not found');
+        loadInitialDashboard();
+      });
   }, [loadInitialDashboard]);
 
+  useEffect(() => {
+    if (loading) return;
+    const state = toViewState(tableQuery, viewColumns);
+    setSearchParams(matchesView(activeView, state) ? { view: activeView._id } : viewStateToParams(state), {
+      replace: true,
+    });
+  }, [loading, tableQuery, viewColumns, activeView, setSearchParams]);
+
   const fetchExpenses = async (customFilters = filters, customSearchTerm = searchTerm) => {
     try {
       setLoading(true);
-      const response = await getExpenses({
-        ...customFilters,
-        ...(sharedOnly ? { isShared: 'true' } : {}),
-        search: customSearchTerm,
-      });
+      const query = buildExpenseQuery(customFilters, customSearchTerm, tableQuery.sort);
+      const [response, tableResponse] = await Promise.all([
+        getExpenses({ ...query, fields: CHART_FIELDS }),
+        requestTablePage(query, 1),
+      ]);
       if (response.success) {
         setExpenses(response.data);
       }
+      applyTablePage(tableResponse, query);
     } catch (error) {
       console.error('Failed to load expenses', error);
       toast.error('Failed to load expenses');
@@ -160,8 +259,24 @@ const Dashboard = () => {
     }
   };
 
+  const changeTablePage = async (page) => {
+    try {
+      applyTablePage(await requestTablePage(tableQuery, page), tableQuery);
+    } catch (error) {
+      console.error('Failed to load expenses', error);
+      toast.error('Failed to load expenses');
+    }
+  };
+
+  const handleSelectView = (view) => {
+    if (view) {
+      loadInitialDashboard(view, view);
+      return;
+    }
+    setActiveView(null);
+  };
+
   const handleSearch = () => {
-    setCurrentPage(1);
     fetchExpenses(filters, searchTerm);
   };
 
@@ -183,6 +298,7 @@ const Dashboard = () => {
     setSharedOnly(false);
     setSearchTerm('');
     setExportLimit('');
+    setActiveView(null);
     setCurrentPage(1);
     fetchExpenses(resetFilters, '');
   };
@@ -205,28 +321,8 @@ const Dashboard = () => {
     }
   };
 
-  const enhancedExpenses = useMemo(
-    () =>
-      expenses.map((expense) => {
-        const amountValue = Number(expense.amountInINR ?? expense.amount ?? 0);
-        const dateObj = getSafeDate(expense.date);
-        const monthLabel = dateObj ? format(dateObj, 'MMM-yyyy') : expense.month || 'Unknown';
-
-        return {
-          ...expense,
-          amountValue,
-          amountBase: Number(expense.amount) || 0,
-          dateObj,
-          monthLabel,
-          recurringType: expense.recurring || 'One-time',
-          statusLabel: expense.status || 'Unknown',
-          businessUnitLabel: expense.businessUnit || 'Not tagged',
-          serviceLabel: expense.typeOfService || 'Other',
-          costCenterLabel: expense.costCenter || 'Not tagged',
-        };
-      }),
-    [expenses]
-  );
+  const enhancedExpenses = useMemo(() => expenses.map(enhanceExpense), [expenses]);
+  const tableExpenses = useMemo(() => tableRows.map(enhanceExpense), [tableRows]);
 
   const buildAggregatedMetrics = (list, keySelector) => {
     const map = {};
@@ -400,11 +496,9 @@ const Dashboard = () => {
     };
   }, [enhancedExpenses]);
 
-  const visibleExpenses = enhancedExpenses;
-  const paginatedExpenses = visibleExpenses.slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage);
-  const totalPages = Math.max(1, Math.ceil(visibleExpenses.length / itemsPerPage));
-  const startRow = visibleExpenses.length === 0 ? 0 : (currentPage - 1) * itemsPerPage + 1;
-  const endRow = visibleExpenses.length === 0 ? 0 : Math.min(currentPage * itemsPerPage, visibleExpenses.length);
+  const totalPages = Math.max(1, Math.ceil(tableTotal / TABLE_PAGE_SIZE));
+  const startRow = tableTotal === 0 ? 0 : (currentPage - 1) * TABLE_PAGE_SIZE + 1;
+  const endRow = tableTotal === 0 ? 0 : (currentPage - 1) * TABLE_PAGE_SIZE + tableExpenses.length;
   const activeFilterCount = Object.values(filters).filter((value) => value !== '' && value !== null && value !== undefined).length;
   const canFilterBusinessUnit = ['mis_manager', 'super_admin'].includes(user?.role);
   const canFilterServiceHandler = ['mis_manager', 'super_admin', 'business_unit_admin', 'spoc'].includes(user?.role);
@@ -480,10 +574,12 @@ const Dashboard = () => {
   const canAddEntry = ['mis_manager', 'super_admin', 'spoc', 'business_unit_admin'].includes(user?.role);
   const canBulkUpload = ['mis_manager', 'super_admin'].includes(user?.role);
   const canExport = ['mis_manager', 'super_admin', 'business_unit_admin', 'spoc', 'service_handler'].includes(user?.role);
+  const canSeeBudgets = ['mis_manager', 'super_admin', 'business_unit_admin', 'spoc'].includes(user?.role);
 
   const systemTotals = {
     totalExpenses: stats?.overall?.totalExpenses || 0,
     totalEntries: stats?.overall?.totalEntries || 0,
+    totalRevaluedINR: stats?.overall?.totalRevaluedINR || 0,
   };
 
   if (loading) {
@@ -580,10 +676,7 @@ const Dashboard = () => {
               <input
                 type="text"
                 value={searchTerm}
-                onChange={(e) => {
-                  setSearchTerm(e.target.value);
-                  setCurrentPage(1);
-                }}
+                onChange={(e) => setSearchTerm(e.target.value)}
                 onKeyDown={(e) => {
                   if (e.key === 'Enter') {
                     e.preventDefault();
@@ -620,6 +713,14 @@ const Dashboard = () => {
             </div>
           </div>
 
+          <div className="mb-4">
+            <SavedViews
+              state={toViewState(tableQuery, viewColumns)}
+              activeView={activeView}
+              onSelect={handleSelectView}
+            />
+          </div>
+
           <div className="flex flex-wrap items-center gap-4 text-sm text-slate-600">
             <label className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white/80 px-3 py-1.5">
               <span>Rows to export</span>
@@ -648,7 +749,14 @@ const Dashboard = () => {
             </label>
             <span className="inline-flex items-center gap-2 rounded-full bg-slate-100 px-3 py-1 text-xs text-slate-600">
               <PieChart size={14} />
-              System total: {formatCompactCurrency(systemTotals.totalExpenses)} · {formatCompactNumber(systemTotals.totalEntries)} entries
+              System total: {formatCompactCurrency(systemTotals.totalExpenses)} booked · {formatCompactNumber(systemTotals.totalEntries)} entries
+            </span>
+            <span
+              className="inline-flex items-center gap-2 rounded-full bg-slate-100 px-3 py-1 text-xs text-slate-600"
+              title="Original amounts converted at today's exchange rates. Booked INR keeps the rate of each transaction date."
+            >
+              <IndianRupee size={14} />
+              Revalued at today's rate: {formatCompactCurrency(systemTotals.totalRevaluedINR)}
             </span>
           </div>
         </Card>
@@ -946,6 +1054,8 @@ const Dashboard = () => {
           </Card>
         </div>
 
+        {canSeeBudgets && <BudgetWidget />}
+
         <Card
           title="Filtered Detail Slice"
           subtitle="Lean view of the filtered global sheet (drill down without exposing the full sheet)"
@@ -966,14 +1076,14 @@ const Dashboard = () => {
                 </tr>
               </thead>
               <tbody className="divide-y divide-slate-100">
-                {paginatedExpenses.length === 0 ? (
+                {tableExpenses.length === 0 ? (
                   <tr>
                     <td colSpan={8} className="px-4 py-6 text-center text-slate-500">
                       No expense entries found for these filters.
                     </td>
                   </tr>
                 ) : (
-                  paginatedExpenses.map((expense) => (
+                  tableExpenses.map((expense) => (
                     <tr key={expense._id} className="hover:bg-slate-50">
                       <td className="whitespace-nowrap px-4 py-3 text-slate-900 font-semibold">{expense.cardNumber || '-'}</td>
                       <td className="whitespace-nowrap px-4 py-3 text-slate-700">
@@ -1004,14 +1114,14 @@ const Dashboard = () => {
 
           <div className="mt-4 flex flex-col gap-3 text-sm text-slate-600 md:flex-row md:items-center md:justify-between">
             <span>
-              Showing {startRow} to {endRow} of {visibleExpenses.length} entries
+              Showing {startRow} to {endRow} of {tableTotal} entries
             </span>
             <div className="flex items-center gap-2">
               <Button
                 variant="secondary"
                 size="sm"
                 disabled={currentPage === 1}
-                onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+                onClick={() => changeTablePage(currentPage - 1)}
               >
                 Previous
               </Button>
@@ -1022,7 +1132,7 @@ const Dashboard = () => {
                 variant="secondary"
                 size="sm"
                 disabled={currentPage === totalPages}
-                onClick={() => setCurrentPage((prev) => Math.min(prev + 1, totalPages))}
+                onClick={() => changeTablePage(currentPage + 1)}
               >
                 Next
               </Button>
@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react';
+import Layout from '../components/layout/Layout';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Badge from '../components/common/Badge';
+import Loading from '../components/common/Loading';
+import { getDuplicateReviews, decideDuplicateReview } from '../services/duplicateReviewService';
+import { formatCurrency, formatDate, formatDateTime } from '../utils/formatters';
+import toast from 'react-hot-toast';
+
+const STATUS_TABS = [
+  { value: 'pending', label: 'To review' },
+  { value: 'same', label: 'Same' },
+  { value: 'merged', label: 'Merged' },
+  { value: 'different', label: 'Different' },
+];
+
+const DECISIONS = [
+  { value: 'same', label: 'Same entry', variant: 'danger', hint: 'Recycle the new entry' },
+  { value: 'merge', label: 'Merge', variant: 'secondary', hint: 'Fold it into the existing entry; undoable from its history' },
+  { value: 'different', label: 'Different', variant: 'outline', hint: 'Keep both' },
+];
+
+const EntrySummary = ({ title, entry }) => (
+  <div className="rounded-xl border border-slate-200 bg-white p-4 text-sm">
+    <p className="text-xs uppercase tracking-[0.2em] text-slate-400">{title}</p>
+    <p className="mt-1 font-semibold text-slate-900">{entry.particulars}</p>
+    <p className="text-slate-600">
+      {formatDate(entry.date)} · {formatCurrency(entry.amount, entry.currency)}
+      {entry.currency !== 'INR' && entry.amountInINR ? ` · ${formatCurrency(entry.amountInINR)}` : ''}
+    </p>
+    <p className="text-xs text-slate-500">
+      {entry.cardNumber} · {entry.cardAssignedTo || '-'} · {entry.serviceHandler || '-'}
+    </p>
+    {entry.narration && entry.narration !== entry.particulars && (
+      <p className="text-xs text-slate-500">{entry.narration}</p>
+    )}
+  </div>
+);
+
+// What made the pair look alike, in words
+const describeSignals = ({ signals }) =>
+  [
+    signals.dayDiff ? `${signals.dayDiff} day${signals.dayDiff > 1 ? 's' : ''} apart` : 'same day',
+    signals.amountDiffPercent ? `amounts ${signals.amountDiffPercent}% apart` : 'same amount',
+    `particulars ${Math.round(signals.textSimilarity * 100)}% alike`,
+    signals.sameCard ? 'same card' : 'different card',
+  ].join(' · ');
+
+const DuplicateReviews = () => {
+  const [status, setStatus] = useState('pending');
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [decidingId, setDecidingId] = useState(null);
+
+  const fetchReviews = async (nextStatus) => {
+    try {
+      setLoading(true);
+      const response = await getDuplicateReviews(nextStatus);
+      if (response.success) setReviews(response.data);
+    } catch {
+      toast.error('Failed to load suspected duplicates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchReviews(status);
+    };
+    load();
+  }, [status]);
+
+  const handleDecision = async (review, decision) => {
+    setDecidingId(review._id);
+    try {
+      const response = await decideDuplicateReview(review._id, decision);
+      toast.success(response.message);
+      // A recycled entry takes its other pending pairs with it
+      fetchReviews(status);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save the decision');
+    } finally {
+      setDecidingId(null);
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Duplicate Review</h1>
+          <p className="text-sm text-gray-500">
+            New entries that match an existing one exactly or closely resemble it: a few days apart, a small amount
+            difference or a slightly different name.
+          </p>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              type="button"
+              onClick={() => setStatus(tab.value)}
+              className={`px-4 py-1.5 text-sm font-semibold rounded-full ${
+                status === tab.value ? 'bg-primary-600 text-white' : 'bg-white text-slate-600 border border-slate-200'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <Loading />
+        ) : reviews.length === 0 ? (
+          <Card>
+            <div className="text-center py-12">
+              <p className="text-gray-500">
+                {status === 'pending' ? 'No suspected duplicates to review' : 'No decisions of this kind yet'}
+              </p>
+            </div>
+          </Card>
+        ) : (
+          reviews.map((review) => (
+            <Card key={review._id}>
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-3">
+                  <Badge variant={review.score >= 0.85 ? 'danger' : 'warning'}>
+                    {Math.round(review.score * 100)}% match
+                  </Badge>
+                  <span className="text-sm text-slate-600">{describeSignals(review)}</span>
+                </div>
+                <span className="text-xs text-slate-500">
+                  {review.source === 'bulk_upload' ? 'Bulk upload' : 'Manual entry'} · {review.entry?.businessUnit}
+                </span>
+              </div>
+
+              <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-2">
+                {review.entry ? (
+                  <EntrySummary title="New entry" entry={review.entry} />
+                ) : (
+                  <p className="text-sm text-slate-500">The new entry is in the recycle bin</p>
+                )}
+                {review.candidate ? (
+                  <EntrySummary title="Existing entry" entry={review.candidate} />
+                ) : (
+                  <p className="text-sm text-slate-500">The existing entry has been deleted</p>
+                )}
+              </div>
+
+              {status === 'pending' ? (
+                <div className="mt-4 flex flex-wrap gap-3">
+                  {DECISIONS.map((decision) => (
+                    <Button
+                      key={decision.value}
+                      size="sm"
+                      variant={decision.variant}
+                      title={decision.hint}
+                      disabled={decidingId === review._id}
+                      onClick={() => handleDecision(review, decision.value)}
+                    >
+                      {decision.label}
+                    </Button>
+                  ))}
+                </div>
+              ) : (
+                <p className="mt-4 text-xs text-slate-500">
+                  Decided {formatDateTime(review.decidedAt)} by {review.decidedBy?.name || '-'}
+                </p>
+              )}
+            </Card>
+          ))
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default DuplicateReviews;
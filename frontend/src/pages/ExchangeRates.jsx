@@ -0,0 +1,336 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Upload, Trash2, FileSpreadsheet } from 'lucide-react';
+import Layout from '../components/layout/Layout';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import Select from '../components/common/Select';
+import Badge from '../components/common/Badge';
+import Loading from '../components/common/Loading';
+import {
+  getExchangeRates,
+  uploadRateTable,
+  getRateOverrides,
+  saveRateOverride,
+  deleteRateOverride,
+} from '../services/exchangeRateService';
+import { useMasterData } from '../context/useMasterData';
+import { formatDate } from '../utils/formatters';
+import toast from 'react-hot-toast';
+
+const PROVIDER_LABELS = {
+  manual: 'Manual monthly override',
+  table: 'Uploaded rate table',
+  http: 'Live API',
+};
+
+const EMPTY_OVERRIDE = {
+  month: '',
+  baseCurrency: '',
+  rate: '',
+  note: '',
+};
+
+const ExchangeRates = () => {
+  const { currencies } = useMasterData();
+  const foreignCurrencies = currencies.filter((currency) => currency !== 'INR');
+  const [rates, setRates] = useState([]);
+  const [providerChain, setProviderChain] = useState([]);
+  const [overrides, setOverrides] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currencyFilter, setCurrencyFilter] = useState('');
+  const [overrideForm, setOverrideForm] = useState(EMPTY_OVERRIDE);
+  const [file, setFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [uploadResult, setUploadResult] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [ratesResponse, overridesResponse] = await Promise.all([
+        getExchangeRates({ currency: currencyFilter || undefined }),
+        getRateOverrides(),
+      ]);
+      if (ratesResponse.success) {
+        setRates(ratesResponse.data);
+        setProviderChain(ratesResponse.providerChain || []);
+      }
+      if (overridesResponse.success) {
+        setOverrides(overridesResponse.data);
+      }
+    } catch {
+      toast.error('Failed to load exchange rates');
+    } finally {
+      setLoading(false);
+    }
+  }, [currencyFilter]);
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchData();
+    };
+    load();
+  }, [fetchData]);
+
+  const handleOverrideChange = (e) => {
+    setOverrideForm({
+      ...overrideForm,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSaveOverride = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await saveRateOverride(overrideForm);
+      toast.success(response.message || 'Manual rate saved');
+      setOverrideForm(EMPTY_OVERRIDE);
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save manual rate');
+    }
+  };
+
+  const handleDeleteOverride = async (override) => {
+    if (!window.confirm(`Remove the manual ${override.baseCurrency} rate for ${override.month}?`)) return;
+    try {
+      await deleteRateOverride(override._id);
+      toast.success('Manual rate removed');
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove manual rate');
+    }
+  };
+
+  const handleUpload = async () => {
+    if (!file) {
+      toast.error('Please select a file to upload');
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const response = await uploadRateTable(file);
+      if (response.success) {
+        setUploadResult(response.data);
+        toast.success(response.message);
+        setFile(null);
+        document.getElementById('rate-file-input').value = '';
+        fetchData();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Upload failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Exchange Rates</h1>
+          <p className="text-gray-600">
+            Entries lock the rate of their transaction date. Providers are tried in order until one has a rate:
+          </p>
+          <div className="flex flex-wrap gap-2 mt-2">
+            {providerChain.map((name, index) => (
+              <Badge key={name} variant="info">
+                {index + 1}. {PROVIDER_LABELS[name] || name}
+              </Badge>
+            ))}
+            <Badge>Static default (last resort)</Badge>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          {/* Manual overrides */}
+          <Card title="Manual Monthly Rates" subtitle="Used for every transaction in the month, ahead of tables and the API">
+            <form onSubmit={handleSaveOverride} className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+              <Input
+                label="Month"
+                type="month"
+                name="month"
+                value={overrideForm.month}
+                onChange={handleOverrideChange}
+                required
+              />
+              <Select
+                label="Currency"
+                name="baseCurrency"
+                value={overrideForm.baseCurrency}
+                onChange={handleOverrideChange}
+                options={foreignCurrencies}
+                required
+              />
+              <Input
+                label="Rate (INR per unit)"
+                type="number"
+                step="0.0001"
+                name="rate"
+                value={overrideForm.rate}
+                onChange={handleOverrideChange}
+                required
+              />
+              <Input
+                label="Note"
+                name="note"
+                value={overrideForm.note}
+                onChange={handleOverrideChange}
+                placeholder="e.g., RBI reference rate"
+              />
+              <div className="md:col-span-2 flex justify-end">
+                <Button type="submit">Save Manual Rate</Button>
+              </div>
+            </form>
+
+            {overrides.length === 0 ? (
+              <p className="text-sm text-gray-500">No manual rates configured</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Month</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Pair</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rate</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Note</th>
+                      <th className="px-4 py-2" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {overrides.map((override) => (
+                      <tr key={override._id}>
+                        <td className="px-4 py-2">{override.month}</td>
+                        <td className="px-4 py-2">{override.baseCurrency}-{override.quoteCurrency}</td>
+                        <td className="px-4 py-2 font-medium">{override.rate}</td>
+                        <td className="px-4 py-2 text-gray-600">{override.note || '-'}</td>
+                        <td className="px-4 py-2 text-right">
+                          <button
+                            onClick={() => handleDeleteOverride(override)}
+                            className="text-red-600 hover:text-red-800"
+                            title="Remove manual rate"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </Card>
+
+          {/* Rate table upload */}
+          <Card title="Upload Rate Table" subtitle="CSV or Excel with Date, Currency, Rate and optional To (defaults to INR) columns">
+            <div className="space-y-4">
+              <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-primary-400 transition-colors">
+                <Upload size={36} className="mx-auto text-gray-400 mb-3" />
+                <label htmlFor="rate-file-input" className="cursor-pointer">
+                  <span className="text-primary-600 font-medium hover:text-primary-700">Click to select a file</span>
+                  <p className="text-xs text-gray-500 mt-2">Excel (.xlsx, .xls) or CSV files only</p>
+                </label>
+                <input
+                  id="rate-file-input"
+                  type="file"
+                  accept=".xlsx,.xls,.csv"
+                  onChange={(e) => {
+                    setFile(e.target.files[0] || null);
+                    setUploadResult(null);
+                  }}
+                  className="hidden"
+                />
+              </div>
+
+              {file && (
+                <div className="flex items-center justify-between p-4 bg-blue-50 rounded-lg">
+                  <div className="flex items-center space-x-3">
+                    <FileSpreadsheet size={24} className="text-blue-600" />
+                    <p className="font-medium text-gray-900">{file.name}</p>
+                  </div>
+                  <Button onClick={handleUpload} disabled={uploading}>
+                    {uploading ? 'Uploading...' : 'Upload Rates'}
+                  </Button>
+                </div>
+              )}
+
+              {uploadResult && (
+                <div className="space-y-2 text-sm">
+                  <p>
+                    <span className="font-semibold text-emerald-700">{uploadResult.success}</span> saved ·{' '}
+                    <span className="font-semibold text-rose-700">{uploadResult.failed}</span> failed of {uploadResult.total}
+                  </p>
+                  {uploadResult.errors?.length > 0 && (
+                    <ul className="max-h-40 overflow-y-auto space-y-1 text-rose-700">
+                      {uploadResult.errors.map((err) => (
+                        <li key={err.row}>Row {err.row}: {err.error}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+          </Card>
+        </div>
+
+        {/* History */}
+        <Card
+          title="Rate History"
+          subtitle="Rates recorded from the live API and uploaded tables"
+          headerAction={
+            <Select
+              name="currencyFilter"
+              value={currencyFilter}
+              onChange={(e) => setCurrencyFilter(e.target.value)}
+              options={foreignCurrencies}
+              placeholder="All currencies"
+            />
+          }
+        >
+          {loading ? (
+            <Loading />
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Pair</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rate</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Uploaded By</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {rates.map((rate) => (
+                    <tr key={rate._id}>
+                      <td className="px-4 py-2">{formatDate(rate.date)}</td>
+                      <td className="px-4 py-2">{rate.baseCurrency}-{rate.quoteCurrency}</td>
+                      <td className="px-4 py-2 font-medium">{rate.rate}</td>
+                      <td className="px-4 py-2">
+                        <Badge variant={rate.source === 'table' ? 'warning' : 'info'}>
+                          {PROVIDER_LABELS[rate.source] || rate.source}
+                        </Badge>
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">{rate.uploadedBy?.name || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {rates.length === 0 && (
+                <div className="text-center py-12">
+                  <p className="text-gray-500">No rates recorded yet</p>
+                </div>
+              )}
+            </div>
+          )}
+        </Card>
+      </div>
+    </Layout>
+  );
+};
+
+export default ExchangeRates;
@@ -1,97 +1,253 @@
-import { useState, useEffect, useMemo } from 'react';
-import { Search, Filter, Download, Upload, CheckCircle2, ListChecks } from 'lucide-react';
+import { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Search, Filter, Download, Upload, CheckCircle2, ListChecks, Paperclip } from 'lucide-react';
 import Layout from '../components/layout/Layout';
 import Card from '../components/common/Card';
 import Button from '../components/common/Button';
 import Input from '../components/common/Input';
 import Select from '../components/common/Select';
 import ExpenseTable from '../components/dashboard/ExpenseTable';
+import AttachmentsModal from '../components/dashboard/AttachmentsModal';
+import EntryHistory from '../components/dashboard/EntryHistory';
+import BatchEditBar from '../components/dashboard/BatchEditBar';
+import MergeEntriesModal from '../components/dashboard/MergeEntriesModal';
+import SavedViews from '../components/dashboard/SavedViews';
+import QueryBar from '../components/common/QueryBar';
+import ColumnPicker from '../components/dashboard/ColumnPicker';
 import Modal from '../components/common/Modal';
 import AdvancedFilter, { ADVANCED_FILTER_DEFAULTS } from '../components/common/AdvancedFilter';
-import { getExpenses, exportExpenses, deleteExpense, updateExpense } from '../services/expenseService';
-import { useAuth } from '../context/AuthContext';
 import {
-  STATUS_OPTIONS,
-  TYPES_OF_EXPENSE,
-  COST_CENTERS,
-  APPROVED_BY,
-  RECURRING_OPTIONS,
-  CURRENCIES,
-  BUSINESS_UNITS,
-} from '../utils/constants';
+  getExpenses,
+  exportExpenses,
+  deleteExpense,
+  updateExpense,
+  batchUpdateExpenses,
+  mergeExpenses,
+} from '../services/expenseService';
+import { getSavedView } from '../services/savedViewService';
+import { useAuth } from '../context/AuthContext';
+import { useMasterData } from '../context/useMasterData';
+import { STATUS_OPTIONS, RECURRING_OPTIONS } from '../utils/constants';
 import { downloadFile } from '../utils/formatters';
 import toast from 'react-hot-toast';
 import { getMonthYear } from '../utils/formatters';
+import { filtersToQuery } from '../utils/filterQuery';
+import { activeFilters, parseSortParam, sortToParam, viewStateFromParams, viewStateToParams, matchesView } from '../utils/viewParams';
+
+// Keep a since-deactivated value selectable on the entry that already uses it
+const withCurrentValue = (options, value) => (value && !options.includes(value) ? [...options, value] : options);
+
+const DEFAULT_SORT = [{ field: 'date', order: 'desc' }];
+const ITEMS_PER_PAGE = 20;
+
+const createDefaultFilters = () => ({ ...ADVANCED_FILTER_DEFAULTS });
+
+// The list request for the filter form's values and the search box
+const toExpenseQuery = (filters, search) => ({
+  ...filters,
+  search,
+  ...(filters.sharedOnly === 'true' && { isShared: 'true' }),
+});
+
+const requestExpenses = (query, page, sortBy, withSummary) =>
+  getExpenses({
+    ...query,
+    page,
+    limit: ITEMS_PER_PAGE,
+    sort: sortToParam(sortBy),
+    ...(withSummary && { summary: 'true' }),
+  });
+
+const toViewState = (query, sort, columns) => ({
+  filters: activeFilters(query),
+  search: query.search || '',
+  sort: sortToParam(sort),
+  columns,
+});
 
 const Expenses = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
   const { user } = useAuth();
+  const { businessUnits, typesOfService, costCenters, approvers, currencies } = useMasterData();
   const canSeeDuplicateControls = user?.role === 'mis_manager';
   const canFilterBusinessUnit = ['mis_manager', 'super_admin'].includes(user?.role);
   const canEditCardAssignedTo = user?.role === 'mis_manager';
   const canFilterServiceHandler = ['mis_manager', 'super_admin', 'business_unit_admin', 'spoc'].includes(user?.role);
   const canFilterCardAssigned = ['mis_manager', 'super_admin', 'business_unit_admin', 'spoc'].includes(user?.role);
   const canEditSharedAllocations = ['mis_manager', 'super_admin'].includes(user?.role);
-  const createDefaultFilters = () => ({ ...ADVANCED_FILTER_DEFAULTS });
+  const canBatchEdit = ['mis_manager', 'super_admin'].includes(user?.role);
   const [expenses, setExpenses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showEditModal, setShowEditModal] = useState(false);
   const [selectedExpense, setSelectedExpense] = useState(null);
+  const [attachmentsExpense, setAttachmentsExpense] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [filters, setFilters] = useState(createDefaultFilters);
   const [showDuplicateStatus, setShowDuplicateStatus] = useState(canSeeDuplicateControls);
   const [duplicateExportMode, setDuplicateExportMode] = useState('all');
   const [exportLimit, setExportLimit] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
-  const itemsPerPage = 20;
-  const mergedCount = expenses.filter((e) => e.duplicateStatus === 'Merged').length;
-  const uniqueCount = expenses.filter((e) => e.duplicateStatus === 'Unique').length;
+  // Filters of the loaded list, which "apply to all matching" sends rather than unsubmitted filter edits
+  const [appliedQuery, setAppliedQuery] = useState({});
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [batchApplying, setBatchApplying] = useState(false);
+  const [mergeEntries, setMergeEntries] = useState(null);
+  const [merging, setMerging] = useState(false);
+  // The server pages and sorts the list; the summary covers every matching entry, not just the page
+  const [sort, setSort] = useState(DEFAULT_SORT);
+  const [total, setTotal] = useState(0);
+  const [summary, setSummary] = useState(null);
+  // Sheet columns to show (all when empty) and the saved view the sheet was opened from
+  const [columns, setColumns] = useState([]);
+  const [activeView, setActiveView] = useState(null);
+  // Filter with a typed query instead of the form; the query goes to the server as q
+  const [queryMode, setQueryMode] = useState(false);
+  const [queryText, setQueryText] = useState('');
+  const [queryError, setQueryError] = useState('');
+  const totalPages = Math.max(1, Math.ceil(total / ITEMS_PER_PAGE));
+  const mergedCount = summary?.merged || 0;
+  const uniqueCount = summary?.unique || 0;
   const duplicateHelp =
-    'Merged = exact duplicate entries detected against existing records. Unique = entries that do not match any existing record.';
-  const totalEntries = expenses.length;
-  const activeServices = expenses.filter((e) => e.status === 'Active').length;
-  const serviceHandlerOptions = useMemo(
-    () =>
-      [...new Set(expenses.map((expense) => expense.serviceHandler).filter(Boolean))]
-        .sort((a, b) => a.localeCompare(b)),
-    [expenses]
-  );
-  const cardAssignedOptions = useMemo(
-    () =>
-      [...new Set(expenses.map((expense) => expense.cardAssignedTo).filter(Boolean))]
-        .sort((a, b) => a.localeCompare(b)),
-    [expenses]
-  );
+    'Merged = entries a duplicate was folded into, from duplicate review or a merge. Unique = entries nothing was merged into.';
+  const totalEntries = total;
+  const activeServices = summary?.active || 0;
+  const missingBills = summary?.missingBills || 0;
+  const serviceHandlerOptions = summary?.serviceHandlers || [];
+  const cardAssignedOptions = summary?.cardHolders || [];
+
+  // The loaded list as a view, which the URL mirrors and "Save view" stores
+  const viewState = toViewState(appliedQuery, sort, columns);
 
   useEffect(() => {
-    fetchExpenses();
-  }, []);
+    if (loading) return;
+    const state = toViewState(appliedQuery, sort, columns);
+    setSearchParams(matchesView(activeView, state) ? { view: activeView._id } : viewStateToParams(state), {
+      replace: true,
+    });
+  }, [loading, appliedQuery, sort, columns, activeView, setSearchParams]);
 
   useEffect(() => {
     setShowDuplicateStatus(canSeeDuplicateControls);
   }, [user]);
 
-  const fetchExpenses = async (customFilters = filters, customSearchTerm = searchTerm) => {
+  // The first page of a new list, with its summary
+  const loadExpenses = useCallback(async (payload, sortBy) => {
     try {
       setLoading(true);
-      const payload = {
-        ...customFilters,
-        search: customSearchTerm,
-      };
-      if (customFilters.sharedOnly === 'true') {
-        payload.isShared = 'true';
-      }
-      const response = await getExpenses(payload);
+      const response = await requestExpenses(payload, 1, sortBy, true);
       if (response.success) {
         setExpenses(response.data);
+        setTotal(response.total);
+        setSummary(response.summary);
+        setAppliedQuery(payload);
+        setSelectedIds(new Set());
         setCurrentPage(1);
+        setQueryError('');
       }
     } catch (error) {
+      // A query that does not parse is shown under the query bar
+      if (payload.q && error.response?.status === 400) setQueryError(error.response.data.message);
+      else toast.error('Failed to load expenses');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchExpenses = (customFilters = filters, customSearchTerm = searchTerm, customSort = sort) =>
+    loadExpenses(toExpenseQuery(customFilters, customSearchTerm), customSort);
+
+  // Another page or sort order of the loaded list: filters, summary and selection stay as they are
+  const loadPage = async (page, sortBy = sort) => {
+    try {
+      setLoading(true);
+      const response = await requestExpenses(appliedQuery, page, sortBy, false);
+      if (response.success) {
+        setExpenses(response.data);
+        setTotal(response.total);
+        setCurrentPage(page);
+      }
+    } catch {
       toast.error('Failed to load expenses');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleSortChange = (nextSort) => {
+    setSort(nextSort);
+    loadPage(1, nextSort);
+  };
+
+  // Load a saved view, or a view from a link; view is the saved view being opened, if any
+  const applyView = useCallback((state, view = null) => {
+    const nextFilters = { ...createDefaultFilters(), ...state.filters };
+    const nextSort = parseSortParam(state.sort);
+    const sortBy = nextSort.length ? nextSort : DEFAULT_SORT;
+    setFilters(nextFilters);
+    setSearchTerm(state.search || '');
+    setSort(sortBy);
+    setColumns(state.columns || []);
+    setActiveView(view);
+    setQueryMode(Boolean(nextFilters.q));
+    setQueryText(nextFilters.q || '');
+    loadExpenses(toExpenseQuery(nextFilters, state.search || ''), sortBy);
+  }, [loadExpenses]);
+
+  // A link opens a saved view (?view=<id>) or carries the view in its own parameters. Only the URL the sheet
+  // was opened with counts; afterwards the sheet writes its own state there.
+  const [linkedViewId] = useState(() => searchParams.get('view'));
+  const [linkedView] = useState(() => viewStateFromParams(searchParams));
+
+  const openLinkedView = useCallback(async () => {
+    if (!linkedViewId) {
+      if (linkedView) applyView(linkedView);
+      else loadExpenses(toExpenseQuery(createDefaultFilters(), ''), DEFAULT_SORT);
+      return;
+    }
+    try {
+      const response = await getSavedView(linkedViewId);
+      applyView(response.data, response.data);
+    } catch {
+      toast.error('Saved view not found');
+      loadExpenses(toExpenseQuery(createDefaultFilters(), ''), DEFAULT_SORT);
+    }
+  }, [linkedViewId, linkedView, applyView, loadExpenses]);
+
+  useEffect(() => {
+    openLinkedView();
+  }, [openLinkedView]);
+
+  const applyFilterQuery = () => {
+    const nextFilters = { ...createDefaultFilters(), q: queryText.trim() };
+    setFilters(nextFilters);
+    setSearchTerm('');
+    fetchExpenses(nextFilters, '');
+  };
+
+  // Into the query bar with the form's filters written out; back to the form drops the query
+  const toggleQueryMode = () => {
+    if (!queryMode) {
+      setQueryText(filtersToQuery(filters, searchTerm));
+      setQueryMode(true);
+      return;
+    }
+    setQueryMode(false);
+    setQueryError('');
+    if (filters.q) {
+      const cleared = createDefaultFilters();
+      setFilters(cleared);
+      fetchExpenses(cleared, '');
+    }
+  };
+
+  const handleSelectView = (view) => {
+    if (view) {
+      applyView(view, view);
+      return;
+    }
+    setActiveView(null);
+  };
+
   const handleSearch = () => {
     fetchExpenses(filters, searchTerm);
   };
@@ -107,6 +263,9 @@ const Expenses = () => {
     const clearedFilters = createDefaultFilters();
     setFilters(clearedFilters);
     setSearchTerm('');
+    setActiveView(null);
+    setQueryText('');
+    setQueryError('');
     setCurrentPage(1);
     fetchExpenses(clearedFilters, '');
   };
@@ -160,11 +319,17 @@ const Expenses = () => {
     setShowEditModal(true);
   };
 
+  const handleAttachmentsChange = (attachmentCount) => {
+    setExpenses((prev) =>
+      prev.map((expense) => (expense._id === attachmentsExpense._id ? { ...expense, attachmentCount } : expense))
+    );
+  };
+
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this expense entry?')) {
+    if (window.confirm('Move this expense entry to the recycle bin?')) {
       try {
         await deleteExpense(id);
-        toast.success('Expense deleted successfully');
+        toast.success('Expense moved to the recycle bin');
         fetchExpenses();
       } catch (error) {
         toast.error('Failed to delete expense');
@@ -172,6 +337,75 @@ const Expenses = () => {
     }
   };
 
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const toggleSelectedPage = (ids, checked) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      ids.forEach((id) => (checked ? next.add(id) : next.delete(id)));
+      return next;
+    });
+  };
+
+  const handleBatchUpdate = async ({ patch, disableReason, allMatching }) => {
+    setBatchApplying(true);
+    try {
+      const response = await batchUpdateExpenses({
+        ...(allMatching ? { filters: appliedQuery } : { ids: [...selectedIds] }),
+        patch,
+        disableReason,
+      });
+      const { updated, unchanged, failed } = response.data;
+      if (failed.length) {
+        toast.error(`${failed.length} entries not updated: ${failed[0].particulars} - ${failed[0].message}`);
+      }
+      toast.success(`${updated} entries updated${unchanged ? `, ${unchanged} already had that value` : ''}`);
+      fetchExpenses(appliedQuery, appliedQuery.search || '');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Batch update failed');
+    } finally {
+      setBatchApplying(false);
+    }
+  };
+
+  const openMerge = () => {
+    const entries = expenses.filter((expense) => selectedIds.has(expense._id));
+    if (entries.length < selectedIds.size) {
+      toast.error('Select the entries to merge on one page; sorting by particulars brings duplicates together');
+      return;
+    }
+    if (new Set(entries.map((entry) => entry.businessUnit)).size > 1) {
+      toast.error('Only entries of the same business unit can be merged');
+      return;
+    }
+    setMergeEntries(entries);
+  };
+
+  const handleMerge = async (payload) => {
+    setMerging(true);
+    try {
+      const response = await mergeExpenses(payload);
+      toast.success(response.message);
+      setMergeEntries(null);
+      setSelectedIds(new Set());
+      fetchExpenses(appliedQuery, appliedQuery.search || '');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Merge failed');
+    } finally {
+      setMerging(false);
+    }
+  };
+
   const updateSharedAllocation = (businessUnit, amount) => {
     setSelectedExpense((prev) => {
       if (!prev) return prev;
@@ -289,7 +523,7 @@ const Expenses = () => {
         </div>
 
         {/* Sheet Metrics */}
-        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
           <div className="flex items-center justify-between rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
             <div>
               <p className="text-xs uppercase tracking-[0.25em] text-slate-500">Total Entries</p>
@@ -310,49 +544,77 @@ const Expenses = () => {
               <CheckCircle2 size={18} />
             </div>
           </div>
+          <div className="flex items-center justify-between rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+            <div>
+              <p className="text-xs uppercase tracking-[0.25em] text-slate-500">Missing Bills</p>
+              <p className="text-2xl font-semibold text-slate-900">{missingBills}</p>
+              <p className="text-sm text-slate-500">Entries without an attachment</p>
+            </div>
+            <div className="flex h-10 w-10 items-center justify-center rounded-xl bg-rose-50 text-rose-600">
+              <Paperclip size={18} />
+            </div>
+          </div>
         </div>
 
         {/* Search and Filters */}
         <Card>
           <div className="space-y-5">
-            <div className="flex flex-col gap-3 md:flex-row md:items-center">
-              <Input
-                className="flex-1"
-                placeholder="Search by card number, service, handler..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
-                icon={<Search size={16} />}
-              />
-              <div className="flex gap-3">
-                <Button onClick={handleSearch}>
-                  <Search size={18} className="mr-2" />
-                  Apply search
-                </Button>
-                <Button variant="secondary" onClick={handleClearFilters}>
-                  Clear
-                </Button>
-                <AdvancedFilter
-                  appliedFilters={filters}
-                  onApplyFilters={(newFilters) => {
-                    const updatedFilters = { ...createDefaultFilters(), ...newFilters };
-                    setFilters(updatedFilters);
-                    fetchExpenses(updatedFilters, searchTerm);
-                  }}
-                  onClearFilters={() => {
-                    const cleared = createDefaultFilters();
-                    setFilters(cleared);
-                    fetchExpenses(cleared, '');
-                    setSearchTerm('');
-                  }}
-                  showBusinessUnit={canFilterBusinessUnit}
-                  showDuplicateStatusFilter={canSeeDuplicateControls}
-                  showServiceHandlerFilter={canFilterServiceHandler}
-                  showCardAssignedFilter={canFilterCardAssigned}
-                  serviceHandlerOptions={serviceHandlerOptions}
-                  cardAssignedOptions={cardAssignedOptions}
-                />
-              </div>
+            <div className="flex flex-col gap-3 md:flex-row md:items-start">
+              {queryMode ? (
+                <>
+                  <QueryBar value={queryText} onChange={setQueryText} onSubmit={applyFilterQuery} error={queryError} />
+                  <Button variant="secondary" onClick={handleClearFilters}>
+                    Clear
+                  </Button>
+                </>
+              ) : (
+                <>
+                  <Input
+                    className="flex-1"
+                    placeholder="Search by card number, service, handler..."
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                    icon={<Search size={16} />}
+                  />
+                  <div className="flex gap-3">
+                    <Button onClick={handleSearch}>
+                      <Search size={18} className="mr-2" />
+                      Apply search
+                    </Button>
+                    <Button variant="secondary" onClick={handleClearFilters}>
+                      Clear
+                    </Button>
+                    <AdvancedFilter
+                      appliedFilters={filters}
+                      onApplyFilters={(newFilters) => {
+                        const updatedFilters = { ...createDefaultFilters(), ...newFilters };
+                        setFilters(updatedFilters);
+                        fetchExpenses(updatedFilters, searchTerm);
+                      }}
+                      onClearFilters={() => {
+                        const cleared = createDefaultFilters();
+                        setFilters(cleared);
+                        fetchExpenses(cleared, '');
+                        setSearchTerm('');
+                      }}
+                      showBusinessUnit={canFilterBusinessUnit}
+                      showDuplicateStatusFilter={canSeeDuplicateControls}
+                      showServiceHandlerFilter={canFilterServiceHandler}
+                      showCardAssignedFilter={canFilterCardAssigned}
+                      serviceHandlerOptions={serviceHandlerOptions}
+                      cardAssignedOptions={cardAssignedOptions}
+                    />
+                  </div>
+                </>
+              )}
+              <Button variant="outline" onClick={toggleQueryMode}>
+                {queryMode ? 'Use filters' : 'Use query'}
+              </Button>
+            </div>
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <SavedViews state={viewState} activeView={activeView} onSelect={handleSelectView} />
+              <ColumnPicker columns={columns} onChange={setColumns} />
             </div>
             <div className="flex flex-wrap items-center gap-4 text-sm text-slate-600">
               <label className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white/80 px-3 py-1.5">
@@ -427,40 +689,54 @@ const Expenses = () => {
 
         {/* Expense Table */}
         <Card>
+          {canBatchEdit && (
+            <BatchEditBar
+              selectedCount={selectedIds.size}
+              matchingCount={total}
+              applying={batchApplying}
+              onApply={handleBatchUpdate}
+              onMerge={openMerge}
+              onClear={() => setSelectedIds(new Set())}
+            />
+          )}
           <ExpenseTable
-            expenses={expenses.slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage)}
+            expenses={expenses}
             onEdit={handleEdit}
             onDelete={handleDelete}
+            onAttachments={setAttachmentsExpense}
             loading={loading}
             showDuplicateColumn={canSeeDuplicateControls && showDuplicateStatus}
+            selectedIds={selectedIds}
+            onToggleSelect={canBatchEdit ? toggleSelected : undefined}
+            onToggleSelectAll={toggleSelectedPage}
+            sort={sort}
+            onSortChange={handleSortChange}
+            columns={columns}
           />
 
           {!loading && expenses.length > 0 && (
             <div className="mt-4 flex flex-col gap-3 text-sm text-slate-700 md:flex-row md:items-center md:justify-between">
               <span>
-                Showing{' '}
-                {expenses.length === 0 ? 0 : (currentPage - 1) * itemsPerPage + 1} to{' '}
-                {Math.min(currentPage * itemsPerPage, expenses.length)} of {expenses.length} entries
+                Showing {(currentPage - 1) * ITEMS_PER_PAGE + 1} to {(currentPage - 1) * ITEMS_PER_PAGE + expenses.length} of{' '}
+                {total} entries
               </span>
               <div className="flex items-center gap-2">
                 <Button
                   variant="secondary"
                   size="sm"
                   disabled={currentPage === 1}
-                  onClick={() => setCurrentPage((prev) => Math.max(prev - 1, 1))}
+                  onClick={() => loadPage(currentPage - 1)}
                 >
                   Previous
                 </Button>
                 <span className="px-3 py-1 rounded-lg bg-slate-100 text-slate-700">
-                  Page {currentPage} of {Math.max(1, Math.ceil(expenses.length / itemsPerPage))}
+                  Page {currentPage} of {totalPages}
                 </span>
                 <Button
                   variant="secondary"
                   size="sm"
-                  disabled={currentPage >= Math.ceil(expenses.length / itemsPerPage)}
-                  onClick={() =>
-                    setCurrentPage((prev) => Math.min(prev + 1, Math.max(1, Math.ceil(expenses.length / itemsPerPage))))
-                  }
+                  disabled={currentPage >= totalPages}
+                  onClick={() => loadPage(currentPage + 1)}
                 >
                   Next
                 </Button>
@@ -469,6 +745,23 @@ const Expenses = () => {
           )}
         </Card>
 
+        {attachmentsExpense && (
+          <AttachmentsModal
+            expense={attachmentsExpense}
+            onClose={() => setAttachmentsExpense(null)}
+            onChange={handleAttachmentsChange}
+          />
+        )}
+
+        {mergeEntries && (
+          <MergeEntriesModal
+            entries={mergeEntries}
+            merging={merging}
+            onMerge={handleMerge}
+            onClose={() => setMergeEntries(null)}
+          />
+        )}
+
         {/* Edit Modal */}
         {showEditModal && selectedExpense && (
           <Modal
@@ -537,7 +830,7 @@ const Expenses = () => {
                   name="currency"
                   value={selectedExpense.currency}
                   onChange={(e) => setSelectedExpense({ ...selectedExpense, currency: e.target.value })}
-                  options={CURRENCIES}
+                  options={withCurrentValue(currencies, selectedExpense.currency)}
                   required
                 />
                 <Input
@@ -568,7 +861,7 @@ const Expenses = () => {
                     <span className="text-sm font-semibold text-emerald-600">Shared Entry</span>
                   </div>
                   <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
-                    {BUSINESS_UNITS.map((bu) => {
+                    {businessUnits.map((bu) => {
                       const allocation = selectedExpense.sharedAllocations?.find((alloc) => alloc.businessUnit === bu);
                       const enabled = Boolean(allocation) || bu === selectedExpense.businessUnit;
                       return (
@@ -606,7 +899,7 @@ const Expenses = () => {
                   name="typeOfService"
                   value={selectedExpense.typeOfService}
                   onChange={(e) => setSelectedExpense({ ...selectedExpense, typeOfService: e.target.value })}
-                  options={TYPES_OF_EXPENSE}
+                  options={withCurrentValue(typesOfService, selectedExpense.typeOfService)}
                   required
                 />
                 <Select
@@ -614,7 +907,7 @@ const Expenses = () => {
                   name="costCenter"
                   value={selectedExpense.costCenter}
                   onChange={(e) => setSelectedExpense({ ...selectedExpense, costCenter: e.target.value })}
-                  options={COST_CENTERS}
+                  options={withCurrentValue(costCenters, selectedExpense.costCenter)}
                   required
                 />
                 <Select
@@ -622,7 +915,7 @@ const Expenses = () => {
                   name="approvedBy"
                   value={selectedExpense.approvedBy}
                   onChange={(e) => setSelectedExpense({ ...selectedExpense, approvedBy: e.target.value })}
-                  options={APPROVED_BY}
+                  options={withCurrentValue(approvers, selectedExpense.approvedBy)}
                   required
                 />
               </div>
@@ -652,6 +945,16 @@ const Expenses = () => {
                 </Button>
               </div>
             </form>
+            <div className="mt-6 border-t border-gray-200 pt-4">
+              <h3 className="text-sm font-semibold text-gray-900 mb-3">Change History</h3>
+              <EntryHistory
+                expenseId={selectedExpense._id}
+                onMergeReverted={() => {
+                  setShowEditModal(false);
+                  fetchExpenses(appliedQuery, appliedQuery.search || '');
+                }}
+              />
+            </div>
           </Modal>
         )}
       </div>
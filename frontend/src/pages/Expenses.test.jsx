@@ -0,0 +1,198 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+
+vi.mock('../components/layout/Layout', () => ({
+  default: ({ children }) => <div>{children}</div>,
+}));
+
+vi.mock('../components/dashboard/SavedViews', () => ({
+  default: () => null,
+}));
+
+vi.mock('../context/AuthContext', () => ({
+  useAuth: () => ({ user: { role: 'mis_manager', businessUnit: 'DWSG' } }),
+}));
+
+vi.mock('../context/useMasterData', () => ({
+  useMasterData: () => ({
+    businessUnits: ['DWSG'],
+    costCenters: [],
+    typesOfService: [],
+    approvers: [],
+    currencies: ['INR', 'USD'],
+  }),
+}));
+
+vi.mock('../services/savedViewService', () => ({
+  getSavedView: vi.fn(),
+}));
+
+vi.mock('../services/expenseService', () => ({
+  getExpenses: vi.fn(),
+  exportExpenses: vi.fn(),
+  deleteExpense: vi.fn(),
+  updateExpense: vi.fn(),
+  batchUpdateExpenses: vi.fn(),
+  mergeExpenses: vi.fn(),
+  getFilterQueryFields: vi.fn(() => Promise.resolve({ data: [] })),
+  getFilterQueryValues: vi.fn(() => Promise.resolve({ data: [] })),
+}));
+
+import Expenses from './Expenses';
+import { getExpenses } from '../services/expenseService';
+import { getSavedView } from '../services/savedViewService';
+
+const TOTAL = 45;
+
+// A server page of the sheet: 20 entries, or what is left of TOTAL
+const pageResponse = ({ page }) => {
+  const count = Math.min(20, TOTAL - (page - 1) * 20);
+  return Promise.resolve({
+    success: true,
+    total: TOTAL,
+    summary: { total: TOTAL, active: 0, missingBills: 0, merged: 0, unique: TOTAL },
+    data: Array.from({ length: count }, (_, i) => ({
+      _id: `entry-${page}-${i}`,
+      date: '2026-10-01',
+      particulars: `Entry ${page}-${i}`,
+      entryStatus: 'Accepted',
+    })),
+  });
+};
+
+// A sheet with one entry, which renders quicker than a full page
+const singleEntryResponse = (particulars) =>
+  Promise.resolve({
+    success: true,
+    total: 1,
+    summary: { total: 1, active: 0, missingBills: 0, merged: 0, unique: 1 },
+    data: [{ _id: `entry-${particulars}`, date: '2026-10-01', particulars, entryStatus: 'Accepted' }],
+  });
+
+const lastRequest = () => getExpenses.mock.calls.at(-1)[0];
+
+const renderSheet = async ({ url = '/expenses', ready = 'Page 1 of 3' } = {}) => {
+  render(
+    <MemoryRouter initialEntries={[url]}>
+      <Expenses />
+    </MemoryRouter>
+  );
+  await screen.findByText(ready);
+};
+
+describe('Expenses paging', () => {
+  beforeEach(() => {
+    getExpenses.mockReset();
+    getExpenses.mockImplementation(pageResponse);
+  });
+
+  it('asks for the first page, newest first, with the summary', async () => {
+    await renderSheet();
+
+    expect(getExpenses).toHaveBeenCalledTimes(1);
+    expect(lastRequest()).toMatchObject({ page: 1, limit: 20, sort: '-date', summary: 'true' });
+  });
+
+  it('asks for the next page with the same filters and sort and no summary', async () => {
+    const user = userEvent.setup();
+    await renderSheet();
+
+    await user.click(screen.getByRole('button', { name: 'Next' }));
+
+    await screen.findByText('Page 2 of 3');
+    expect(lastRequest()).toMatchObject({ page: 2, limit: 20, sort: '-date' });
+    expect(lastRequest().summary).toBeUndefined();
+  });
+
+  it('sorts by a clicked column from the first page, and adds a column on shift-click', async () => {
+    const user = userEvent.setup();
+    await renderSheet();
+    await user.click(screen.getByRole('button', { name: 'Next' }));
+    await screen.findByText('Page 2 of 3');
+
+    await user.click(screen.getByRole('columnheader', { name: 'Particulars' }));
+    await screen.findByText('Page 1 of 3');
+    expect(lastRequest()).toMatchObject({ page: 1, limit: 20, sort: 'particulars' });
+
+    await user.keyboard('{Shift>}');
+    await user.click(screen.getByRole('columnheader', { name: /^Date/ }));
+    await user.keyboard('{/Shift}');
+    await waitFor(() => expect(lastRequest().sort).toBe('particulars,date'));
+  });
+
+  it('goes back to the first page when the search changes', async () => {
+    const user = userEvent.setup();
+    await renderSheet();
+    await user.click(screen.getByRole('button', { name: 'Next' }));
+    await screen.findByText('Page 2 of 3');
+
+    await user.type(screen.getByPlaceholderText('Search by card number, service, handler...'), 'figma');
+    await user.click(screen.getByRole('button', { name: 'Apply search' }));
+
+    await screen.findByText('Page 1 of 3');
+    expect(lastRequest()).toMatchObject({ page: 1, limit: 20, search: 'figma', summary: 'true' });
+  });
+});
+
+describe('Expenses links', () => {
+  beforeEach(() => {
+    getExpenses.mockReset();
+    getExpenses.mockImplementation(pageResponse);
+  });
+
+  it('opens the saved view a link names, once', async () => {
+    getSavedView.mockResolvedValue({
+      data: { _id: 'view-1', name: 'Figma', filters: {}, search: 'figma', sort: 'particulars', columns: [] },
+    });
+    await renderSheet({ url: '/expenses?view=view-1' });
+
+    expect(getSavedView).toHaveBeenCalledTimes(1);
+    expect(getSavedView).toHaveBeenCalledWith('view-1');
+    expect(getExpenses).toHaveBeenCalledTimes(1);
+    expect(lastRequest()).toMatchObject({ page: 1, search: 'figma', sort: 'particulars', summary: 'true' });
+  });
+});
+
+describe('Expenses filter query', () => {
+  beforeEach(() => {
+    getExpenses.mockReset();
+    getExpenses.mockImplementation(() => singleEntryResponse('Figma'));
+    // The bar waits for a pause in typing before it looks values up; fake timers let the test skip the wait.
+    // They still move with the clock so the findBy* queries can poll.
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('shows a query the server cannot parse under the bar and clears it once one loads', async () => {
+    const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+    await renderSheet({ ready: 'Page 1 of 1' });
+    await user.click(screen.getByRole('button', { name: 'Use query' }));
+    const bar = screen.getByLabelText('Filter query');
+
+    getExpenses.mockRejectedValueOnce({
+      response: { status: 400, data: { success: false, message: 'Expected ")" at position 8' } },
+    });
+    await user.click(bar);
+    await user.paste('bu:(DWSG');
+    vi.runOnlyPendingTimers();
+    await user.click(screen.getByRole('button', { name: 'Apply query' }));
+
+    expect(await screen.findByText('Expected ")" at position 8')).toBeInTheDocument();
+    expect(lastRequest()).toMatchObject({ q: 'bu:(DWSG', page: 1 });
+
+    getExpenses.mockImplementationOnce(() => singleEntryResponse('DWSG hosting'));
+    await user.click(bar);
+    await user.paste(')');
+    vi.runOnlyPendingTimers();
+    await user.click(screen.getByRole('button', { name: 'Apply query' }));
+
+    expect(await screen.findAllByText('DWSG hosting')).not.toHaveLength(0);
+    expect(screen.queryByText('Expected ")" at position 8')).not.toBeInTheDocument();
+    expect(lastRequest()).toMatchObject({ q: 'bu:(DWSG)', page: 1 });
+  });
+});
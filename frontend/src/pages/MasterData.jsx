@@ -0,0 +1,274 @@
+import { useState, useEffect } from 'react';
+import { Plus, Edit, Power } from 'lucide-react';
+import Layout from '../components/layout/Layout';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import Modal from '../components/common/Modal';
+import Badge from '../components/common/Badge';
+import Loading from '../components/common/Loading';
+import { getMasterData, createMasterDataItem, updateMasterDataItem } from '../services/masterDataService';
+import { useMasterData } from '../context/useMasterData';
+import toast from 'react-hot-toast';
+
+const MASTER_DATA_TABS = [
+  { value: 'businessUnit', label: 'Business Units', singular: 'Business Unit' },
+  { value: 'costCenter', label: 'Cost Centers', singular: 'Cost Center' },
+  { value: 'typeOfService', label: 'Types of Service', singular: 'Type of Service' },
+  { value: 'approver', label: 'Approvers', singular: 'Approver' },
+  { value: 'currency', label: 'Currencies', singular: 'Currency' },
+];
+
+const EMPTY_FORM = {
+  value: '',
+  aliases: '',
+  sortOrder: '',
+};
+
+const MasterData = () => {
+  const { refresh } = useMasterData();
+  const [activeType, setActiveType] = useState('businessUnit');
+  const [items, setItems] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingItem, setEditingItem] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    fetchItems();
+  }, []);
+
+  const fetchItems = async () => {
+    try {
+      setLoading(true);
+      const response = await getMasterData({ includeInactive: true });
+      if (response.success) {
+        setItems(response.data);
+      }
+    } catch {
+      toast.error('Failed to load master data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenModal = (item = null) => {
+    setEditingItem(item);
+    setFormData(
+      item
+        ? { value: item.value, aliases: (item.aliases || []).join(', '), sortOrder: item.sortOrder ?? '' }
+        : EMPTY_FORM
+    );
+    setShowModal(true);
+  };
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingItem(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const afterWrite = async () => {
+    await fetchItems();
+    refresh();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      if (editingItem) {
+        await updateMasterDataItem(editingItem._id, {
+          aliases: formData.aliases,
+          sortOrder: formData.sortOrder,
+        });
+        toast.success('Item updated successfully');
+      } else {
+        await createMasterDataItem({ type: activeType, ...formData });
+        toast.success('Item created successfully');
+      }
+      handleCloseModal();
+      afterWrite();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Operation failed');
+    }
+  };
+
+  const handleToggleActive = async (item) => {
+    const action = item.isActive ? 'deactivate' : 'reactivate';
+    if (!window.confirm(`Are you sure you want to ${action} "${item.value}"?`)) return;
+
+    try {
+      const response = await updateMasterDataItem(item._id, { isActive: !item.isActive });
+      toast.success(response.message || 'Item updated successfully');
+      afterWrite();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Operation failed');
+    }
+  };
+
+  const activeTab = MASTER_DATA_TABS.find((tab) => tab.value === activeType);
+  const rows = items[activeType] || [];
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Master Data</h1>
+            <p className="text-sm text-slate-500">
+              Deactivated values stay on existing entries but can no longer be picked for new ones.
+            </p>
+          </div>
+          <Button onClick={() => handleOpenModal()}>
+            <Plus size={18} className="mr-2" />
+            Add {activeTab?.singular}
+          </Button>
+        </div>
+
+        {/* Type Tabs */}
+        <div className="flex flex-wrap gap-2">
+          {MASTER_DATA_TABS.map((tab) => (
+            <Button
+              key={tab.value}
+              size="sm"
+              variant={tab.value === activeType ? 'primary' : 'outline'}
+              onClick={() => setActiveType(tab.value)}
+            >
+              {tab.label}
+            </Button>
+          ))}
+        </div>
+
+        {/* Items Table */}
+        <Card>
+          {loading ? (
+            <Loading />
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Value
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Import Aliases
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Order
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Status
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rows.map((item) => (
+                    <tr key={item._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{item.value}</div>
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="text-sm text-gray-600">{item.aliases?.length ? item.aliases.join(', ') : '-'}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-600">{item.sortOrder ?? 0}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <Badge variant={item.isActive ? 'success' : 'danger'}>
+                          {item.isActive ? 'Active' : 'Inactive'}
+                        </Badge>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <div className="flex space-x-3">
+                          <button
+                            onClick={() => handleOpenModal(item)}
+                            className="text-primary-600 hover:text-primary-800"
+                            title="Edit aliases and order"
+                          >
+                            <Edit size={18} />
+                          </button>
+                          <button
+                            onClick={() => handleToggleActive(item)}
+                            className={item.isActive ? 'text-red-600 hover:text-red-800' : 'text-emerald-600 hover:text-emerald-800'}
+                            title={item.isActive ? 'Deactivate' : 'Reactivate'}
+                          >
+                            <Power size={18} />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {rows.length === 0 && (
+                <div className="text-center py-12">
+                  <p className="text-gray-500">No values configured</p>
+                </div>
+              )}
+            </div>
+          )}
+        </Card>
+
+        {/* Add/Edit Modal */}
+        <Modal
+          isOpen={showModal}
+          onClose={handleCloseModal}
+          title={editingItem ? `Edit ${editingItem.value}` : `Add to ${activeTab?.label}`}
+          size="md"
+        >
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <Input
+              label="Value"
+              name="value"
+              value={formData.value}
+              onChange={handleChange}
+              disabled={Boolean(editingItem)}
+              required
+            />
+
+            <Input
+              label="Import Aliases (comma separated)"
+              name="aliases"
+              value={formData.aliases}
+              onChange={handleChange}
+              placeholder="e.g., dws g, dws group"
+            />
+
+            <Input
+              label="Display Order"
+              type="number"
+              name="sortOrder"
+              value={formData.sortOrder}
+              onChange={handleChange}
+            />
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <Button type="button" variant="secondary" onClick={handleCloseModal}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="primary">
+                {editingItem ? 'Update' : 'Create'}
+              </Button>
+            </div>
+          </form>
+        </Modal>
+      </div>
+    </Layout>
+  );
+};
+
+export default MasterData;
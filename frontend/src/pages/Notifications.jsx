@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { Bell, Check, CheckCheck, Trash2, AlertCircle } from 'lucide-react';
+import { Bell, Check, CheckCheck, Trash2, AlertCircle, FileSpreadsheet } from 'lucide-react';
 import Layout from '../components/layout/Layout';
 import Card from '../components/common/Card';
 import Button from '../components/common/Button';
@@ -90,19 +90,21 @@ const Notifications = () => {
       toast.error('Please add a note (include credentials/details if needed)');
       return;
     }
-    const entryId =
+    // Renewals are answered per subscription; older notifications only carry the charge id
+    const serviceId =
+      selectedNotification.actionData?.subscriptionId ||
       selectedNotification.relatedEntry?._id ||
       selectedNotification.actionData?.entryId ||
       selectedNotification.relatedEntry;
 
-    if (!entryId) {
+    if (!serviceId) {
       toast.error('Missing service reference for this notification');
       return;
     }
 
     try {
       setActionLoading(true);
-      await respondToRenewal(entryId, actionType === 'continue', actionReason);
+      await respondToRenewal(serviceId, actionType === 'continue', actionReason);
       toast.success(
         actionType === 'continue'
           ? 'Renewal confirmed'
@@ -123,6 +125,10 @@ const Notifications = () => {
         return <AlertCircle className="text-yellow-600" size={24} />;
       case 'service_cancellation':
         return <AlertCircle className="text-red-600" size={24} />;
+      case 'budget_alert':
+        return <AlertCircle className="text-orange-600" size={24} />;
+      case 'import_completed':
+        return <FileSpreadsheet className="text-emerald-600" size={24} />;
       case 'approval_request':
         return <Bell className="text-blue-600" size={24} />;
       default:
@@ -139,6 +145,8 @@ const Notifications = () => {
         return `${base} border-l-4 border-amber-500 bg-amber-50`;
       case 'service_cancellation':
         return `${base} border-l-4 border-rose-500 bg-rose-50`;
+      case 'budget_alert':
+        return `${base} border-l-4 border-orange-500 bg-orange-50`;
       default:
         return `${base} border-l-4 border-slate-200 bg-white`;
     }
@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Upload, Trash2, FileSpreadsheet } from 'lucide-react';
+import Layout from '../components/layout/Layout';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Select from '../components/common/Select';
+import Badge from '../components/common/Badge';
+import Loading from '../components/common/Loading';
+import { getStatements, uploadStatement, deleteStatement } from '../services/statementService';
+import { getCards } from '../services/cardService';
+import { useMasterData } from '../context/useMasterData';
+import { formatDate } from '../utils/formatters';
+import toast from 'react-hot-toast';
+
+const Reconciliation = () => {
+  const navigate = useNavigate();
+  const { currencies } = useMasterData();
+  const [statements, setStatements] = useState([]);
+  const [cards, setCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [file, setFile] = useState(null);
+  const [cardNumber, setCardNumber] = useState('');
+  const [currency, setCurrency] = useState('INR');
+  const [uploading, setUploading] = useState(false);
+  const [uploadErrors, setUploadErrors] = useState([]);
+
+  const fetchStatements = async () => {
+    try {
+      setLoading(true);
+      const response = await getStatements();
+      if (response.success) {
+        setStatements(response.data);
+      }
+    } catch {
+      toast.error('Failed to load statements');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchStatements();
+      try {
+        const response = await getCards();
+        if (response.success) setCards(response.data);
+      } catch {
+        // Card picker is optional; statements can carry a card column
+      }
+    };
+    load();
+  }, []);
+
+  const handleUpload = async () => {
+    if (!file) {
+      toast.error('Please select a file to upload');
+      return;
+    }
+
+    setUploading(true);
+    setUploadErrors([]);
+    try {
+      const response = await uploadStatement(file, { cardNumber, currency });
+      toast.success(response.message);
+      if (response.data.errors?.length) {
+        toast(`${response.data.errors.length} rows were skipped`);
+      }
+      navigate(`/reconciliation/${response.data._id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Upload failed');
+      setUploadErrors(error.response?.data?.errors || []);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (statement) => {
+    if (!window.confirm(`Delete statement ${statement.fileName}? Its matches will be released.`)) return;
+    try {
+      await deleteStatement(statement._id);
+      toast.success('Statement deleted successfully');
+      fetchStatements();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete statement');
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Statement Reconciliation</h1>
+          <p className="text-sm text-gray-500">Match card statement transactions to the global expense sheet</p>
+        </div>
+
+        <Card
+          title="Upload Card Statement"
+          subtitle="CSV or Excel with Date, Description, Amount and optional Currency and Card columns"
+        >
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Select
+                label="Card"
+                name="cardNumber"
+                value={cardNumber}
+                onChange={(e) => setCardNumber(e.target.value)}
+                options={cards.map((card) => card.maskedNumber)}
+                placeholder="From the statement's Card column"
+              />
+              <Select
+                label="Statement Currency"
+                name="currency"
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                options={currencies}
+                required
+              />
+            </div>
+
+            <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-primary-400 transition-colors">
+              <Upload size={36} className="mx-auto text-gray-400 mb-3" />
+              <label htmlFor="statement-file-input" className="cursor-pointer">
+                <span className="text-primary-600 font-medium hover:text-primary-700">Click to select a file</span>
+                <p className="text-xs text-gray-500 mt-2">Excel (.xlsx, .xls) or CSV files only</p>
+              </label>
+              <input
+                id="statement-file-input"
+                type="file"
+                accept=".xlsx,.xls,.csv"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                className="hidden"
+              />
+            </div>
+
+            {file && (
+              <div className="flex items-center justify-between p-4 bg-blue-50 rounded-lg">
+                <div className="flex items-center space-x-3">
+                  <FileSpreadsheet size={24} className="text-blue-600" />
+                  <p className="font-medium text-gray-900">{file.name}</p>
+                </div>
+                <Button onClick={handleUpload} disabled={uploading}>
+                  {uploading ? 'Matching...' : 'Upload & Match'}
+                </Button>
+              </div>
+            )}
+
+            {uploadErrors.length > 0 && (
+              <ul className="max-h-40 overflow-y-auto space-y-1 text-sm text-rose-700">
+                {uploadErrors.map((err) => (
+                  <li key={err.row}>
+                    Row {err.row}: {err.error}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </Card>
+
+        <Card title="Statements">
+          {loading ? (
+            <Loading />
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['File', 'Card', 'Period', 'Matched', 'Ambiguous', 'Unmatched', 'Uploaded', ''].map((heading) => (
+                      <th
+                        key={heading}
+                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                      >
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {statements.map((statement) => (
+                    <tr key={statement._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <Link
+                          to={`/reconciliation/${statement._id}`}
+                          className="text-sm font-semibold text-primary-700 hover:underline"
+                        >
+                          {statement.fileName || 'Statement'}
+                        </Link>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{statement.cardNumber || 'Multiple'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                        {formatDate(statement.periodStart)} – {formatDate(statement.periodEnd)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <Badge variant="success">{statement.summary.matched}</Badge>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <Badge variant="warning">{statement.summary.ambiguous}</Badge>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <Badge variant="danger">{statement.summary.unmatched}</Badge>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                        <div>{formatDate(statement.createdAt)}</div>
+                        <div className="text-xs text-gray-500">{statement.uploadedBy?.name || '-'}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <button onClick={() => handleDelete(statement)} className="text-red-600 hover:text-red-800">
+                          <Trash2 size={18} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {statements.length === 0 && (
+                <div className="text-center py-12">
+                  <p className="text-gray-500">No statements uploaded yet</p>
+                </div>
+              )}
+            </div>
+          )}
+        </Card>
+      </div>
+    </Layout>
+  );
+};
+
+export default Reconciliation;
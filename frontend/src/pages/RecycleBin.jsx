@@ -0,0 +1,135 @@
+import { useState, useEffect } from 'react';
+import { RotateCcw } from 'lucide-react';
+import Layout from '../components/layout/Layout';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Loading from '../components/common/Loading';
+import { getDeletedExpenses, restoreExpense } from '../services/expenseService';
+import { formatCurrency, formatDate, formatDateTime } from '../utils/formatters';
+import toast from 'react-hot-toast';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysUntilPurge = (deletedAt, retentionDays) =>
+  Math.max(0, retentionDays - Math.floor((Date.now() - new Date(deletedAt).getTime()) / DAY_MS));
+
+const RecycleBin = () => {
+  const [entries, setEntries] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const fetchDeleted = async () => {
+    try {
+      setLoading(true);
+      const response = await getDeletedExpenses();
+      if (response.success) {
+        setEntries(response.data);
+        setRetentionDays(response.retentionDays);
+      }
+    } catch {
+      toast.error('Failed to load the recycle bin');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      await fetchDeleted();
+    };
+    load();
+  }, []);
+
+  const handleRestore = async (entry) => {
+    setRestoringId(entry._id);
+    try {
+      await restoreExpense(entry._id);
+      toast.success(`${entry.particulars} restored`);
+      setEntries((prev) => prev.filter((item) => item._id !== entry._id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to restore entry');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Recycle Bin</h1>
+          <p className="text-sm text-gray-500">
+            Deleted expense entries are kept for {retentionDays} days before they are permanently purged
+          </p>
+        </div>
+
+        <Card title="Deleted Entries">
+          {loading ? (
+            <Loading />
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Date', 'Particulars', 'Business Unit', 'Amount', 'Deleted', 'Purged In', ''].map((heading) => (
+                      <th
+                        key={heading}
+                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                      >
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {entries.map((entry) => (
+                    <tr key={entry._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(entry.date)}</td>
+                      <td className="px-6 py-4 text-sm">
+                        <div className="font-medium text-gray-900">{entry.particulars}</div>
+                        <div className="text-xs text-gray-500">
+                          {entry.cardNumber} · {entry.serviceHandler}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{entry.businessUnit}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatCurrency(entry.amount, entry.currency)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                        <div>{formatDateTime(entry.deletedAt)}</div>
+                        <div className="text-xs text-gray-500">{entry.deletedBy?.name || 'Scheduled cleanup'}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                        {daysUntilPurge(entry.deletedAt, retentionDays)} days
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => handleRestore(entry)}
+                          disabled={restoringId === entry._id}
+                        >
+                          <RotateCcw size={14} className="mr-1" />
+                          Restore
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {entries.length === 0 && (
+                <div className="text-center py-12">
+                  <p className="text-gray-500">The recycle bin is empty</p>
+                </div>
+              )}
+            </div>
+          )}
+        </Card>
+      </div>
+    </Layout>
+  );
+};
+
+export default RecycleBin;
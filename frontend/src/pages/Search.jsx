@@ -0,0 +1,149 @@
+import { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Search as SearchIcon } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Layout from '../components/layout/Layout';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import Badge from '../components/common/Badge';
+import Loading from '../components/common/Loading';
+import Highlight from '../components/common/Highlight';
+import { searchExpenses } from '../services/expenseService';
+import { useAuth } from '../context/AuthContext';
+import { formatCurrency, formatDate } from '../utils/formatters';
+
+const PAGE_SIZE = 20;
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 300;
+
+const EntryResult = ({ entry }) => {
+  const { highlights = {} } = entry;
+  return (
+    <div className="rounded-xl border border-slate-200 bg-white p-4 text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="font-semibold text-slate-900">
+          <Highlight text={entry.particulars} matches={highlights.particulars} />
+        </p>
+        <Badge>{entry.status}</Badge>
+      </div>
+      <p className="text-slate-600">
+        {formatDate(entry.date)} · {formatCurrency(entry.amount, entry.currency)} · {entry.businessUnit}
+      </p>
+      <p className="text-xs text-slate-500">
+        <Highlight text={entry.cardNumber} matches={highlights.cardNumber} /> ·{' '}
+        <Highlight text={entry.cardAssignedTo || '-'} matches={highlights.cardAssignedTo} /> ·{' '}
+        <Highlight text={entry.serviceHandler || '-'} matches={highlights.serviceHandler} />
+      </p>
+      {entry.narration && (
+        <p className="text-xs text-slate-500">
+          <Highlight text={entry.narration} matches={highlights.narration} />
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Ranked search across every entry the user can see; the words typed match the start of words in the
+// particulars, narration, card number, service handler and card holder
+const Search = () => {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const page = Number(searchParams.get('page')) || 1;
+  const [text, setText] = useState(query);
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const canOpenSheet = user?.role !== 'service_handler';
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      if (text.trim() !== query) setSearchParams(text.trim() ? { q: text.trim() } : {}, { replace: true });
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [text, query, setSearchParams]);
+
+  useEffect(() => {
+    if (!query) return;
+    const load = async () => {
+      try {
+        setLoading(true);
+        const response = await searchExpenses({ q: query, page, limit: PAGE_SIZE });
+        if (response.success) {
+          setResults(response.data);
+          setTotal(response.total);
+          setPages(response.pages);
+        }
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Search failed');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [query, page]);
+
+  const goToPage = (nextPage) => setSearchParams({ q: query, page: nextPage });
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        <Card title="Search entries" subtitle="Particulars, narration, card number, service handler and card holder">
+          <Input
+            autoFocus
+            placeholder="Start typing, e.g. fig pro"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            icon={<SearchIcon size={16} />}
+          />
+        </Card>
+
+        {query && (
+          <Card>
+            <div className="mb-4 flex flex-wrap items-center justify-between gap-3 text-sm text-slate-600">
+              <span>
+                {total} entr{total === 1 ? 'y' : 'ies'} for &ldquo;{query}&rdquo;, best match first
+              </span>
+              {canOpenSheet && (
+                <Link
+                  to={`/expenses?${new URLSearchParams({ search: query })}`}
+                  className="text-primary-700 hover:underline"
+                >
+                  Open in the expense sheet
+                </Link>
+              )}
+            </div>
+            {loading ? (
+              <Loading />
+            ) : results.length === 0 ? (
+              <p className="py-6 text-center text-sm text-slate-500">No entries match.</p>
+            ) : (
+              <div className="space-y-3">
+                {results.map((entry) => (
+                  <EntryResult key={entry._id} entry={entry} />
+                ))}
+              </div>
+            )}
+            {!loading && pages > 1 && (
+              <div className="mt-4 flex items-center justify-end gap-2 text-sm">
+                <Button variant="secondary" size="sm" disabled={page <= 1} onClick={() => goToPage(page - 1)}>
+                  Previous
+                </Button>
+                <span className="rounded-lg bg-slate-100 px-3 py-1 text-slate-700">
+                  Page {page} of {pages}
+                </span>
+                <Button variant="secondary" size="sm" disabled={page >= pages} onClick={() => goToPage(page + 1)}>
+                  Next
+                </Button>
+              </div>
+            )}
+          </Card>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default Search;
@@ -21,6 +21,7 @@ const ServiceHandler = () => {
   const [selectedService, setSelectedService] = useState(null);
   const [reason, setReason] = useState('');
   const [logs, setLogs] = useState([]);
+  const [charges, setCharges] = useState([]);
   const [logsLoading, setLogsLoading] = useState(false);
   const [confirmCancellation, setConfirmCancellation] = useState(false);
 
@@ -107,10 +108,12 @@ const ServiceHandler = () => {
       const response = await getRenewalLogs(service._id);
       if (response.success) {
         setLogs(response.data);
+        setCharges(response.charges || []);
       }
     } catch (error) {
       toast.error('Failed to load logs');
       setLogs([]);
+      setCharges([]);
     } finally {
       setLogsLoading(false);
     }
@@ -132,7 +135,7 @@ const ServiceHandler = () => {
         {/* Header */}
         <div>
           <h1 className="text-2xl font-bold text-gray-900 mb-2">My Services</h1>
-          <p className="text-gray-600">Manage your assigned services and subscriptions</p>
+          <p className="text-gray-600">Manage your subscriptions. Each renewal charge is listed in its history.</p>
         </div>
 
         {/* Services List */}
@@ -144,7 +147,7 @@ const ServiceHandler = () => {
           <Card>
             <div className="text-center py-12">
               <AlertCircle size={48} className="mx-auto text-gray-400 mb-4" />
-              <p className="text-gray-500">No services assigned to you</p>
+              <p className="text-gray-500">No subscriptions assigned to you</p>
             </div>
           </Card>
         ) : (
@@ -152,45 +155,33 @@ const ServiceHandler = () => {
             <table className="min-w-full bg-white border border-gray-200 rounded-lg shadow-sm">
               <thead className="bg-gray-50">
                 <tr>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Card No
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Card Assigned To
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Date
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Month
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Status
-                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Service
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Currency
+                    Card No
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Amount
+                    Business Unit
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Amount (INR)
+                    Recurring
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Type
+                    Expected Amount
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Business Unit
+                    Last Charge
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Recurring
+                    Charges
                   </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Renewal Date
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Actions
                   </th>
@@ -199,46 +190,42 @@ const ServiceHandler = () => {
               <tbody className="divide-y divide-gray-200">
                 {services.map((service) => (
                   <tr key={service._id} className="hover:bg-gray-50">
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      {service.cardNumber}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      {service.cardAssignedTo}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                      {formatDate(service.date)}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                      {service.month}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      {getStatusBadge(service.status)}
-                    </td>
                     <td className="px-6 py-4 text-sm text-gray-900">
                       <div className="font-medium">{service.particulars}</div>
                       <div className="text-gray-500 text-xs">{service.narration}</div>
                     </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                      {service.currency}
-                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      {formatCurrency(service.amount, service.currency)}
+                      <div>{service.cardNumber || '-'}</div>
+                      <div className="text-gray-500 text-xs">{service.cardAssignedTo}</div>
                     </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      {formatCurrency(service.amountInINR, 'INR')}
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                      {service.businessUnit}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                      {service.typeOfService}
+                      {service.recurring}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {formatCurrency(service.expectedAmount, service.currency)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                      {service.businessUnit}
+                      {service.lastCharge ? (
+                        <>
+                          <div>{formatDate(service.lastCharge.date)}</div>
+                          <div className="text-gray-500 text-xs">{formatCurrency(service.lastCharge.amountInINR, 'INR')}</div>
+                        </>
+                      ) : (
+                        '-'
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                      {service.recurring}
+                      {service.chargeCount}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                       {service.nextRenewalDate ? formatDate(service.nextRenewalDate) : '-'}
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {getStatusBadge(service.status)}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm">
                       <div className="flex space-x-2">
                         <Button
@@ -295,7 +282,7 @@ const ServiceHandler = () => {
                     <strong>Business Unit:</strong> {selectedService.businessUnit}
                   </p>
                   <p>
-                    <strong>Amount:</strong> {formatCurrency(selectedService.amount, selectedService.currency)}
+                    <strong>Expected Amount:</strong> {formatCurrency(selectedService.expectedAmount, selectedService.currency)}
                   </p>
                   <p>
                     <strong>Recurring:</strong> {selectedService.recurring}
@@ -421,6 +408,30 @@ const ServiceHandler = () => {
               </div>
             )}
 
+            {!logsLoading && charges.length > 0 && (
+              <div>
+                <h3 className="font-semibold text-gray-900 mb-2">Charges</h3>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Amount (INR)</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {charges.map((charge) => (
+                      <tr key={charge._id}>
+                        <td className="px-4 py-2">{formatDate(charge.date)}</td>
+                        <td className="px-4 py-2">{formatCurrency(charge.amount, charge.currency)}</td>
+                        <td className="px-4 py-2">{formatCurrency(charge.amountInINR, 'INR')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             <div className="flex justify-end pt-4 border-t border-gray-200">
               <Button variant="secondary" onClick={() => setShowLogsModal(false)}>
                 Close
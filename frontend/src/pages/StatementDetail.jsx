@@ -0,0 +1,430 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, RefreshCw, Link2, Unlink, FilePlus } from 'lucide-react';
+import Layout from '../components/layout/Layout';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import Select from '../components/common/Select';
+import Modal from '../components/common/Modal';
+import Badge from '../components/common/Badge';
+import Loading from '../components/common/Loading';
+import {
+  getStatement,
+  rematchStatement,
+  matchStatementLine,
+  unmatchStatementLine,
+  getLineEntryDefaults,
+  createEntryFromLine,
+} from '../services/statementService';
+import { getExpenses } from '../services/expenseService';
+import { useMasterData } from '../context/useMasterData';
+import { RECURRING_OPTIONS } from '../utils/constants';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import toast from 'react-hot-toast';
+
+const STATUS_VARIANTS = {
+  matched: 'success',
+  ambiguous: 'warning',
+  unmatched: 'danger',
+};
+
+const STATUS_TABS = ['all', 'unmatched', 'ambiguous', 'matched'];
+
+// Entries on the line's card within a week either side of the statement date
+const NEARBY_DAYS = 7;
+
+const shiftDate = (value, days) => {
+  const date = new Date(value);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const EntrySummary = ({ entry }) => (
+  <div>
+    <div className="font-medium text-gray-900">{entry.particulars}</div>
+    <div className="text-xs text-gray-500">
+      {formatDate(entry.date)} · {entry.amount} {entry.currency} · {entry.businessUnit}
+    </div>
+  </div>
+);
+
+const StatementDetail = () => {
+  const { id } = useParams();
+  const { businessUnits, costCenters, typesOfService, approvers } = useMasterData();
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [statusTab, setStatusTab] = useState('all');
+  const [busyLine, setBusyLine] = useState(null);
+  const [matchLine, setMatchLine] = useState(null);
+  const [nearbyEntries, setNearbyEntries] = useState([]);
+  const [entryLine, setEntryLine] = useState(null);
+  const [entryForm, setEntryForm] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        const response = await getStatement(id);
+        if (response.success) {
+          setStatement(response.data);
+        }
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load statement');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [id]);
+
+  const applyResponse = (response) => {
+    if (response.success) {
+      setStatement(response.data);
+      toast.success(response.message);
+    }
+  };
+
+  const handleRematch = async () => {
+    try {
+      applyResponse(await rematchStatement(id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to re-match statement');
+    }
+  };
+
+  const handleUnmatch = async (line) => {
+    setBusyLine(line._id);
+    try {
+      applyResponse(await unmatchStatementLine(id, line._id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unmatch line');
+    } finally {
+      setBusyLine(null);
+    }
+  };
+
+  const openMatchModal = async (line) => {
+    setMatchLine(line);
+    setNearbyEntries([]);
+    try {
+      const response = await getExpenses({
+        cardNumber: line.cardNumber,
+        startDate: shiftDate(line.date, -NEARBY_DAYS),
+        endDate: shiftDate(line.date, NEARBY_DAYS),
+      });
+      if (response.success) {
+        const candidateIds = new Set((line.candidates || []).map((entry) => entry._id));
+        setNearbyEntries(response.data.filter((entry) => !candidateIds.has(entry._id) && !entry.reconciledStatement));
+      }
+    } catch {
+      // Candidates are still shown without the nearby list
+    }
+  };
+
+  const handleMatch = async (entry) => {
+    try {
+      applyResponse(await matchStatementLine(id, matchLine._id, entry._id));
+      setMatchLine(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to match line');
+    }
+  };
+
+  // One click: the server copies the classification from the card's earlier entries. Only when it
+  // cannot fill every required field do we ask for the rest.
+  const handleCreateEntry = async (line) => {
+    setBusyLine(line._id);
+    try {
+      applyResponse(await createEntryFromLine(id, line._id));
+    } catch (error) {
+      if (error.response?.data?.missingFields) {
+        const defaults = await getLineEntryDefaults(id, line._id);
+        const { missingFields, ...fields } = defaults.data;
+        setEntryForm({ ...fields, missingFields });
+        setEntryLine(line);
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to create entry');
+      }
+    } finally {
+      setBusyLine(null);
+    }
+  };
+
+  const handleEntryFormChange = (e) => {
+    setEntryForm({
+      ...entryForm,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleEntryFormSubmit = async (e) => {
+    e.preventDefault();
+    const { missingFields, ...fields } = entryForm;
+    try {
+      applyResponse(await createEntryFromLine(id, entryLine._id, fields));
+      setEntryLine(null);
+      setEntryForm(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || `Please fill ${missingFields.join(', ')}`);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Layout>
+        <Loading />
+      </Layout>
+    );
+  }
+
+  if (!statement) {
+    return (
+      <Layout>
+        <Card>
+          <p className="text-gray-500">Statement not found.</p>
+          <Link to="/reconciliation" className="text-primary-600 hover:underline text-sm">
+            Back to statements
+          </Link>
+        </Card>
+      </Layout>
+    );
+  }
+
+  const lines = statement.lines.filter((line) => statusTab === 'all' || line.status === statusTab);
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <Link to="/reconciliation" className="text-gray-500 hover:text-gray-800">
+              <ArrowLeft size={20} />
+            </Link>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">{statement.fileName || 'Statement'}</h1>
+              <p className="text-sm text-gray-500">
+                {statement.cardNumber || 'Multiple cards'} · {formatDate(statement.periodStart)} –{' '}
+                {formatDate(statement.periodEnd)}
+              </p>
+            </div>
+          </div>
+          <Button variant="outline" onClick={handleRematch} title="Run auto matching again on open lines">
+            <RefreshCw size={18} className="mr-2" />
+            Re-match
+          </Button>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab}
+              onClick={() => setStatusTab(tab)}
+              className={`rounded-full px-4 py-2 text-sm font-semibold capitalize ${
+                statusTab === tab ? 'bg-primary-600 text-white' : 'bg-white text-gray-600 border border-gray-200'
+              }`}
+            >
+              {tab} ({tab === 'all' ? statement.summary.total : statement.summary[tab]})
+            </button>
+          ))}
+        </div>
+
+        <Card>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Date', 'Description', 'Amount', 'Card', 'Status', 'Expense Entry', ''].map((heading) => (
+                    <th
+                      key={heading}
+                      className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                    >
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {lines.map((line) => (
+                  <tr key={line._id} className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{formatDate(line.date)}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900">{line.description || '-'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-semibold text-gray-900">
+                      {line.currency === 'INR' ? formatCurrency(line.amount) : `${line.amount} ${line.currency}`}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{line.cardNumber}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                      <Badge variant={STATUS_VARIANTS[line.status]}>{line.status}</Badge>
+                      {line.matchType && <div className="mt-1 text-xs text-gray-500">{line.matchType}</div>}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      {line.entry ? (
+                        <EntrySummary entry={line.entry} />
+                      ) : line.status === 'ambiguous' ? (
+                        <span className="text-amber-700">{line.candidates.length} possible entries</span>
+                      ) : (
+                        <span className="text-gray-400">—</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm">
+                      <div className="flex gap-2">
+                        {line.status === 'matched' ? (
+                          <Button size="sm" variant="ghost" onClick={() => handleUnmatch(line)} disabled={busyLine === line._id}>
+                            <Unlink size={16} className="mr-1" />
+                            Unmatch
+                          </Button>
+                        ) : (
+                          <>
+                            <Button size="sm" variant="secondary" onClick={() => openMatchModal(line)}>
+                              <Link2 size={16} className="mr-1" />
+                              Match
+                            </Button>
+                            <Button size="sm" onClick={() => handleCreateEntry(line)} disabled={busyLine === line._id}>
+                              <FilePlus size={16} className="mr-1" />
+                              Create entry
+                            </Button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {lines.length === 0 && (
+              <div className="text-center py-12">
+                <p className="text-gray-500">No {statusTab === 'all' ? '' : statusTab} lines</p>
+              </div>
+            )}
+          </div>
+        </Card>
+
+        {/* Manual match */}
+        <Modal isOpen={Boolean(matchLine)} onClose={() => setMatchLine(null)} title="Match Statement Line" size="lg">
+          {matchLine && (
+            <div className="space-y-5">
+              <p className="text-sm text-gray-600">
+                {formatDate(matchLine.date)} · {matchLine.description || '-'} · {matchLine.amount} {matchLine.currency}
+              </p>
+              {[
+                { title: 'Possible entries', entries: matchLine.candidates || [] },
+                { title: `Other entries on ${matchLine.cardNumber} (±${NEARBY_DAYS} days)`, entries: nearbyEntries },
+              ].map((group) => (
+                <div key={group.title}>
+                  <h3 className="mb-2 text-sm font-semibold text-gray-700">{group.title}</h3>
+                  {group.entries.length === 0 ? (
+                    <p className="text-sm text-gray-400">None</p>
+                  ) : (
+                    <ul className="divide-y divide-gray-100 rounded-xl border border-gray-200">
+                      {group.entries.map((entry) => (
+                        <li key={entry._id} className="flex items-center justify-between gap-3 px-4 py-3 text-sm">
+                          <EntrySummary entry={entry} />
+                          <Button size="sm" onClick={() => handleMatch(entry)}>
+                            Match
+                          </Button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </Modal>
+
+        {/* Create entry when the card history cannot fill every field */}
+        <Modal
+          isOpen={Boolean(entryLine && entryForm)}
+          onClose={() => {
+            setEntryLine(null);
+            setEntryForm(null);
+          }}
+          title="Create Entry from Statement Line"
+          size="md"
+        >
+          {entryLine && entryForm && (
+            <form onSubmit={handleEntryFormSubmit} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                {formatDate(entryLine.date)} · {entryLine.amount} {entryLine.currency} · {entryLine.cardNumber}
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <Input label="Particulars" name="particulars" value={entryForm.particulars} onChange={handleEntryFormChange} required />
+                <Input
+                  label="Service Handler"
+                  name="serviceHandler"
+                  value={entryForm.serviceHandler}
+                  onChange={handleEntryFormChange}
+                  required
+                />
+                <Select
+                  label="Business Unit"
+                  name="businessUnit"
+                  value={entryForm.businessUnit}
+                  onChange={handleEntryFormChange}
+                  options={businessUnits}
+                  required
+                />
+                <Select
+                  label="Cost Center"
+                  name="costCenter"
+                  value={entryForm.costCenter}
+                  onChange={handleEntryFormChange}
+                  options={costCenters}
+                  required
+                />
+                <Select
+                  label="Type of Service"
+                  name="typeOfService"
+                  value={entryForm.typeOfService}
+                  onChange={handleEntryFormChange}
+                  options={typesOfService}
+                  required
+                />
+                <Select
+                  label="Approved By"
+                  name="approvedBy"
+                  value={entryForm.approvedBy}
+                  onChange={handleEntryFormChange}
+                  options={approvers}
+                  required
+                />
+                <Select
+                  label="Recurring"
+                  name="recurring"
+                  value={entryForm.recurring}
+                  onChange={handleEntryFormChange}
+                  options={RECURRING_OPTIONS}
+                  required
+                />
+                <Input
+                  label="Card Assigned To"
+                  name="cardAssignedTo"
+                  value={entryForm.cardAssignedTo}
+                  onChange={handleEntryFormChange}
+                  placeholder="Defaults to the service handler"
+                />
+              </div>
+              <div className="flex justify-end space-x-3 pt-4">
+                <Button
+                  type="button"
+                  variant="secondary"
+                  onClick={() => {
+                    setEntryLine(null);
+                    setEntryForm(null);
+                  }}
+                >
+                  Cancel
+                </Button>
+                <Button type="submit">Create Entry</Button>
+              </div>
+            </form>
+          )}
+        </Modal>
+      </div>
+    </Layout>
+  );
+};
+
+export default StatementDetail;
@@ -10,12 +10,14 @@ import Badge from '../components/common/Badge';
 import Loading from '../components/common/Loading';
 import { getUsers, register, updateUser, deleteUser } from '../services/authService';
 import { useAuth } from '../context/AuthContext';
-import { USER_ROLES, BUSINESS_UNITS } from '../utils/constants';
+import { useMasterData } from '../context/useMasterData';
+import { USER_ROLES } from '../utils/constants';
 import { getRoleName } from '../utils/formatters';
 import toast from 'react-hot-toast';
 
 const Users = () => {
   const { user } = useAuth();
+  const { businessUnits } = useMasterData();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
@@ -296,7 +298,7 @@ const Users = () => {
                 name="businessUnit"
                 value={formData.businessUnit}
                 onChange={handleChange}
-                options={user?.role === 'super_admin' ? BUSINESS_UNITS : [user?.businessUnit]}
+                options={user?.role === 'super_admin' ? businessUnits : [user?.businessUnit]}
                 required
               />
             )}
@@ -0,0 +1,47 @@
+import api from './api';
+
+export const getCards = async (params = {}) => {
+  const response = await api.get('/cards', { params });
+  return response.data;
+};
+
+// Users a card can be assigned to, as { _id, name }
+export const getCardHolders = async () => {
+  const response = await api.get('/cards/holders');
+  return response.data;
+};
+
+export const getCard = async (id) => {
+  const response = await api.get(`/cards/${id}`);
+  return response.data;
+};
+
+export const createCard = async (data) => {
+  const response = await api.post('/cards', data);
+  return response.data;
+};
+
+export const updateCard = async (id, data) => {
+  const response = await api.put(`/cards/${id}`, data);
+  return response.data;
+};
+
+export const deleteCard = async (id) => {
+  const response = await api.delete(`/cards/${id}`);
+  return response.data;
+};
+
+export const syncCardsFromEntries = async () => {
+  const response = await api.post('/cards/sync');
+  return response.data;
+};
+
+export default {
+  getCards,
+  getCardHolders,
+  getCard,
+  createCard,
+  updateCard,
+  deleteCard,
+  syncCardsFromEntries,
+};
@@ -0,0 +1,12 @@
+import api from './api';
+
+export const getDuplicateReviews = async (status = 'pending') => {
+  const response = await api.get(`/duplicate-reviews?status=${status}`);
+  return response.data;
+};
+
+// decision: 'same', 'different' or 'merge'
+export const decideDuplicateReview = async (id, decision) => {
+  const response = await api.post(`/duplicate-reviews/${id}/decision`, { decision });
+  return response.data;
+};
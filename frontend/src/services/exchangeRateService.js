@@ -0,0 +1,41 @@
+import api from './api';
+
+export const getExchangeRates = async (params = {}) => {
+  const response = await api.get('/exchange-rates', { params });
+  return response.data;
+};
+
+export const uploadRateTable = async (file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+
+  const response = await api.post('/exchange-rates/upload', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return response.data;
+};
+
+export const getRateOverrides = async () => {
+  const response = await api.get('/exchange-rates/overrides');
+  return response.data;
+};
+
+export const saveRateOverride = async (data) => {
+  const response = await api.post('/exchange-rates/overrides', data);
+  return response.data;
+};
+
+export const deleteRateOverride = async (id) => {
+  const response = await api.delete(`/exchange-rates/overrides/${id}`);
+  return response.data;
+};
+
+export default {
+  getExchangeRates,
+  uploadRateTable,
+  getRateOverrides,
+  saveRateOverride,
+  deleteRateOverride,
+};
@@ -17,6 +17,26 @@ export const getExpenses = async (filters = {}) => {
   return response.data;
 };
 
+// Ranked search over particulars, narration, card, handler and card holder; params: q, page, limit and the
+// sheet's filters. Each entry comes with highlights: { field: [{ start, end }] }.
+export const searchExpenses = async (params = {}) => {
+  const query = buildQueryString(params);
+  const response = await api.get(`/expenses/search${query}`);
+  return response.data;
+};
+
+// Fields of the filter query language: name, label, type, operators and fixed values
+export const getFilterQueryFields = async () => {
+  const response = await api.get('/expenses/query/fields');
+  return response.data;
+};
+
+// Values of a filter query field starting with prefix, for the query bar's autocomplete
+export const getFilterQueryValues = async (field, prefix = '') => {
+  const response = await api.get(`/expenses/query/values${buildQueryString({ field, prefix })}`);
+  return response.data;
+};
+
 export const getExpenseById = async (id) => {
   const response = await api.get(`/expenses/${id}`);
   return response.data;
@@ -37,8 +57,42 @@ export const deleteExpense = async (id) => {
   return response.data;
 };
 
-export const bulkUploadExpenses = async (file) => {
+// Sheets of a workbook with their row counts and the month each tab name implies
+export const listUploadSheets = async (file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+
+  const response = await api.post('/expenses/bulk-upload/sheets', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return response.data;
+};
+
+export const previewBulkUpload = async (file, profile = '', mode = 'create', sheets = []) => {
   const formData = new FormData();
+  // profile: an import profile id, 'auto' to detect it from the headers, or empty for the default layout
+  formData.append('profile', profile);
+  // mode: 'create', or 'upsert' to update the entries named in the Entry ID column
+  formData.append('mode', mode);
+  // sheets: names of the workbook sheets to import; empty for the first sheet
+  if (sheets.length) formData.append('sheets', JSON.stringify(sheets));
+  formData.append('file', file);
+
+  const response = await api.post('/expenses/bulk-upload/preview', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return response.data;
+};
+
+export const bulkUploadExpenses = async (file, profile = '', mode = 'create', sheets = []) => {
+  const formData = new FormData();
+  formData.append('profile', profile);
+  formData.append('mode', mode);
+  if (sheets.length) formData.append('sheets', JSON.stringify(sheets));
   formData.append('file', file);
 
   const response = await api.post('/expenses/bulk-upload', formData, {
@@ -56,6 +110,12 @@ export const downloadTemplate = async () => {
   return response.data;
 };
 
+// { ids } or { filters } (the sheet's query params), the field patch and an optional disableReason
+export const batchUpdateExpenses = async (payload) => {
+  const response = await api.post('/expenses/batch-update', payload);
+  return response.data;
+};
+
 export const exportExpenses = async (filters = {}) => {
   const query = buildQueryString(filters);
   const response = await api.get(`/expenses/export${query}`, {
@@ -68,3 +128,57 @@ export const getExpenseStats = async () => {
   const response = await api.get('/expenses/stats');
   return response.data;
 };
+
+export const getAttachments = async (expenseId) => {
+  const response = await api.get(`/expenses/${expenseId}/attachments`);
+  return response.data;
+};
+
+export const uploadAttachment = async (expenseId, file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+
+  const response = await api.post(`/expenses/${expenseId}/attachments`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return response.data;
+};
+
+export const downloadAttachment = async (expenseId, attachmentId) => {
+  const response = await api.get(`/expenses/${expenseId}/attachments/${attachmentId}/download`, {
+    responseType: 'blob',
+  });
+  return response.data;
+};
+
+export const deleteAttachment = async (expenseId, attachmentId) => {
+  const response = await api.delete(`/expenses/${expenseId}/attachments/${attachmentId}`);
+  return response.data;
+};
+
+export const mergeExpenses = async (payload) => {
+  const response = await api.post('/expenses/merge', payload);
+  return response.data;
+};
+
+export const revertExpenseMerge = async (mergeId) => {
+  const response = await api.post(`/expenses/merges/${mergeId}/revert`);
+  return response.data;
+};
+
+export const getExpenseHistory = async (expenseId) => {
+  const response = await api.get(`/expenses/${expenseId}/history`);
+  return response.data;
+};
+
+export const getDeletedExpenses = async () => {
+  const response = await api.get('/expenses/deleted');
+  return response.data;
+};
+
+export const restoreExpense = async (id) => {
+  const response = await api.post(`/expenses/${id}/restore`);
+  return response.data;
+};
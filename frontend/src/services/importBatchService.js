@@ -0,0 +1,28 @@
+import api from './api';
+
+export const getImportBatches = async () => {
+  const response = await api.get('/import-batches');
+  return response.data;
+};
+
+export const getImportBatch = async (id) => {
+  const response = await api.get(`/import-batches/${id}`);
+  return response.data;
+};
+
+export const rollbackImportBatch = async (id) => {
+  const response = await api.post(`/import-batches/${id}/rollback`);
+  return response.data;
+};
+
+export const getImportJob = async (id) => {
+  const response = await api.get(`/import-jobs/${id}`);
+  return response.data;
+};
+
+export const downloadImportErrors = async (id) => {
+  const response = await api.get(`/import-batches/${id}/errors`, {
+    responseType: 'blob',
+  });
+  return response.data;
+};
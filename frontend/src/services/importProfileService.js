@@ -0,0 +1,26 @@
+import api from './api';
+
+export const getImportProfiles = async () => {
+  const response = await api.get('/import-profiles');
+  return response.data;
+};
+
+export const getImportProfileFields = async () => {
+  const response = await api.get('/import-profiles/fields');
+  return response.data;
+};
+
+export const createImportProfile = async (data) => {
+  const response = await api.post('/import-profiles', data);
+  return response.data;
+};
+
+export const updateImportProfile = async (id, data) => {
+  const response = await api.put(`/import-profiles/${id}`, data);
+  return response.data;
+};
+
+export const deleteImportProfile = async (id) => {
+  const response = await api.delete(`/import-profiles/${id}`);
+  return response.data;
+};
@@ -0,0 +1,22 @@
+import api from './api';
+
+export const getMasterData = async (params = {}) => {
+  const response = await api.get('/master-data', { params });
+  return response.data;
+};
+
+export const createMasterDataItem = async (data) => {
+  const response = await api.post('/master-data', data);
+  return response.data;
+};
+
+export const updateMasterDataItem = async (id, data) => {
+  const response = await api.put(`/master-data/${id}`, data);
+  return response.data;
+};
+
+export default {
+  getMasterData,
+  createMasterDataItem,
+  updateMasterDataItem,
+};
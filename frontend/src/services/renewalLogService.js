@@ -1,7 +1,7 @@
 import api from './api';
 
-export const getRenewalLogs = async (entryId) => {
-  const response = await api.get(`/service-handler/logs/${entryId}`);
+export const getRenewalLogs = async (subscriptionId) => {
+  const response = await api.get(`/service-handler/logs/${subscriptionId}`);
   return response.data;
 };
 
@@ -0,0 +1,28 @@
+import api from './api';
+
+// Views the user owns or that are shared with their role or business unit
+export const getSavedViews = async () => {
+  const response = await api.get('/saved-views');
+  return response.data;
+};
+
+export const getSavedView = async (id) => {
+  const response = await api.get(`/saved-views/${id}`);
+  return response.data;
+};
+
+// view: { name, filters, search, sort, columns, sharedWithRoles, sharedWithBusinessUnits }
+export const createSavedView = async (view) => {
+  const response = await api.post('/saved-views', view);
+  return response.data;
+};
+
+export const updateSavedView = async (id, view) => {
+  const response = await api.put(`/saved-views/${id}`, view);
+  return response.data;
+};
+
+export const deleteSavedView = async (id) => {
+  const response = await api.delete(`/saved-views/${id}`);
+  return response.data;
+};
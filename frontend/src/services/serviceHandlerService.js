@@ -5,9 +5,9 @@ export const getMyServices = async () => {
   return response.data;
 };
 
-export const respondToRenewal = async (entryId, continueService, reason) => {
+export const respondToRenewal = async (subscriptionId, continueService, reason) => {
   const response = await api.post(
-    `/service-handler/renewal-response/${entryId}`,
+    `/service-handler/renewal-response/${subscriptionId}`,
     {
       continueService,
       reason,
@@ -16,8 +16,8 @@ export const respondToRenewal = async (entryId, continueService, reason) => {
   return response.data;
 };
 
-export const requestServiceDisable = async (entryId, subscriptionCancelled, reason) => {
-  const response = await api.post(`/service-handler/disable/${entryId}`, {
+export const requestServiceDisable = async (subscriptionId, subscriptionCancelled, reason) => {
+  const response = await api.post(`/service-handler/disable/${subscriptionId}`, {
     subscriptionCancelled,
     reason,
   });
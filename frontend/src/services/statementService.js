@@ -0,0 +1,67 @@
+import api from './api';
+
+export const getStatements = async () => {
+  const response = await api.get('/statements');
+  return response.data;
+};
+
+export const getStatement = async (id) => {
+  const response = await api.get(`/statements/${id}`);
+  return response.data;
+};
+
+export const uploadStatement = async (file, { cardNumber, currency } = {}) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  if (cardNumber) formData.append('cardNumber', cardNumber);
+  if (currency) formData.append('currency', currency);
+
+  const response = await api.post('/statements/upload', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  return response.data;
+};
+
+export const rematchStatement = async (id) => {
+  const response = await api.post(`/statements/${id}/rematch`);
+  return response.data;
+};
+
+export const matchStatementLine = async (id, lineId, entryId) => {
+  const response = await api.post(`/statements/${id}/lines/${lineId}/match`, { entryId });
+  return response.data;
+};
+
+export const unmatchStatementLine = async (id, lineId) => {
+  const response = await api.post(`/statements/${id}/lines/${lineId}/unmatch`);
+  return response.data;
+};
+
+export const getLineEntryDefaults = async (id, lineId) => {
+  const response = await api.get(`/statements/${id}/lines/${lineId}/entry-defaults`);
+  return response.data;
+};
+
+export const createEntryFromLine = async (id, lineId, data = {}) => {
+  const response = await api.post(`/statements/${id}/lines/${lineId}/create-entry`, data);
+  return response.data;
+};
+
+export const deleteStatement = async (id) => {
+  const response = await api.delete(`/statements/${id}`);
+  return response.data;
+};
+
+export default {
+  getStatements,
+  getStatement,
+  uploadStatement,
+  rematchStatement,
+  matchStatementLine,
+  unmatchStatementLine,
+  getLineEntryDefaults,
+  createEntryFromLine,
+  deleteStatement,
+};
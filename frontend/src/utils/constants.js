@@ -37,3 +37,27 @@ export const USER_ROLES = [
   { value: 'spoc', label: 'SPOC' },
   { value: 'service_handler', label: 'Service Handler' },
 ];
+
+// Columns of the expense sheet in display order; sortable ones name the field the server sorts by
+export const EXPENSE_COLUMNS = [
+  { key: 'date', label: 'Date', sortable: true },
+  { key: 'cardNumber', label: 'Card No', sortable: true },
+  { key: 'cardAssignedTo', label: 'Card Assigned To', sortable: true },
+  { key: 'month', label: 'Month', sortable: true },
+  { key: 'status', label: 'Status', sortable: true },
+  { key: 'entryStatus', label: 'Entry Status', sortable: true },
+  { key: 'particulars', label: 'Particulars', sortable: true },
+  { key: 'narration', label: 'Narration' },
+  { key: 'currency', label: 'Currency', sortable: true },
+  { key: 'billStatus', label: 'Bill Status', sortable: true },
+  { key: 'amount', label: 'Amount', sortable: true },
+  { key: 'xeRate', label: 'XE Rate' },
+  { key: 'amountInINR', label: 'Amount (INR)', sortable: true },
+  { key: 'typeOfService', label: 'Type of Service', sortable: true },
+  { key: 'businessUnit', label: 'Business Unit', sortable: true },
+  { key: 'costCenter', label: 'Cost Center', sortable: true },
+  { key: 'approvedBy', label: 'Approved By', sortable: true },
+  { key: 'serviceHandler', label: 'Service Handler', sortable: true },
+  { key: 'recurring', label: 'Recurring', sortable: true },
+  { key: 'isShared', label: 'Shared' },
+];
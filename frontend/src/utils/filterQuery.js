@@ -0,0 +1,61 @@
+// Helpers for the filter query bar (see the query language in the backend's filterQueryService)
+
+export const QUERY_KEYWORDS = ['AND', 'OR', 'NOT'];
+
+const OPERATOR_PATTERN = /^([A-Za-z]+)(!=|>=|<=|:|=|>|<)(.*)$/s;
+
+// Quote a value unless it is a plain word
+export const quoteValue = (value) =>
+  /^[^\s()",:=<>!]+$/.test(value) ? value : `"${`${value}`.replace(/"/g, '\\"')}"`;
+
+// The token the caret is in: where it starts, and either the field name being typed or the field, operator
+// and value being typed after it (the value after the last comma of a list, without its opening quote)
+export const tokenAtCaret = (text, caret) => {
+  let start = 0;
+  let inQuote = false;
+  for (let index = 0; index < caret; index += 1) {
+    const char = text[index];
+    if (char === '"' && text[index - 1] !== '\\') inQuote = !inQuote;
+    if (!inQuote && /[\s()]/.test(char)) start = index + 1;
+  }
+
+  const token = text.slice(start, caret);
+  const comparison = token.match(OPERATOR_PATTERN);
+  if (!comparison) return { start, field: null, name: token };
+
+  const [, field, operator, rest] = comparison;
+  const valueStart = rest.lastIndexOf(',') + 1;
+  const value = rest.slice(valueStart).replace(/^"/, '');
+  return { start, field, operator, valueOffset: start + field.length + operator.length + valueStart, value };
+};
+
+// Form field -> how it reads in the query language
+const FORM_FIELDS = {
+  businessUnit: (value) => `bu:${quoteValue(value)}`,
+  cardNumber: (value) => `card:${quoteValue(value)}`,
+  cardAssignedTo: (value) => `holder:${value.split(',').map((item) => quoteValue(item.trim())).join(',')}`,
+  status: (value) => `status:${quoteValue(value)}`,
+  typeOfService: (value) => `type:${quoteValue(value)}`,
+  serviceHandler: (value) => `handler:${value.split(',').map((item) => quoteValue(item.trim())).join(',')}`,
+  costCenter: (value) => `cost:${quoteValue(value)}`,
+  approvedBy: (value) => `approver:${quoteValue(value)}`,
+  recurring: (value) => `recurring:${quoteValue(value)}`,
+  month: (value) => `month:${quoteValue(value)}`,
+  duplicateStatus: (value) => `duplicate:${quoteValue(value)}`,
+  startDate: (value) => `date>=${value}`,
+  endDate: (value) => `date<=${value}`,
+  disableStartDate: (value) => `disabled>=${value}`,
+  disableEndDate: (value) => `disabled<=${value}`,
+  minAmount: (value) => `inr>=${value}`,
+  maxAmount: (value) => `inr<=${value}`,
+  sharedOnly: (value) => (value === 'true' ? 'shared:true' : ''),
+};
+
+// The Hyper Filter's fields and search text written as a filter query, for switching from the form to the bar
+export const filtersToQuery = (filters = {}, search = '') =>
+  [
+    ...Object.entries(FORM_FIELDS).map(([key, write]) => (filters[key] ? write(`${filters[key]}`) : '')),
+    search.trim() ? quoteValue(search.trim()) : '',
+  ]
+    .filter(Boolean)
+    .join(' AND ');
@@ -4,6 +4,13 @@ import {
   Users,
   Upload,
   Package,
+  Database,
+  Coins,
+  CreditCard,
+  PiggyBank,
+  Scale,
+  Trash2,
+  CopyCheck,
 } from 'lucide-react';
 
 export const NAVIGATION_MAP = {
@@ -11,18 +18,32 @@ export const NAVIGATION_MAP = {
     { path: '/dashboard', icon: LayoutDashboard, label: 'Dashboard' },
     { path: '/expenses', icon: FileText, label: 'Global Expense Sheet' },
     { path: '/users', icon: Users, label: 'Manage Users' },
+    { path: '/cards', icon: CreditCard, label: 'Cards' },
+    { path: '/budgets', icon: PiggyBank, label: 'Budgets' },
+    { path: '/reconciliation', icon: Scale, label: 'Reconciliation' },
+    { path: '/duplicate-reviews', icon: CopyCheck, label: 'Duplicate Review' },
     { path: '/logs', icon: FileText, label: 'Logs' },
     { path: '/bulk-upload', icon: Upload, label: 'Bulk Upload' },
+    { path: '/exchange-rates', icon: Coins, label: 'Exchange Rates' },
+    { path: '/master-data', icon: Database, label: 'Master Data' },
+    { path: '/recycle-bin', icon: Trash2, label: 'Recycle Bin' },
   ],
   mis_manager: [
     { path: '/dashboard', icon: LayoutDashboard, label: 'Dashboard' },
     { path: '/expenses', icon: FileText, label: 'Global Expense Sheet' },
+    { path: '/cards', icon: CreditCard, label: 'Cards' },
+    { path: '/budgets', icon: PiggyBank, label: 'Budgets' },
+    { path: '/reconciliation', icon: Scale, label: 'Reconciliation' },
+    { path: '/duplicate-reviews', icon: CopyCheck, label: 'Duplicate Review' },
     { path: '/logs', icon: FileText, label: 'Logs' },
     { path: '/bulk-upload', icon: Upload, label: 'Bulk Upload' },
+    { path: '/exchange-rates', icon: Coins, label: 'Exchange Rates' },
   ],
   business_unit_admin: [
     { path: '/dashboard', icon: LayoutDashboard, label: 'Dashboard' },
     { path: '/expenses', icon: FileText, label: 'Expense Sheet' },
+    { path: '/cards', icon: CreditCard, label: 'Cards' },
+    { path: '/budgets', icon: PiggyBank, label: 'Budgets' },
     { path: '/users', icon: Users, label: 'Manage Users' },
     { path: '/logs', icon: FileText, label: 'Logs' },
   ],
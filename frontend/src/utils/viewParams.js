@@ -0,0 +1,50 @@
+import { ADVANCED_FILTER_DEFAULTS } from '../components/common/AdvancedFilter';
+
+// A view of the expense list as it travels in a link or a saved view:
+// { filters: { field: value }, search: '', sort: '-date,particulars', columns: ['date', ...] }
+
+export const sortToParam = (sort = []) =>
+  sort.map(({ field, order }) => `${order === 'desc' ? '-' : ''}${field}`).join(',');
+
+export const parseSortParam = (value = '') =>
+  `${value}`
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => (item.startsWith('-') ? { field: item.slice(1), order: 'desc' } : { field: item, order: 'asc' }));
+
+// Filters a view carries: the Hyper Filter's fields and the typed filter query (q)
+const VIEW_FILTER_KEYS = [...Object.keys(ADVANCED_FILTER_DEFAULTS), 'q'];
+
+// The filters of a filter set that hold a value
+export const activeFilters = (filters = {}) =>
+  Object.fromEntries(
+    VIEW_FILTER_KEYS
+      .filter((field) => filters[field])
+      .map((field) => [field, `${filters[field]}`])
+  );
+
+export const viewStateToParams = ({ filters = {}, search = '', sort = '', columns = [] }) => {
+  const params = new URLSearchParams(activeFilters(filters));
+  if (search) params.set('search', search);
+  if (sort) params.set('sort', sort);
+  if (columns.length) params.set('columns', columns.join(','));
+  return params;
+};
+
+// The view a link describes, or null when it carries none
+export const viewStateFromParams = (params) => {
+  const filters = activeFilters(Object.fromEntries(params));
+  const state = {
+    filters,
+    search: params.get('search') || '',
+    sort: params.get('sort') || '',
+    columns: (params.get('columns') || '').split(',').filter(Boolean),
+  };
+  const empty = !Object.keys(filters).length && !state.search && !state.sort && !state.columns.length;
+  return empty ? null : state;
+};
+
+// Whether the loaded list still shows a saved view as it was saved
+export const matchesView = (view, state) =>
+  Boolean(view) && viewStateToParams(view).toString() === viewStateToParams(state).toString();